@@ -13,12 +13,18 @@ const init = require('../src/commands/init');
 const build = require('../src/commands/build');
 const dev = require('../src/commands/dev');
 const publish = require('../src/commands/publish');
+const publishStatus = require('../src/commands/publish-status');
+const unpublish = require('../src/commands/unpublish');
+const deprecate = require('../src/commands/deprecate');
 const validate = require('../src/commands/validate');
 const info = require('../src/commands/info');
 const config = require('../src/commands/config');
+const login = require('../src/commands/login');
+const logout = require('../src/commands/logout');
 const i18n = require('../src/commands/i18n');
 const verifyTag = require('../src/commands/verify-tag');
 const checkDisplay = require('../src/commands/check-display');
+const schema = require('../src/commands/schema');
 
 program
     .name('openblock-registry-cli')
@@ -41,16 +47,49 @@ program
     .description('Start development mode with hot reload')
     .action(dev);
 
-program
+const publishCommand = program
     .command('publish')
     .description('Publish your plugin to OpenBlock Registry')
     .option('-d, --dry-run', 'Validate only, do not create PR')
+    .option('--ci', 'Never prompt; fail if no valid token is available (use OBR_GITHUB_TOKEN or GITHUB_TOKEN)')
+    .option('-y, --yes', 'Same as --ci')
+    .option('--json', 'Print the result as JSON on stdout')
     .action(publish);
 
+publishCommand
+    .command('status')
+    .description('Show the submission PR, its checks and reviews, and the registry bot report')
+    .action(publishStatus);
+
+program
+    .command('unpublish')
+    .description('Open a PR removing your plugin from OpenBlock Registry')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .action(unpublish);
+
+program
+    .command('deprecate')
+    .description('Open a PR marking your plugin as deprecated')
+    .option('-m, --message <text>', 'Deprecation message shown to users')
+    .option('-r, --replacement <id>', 'Id of the plugin users should switch to')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .action(deprecate);
+
 program
     .command('validate')
     .description('Validate your plugin without publishing')
     .option('-s, --skip-tag', 'Skip Git tag validation')
+    .option('-f, --format <format>', 'Write a report of every check: json, sarif or junit')
+    .option('-o, --output <file>', 'Report file (defaults to stdout; implies --format json)')
+    .option('--offline', 'Run only local checks, using the registry data cached by the last online run')
+    .option('--fix', 'Apply safe fixes to package.json first and show what changed')
+    .option('-y, --yes', 'With --fix, also apply fixes that need confirmation (e.g. http → https links)')
+    .option('--min-coverage <percent>', 'Fail when a locale in the translations file has less than this ' +
+        'percentage of strings translated; a locale still in English is at 0%')
+    .option('--locales <list>', 'With --min-coverage, hold only these comma-separated locales to the minimum')
+    .option('--check-arch', 'Check arch identifiers and the toolchain name against the packages index')
+    .option('--packages-url <url>', 'With --check-arch, read the packages index from this URL instead of the ' +
+        'Resource Service or the registry\'s packages.json')
     .action(validate);
 
 program
@@ -59,6 +98,16 @@ program
     .option('-a, --all', 'Show all versions')
     .action(info);
 
+program
+    .command('login')
+    .description('Sign in to GitHub through the browser and store the token')
+    .action(login);
+
+program
+    .command('logout')
+    .description('Remove the stored GitHub token')
+    .action(logout);
+
 program
     .command('config <action> [key] [value]')
     .description('Manage CLI configuration (get/set/list)')
@@ -70,6 +119,12 @@ program
     .option('-d, --dir <path>', 'Working directory')
     .action(i18n);
 
+program
+    .command('schema')
+    .description('Write the JSON Schema for package.json, for editor validation and completion')
+    .option('-o, --output <file>', 'Write to a file instead of stdout')
+    .action(schema);
+
 program
     .command('verify-tag [tag]')
     .description('Verify git tag matches package.json version (used by husky pre-push hook)')
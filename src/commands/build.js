@@ -17,6 +17,7 @@ const {
     runBuild
 } = require('../lib/builder/esbuild-wrapper');
 const {removeInterfaceFromTranslations} = require('../lib/builder/translations-processor');
+const {NOTICES_FILE, collectThirdParty, formatNotices} = require('../lib/third-party');
 const validateOpenBlockFiles = require('../validators/openblock-files');
 
 /**
@@ -101,6 +102,7 @@ const build = async function (options = {}) {
         spinner.succeed('Cleaned dist/');
 
         // Run esbuild if there are files with imports
+        let metafile = null;
         if (entryPoints.length > 0) {
             const bundleMsg = options.obfuscate ?
                 `Bundling and obfuscating ${entryPoints.length} file(s)...` :
@@ -120,6 +122,7 @@ const build = async function (options = {}) {
             });
 
             const result = await runBuild(buildOptions);
+            metafile = result.metafile;
             spinner.succeed(`Bundled ${entryPoints.length} file(s)`);
 
             // Show build analysis
@@ -215,6 +218,18 @@ const build = async function (options = {}) {
             spinner.succeed('No translations field in package.json');
         }
 
+        // Credit the third-party code shipped in the plugin: bundled npm
+        // packages, vendored Arduino libraries and submodules
+        spinner.start('Writing third-party notices...');
+        const components = collectThirdParty(projectDir, packageJson, metafile);
+        if (components.length > 0) {
+            const pluginName = packageJson.name || path.basename(projectDir);
+            fs.writeFileSync(path.join(distDir, NOTICES_FILE), formatNotices(components, projectDir, pluginName));
+            spinner.succeed(`Wrote ${NOTICES_FILE} for ${components.length} third-party component(s)`);
+        } else {
+            spinner.succeed('No third-party code to credit');
+        }
+
         console.log(chalk.green('\nBuild complete!\n'));
 
     } catch (error) {
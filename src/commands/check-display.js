@@ -13,9 +13,9 @@
 const path = require('path');
 const fs = require('fs');
 const chalk = require('chalk');
-const fetch = require('node-fetch');
 
-const {REGISTRY_RAW_BASE, buildLocalApproved} = require('../lib/approved-baseline');
+const {approvedBaselineUrl, buildLocalApproved} = require('../lib/approved-baseline');
+const {fetch} = require('../lib/network');
 
 /**
  * Read package.json from the current directory.
@@ -76,7 +76,7 @@ const checkDisplay = async () => {
     // a baseline PR is needed) from "couldn't reach the registry" (stay quiet).
     let remote;
     try {
-        const response = await fetch(`${REGISTRY_RAW_BASE}/approved/${id}.json`);
+        const response = await fetch(approvedBaselineUrl(id));
         if (response.status === 404) {
             remote = null;
         } else if (response.ok) {
@@ -5,6 +5,10 @@
 
 const chalk = require('chalk');
 const {getConfig, setConfig, listConfig, CONFIG_KEYS} = require('../utils/config');
+const {parseRegistrySetting} = require('../lib/config/registry');
+const {parseOAuthSetting} = require('../lib/config/oauth');
+const {parseHostsSetting} = require('../lib/config/hosts');
+const {parseNetworkSetting} = require('../lib/config/network');
 const logger = require('../utils/logger');
 
 /**
@@ -17,6 +21,49 @@ const maskToken = function (token) {
     return `${token.substring(0, 4)}...${token.substring(token.length - 4)}`;
 };
 
+/**
+ * Hide proxy passwords in a network setting for display
+ * @param {object} setting - Network setting
+ * @returns {object} Setting safe to print
+ */
+const maskProxyCredentials = function (setting) {
+    const masked = {...setting};
+    if (masked.proxyAuth) {
+        masked.proxyAuth = `${masked.proxyAuth.split(':')[0]}:****`;
+    }
+    if (masked.proxy) {
+        masked.proxy = masked.proxy.replace(/\/\/([^:/@]+):[^@]*@/, '//$1:****@');
+    }
+    return masked;
+};
+
+/**
+ * Format a configuration value for display
+ * @param {string} key - Configuration key
+ * @param {*} value - Configuration value
+ * @returns {string} Display value
+ */
+const formatValue = function (key, value) {
+    if (key === 'github-token') return maskToken(value);
+    if (key === 'network') return JSON.stringify(maskProxyCredentials(value));
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+/**
+ * Parse a value given on the command line for storage
+ * @param {string} key - Configuration key
+ * @param {string} value - Raw value
+ * @returns {*} Value to store
+ */
+const parseValue = function (key, value) {
+    if (key === 'registry') return parseRegistrySetting(value);
+    if (key === 'oauth') return parseOAuthSetting(value);
+    if (key === 'hosts') return parseHostsSetting(value);
+    if (key === 'network') return parseNetworkSetting(value);
+    return value;
+};
+
 /**
  * Execute config command
  * @param {string} action - Action to perform (get/set/list)
@@ -36,8 +83,7 @@ const config = async (action, key, value) => {
             const val = getConfig(key);
             if (val) {
                 // Mask sensitive values
-                const displayVal = key === 'github-token' ? maskToken(val) : val;
-                console.log(`${key}: ${displayVal}`);
+                console.log(`${key}: ${formatValue(key, val)}`);
             } else {
                 console.log(`${key}: (not set)`);
             }
@@ -51,7 +97,9 @@ const config = async (action, key, value) => {
                 console.log(`Available keys: ${CONFIG_KEYS.join(', ')}`);
                 process.exit(1);
             }
-            setConfig(key, value);
+            // Store structured settings parsed, so a typo fails here rather
+            // than in the middle of a publish
+            setConfig(key, parseValue(key, value));
             console.log(chalk.green(`[OK] ${key} has been set`));
             break;
         }
@@ -63,8 +111,7 @@ const config = async (action, key, value) => {
                 console.log('   (no configuration set)');
             } else {
                 Object.entries(allConfig).forEach(([k, v]) => {
-                    const displayVal = k === 'github-token' ? maskToken(v) : v;
-                    console.log(`   ${k}: ${displayVal}`);
+                    console.log(`   ${k}: ${formatValue(k, v)}`);
                 });
             }
             console.log('');
@@ -0,0 +1,127 @@
+/**
+ * Deprecate command
+ * Opens a PR recording a deprecation notice (message + replacement plugin id)
+ * for the registry to surface. The plugin stays installable.
+ */
+
+const chalk = require('chalk');
+const ora = require('ora');
+const inquirer = require('inquirer');
+
+const validatePackageJson = require('../validators/package-json');
+const {getGitHubToken, verifyPublishPermissions} = require('../github/auth');
+const {createDeprecatePullRequest} = require('../github/pr');
+const {getRegistryProfile} = require('../lib/config/registry');
+const logger = require('../utils/logger');
+
+// Same rule as openblock.deviceId / extensionId
+const PLUGIN_ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+
+/**
+ * Execute deprecate command
+ * @param {object} options - Command options
+ * @param {string} [options.message] - Deprecation message (prompted for if missing)
+ * @param {string} [options.replacement] - Id of the plugin to use instead
+ * @param {boolean} options.yes - Skip the confirmation prompt
+ */
+const deprecate = async function (options = {}) {
+    console.log(chalk.cyan('\nOpenBlock Plugin Deprecation\n'));
+
+    const spinner = ora();
+
+    try {
+        const packageInfo = await validatePackageJson();
+        const {id} = packageInfo.openblock;
+        const repoUrl = packageInfo.repository.url;
+        const registry = getRegistryProfile();
+
+        const replacement = options.replacement || null;
+        if (replacement && !PLUGIN_ID_PATTERN.test(replacement)) {
+            throw new Error(
+                `Invalid replacement id "${replacement}".\n` +
+                "   Use the replacement plugin's deviceId or extensionId."
+            );
+        }
+        if (replacement === id) {
+            throw new Error('A plugin cannot be its own replacement.');
+        }
+
+        let message = options.message;
+        if (!message) {
+            ({message} = await inquirer.prompt([{
+                type: 'input',
+                name: 'message',
+                message: 'Deprecation message shown to users:',
+                validate: input => {
+                    if (!input.trim()) {
+                        return 'Please enter a message';
+                    }
+                    return true;
+                }
+            }]));
+        }
+        message = message.trim();
+
+        console.log(`   ${chalk.bold('Plugin:')}      ${id}`);
+        console.log(`   ${chalk.bold('Message:')}     ${message}`);
+        console.log(`   ${chalk.bold('Replacement:')} ${replacement || chalk.gray('(none)')}`);
+        console.log(`   ${chalk.bold('Registry:')}    ${registry.owner}/${registry.repo}\n`);
+
+        if (!options.yes) {
+            const {confirmed} = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirmed',
+                message: `Mark ${id} as deprecated?`,
+                default: false
+            }]);
+            if (!confirmed) {
+                console.log(chalk.yellow('\nCancelled.\n'));
+                return;
+            }
+        }
+
+        const token = await getGitHubToken();
+
+        // Fail on a missing scope/permission before any fork or branch is touched
+        spinner.start('Checking token permissions...');
+        const tokenWarnings = await verifyPublishPermissions(token);
+        if (tokenWarnings.length > 0) {
+            tokenWarnings.forEach(warning => spinner.warn(warning));
+        } else {
+            spinner.succeed('Token permissions verified');
+        }
+
+        spinner.start('Submitting deprecation to OpenBlock Registry...');
+        const prResult = await createDeprecatePullRequest(token, packageInfo, repoUrl, {message, replacement}, {
+            onProgress: text => {
+                spinner.text = text;
+            },
+            onWarning: warning => {
+                const text = spinner.text;
+                spinner.warn(warning);
+                spinner.start(text);
+            }
+        });
+
+        if (prResult.closed) {
+            spinner.info('This deprecation notice is already in the registry; the open Pull Request was closed');
+            console.log(`\n   ${chalk.cyan('Closed PR:')} ${prResult.url}\n`);
+            return;
+        }
+        if (prResult.skipped) {
+            spinner.info('This deprecation notice is already in the registry');
+            return;
+        }
+
+        spinner.succeed(prResult.isUpdate ? 'Existing Pull Request updated' : 'Pull Request created');
+        console.log(chalk.green('\n[OK] Deprecation submitted!\n'));
+        console.log(`   ${chalk.cyan('View PR:')} ${prResult.url}\n`);
+
+    } catch (error) {
+        spinner.fail(error.message);
+        logger.error(error);
+        process.exit(1);
+    }
+};
+
+module.exports = deprecate;
@@ -17,6 +17,9 @@
  *
  * Usage:
  *   node extract-format-message.js [--dir=path/to/plugin]
+ *
+ * scanPlugin() is exported for `validate`, which measures translation
+ * coverage against the same keys.
  */
 
 const fs = require('fs-extra');
@@ -250,4 +253,10 @@ const main = () => {
     console.log('\n✓ Extraction complete!');
 };
 
-main();
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    scanPlugin
+};
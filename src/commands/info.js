@@ -5,12 +5,10 @@
 
 const chalk = require('chalk');
 const ora = require('ora');
-const fetch = require('node-fetch');
 
 const logger = require('../utils/logger');
 const validatePackageJson = require('../validators/package-json');
-
-const REGISTRY_URL = 'https://registry.openblock.cc/packages.json';
+const {fetchPublishedVersions} = require('../lib/published-versions');
 
 /**
  * Execute info command
@@ -32,24 +30,9 @@ const info = async function (options = {}) {
 
         // Fetch registry
         spinner.start('Fetching registry...');
-        const response = await fetch(REGISTRY_URL);
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch registry: ${response.status}`);
-        }
-
-        const registry = await response.json();
+        const matchingVersions = await fetchPublishedVersions(openblock);
         spinner.succeed('Registry fetched');
 
-        // Find package in registry
-        const packageType = `${openblock.pluginType}s`; // device -> devices, extension -> extensions
-        const packages = registry.packages[packageType] || [];
-
-        // The registry structure is a flat array where each entry is a version
-        // Filter all entries that match our plugin ID
-        const idField = openblock.pluginType === 'device' ? 'deviceId' : 'extensionId';
-        const matchingVersions = packages.filter(p => p[idField] === openblock.id);
-
         if (matchingVersions.length === 0) {
             console.log(chalk.yellow('\n[WARN] Package not found in registry'));
             console.log(`   This package has not been published yet.\n`);
@@ -0,0 +1,30 @@
+/**
+ * Login command
+ * Signs in to GitHub through the browser (OAuth device flow) and stores the
+ * token in ~/.openblockrc for publish and the other registry commands.
+ */
+
+const chalk = require('chalk');
+
+const {loginWithBrowser, getAuthenticatedUser} = require('../github/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Execute login command
+ */
+const login = async function () {
+    console.log(chalk.cyan('\nOpenBlock Registry Login\n'));
+
+    try {
+        const token = await loginWithBrowser();
+        const user = await getAuthenticatedUser(token);
+
+        console.log(chalk.green(`\n[OK] Logged in as ${user.login}\n`));
+        console.log('   Token saved to ~/.openblockrc\n');
+    } catch (error) {
+        logger.error(error);
+        process.exit(1);
+    }
+};
+
+module.exports = login;
@@ -0,0 +1,32 @@
+/**
+ * Logout command
+ * Removes the stored GitHub token from ~/.openblockrc
+ */
+
+const chalk = require('chalk');
+
+const {getConfig, deleteConfig} = require('../utils/config');
+const logger = require('../utils/logger');
+
+/**
+ * Execute logout command
+ */
+const logout = async function () {
+    try {
+        if (!getConfig('github-token')) {
+            console.log(chalk.yellow('\nNot logged in: no GitHub token is stored.\n'));
+            return;
+        }
+
+        deleteConfig('github-token');
+        console.log(chalk.green('\n[OK] Logged out. The GitHub token was removed from ~/.openblockrc\n'));
+        // Revoking needs the OAuth App's secret, which a CLI cannot hold
+        console.log('   The token stays valid on GitHub until you revoke it at:');
+        console.log(`   ${chalk.cyan('https://github.com/settings/applications')}\n`);
+    } catch (error) {
+        logger.error(error);
+        process.exit(1);
+    }
+};
+
+module.exports = logout;
@@ -0,0 +1,170 @@
+/**
+ * Publish status command
+ * Tracks a submission after `publish`: the publish/{id} PR, its CI checks and
+ * reviews, the registry bot's display report and, once merged, whether the
+ * daily scan has published the latest tag.
+ */
+
+const {execSync} = require('child_process');
+const chalk = require('chalk');
+const ora = require('ora');
+const semver = require('semver');
+
+const logger = require('../utils/logger');
+const validatePackageJson = require('../validators/package-json');
+const {getGitHubToken, getAuthenticatedUser} = require('../github/auth');
+const {findPublishPR} = require('../github/pr');
+const {getChecks, getReviewState, getBotReport} = require('../github/pr-status');
+const {fetchPublishedVersions, describeScanState} = require('../lib/published-versions');
+const {getRegistryProfile} = require('../lib/config/registry');
+
+const STATE_LABELS = {
+    success: chalk.green('passed'),
+    failure: chalk.red('failed'),
+    pending: chalk.yellow('pending'),
+    approved: chalk.green('approved'),
+    changes_requested: chalk.red('changes requested')
+};
+
+/**
+ * Format a check or review state for display
+ * @param {string} state - State name
+ * @returns {string} Colored label
+ */
+const formatState = state => STATE_LABELS[state] || chalk.gray(state || 'unknown');
+
+/**
+ * Get the highest X.Y.Z tag in the local repository
+ * @returns {string|null} Tag name, or null if there is none
+ */
+const getLatestLocalTag = () => {
+    let output;
+    try {
+        output = execSync('git tag --list', {encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe']});
+    } catch (e) {
+        return null;
+    }
+    // The daily scan only picks up plain X.Y.Z tags
+    const tags = output.split('\n')
+        .map(tag => tag.trim())
+        .filter(tag => tag && semver.valid(tag) === tag);
+    return tags.length > 0 ? tags.sort(semver.rcompare)[0] : null;
+};
+
+/**
+ * Print CI checks
+ * @param {Array<object>} checks - Checks from getChecks
+ */
+const printChecks = checks => {
+    console.log(`   ${chalk.bold('Checks:')}`);
+    if (checks.length === 0) {
+        console.log(chalk.gray('   - none reported yet'));
+        return;
+    }
+    for (const check of checks) {
+        console.log(`   - ${check.name}: ${formatState(check.state)}`);
+        if (check.state === 'failure' && check.url) {
+            console.log(chalk.gray(`     ${check.url}`));
+        }
+    }
+};
+
+/**
+ * Print the bot's report comment, indented under a heading
+ * @param {object|null} report - Report from getBotReport
+ */
+const printBotReport = report => {
+    console.log(`\n   ${chalk.bold('Registry bot report:')}`);
+    if (!report) {
+        console.log(chalk.gray('   The registry bot has not commented yet.\n'));
+        return;
+    }
+    console.log(chalk.gray(`   ${report.author}, ${new Date(report.updatedAt).toLocaleString()} - ${report.url}\n`));
+    for (const line of report.body.replace(/\r\n/g, '\n').split('\n')) {
+        console.log(`   ${line}`);
+    }
+    console.log('');
+};
+
+/**
+ * After a merge, report whether the daily scan has published the latest tag
+ * @param {object} openblock - Normalized openblock field
+ * @param {object} spinner - ora spinner
+ */
+const printScanState = async (openblock, spinner) => {
+    const latestTag = getLatestLocalTag();
+    if (!latestTag) {
+        console.log(chalk.yellow('   [WARN] No X.Y.Z git tag found locally; nothing for the daily scan to pick up.\n'));
+        return;
+    }
+
+    spinner.start('Checking published versions...');
+    const versions = await fetchPublishedVersions(openblock);
+    spinner.stop();
+
+    const {live, latest} = describeScanState(versions, latestTag);
+    if (live) {
+        console.log(chalk.green(`   [OK] ${latestTag} is live in the registry.\n`));
+        return;
+    }
+    const published = latest ? `latest published: ${latest}` : 'no versions published yet';
+    console.log(chalk.yellow(`   [WAIT] ${latestTag} has not been picked up yet (${published}).`));
+    console.log('   New tags are published during the daily scan; check again tomorrow.\n');
+};
+
+/**
+ * Execute publish status command
+ */
+const publishStatus = async function () {
+    console.log(chalk.cyan('\nOpenBlock Submission Status\n'));
+
+    const spinner = ora();
+
+    try {
+        const packageJson = await validatePackageJson();
+        const openblock = packageJson.openblock;
+        const registry = getRegistryProfile();
+
+        const token = await getGitHubToken();
+
+        spinner.start('Looking up submission PR...');
+        const user = await getAuthenticatedUser(token);
+        const pr = await findPublishPR(token, registry, user.login, openblock.id);
+
+        if (!pr) {
+            spinner.info(`No open or merged publish/${openblock.id} PR found for ${user.login}`);
+            console.log('   Run `obr publish` to submit this plugin.\n');
+            return;
+        }
+
+        const merged = Boolean(pr.merged_at);
+        spinner.succeed(`Found PR #${pr.number}: ${pr.title}`);
+        console.log(`   ${chalk.bold('URL:')}    ${pr.html_url}`);
+        console.log(`   ${chalk.bold('State:')}  ${merged ?
+            chalk.magenta(`merged ${new Date(pr.merged_at).toLocaleString()}`) :
+            chalk.green('open')}\n`);
+
+        spinner.start('Fetching checks and reviews...');
+        const checks = await getChecks(token, registry, pr.head.sha);
+        const review = await getReviewState(token, registry, pr.number);
+        const report = await getBotReport(token, registry, pr.number);
+        spinner.stop();
+
+        printChecks(checks);
+        console.log(`\n   ${chalk.bold('Review:')} ${formatState(review.state)}`);
+        for (const reviewer of review.reviewers) {
+            console.log(`   - ${reviewer.login}: ${formatState(reviewer.state)}`);
+        }
+        printBotReport(report);
+
+        if (merged) {
+            await printScanState(openblock, spinner);
+        }
+    } catch (error) {
+        spinner.fail(error.message);
+        logger.error(error);
+        process.exit(1);
+    }
+};
+
+module.exports = publishStatus;
@@ -7,27 +7,77 @@ const chalk = require('chalk');
 const ora = require('ora');
 
 const validate = require('./validate');
-const {getGitHubToken} = require('../github/auth');
+const {getGitHubToken, verifyPublishPermissions} = require('../github/auth');
 const {createPullRequest} = require('../github/pr');
 const {resolveApprovedPlan} = require('../lib/approved-baseline');
 const logger = require('../utils/logger');
 
+/**
+ * Print the machine-readable result of a publish run (--json)
+ * @param {object} result - Result fields
+ */
+const printJson = result => {
+    console.log(JSON.stringify(result, null, 2));
+};
+
+/**
+ * The checks of a validation report that failed or warned, for the JSON result
+ * @param {object} report - Validation report
+ * @returns {Array<object>} Checks {id, name, status, message, issues}
+ */
+const validationProblems = report => report.checks
+    .filter(check => check.status === 'failed' || check.status === 'warning')
+    .map(({id, name, status, message, issues}) => ({id, name, status, message, issues}));
+
 /**
  * Execute publish command
  * @param {object} options - Command options
  * @param {boolean} options.dryRun - If true, only validate without creating PR
+ * @param {boolean} options.ci - Never prompt; fail if no valid token is available
+ * @param {boolean} options.yes - Same as ci
+ * @param {boolean} options.json - Print the result as JSON on stdout (progress and validation output go to
+ *   stderr); never prompts
  */
 const publish = async function (options = {}) {
-    console.log(chalk.cyan('\nOpenBlock Plugin Publisher\n'));
+    // In --json mode stdout carries only the JSON result
+    const log = options.json ? () => {} : console.log;
+    // A prompt would write to stdout too
+    const interactive = !options.ci && !options.yes && !options.json;
+
+    log(chalk.cyan('\nOpenBlock Plugin Publisher\n'));
 
     const spinner = ora();
 
     try {
-        // 1. Run all validations (same as validate command)
-        const {packageInfo, repoUrl} = await validate({silent: true});
+        // 1. Run all validations (same as validate command). Its output would
+        //    corrupt the JSON result, so it goes to stderr with --json
+        const validation = await validate({silent: true, noExit: true, stderr: options.json});
+        if (!validation.valid) {
+            if (options.json) {
+                const failed = validation.report.checks.filter(check => check.status === 'failed');
+                printJson({
+                    success: false,
+                    error: `Validation failed: ${failed.map(check => check.name).join(', ')}`,
+                    validation: validationProblems(validation.report)
+                });
+            }
+            // Not process.exit: stdout may be a pipe still taking the JSON
+            process.exitCode = 1;
+            return;
+        }
+        const {packageInfo, repoUrl, previousRepoUrl} = validation;
+        const summary = {
+            pluginId: packageInfo.openblock.id,
+            version: packageInfo.version,
+            repository: repoUrl,
+            validation: validationProblems(validation.report)
+        };
 
         if (options.dryRun) {
-            console.log(chalk.green('\n[OK] Validation passed! (dry-run mode, PR not created)\n'));
+            if (options.json) {
+                printJson({success: true, dryRun: true, ...summary});
+            }
+            log(chalk.green('\n[OK] Validation passed! (dry-run mode, PR not created)\n'));
             return;
         }
 
@@ -43,22 +93,64 @@ const publish = async function (options = {}) {
         }
 
         // 3. Get GitHub token
-        const token = await getGitHubToken();
+        const token = await getGitHubToken({interactive});
+
+        // Fail on a missing scope/permission before any fork or branch is touched
+        spinner.start('Checking token permissions...');
+        const tokenWarnings = await verifyPublishPermissions(token);
+        if (tokenWarnings.length > 0) {
+            tokenWarnings.forEach(warning => spinner.warn(warning));
+        } else {
+            spinner.succeed('Token permissions verified');
+        }
 
         // 4. Create or Update Pull Request
         spinner.start('Submitting to OpenBlock Registry...');
-        const prResult = await createPullRequest(token, packageInfo, repoUrl, approvedPlan);
+        const prResult = await createPullRequest(token, packageInfo, repoUrl, approvedPlan, {
+            previousRepoUrl,
+            onProgress: message => {
+                spinner.text = message;
+            },
+            onWarning: warning => {
+                const text = spinner.text;
+                spinner.warn(warning);
+                spinner.start(text);
+            }
+        });
+
+        if (options.json) {
+            printJson({
+                success: true,
+                ...summary,
+                url: prResult.url,
+                isNew: prResult.isNew,
+                isUpdate: prResult.isUpdate,
+                replaced: prResult.replaced,
+                skipped: prResult.skipped,
+                closed: prResult.closed,
+                approved: {
+                    needsUpdate: approvedPlan.needsUpdate,
+                    displayHash: approvedPlan.record.displayHash
+                }
+            });
+        }
 
+        // The open PR had nothing left to change, so it was closed
+        if (prResult.closed) {
+            spinner.info('The registry already has these changes; the open Pull Request was closed');
+            log(`\n   ${chalk.cyan('Closed PR:')} ${prResult.url}\n`);
+            return;
+        }
         // Nothing changed: the repo is already registered and its display is
         // unchanged. New code versions sync automatically from git tags, so no PR
         // is needed.
         if (prResult.skipped) {
             spinner.info('This repository is already registered');
-            console.log(chalk.green('\n[OK] Nothing to submit.\n'));
-            console.log('   Your repository is already in the registry and its display is unchanged,');
-            console.log('   so no pull request is needed.');
-            console.log('   To publish a new version, push a new X.Y.Z git tag to your repository -');
-            console.log('   it will be picked up automatically during the next daily scan.\n');
+            log(chalk.green('\n[OK] Nothing to submit.\n'));
+            log('   Your repository is already in the registry and its display is unchanged,');
+            log('   so no pull request is needed.');
+            log('   To publish a new version, push a new X.Y.Z git tag to your repository -');
+            log('   it will be picked up automatically during the next daily scan.\n');
             return;
         }
 
@@ -69,16 +161,23 @@ const publish = async function (options = {}) {
         }
 
         // Success message
-        console.log(chalk.green('\n[OK] Submission successful!\n'));
-        console.log('   PR will be automatically validated.');
-        console.log('   After validation, wait for maintainer review.');
-        console.log('   Once merged, your plugin will be processed during the next daily scan.\n');
-        console.log(`   ${chalk.cyan('View PR:')} ${prResult.url}\n`);
+        log(chalk.green('\n[OK] Submission successful!\n'));
+        if (prResult.replaced) {
+            log(`   Repository moved: ${prResult.replaced} -> ${repoUrl}`);
+            log('   The PR replaces the old registry entry and updates the approved baseline.\n');
+        }
+        log('   PR will be automatically validated.');
+        log('   After validation, wait for maintainer review.');
+        log('   Once merged, your plugin will be processed during the next daily scan.\n');
+        log(`   ${chalk.cyan('View PR:')} ${prResult.url}\n`);
 
     } catch (error) {
         spinner.fail(error.message);
+        if (options.json) {
+            printJson({success: false, error: error.message});
+        }
         logger.error(error);
-        process.exit(1);
+        process.exitCode = 1;
     }
 };
 
@@ -0,0 +1,38 @@
+/**
+ * Schema command
+ * Writes the plugin manifest JSON Schema, for editors that validate and
+ * complete package.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const {MANIFEST_SCHEMA} = require('../lib/manifest-schema');
+const logger = require('../utils/logger');
+
+/**
+ * Execute schema command
+ * @param {object} options - Command options
+ * @param {string} [options.output] - File to write; stdout when omitted
+ */
+const schema = async function (options = {}) {
+    try {
+        const json = `${JSON.stringify(MANIFEST_SCHEMA, null, 4)}\n`;
+
+        if (!options.output) {
+            process.stdout.write(json);
+            return;
+        }
+
+        const outputPath = path.resolve(options.output);
+        fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+        fs.writeFileSync(outputPath, json, 'utf-8');
+        console.log(chalk.green(`[OK] Schema written to ${outputPath}`));
+    } catch (error) {
+        logger.error(error);
+        process.exit(1);
+    }
+};
+
+module.exports = schema;
@@ -0,0 +1,98 @@
+/**
+ * Unpublish command
+ * Opens a PR removing the plugin from OpenBlock Registry: its registry.json
+ * entry, its approved display baseline and any deprecation notice.
+ */
+
+const chalk = require('chalk');
+const ora = require('ora');
+const inquirer = require('inquirer');
+
+const validatePackageJson = require('../validators/package-json');
+const {getGitHubToken, verifyPublishPermissions} = require('../github/auth');
+const {createUnpublishPullRequest} = require('../github/pr');
+const {getRegistryProfile} = require('../lib/config/registry');
+const logger = require('../utils/logger');
+
+/**
+ * Execute unpublish command
+ * @param {object} options - Command options
+ * @param {boolean} options.yes - Skip the confirmation prompt
+ */
+const unpublish = async function (options = {}) {
+    console.log(chalk.cyan('\nOpenBlock Plugin Unpublish\n'));
+
+    const spinner = ora();
+
+    try {
+        const packageInfo = await validatePackageJson();
+        const {id} = packageInfo.openblock;
+        const repoUrl = packageInfo.repository.url;
+        const registry = getRegistryProfile();
+
+        console.log(`   ${chalk.bold('Plugin:')}     ${id}`);
+        console.log(`   ${chalk.bold('Repository:')} ${repoUrl}`);
+        console.log(`   ${chalk.bold('Registry:')}   ${registry.owner}/${registry.repo}\n`);
+
+        if (!options.yes) {
+            const {confirmed} = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirmed',
+                message: `Remove ${id} from the registry? Users will no longer be able to install it.`,
+                default: false
+            }]);
+            if (!confirmed) {
+                console.log(chalk.yellow('\nCancelled.\n'));
+                return;
+            }
+        }
+
+        const token = await getGitHubToken();
+
+        // Fail on a missing scope/permission before any fork or branch is touched
+        spinner.start('Checking token permissions...');
+        const tokenWarnings = await verifyPublishPermissions(token);
+        if (tokenWarnings.length > 0) {
+            tokenWarnings.forEach(warning => spinner.warn(warning));
+        } else {
+            spinner.succeed('Token permissions verified');
+        }
+
+        spinner.start('Submitting removal to OpenBlock Registry...');
+        const prResult = await createUnpublishPullRequest(token, packageInfo, repoUrl, {
+            onProgress: message => {
+                spinner.text = message;
+            },
+            onWarning: warning => {
+                const text = spinner.text;
+                spinner.warn(warning);
+                spinner.start(text);
+            }
+        });
+
+        if (prResult.closed) {
+            spinner.info('Nothing left to remove; the open Pull Request was closed');
+            console.log(`\n   The registry no longer lists ${repoUrl}.`);
+            console.log(`   ${chalk.cyan('Closed PR:')} ${prResult.url}\n`);
+            return;
+        }
+        if (prResult.skipped) {
+            spinner.info('Nothing to remove');
+            console.log(`\n   ${repoUrl} is not registered and has no approved baseline.\n`);
+            return;
+        }
+
+        spinner.succeed(prResult.isUpdate ? 'Existing Pull Request updated' : 'Pull Request created');
+        console.log(chalk.green('\n[OK] Removal submitted!\n'));
+        prResult.removed.forEach(entry => console.log(`   - ${entry}`));
+        console.log('\n   Once merged, the plugin disappears from the registry after the next daily scan.\n');
+        console.log(`   ${chalk.cyan('View PR:')} ${prResult.url}\n`);
+
+    } catch (error) {
+        spinner.fail(error.message);
+        logger.error(error);
+        process.exit(1);
+    }
+};
+
+module.exports = unpublish;
@@ -3,8 +3,11 @@
  * Validates a plugin without publishing
  */
 
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
+const inquirer = require('inquirer');
 
 const validatePackageJson = require('../validators/package-json');
 const validateGitStatus = require('../validators/git-status');
@@ -15,34 +18,202 @@ const {validateIdUniqueness} = require('../validators/id-uniqueness');
 const validatePackageStructure = require('../validators/package-structure');
 const validateTranslations = require('../validators/translations');
 const validateOpenBlockFiles = require('../validators/openblock-files');
+const validateBlocks = require('../validators/blocks');
+const validateFirmwares = require('../validators/firmwares');
+const validateIcons = require('../validators/icons');
+const validateSecurity = require('../validators/security');
+const validateLicenses = require('../validators/licenses');
+const validateArch = require('../validators/arch');
+const {resolveRepository} = require('../hosts');
+const {getPackagesIndex} = require('../lib/toolchain/packages-index');
+const {getRegistryProfile} = require('../lib/config/registry');
+const {describeFirmware} = require('../lib/firmware-image');
+const {planFixes, applyFixes, diffLines} = require('../lib/manifest-fix');
+const {loadRegistryApproved, buildLocalApproved, approvedNeedsUpdate} = require('../lib/approved-baseline');
+const {readRegistryCache, describeCacheAge} = require('../lib/registry-cache');
+const {REPORT_FORMATS, createReport, issue, pointerFromMessage, resolveLines, formatReport} = require('../lib/report');
 const logger = require('../utils/logger');
+const pkg = require('../../package.json');
 
-// GitHub URL pattern: https://github.com/owner/repo
-const GITHUB_URL_PATTERN = /^https:\/\/github\.com\/[^/]+\/[^/]+$/;
+// Every check `validate` runs, in order; reports list them all, including
+// those that were skipped or never reached
+const VALIDATION_CHECKS = [
+    {id: 'package-json', name: 'package.json'},
+    {id: 'git-status', name: 'Git status and tag'},
+    {id: 'submodules', name: 'Submodules'},
+    {id: 'required-files', name: 'Required files'},
+    {id: 'openblock-files', name: 'OpenBlock file paths'},
+    {id: 'blocks', name: 'Blocks, toolbox and generators'},
+    {id: 'firmwares', name: 'Firmware images'},
+    {id: 'icons', name: 'Icons'},
+    {id: 'security', name: 'Security policy'},
+    {id: 'licenses', name: 'Licenses'},
+    {id: 'remote-repo', name: 'Remote repository'},
+    {id: 'remote-tag', name: 'Tag on the repository host'},
+    {id: 'id-uniqueness', name: 'Plugin ID uniqueness'},
+    {id: 'display-baseline', name: 'Display baseline'},
+    {id: 'package-structure', name: 'package.json structure'},
+    {id: 'arch', name: 'Architectures and toolchain'},
+    {id: 'translations', name: 'Translations'}
+];
 
 /**
- * Extract clean GitHub URL from repository info
- * @param {object|string} repository - Repository info from package.json
- * @param {object} repoInfo - Repository info from GitHub API
- * @returns {string} Clean GitHub URL
+ * Issues for validator messages. A message naming an openblock field is
+ * located at that field of package.json; others at `file`, if given.
+ * @param {string} severity - error or warning
+ * @param {Array<string>} messages - Validator messages
+ * @param {string|null} file - File the messages are about, if any
+ * @returns {Array<object>} Issues
  */
-const getGitHubUrl = (repository, repoInfo) => {
-    // Prefer repoInfo from GitHub API
-    if (repoInfo && repoInfo.html_url) {
-        return repoInfo.html_url;
-    }
-
-    // Fallback to package.json repository
-    if (repository) {
-        let url = typeof repository === 'string' ? repository : repository.url;
-        if (url) {
-            // Remove .git suffix and git+ prefix
-            url = url.replace(/\.git$/, '').replace(/^git\+/, '');
-            return url;
+const toIssues = function (severity, messages, file) {
+    return messages.map(message => {
+        const pointer = pointerFromMessage(message);
+        if (pointer) {
+            return issue(severity, message, {file: 'package.json', pointer});
         }
+        return issue(severity, message, file ? {file} : null);
+    });
+};
+
+/**
+ * Print the checks that were not run, and why
+ * @param {object} report - Validation report
+ * @param {Function} log - Output function
+ */
+const printSkipped = function (report, log) {
+    const skipped = report.checks.filter(check => check.status === 'skipped' && check.message !== 'Not run');
+    if (skipped.length > 0) {
+        log(chalk.gray('\n   Not checked'));
+        skipped.forEach(check => {
+            log(chalk.gray(`   - ${check.name}: ${check.message}`));
+        });
+    }
+};
+
+/**
+ * Print every failed check and every warning, grouped by check. This is the
+ * only place warnings are printed; the spinner line of a check only says it
+ * has some.
+ * @param {object} report - Validation report
+ * @param {Function} log - Output function
+ */
+const printProblems = function (report, log) {
+    const problems = report.checks.filter(check => check.status === 'failed' || check.status === 'warning');
+    if (problems.length === 0) {
+        return;
+    }
+    const countOf = severity => problems.reduce((count, check) =>
+        count + check.issues.filter(entry => entry.severity === severity).length, 0);
+    const failedCount = problems.filter(check => check.status === 'failed').length;
+
+    if (failedCount > 0) {
+        log(chalk.red(`\nValidation found ${countOf('error')} error(s) in ${failedCount} check(s):`));
+    } else {
+        log(chalk.yellow(`\nValidation found ${countOf('warning')} warning(s) in ${problems.length} check(s):`));
     }
+    problems.forEach(check => {
+        log(`\n   ${chalk.bold(check.name)}`);
+        check.issues.forEach(entry => {
+            // Schema errors carry their field, and source problems their
+            // line, only in the location
+            const {pointer, file, line} = entry.location || {};
+            let message = entry.message;
+            if (pointer && !pointerFromMessage(message)) {
+                message = `${pointer}: ${message}`;
+            } else if (!pointer && file && line) {
+                message = `${file}:${line}: ${message}`;
+            }
+            const text = message.replace(/\n/g, '\n  ');
+            log(entry.severity === 'error' ? chalk.red(`   ✗ ${text}`) : chalk.yellow(`   ⚠ ${text}`));
+        });
+    });
+};
 
-    return '';
+/**
+ * Write the report requested with --format/--output
+ * @param {object} report - Validation report
+ * @param {string} format - Report format
+ * @param {string} [output] - File to write; stdout when omitted
+ * @returns {string|null} Absolute path written, or null for stdout
+ */
+const writeReport = function (report, format, output) {
+    resolveLines(report, process.cwd());
+    const text = formatReport(report, format, {name: pkg.name, version: pkg.version});
+    if (!output) {
+        process.stdout.write(text);
+        return null;
+    }
+    const outputPath = path.resolve(output);
+    fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+    fs.writeFileSync(outputPath, text, 'utf-8');
+    return outputPath;
+};
+
+/**
+ * Apply the safe automatic fixes to package.json (--fix) and show the diff.
+ * Fixes that need confirmation are applied with --yes, asked about when
+ * interactive, and otherwise only listed.
+ * @param {object} options - Command options
+ * @param {boolean} options.yes - Apply fixes that need confirmation without asking
+ * @param {boolean} interactive - Whether the user can be asked
+ * @param {Function} log - Output function
+ */
+const fixManifest = async function ({yes}, interactive, log) {
+    const packageJsonPath = path.join(process.cwd(), 'package.json');
+    let text;
+    let packageJson;
+    try {
+        text = fs.readFileSync(packageJsonPath, 'utf-8');
+        packageJson = JSON.parse(text);
+    } catch (error) {
+        log(chalk.yellow(`⚠ Cannot fix package.json: ${error.message}\n`));
+        return;
+    }
+
+    const {fixes, notes} = planFixes(packageJson);
+    const accepted = fixes.filter(fix => !fix.confirm);
+    const declined = [];
+    for (const fix of fixes.filter(entry => entry.confirm)) {
+        let confirmed = yes;
+        if (!yes && interactive) {
+            ({confirmed} = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirmed',
+                message: `Apply ${fix.message}?`,
+                default: false
+            }]));
+        }
+        (confirmed ? accepted : declined).push(fix);
+    }
+
+    if (accepted.length === 0) {
+        log(chalk.gray('No automatic fixes to apply to package.json\n'));
+    } else {
+        const fixed = applyFixes(text, accepted);
+        fs.writeFileSync(packageJsonPath, fixed, 'utf-8');
+        log(chalk.green(`Applied ${accepted.length} fix(es) to package.json:`));
+        accepted.forEach(fix => log(`   ✓ ${fix.message}`));
+        log('');
+        diffLines(text, fixed).forEach(line => {
+            if (line.type === '+') {
+                log(chalk.green(`   + ${line.text}`));
+            } else if (line.type === '-') {
+                log(chalk.red(`   - ${line.text}`));
+            } else if (line.type === '…') {
+                log(chalk.gray('     …'));
+            } else {
+                log(chalk.gray(`     ${line.text}`));
+            }
+        });
+        log('');
+    }
+
+    if (declined.length > 0) {
+        log(chalk.yellow('Not applied (needs confirmation; re-run with --fix --yes to apply):'));
+        declined.forEach(fix => log(chalk.yellow(`   ⚠ ${fix.message}`)));
+        log('');
+    }
+    notes.forEach(note => log(chalk.yellow(`⚠ ${note}\n`)));
 };
 
 /**
@@ -50,141 +221,458 @@ const getGitHubUrl = (repository, repoInfo) => {
  * @param {object} options - Validation options
  * @param {boolean} options.silent - If true, don't print summary messages
  * @param {boolean} options.skipTag - If true, skip Git tag validation
- * @returns {object} Validation result with packageInfo, repoInfo, repoUrl
+ * @param {string} [options.format] - Also write a json, sarif or junit report
+ * @param {string} [options.output] - Report file (implies json); stdout when omitted
+ * @param {boolean} [options.fix] - Apply safe fixes to package.json before validating
+ * @param {boolean} [options.yes] - With --fix, also apply fixes that need confirmation
+ * @param {boolean} [options.offline] - Run only local checks, using cached registry data where it exists
+ * @param {string} [options.minCoverage] - Fail when a locale has less than this percentage translated
+ * @param {string} [options.locales] - With minCoverage, the comma-separated locales held to it (default: all)
+ * @param {boolean} [options.checkArch] - Check arch and toolchains against the packages index
+ * @param {string} [options.packagesUrl] - With checkArch, read the packages index from this URL instead of the
+ *   Resource Service and the registry's packages.json
+ * @param {boolean} [options.stderr] - Write the human-readable output to stderr, leaving stdout to the caller
+ *   (publish --json)
+ * @param {boolean} [options.noExit] - Leave the exit code alone when a check fails instead of setting it to 1
+ * @returns {object} Validation result {valid, report, packageInfo, repoInfo, repoUrl, previousRepoUrl};
+ *   packageInfo and the repository fields are null when package.json could not be read.
  */
 const validate = async function (options = {}) {
+    const format = options.format || (options.output ? 'json' : null);
+    if (format && !REPORT_FORMATS.includes(format)) {
+        logger.error(`Unknown report format: ${format}. Valid formats: ${REPORT_FORMATS.join(', ')}`);
+        process.exit(1);
+    }
+    const minCoverage = typeof options.minCoverage === 'undefined' ? null : Number(options.minCoverage);
+    if (minCoverage !== null && !(minCoverage >= 0 && minCoverage <= 100)) {
+        logger.error(`Invalid --min-coverage: ${options.minCoverage}. Use a percentage from 0 to 100`);
+        process.exit(1);
+    }
+    const coverageOptions = minCoverage === null ? {} : {minCoverage};
+    if (minCoverage !== null && options.locales) {
+        coverageOptions.locales = String(options.locales).split(',')
+            .map(locale => locale.trim())
+            .filter(Boolean);
+    }
+    // A report on stdout must not be mixed with the human-readable output
+    // (progress stays on stderr)
+    let log = format && !options.output ? () => {} : console.log;
+    if (options.stderr) {
+        log = console.error;
+    }
+
     if (!options.silent) {
-        console.log(chalk.cyan('\nOpenBlock Plugin Validator\n'));
+        log(chalk.cyan('\nOpenBlock Plugin Validator\n'));
+    }
+
+    if (options.fix) {
+        // Prompts would end up in a report written to stdout
+        await fixManifest(options, Boolean(process.stdin.isTTY) && log === console.log, log);
     }
 
     const spinner = ora();
+    const report = createReport(VALIDATION_CHECKS);
+    const checkName = id => VALIDATION_CHECKS.find(check => check.id === id).name;
 
-    try {
-        // 1. Validate package.json
-        spinner.start('Checking package.json...');
-        const packageInfo = await validatePackageJson();
-        spinner.succeed(`package.json validated: ${chalk.green(packageInfo.openblock.id)} v${packageInfo.version}`);
-
-        // 2. Validate Git status (skip if --skip-tag is set)
-        if (options.skipTag) {
-            spinner.info('Git tag validation skipped (--skip-tag)');
-        } else {
-            spinner.start('Checking Git status...');
-            await validateGitStatus(packageInfo.version);
-            spinner.succeed(`Git tag ${chalk.green(packageInfo.version)} exists and pushed`);
+    /**
+     * Run one check and record its outcome. The check's run function returns
+     * a validator result {valid, errors, warnings}; a thrown error counts as
+     * a single error.
+     * @param {string} id - Check id
+     * @param {object} check - Check
+     * @param {string} check.progress - Spinner text while running
+     * @param {Function} check.run - Runs the validator
+     * @param {Function} check.passed - Outcome message for a result without errors
+     * @param {string|null} [check.file] - File un-located messages are about
+     * @param {Function} [check.issues] - Custom issues (errors and warnings) for a result
+     * @param {Function} [check.info] - Lines to print under a result without errors
+     * @returns {Promise<object>} Validator result
+     */
+    const runCheck = async function (id, {progress, run, passed, file = null, issues, info}) {
+        report.start(id);
+        spinner.start(progress);
+        let result;
+        try {
+            result = await run();
+        } catch (error) {
+            result = {valid: false, errors: [error.message], warnings: []};
         }
-
-        // 2a. Validate submodules (registry clones with --recurse-submodules,
-        // so missing/unpushed submodules will break the server-side build).
-        if (options.skipTag) {
-            spinner.info('Submodule validation skipped (--skip-tag)');
+        const warnings = toIssues('warning', result.warnings || [], file);
+        if (!result.valid) {
+            const message = `${checkName(id)}: ${result.errors.length} error(s)`;
+            report.fail(message, issues ? issues(result) : [...toIssues('error', result.errors, file), ...warnings]);
+            spinner.fail(message);
+        } else if (warnings.length > 0) {
+            const message = `${passed(result)} (with warnings)`;
+            report.warn(message, issues ? issues(result) : warnings);
+            spinner.warn(message);
         } else {
-            spinner.start('Validating submodules...');
-            const submoduleResult = await validateSubmodules();
-            if (submoduleResult.hasSubmodules) {
-                spinner.succeed(
-                    `Submodules validated: ${chalk.green(submoduleResult.submodules.length)} entry(ies)`
-                );
-            } else {
-                spinner.succeed('No submodules');
-            }
+            report.pass(passed(result));
+            spinner.succeed(passed(result));
         }
-
-        // 3. Validate required files
-        spinner.start('Validating required files...');
-        await validateRequiredFiles();
-        spinner.succeed('Required files validated');
-
-        // 4. Validate openblock file paths
-        spinner.start('Validating openblock file paths...');
-        const fileValidation = validateOpenBlockFiles();
-        if (!fileValidation.valid) {
-            spinner.fail('OpenBlock file validation failed');
-            console.log(chalk.red('\nFile validation errors:'));
-            fileValidation.errors.forEach(error => {
-                console.log(chalk.red(`   ✗ ${error}`));
-            });
-            throw new Error('OpenBlock file validation failed');
-        }
-        if (fileValidation.warnings.length > 0) {
-            spinner.warn('OpenBlock file paths validated with warnings');
-            fileValidation.warnings.forEach(warning => {
-                console.log(chalk.yellow(`   ⚠ ${warning}`));
-            });
-        } else {
-            spinner.succeed('OpenBlock file paths validated');
+        if (result.valid && info) {
+            info(result).forEach(line => log(chalk.gray(`   ${line}`)));
         }
+        return result;
+    };
 
-        // 5. Validate remote repository
-        spinner.start('Checking remote repository...');
-        const repoInfo = await validateRemoteRepo(packageInfo.repository);
-        spinner.succeed('Remote repository accessible');
-
-        // 6. Validate GitHub URL format
-        spinner.start('Validating GitHub URL...');
-        const repoUrl = getGitHubUrl(packageInfo.repository, repoInfo);
-        if (!repoUrl || !GITHUB_URL_PATTERN.test(repoUrl)) {
-            throw new Error(
-                'Repository must be a valid GitHub URL.\n' +
-                '   Expected format: https://github.com/owner/repo\n' +
-                `   Got: ${repoUrl || '(empty)'}`
-            );
-        }
-        spinner.succeed(`GitHub URL: ${chalk.green(repoUrl)}`);
+    /**
+     * Record a check that was not run
+     * @param {string} id - Check id
+     * @param {string} reason - Why
+     */
+    const skipCheck = function (id, reason) {
+        report.skip(id, reason);
+        spinner.info(`${checkName(id)}: ${reason}`);
+    };
 
-        // 7. Check plugin ID uniqueness
-        spinner.start('Checking plugin ID uniqueness...');
-        const idCheckResult = await validateIdUniqueness(packageInfo, repoInfo);
-        if (idCheckResult.isNew) {
-            spinner.succeed(`Plugin ID ${chalk.green(packageInfo.openblock.id)} is available`);
-        } else {
-            spinner.succeed(`Plugin ID ${chalk.green(packageInfo.openblock.id)} exists (updating)`);
+    /**
+     * Print the outcome, write the report and set exit code 1 if any check
+     * failed (unless noExit is set). The process is left to end by itself, so
+     * a report piped from stdout is written in full.
+     * @returns {boolean} True if every check passed
+     */
+    const finish = function () {
+        const failed = report.checks.some(check => check.status === 'failed');
+        printProblems(report, log);
+        if (failed) {
+            printSkipped(report, log);
+            log('');
+        } else if (options.offline) {
+            log(chalk.green('\n[OK] All local validations passed.'));
+            printSkipped(report, log);
+            log(`\n   Run ${chalk.cyan('openblock-cli validate')} online before publishing.\n`);
+        } else if (!options.silent) {
+            log(chalk.green('\n[OK] All validations passed!\n'));
+            log('   Your plugin is ready to publish.');
+            log(`   Run ${chalk.cyan('openblock-cli publish')} to submit.\n`);
         }
-
-        // 8. Validate package.json structure
-        spinner.start('Validating package.json structure...');
-        const structureResult = validatePackageStructure(packageInfo);
-        if (!structureResult.valid) {
-            spinner.fail('Package.json structure validation failed');
-            console.log(chalk.red('\nStructure validation errors:'));
-            structureResult.errors.forEach(error => {
-                console.log(chalk.red(`   ✗ ${error}`));
-            });
-            throw new Error('Package.json structure validation failed');
+        if (format) {
+            const written = writeReport(report, format, options.output);
+            if (written) {
+                log(`   ${chalk.cyan('Report:')} ${written}\n`);
+            }
         }
-        spinner.succeed('Package.json structure validated');
-
-        // 9. Validate translations
-        spinner.start('Validating translations...');
-        const translationsResult = validateTranslations(packageInfo);
-        if (!translationsResult.valid) {
-            spinner.fail('Translations validation failed');
-            console.log(chalk.red('\nTranslations validation errors:'));
-            translationsResult.errors.forEach(error => {
-                console.log(chalk.red(`   ✗ ${error}`));
-            });
-            throw new Error('Translations validation failed');
+        if (failed && !options.noExit) {
+            process.exitCode = 1;
         }
-        spinner.succeed('Translations validated');
+        return !failed;
+    };
+
+    // 1. Validate package.json; every other check reads it
+    let packageInfo = null;
+    await runCheck('package-json', {
+        progress: 'Checking package.json...',
+        file: 'package.json',
+        run: async () => {
+            packageInfo = await validatePackageJson();
+            return {valid: true, errors: [], warnings: []};
+        },
+        passed: () => `package.json validated: ${packageInfo.openblock.id} v${packageInfo.version}`
+    });
+    if (!packageInfo) {
+        VALIDATION_CHECKS.slice(1).forEach(check => report.skip(check.id, 'Needs a valid package.json'));
+        return {valid: finish(), report, packageInfo, repoInfo: null, repoUrl: null, previousRepoUrl: null};
+    }
+    report.plugin = {id: packageInfo.openblock.id, version: packageInfo.version};
+
+    // 2. Validate Git status (skip if --skip-tag is set)
+    // 2a. Validate submodules (registry clones with --recurse-submodules,
+    // so missing/unpushed submodules will break the server-side build).
+    if (options.skipTag) {
+        skipCheck('git-status', 'Skipped (--skip-tag)');
+        skipCheck('submodules', 'Skipped (--skip-tag)');
+    } else {
+        await runCheck('git-status', {
+            progress: 'Checking Git status...',
+            run: () => validateGitStatus(packageInfo.version, {offline: options.offline}),
+            passed () {
+                return options.offline ?
+                    `Git tag ${packageInfo.version} exists` :
+                    `Git tag ${packageInfo.version} exists and pushed`;
+            }
+        });
+        await runCheck('submodules', {
+            progress: 'Validating submodules...',
+            file: '.gitmodules',
+            run: () => validateSubmodules({offline: options.offline}),
+            passed (result) {
+                return result.hasSubmodules ?
+                    `Submodules validated: ${result.submodules.length} entry(ies)` :
+                    'No submodules';
+            }
+        });
+    }
+
+    // 3. Validate required files
+    await runCheck('required-files', {
+        progress: 'Validating required files...',
+        run: () => validateRequiredFiles(),
+        passed: () => 'Required files validated'
+    });
+
+    // 4. Validate openblock file paths
+    await runCheck('openblock-files', {
+        progress: 'Validating openblock file paths...',
+        file: 'package.json',
+        run: () => validateOpenBlockFiles(),
+        passed: () => 'OpenBlock file paths validated'
+    });
+
+    // 4a. Cross-check blocks, toolbox and generator
+    await runCheck('blocks', {
+        progress: 'Cross-checking blocks, toolbox and generator...',
+        run: () => validateBlocks(packageInfo),
+        passed (result) {
+            return result.blocks === null ?
+                'No blocks file to cross-check' :
+                `${result.blocks} block(s) match the toolbox and generator`;
+        },
+        issues: result => result.details.map(detail =>
+            issue(detail.severity, detail.message, {file: detail.file, line: detail.line}))
+    });
+
+    // 4b. Inspect firmware images
+    await runCheck('firmwares', {
+        progress: 'Inspecting firmware images...',
+        run: () => validateFirmwares(packageInfo),
+        passed (result) {
+            return result.firmwares.length === 0 ?
+                'No firmware images' :
+                `${result.firmwares.length} firmware image(s) validated`;
+        },
+        issues: result => result.details.map(detail => {
+            if (detail.file) {
+                return issue(detail.severity, detail.message, {file: detail.file, line: detail.line});
+            }
+            return toIssues(detail.severity, [detail.message], 'package.json')[0];
+        }),
+        info: result => result.firmwares.map(firmware =>
+            `${firmware.id || firmware.file}: ${firmware.file}, ${describeFirmware(firmware.inspection)}`)
+    });
 
-        // Summary
-        if (!options.silent) {
-            console.log(chalk.green('\n[OK] All validations passed!\n'));
-            console.log('   Your plugin is ready to publish.');
-            console.log(`   Run ${chalk.cyan('openblock-cli publish')} to submit.\n`);
+    // 4c. Check icon sizes, proportions and backgrounds
+    await runCheck('icons', {
+        progress: 'Checking icons...',
+        file: 'package.json',
+        run: () => validateIcons(packageInfo),
+        passed (result) {
+            return result.icons.length === 0 ?
+                'No local icons to check' :
+                `${result.icons.length} icon(s) validated`;
         }
+    });
 
-        return {
-            packageInfo,
-            repoInfo,
-            repoUrl
-        };
+    // 4d. Scan source and bundled output against the security policy
+    await runCheck('security', {
+        progress: 'Scanning for risky code...',
+        run: () => validateSecurity(packageInfo),
+        passed (result) {
+            return result.allowed.length === 0 ?
+                `${result.files} file(s) scanned, nothing flagged` :
+                `${result.files} file(s) scanned, ${result.allowed.length} allowed exception(s)`;
+        },
+        issues: result => result.details.map(detail => issue(detail.severity,
+            `[${detail.rule}] ${detail.message}${detail.snippet ? `\n   ${detail.snippet}` : ''}`,
+            {file: detail.file, line: detail.line})),
+        info: result => result.allowed.map(allowance =>
+            `Allowed ${allowance.file}:${allowance.line} [${allowance.rule}]: ${allowance.reason}`)
+    });
 
-    } catch (error) {
-        spinner.fail(error.message);
-        logger.error(error);
-        process.exit(1);
+    // 4e. Check the plugin license and the licenses of the code it ships
+    await runCheck('licenses', {
+        progress: 'Checking licenses...',
+        file: 'package.json',
+        run: () => validateLicenses(packageInfo),
+        passed (result) {
+            return result.components.length === 0 ?
+                `License ${result.license}, no third-party code` :
+                `License ${result.license}, ${result.components.length} third-party component(s) compatible`;
+        },
+        info: result => result.components.map(component =>
+            `${component.name}${component.version ? ` ${component.version}` : ''}: ` +
+            `${component.license || 'no license'} (${component.path})`)
+    });
+
+    // 5. Validate remote repository; the tag and ID checks need what the host reports
+    let repoInfo = null;
+    if (options.offline) {
+        skipCheck('remote-repo', 'Skipped (--offline)');
+    } else {
+        ({repository: repoInfo} = await runCheck('remote-repo', {
+            progress: 'Checking remote repository...',
+            file: 'package.json',
+            run: async () => {
+                const result = await validateRemoteRepo(packageInfo.repository);
+                // A private repository is reported, but nothing can be checked on it
+                return result.valid ? result : {...result, repository: null};
+            },
+            passed: result => `Remote repository accessible (${result.repository.host})`
+        }));
     }
+    const remoteSkipReason = options.offline ? 'Skipped (--offline)' : 'Needs an accessible remote repository';
+
+    // 5a. The registry scans tags on the host, so the tag must be there too
+    if (!repoInfo) {
+        skipCheck('remote-tag', remoteSkipReason);
+    } else if (options.skipTag) {
+        skipCheck('remote-tag', 'Skipped (--skip-tag)');
+    } else {
+        await runCheck('remote-tag', {
+            progress: 'Checking tag on the repository host...',
+            run: async () => {
+                const {host} = resolveRepository(repoInfo.html_url);
+                if (await host.tagExists(repoInfo.owner, repoInfo.repo, packageInfo.version)) {
+                    return {valid: true, errors: [], warnings: []};
+                }
+                return {
+                    valid: false,
+                    errors: [
+                        `Tag "${packageInfo.version}" not found on ${repoInfo.host}/${repoInfo.fullName}.\n` +
+                        `   Push it with: git push origin ${packageInfo.version}`
+                    ],
+                    warnings: []
+                };
+            },
+            passed: () => `Tag ${packageInfo.version} found on ${repoInfo.host}`
+        });
+    }
+
+    // 6. Canonical repository URL, as reported by the host (offline: as normalized from package.json)
+    const repoUrl = repoInfo ? repoInfo.html_url : packageInfo.repository.url;
+    if (repoInfo) {
+        spinner.succeed(`Repository URL: ${chalk.green(repoUrl)}`);
+    }
+
+    // 7. Check plugin ID uniqueness; offline against the cached packages.json
+    let idCheckResult = null;
+    if (options.offline && !readRegistryCache('packages.json')) {
+        skipCheck('id-uniqueness', 'Skipped (--offline, no cached packages.json)');
+    } else if (!options.offline && !repoInfo) {
+        skipCheck('id-uniqueness', remoteSkipReason);
+    } else {
+        idCheckResult = await runCheck('id-uniqueness', {
+            progress: 'Checking plugin ID uniqueness...',
+            file: 'package.json',
+            run: () => validateIdUniqueness(packageInfo, repoInfo, {offline: options.offline}),
+            passed: result => {
+                if (result.isNew) {
+                    return `Plugin ID ${packageInfo.openblock.id} is available`;
+                }
+                if (result.unconfirmed) {
+                    return `Plugin ID ${packageInfo.openblock.id} is registered to another repository URL`;
+                }
+                if (result.movedFrom) {
+                    return `Plugin ID ${packageInfo.openblock.id} exists (repository moved from ${result.movedFrom})`;
+                }
+                return `Plugin ID ${packageInfo.openblock.id} exists (updating)`;
+            }
+        });
+    }
+
+    // 7a. Compare the display channel with the approved baseline; a change
+    // is not an error, but publishing it needs a reviewed baseline PR
+    if (options.offline && !readRegistryCache(`approved/${packageInfo.openblock.id}.json`)) {
+        skipCheck('display-baseline', 'Skipped (--offline, no cached baseline)');
+    } else {
+        await runCheck('display-baseline', {
+            progress: 'Comparing display with the approved baseline...',
+            run: async () => {
+                const approved = await loadRegistryApproved(packageInfo.openblock.id, {offline: options.offline});
+                const {record} = buildLocalApproved(packageInfo, repoUrl, process.cwd());
+                const warnings = [];
+                if (approved.fetchedAt) {
+                    warnings.push(`Offline: compared with the baseline cached ${describeCacheAge(approved.fetchedAt)}`);
+                }
+                const changed = approvedNeedsUpdate(record, approved.record);
+                if (changed) {
+                    warnings.push('Publishing opens a review PR for the display baseline');
+                }
+                return {valid: true, errors: [], warnings, baseline: approved.record, changed};
+            },
+            passed (result) {
+                if (!result.baseline) {
+                    return 'No approved display baseline yet';
+                }
+                return result.changed ?
+                    'Display channel changed since the approved baseline' :
+                    'Display channel matches the approved baseline';
+            }
+        });
+    }
+
+    // 8. Validate package.json structure
+    await runCheck('package-structure', {
+        progress: 'Validating package.json structure...',
+        file: 'package.json',
+        run: () => validatePackageStructure(packageInfo),
+        passed: () => 'Package.json structure validated',
+        issues: result => result.details.map(detail =>
+            issue('error', detail.message, {file: 'package.json', pointer: detail.pointer}))
+    });
+
+    // 8a. Compare arch and toolchains with the packages index. Opt-in: vendors
+    // may use identifiers whose toolchain is not published yet
+    if (!options.checkArch) {
+        skipCheck('arch', 'Skipped (opt in with --check-arch)');
+    } else if (options.offline && !readRegistryCache('packages.json')) {
+        skipCheck('arch', 'Skipped (--offline, no cached packages.json)');
+    } else {
+        await runCheck('arch', {
+            progress: 'Checking arch and toolchains against the packages index...',
+            file: 'package.json',
+            run: async () => {
+                if (!options.offline) {
+                    // Without --packages-url: the Resource Service, then the registry's packages.json
+                    const packages = await getPackagesIndex(options.packagesUrl ?
+                        {registryUrl: options.packagesUrl} :
+                        {fallbackUrl: getRegistryProfile().packagesUrl});
+                    return validateArch(packageInfo, packages);
+                }
+                const cached = readRegistryCache('packages.json');
+                const result = validateArch(packageInfo, cached.data);
+                result.warnings.unshift(`Offline: checked against the packages.json cached ${
+                    describeCacheAge(cached.fetchedAt)}`);
+                return result;
+            },
+            passed (result) {
+                return `${result.checked} identifier(s) found among the ${result.known.arch.length} ` +
+                    `architectures and ${result.known.toolchains.length} toolchains of the packages index`;
+            }
+        });
+    }
+
+    // 9. Validate translations
+    const translationsFile = packageInfo.openblock.translations ?
+        String(packageInfo.openblock.translations).replace(/^\.\//, '') :
+        'package.json';
+    await runCheck('translations', {
+        progress: 'Validating translations...',
+        file: translationsFile,
+        run: () => validateTranslations(packageInfo, process.cwd(), coverageOptions),
+        passed: () => 'Translations validated',
+        info (result) {
+            const coverage = result.coverage || [];
+            const translated = coverage.filter(entry => entry.translated > 0);
+            const lines = translated.length > 0 ?
+                [`Coverage: ${translated.map(entry => `${entry.locale} ${entry.percent}%`).join(', ')}`] :
+                [];
+            if (coverage.length > translated.length) {
+                lines.push(`${coverage.length - translated.length} locale(s) not translated yet`);
+            }
+            return lines;
+        }
+    });
+
+    return {
+        valid: finish(),
+        report,
+        packageInfo,
+        repoInfo,
+        repoUrl,
+        // Registered URL of a renamed/transferred repository, or null
+        previousRepoUrl: idCheckResult ? idCheckResult.movedFrom : null
+    };
 };
 
 module.exports = validate;
@@ -1,51 +1,185 @@
 /**
  * GitHub authentication
- * Handles GitHub token management
+ * Handles GitHub token management: browser sign-in (OAuth device flow) or a
+ * pasted personal access token, stored in ~/.openblockrc
  */
 
+const chalk = require('chalk');
 const inquirer = require('inquirer');
 const {getConfig, setConfig} = require('../utils/config');
-const fetch = require('node-fetch');
+const {getOAuthSettings} = require('../lib/config/oauth');
+const {getRegistryProfile} = require('../lib/config/registry');
+const {request} = require('./client');
+const {loginWithDeviceFlow} = require('./device-flow');
+
+// Environment variables checked for a token, in order of precedence
+const ENV_TOKEN_VARS = ['OBR_GITHUB_TOKEN', 'GITHUB_TOKEN'];
+
+// Classic/OAuth scopes publishing needs, why, and broader scopes that include them
+const REQUIRED_SCOPES = [
+    {scope: 'public_repo', reason: 'fork the registry and open pull requests', impliedBy: ['repo']},
+    // Registry branches start from upstream commits, which include its
+    // .github/workflows files; GitHub refuses to push those without this scope
+    {scope: 'workflow', reason: 'push branches that contain the registry\'s workflow files', impliedBy: []}
+];
+
+// Scopes a publishing token may carry without being flagged as over-privileged
+const EXPECTED_SCOPES = ['public_repo', 'workflow', 'read:user', 'user:email'];
+
+// Branch named by the permission probes; ".." makes it an invalid name, so no
+// such branch can exist and no probe can create anything
+const PROBE_BRANCH = 'obr..permission-check';
 
 /**
  * Validate a GitHub token
  * @param {string} token - GitHub token to validate
- * @returns {boolean} True if valid
+ * @returns {boolean} True if valid, false if GitHub rejects it
+ * @throws {GitHubApiError} If GitHub cannot be reached or is rate limited
  */
 const validateToken = async function (token) {
-    try {
-        const response = await fetch('https://api.github.com/user', {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli'
+    const response = await request(token, 'GET', '/user', {
+        action: 'validate GitHub token',
+        allowStatus: [401]
+    });
+    return response.status === 200;
+};
+
+/**
+ * Ask GitHub for a write the token may or may not be allowed, with input it
+ * must refuse. GitHub checks permissions before input: 403 (or 404 for a
+ * repository the token cannot see) means the permission is missing, 422 that
+ * it is granted and only the input was wrong.
+ * @param {string} token - GitHub token
+ * @param {string} apiPath - Endpoint to POST to
+ * @param {object} body - Request body GitHub rejects
+ * @param {string} action - What the probe checks, for error messages
+ * @returns {Promise<boolean>} True if the token has the permission
+ */
+const probeWrite = async function (token, apiPath, body, action) {
+    const {status} = await request(token, 'POST', apiPath, {body, action, allowStatus: [403, 404, 422]});
+    return status === 422;
+};
+
+/**
+ * Check that a token can do everything publishing needs, before any fork or
+ * branch is touched.
+ *
+ * Classic PATs and OAuth tokens list their scopes in X-OAuth-Scopes. Fine-
+ * grained PATs send no such header. The `permissions` GitHub shows for a
+ * repository are the user's role there, not what the token was granted, so
+ * their access is probed instead: creating a branch on the user's registry
+ * fork and opening a pull request on the registry, both with input GitHub
+ * rejects (see probeWrite).
+ * @param {string} token - GitHub token
+ * @returns {Promise<object>} {valid, errors, warnings, tokenType} where tokenType is 'classic' or 'fine-grained'
+ */
+const checkTokenPermissions = async function (token) {
+    const errors = [];
+    const warnings = [];
+
+    const {status, headers, data: user} = await request(token, 'GET', '/user', {
+        action: 'validate GitHub token',
+        allowStatus: [401]
+    });
+    if (status === 401) {
+        return {valid: false, errors: ['GitHub token is invalid or expired'], warnings, tokenType: null};
+    }
+
+    const scopesHeader = headers.get('x-oauth-scopes');
+    if (scopesHeader !== null) {
+        const scopes = scopesHeader.split(',').map(scope => scope.trim())
+            .filter(Boolean);
+
+        for (const {scope, reason, impliedBy} of REQUIRED_SCOPES) {
+            if (!scopes.includes(scope) && !impliedBy.some(broader => scopes.includes(broader))) {
+                errors.push(`Missing scope "${scope}" (needed to ${reason})`);
             }
-        });
+        }
+
+        const extra = scopes.filter(scope => !EXPECTED_SCOPES.includes(scope));
+        if (extra.length > 0) {
+            warnings.push(
+                `Token has scopes publishing does not need: ${extra.join(', ')}. ` +
+                `A token limited to ${REQUIRED_SCOPES.map(s => s.scope).join(', ')} is enough.`
+            );
+        }
+        return {valid: errors.length === 0, errors, warnings, tokenType: 'classic'};
+    }
+
+    const registry = getRegistryProfile();
+    const forkName = `${user.login}/${registry.repo}`;
+    const {status: forkStatus} = await request(token, 'GET', `/repos/${forkName}`, {
+        action: 'check registry fork access',
+        allowStatus: [404]
+    });
+    if (forkStatus === 404) {
+        warnings.push(
+            `Could not verify fine-grained token permissions: ${forkName} does not exist or is not visible ` +
+            'to this token. Creating the fork needs "All repositories" access with ' +
+            '"Administration: Read and write".'
+        );
+    } else if (!await probeWrite(token, `/repos/${forkName}/git/refs`,
+        {ref: `refs/heads/${PROBE_BRANCH}`, sha: '0'.repeat(40)}, 'check push access to the registry fork')) {
+        errors.push(`Token cannot push to ${forkName} (grant "Contents: Read and write")`);
+    }
 
-        return response.ok;
-    } catch (error) {
-        return false;
+    const upstream = `${registry.owner}/${registry.repo}`;
+    const canOpenPR = await probeWrite(token, `/repos/${upstream}/pulls`, {
+        title: 'Permission check',
+        head: `${user.login}:${PROBE_BRANCH}`,
+        base: registry.branch
+    }, 'check pull request access to the registry');
+    if (!canOpenPR) {
+        errors.push(`Token cannot open pull requests on ${upstream} (grant "Pull requests: Read and write")`);
     }
+    return {valid: errors.length === 0, errors, warnings, tokenType: 'fine-grained'};
 };
 
 /**
- * Get GitHub token from config or prompt user
- * @returns {string} GitHub token
+ * Verify a token's permissions for publishing and fail with every missing one.
+ * @param {string} token - GitHub token
+ * @returns {Promise<string[]>} Warnings (e.g. an over-privileged token)
+ * @throws {Error} If a required permission is missing
  */
-const getGitHubToken = async function () {
-    // Try to get from config
-    const token = getConfig('github-token');
+const verifyPublishPermissions = async function (token) {
+    const {valid, errors, warnings} = await checkTokenPermissions(token);
+    if (!valid) {
+        throw new Error(
+            `GitHub token cannot publish:\n${errors.map(e => `   - ${e}`).join('\n')}\n` +
+            '   Run openblock-registry-cli login, or create a token with the scopes above.'
+        );
+    }
+    return warnings;
+};
 
-    if (token) {
-        // Validate token
-        const isValid = await validateToken(token);
-        if (isValid) {
-            return token;
+/**
+ * Sign in through the browser with the OAuth device flow and store the token.
+ * @returns {Promise<string>} GitHub token
+ * @throws {Error} If sign-in fails or the issued token does not work
+ */
+const loginWithBrowser = async function () {
+    const token = await loginWithDeviceFlow(getOAuthSettings(), {
+        onCode: deviceCode => {
+            console.log(`\n   Open ${chalk.cyan(deviceCode.verification_uri)} and enter the code:`);
+            console.log(`\n      ${chalk.bold(deviceCode.user_code)}\n`);
+            console.log('   Waiting for you to approve access in the browser...');
         }
-        console.log('Stored GitHub token is invalid or expired.');
+    });
+
+    const isValid = await validateToken(token);
+    if (!isValid) {
+        throw new Error('GitHub issued a token that does not work. Please try signing in again.');
     }
 
-    // Prompt for token
+    setConfig('github-token', token);
+    return token;
+};
+
+/**
+ * Prompt for a personal access token
+ * @returns {Promise<string>} GitHub token
+ */
+const promptForToken = async function () {
     const answers = await inquirer.prompt([
         {
             type: 'password',
@@ -83,28 +217,93 @@ const getGitHubToken = async function () {
 };
 
 /**
- * Get authenticated user info
- * @param {string} token - GitHub token
- * @returns {object} User info
+ * Read a token from the environment. OBR_GITHUB_TOKEN wins over GITHUB_TOKEN so
+ * a pipeline can publish with a different token than the one its CI provides.
+ * @returns {object|null} {token, source}, or null if neither variable is set
  */
-const getAuthenticatedUser = async function (token) {
-    const response = await fetch('https://api.github.com/user', {
-        headers: {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'openblock-cli'
+const getEnvToken = function () {
+    for (const name of ENV_TOKEN_VARS) {
+        if (process.env[name]) {
+            return {token: process.env[name], source: name};
         }
-    });
+    }
+    return null;
+};
 
-    if (!response.ok) {
-        throw new Error('Failed to get user info');
+/**
+ * Get GitHub token from the environment or config, or prompt the user
+ * @param {object} [options] - Options
+ * @param {boolean} [options.interactive] - Prompt when no valid token is found (false: throw instead)
+ * @returns {string} GitHub token
+ * @throws {Error} If a token from the environment is rejected, or none is found in non-interactive mode
+ */
+const getGitHubToken = async function (options = {}) {
+    const {interactive = true} = options;
+
+    // An explicitly provided token is never silently swapped for another one
+    const envToken = getEnvToken();
+    if (envToken) {
+        if (await validateToken(envToken.token)) {
+            return envToken.token;
+        }
+        throw new Error(`The token in ${envToken.source} is invalid or expired.`);
     }
 
-    return response.json();
+    // Try to get from config
+    const token = getConfig('github-token');
+
+    if (token) {
+        // Validate token
+        const isValid = await validateToken(token);
+        if (isValid) {
+            return token;
+        }
+    }
+
+    if (!interactive) {
+        throw new Error(
+            `${token ? 'Stored GitHub token is invalid or expired' : 'No GitHub token found'}.\n` +
+            `   Set ${ENV_TOKEN_VARS.join(' or ')}, or run openblock-registry-cli login first.`
+        );
+    }
+    if (token) {
+        console.log('Stored GitHub token is invalid or expired.');
+    }
+
+    // Browser sign-in needs an OAuth client id; the registry's ships as the default
+    if (getOAuthSettings().clientId) {
+        const {method} = await inquirer.prompt([{
+            type: 'list',
+            name: 'method',
+            message: 'How do you want to sign in to GitHub?',
+            choices: [
+                {name: 'Sign in with the browser (recommended)', value: 'browser'},
+                {name: 'Paste a personal access token', value: 'token'}
+            ]
+        }]);
+        if (method === 'browser') {
+            return loginWithBrowser();
+        }
+    }
+
+    return promptForToken();
+};
+
+/**
+ * Get authenticated user info
+ * @param {string} token - GitHub token
+ * @returns {object} User info
+ */
+const getAuthenticatedUser = async function (token) {
+    const {data} = await request(token, 'GET', '/user', {action: 'get user info'});
+    return data;
 };
 
 module.exports = {
     getGitHubToken,
+    checkTokenPermissions,
+    verifyPublishPermissions,
+    loginWithBrowser,
     validateToken,
     getAuthenticatedUser
 };
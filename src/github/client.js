@@ -0,0 +1,223 @@
+/**
+ * GitHub API client
+ * Shared request helper for every GitHub call: checks responses, retries
+ * transient failures and waits out rate limits instead of letting a 403 turn
+ * into a TypeError halfway through a publish.
+ */
+
+const {getRegistryProfile} = require('../lib/config/registry');
+const {fetch} = require('../lib/network');
+
+// Retries for network errors, 5xx responses and short rate-limit waits
+const DEFAULT_RETRIES = 3;
+// First backoff delay; doubles on every retry (1s, 2s, 4s)
+const DEFAULT_RETRY_DELAY = 1000;
+// Longest rate-limit wait we sit through before giving up
+const MAX_RATE_LIMIT_WAIT = 60000;
+
+/**
+ * Error raised for a failed GitHub API request.
+ * `status` is the HTTP status, or 0 when no response was received.
+ */
+class GitHubApiError extends Error {
+    constructor (message, {status = 0, method, url, data = null} = {}) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+        this.method = method;
+        this.url = url;
+        this.data = data;
+    }
+}
+
+/**
+ * Error raised when GitHub's rate limit is exhausted for longer than we are
+ * willing to wait. `resetAt` is when the limit lifts (Date, may be null).
+ */
+class GitHubRateLimitError extends GitHubApiError {
+    constructor (message, {resetAt = null, ...details} = {}) {
+        super(message, details);
+        this.name = 'GitHubRateLimitError';
+        this.resetAt = resetAt;
+    }
+}
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve a request path against the configured API base
+ * @param {string} apiPath - "/repos/..." path or an absolute URL
+ * @param {string} [apiBase] - API base override
+ * @returns {string} Absolute URL
+ */
+const resolveUrl = (apiPath, apiBase) => {
+    if (/^https?:\/\//.test(apiPath)) {
+        return apiPath;
+    }
+    return `${apiBase || getRegistryProfile().apiBase}${apiPath}`;
+};
+
+/**
+ * Work out how long a rate-limited response asks us to wait.
+ * Secondary limits send Retry-After; primary limits send
+ * X-RateLimit-Remaining: 0 with the reset time in X-RateLimit-Reset.
+ * @param {object} response - fetch response
+ * @returns {object|null} {wait, resetAt} with the wait in ms, or null if not rate limited
+ */
+const getRateLimitWait = response => {
+    if (response.status !== 403 && response.status !== 429) {
+        return null;
+    }
+
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter && !isNaN(Number(retryAfter))) {
+        const wait = Number(retryAfter) * 1000;
+        return {wait, resetAt: new Date(Date.now() + wait)};
+    }
+
+    if (response.headers.get('x-ratelimit-remaining') === '0') {
+        const reset = Number(response.headers.get('x-ratelimit-reset'));
+        if (!reset) {
+            return {wait: Infinity, resetAt: null};
+        }
+        const resetAt = new Date(reset * 1000);
+        return {wait: Math.max(resetAt.getTime() - Date.now(), 0) + 1000, resetAt};
+    }
+
+    return null;
+};
+
+/**
+ * Read a response body as JSON when possible, text otherwise
+ * @param {object} response - fetch response
+ * @returns {Promise<*>} Parsed body (null when empty)
+ */
+const readBody = async response => {
+    const text = await response.text();
+    if (!text) {
+        return null;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+};
+
+/**
+ * Format GitHub's error payload ({message, errors: [...]}) for display
+ * @param {*} data - Parsed error body
+ * @param {number} status - HTTP status
+ * @returns {string} Error details
+ */
+const formatErrorDetails = (data, status) => {
+    if (!data || typeof data !== 'object') {
+        return typeof data === 'string' && data ? data.slice(0, 200) : String(status);
+    }
+    let details = data.message || String(status);
+    if (Array.isArray(data.errors) && data.errors.length > 0) {
+        details += `\n${data.errors.map(e => `  - ${e.message || JSON.stringify(e)}`).join('\n')}`;
+    }
+    return details;
+};
+
+/**
+ * Send a GitHub API request.
+ * @param {string|null} token - GitHub token (null for anonymous requests)
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - "/repos/..." path or an absolute URL
+ * @param {object} [options] - Request options
+ * @param {object} [options.body] - JSON request body
+ * @param {number[]} [options.allowStatus] - Non-2xx statuses returned instead of thrown (e.g. [404])
+ * @param {string} [options.action] - What the request does, for error messages ("create PR")
+ * @param {string} [options.apiBase] - API base override (defaults to the registry profile)
+ * @param {number} [options.retries] - Retry budget for transient failures
+ * @param {number} [options.retryDelay] - First backoff delay in ms
+ * @returns {Promise<{status: number, headers: object, data: *}>} Response status, headers and parsed body
+ * @throws {GitHubApiError} If the request fails
+ */
+const request = async function (token, method, apiPath, options = {}) {
+    const {
+        body,
+        allowStatus = [],
+        action,
+        apiBase,
+        retries = DEFAULT_RETRIES,
+        retryDelay = DEFAULT_RETRY_DELAY
+    } = options;
+    const url = resolveUrl(apiPath, apiBase);
+    const describe = details => {
+        if (action) {
+            return `Failed to ${action}: ${details}`;
+        }
+        return `GitHub API ${method} ${apiPath} failed: ${details}`;
+    };
+
+    const headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'openblock-cli'
+    };
+    if (token) {
+        headers.Authorization = `token ${token}`;
+    }
+    const init = {method, headers};
+    if (typeof body !== 'undefined') {
+        headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const backoff = retryDelay * Math.pow(2, attempt);
+
+        let response;
+        try {
+            response = await fetch(url, init);
+        } catch (err) {
+            if (attempt < retries) {
+                await sleep(backoff);
+                continue;
+            }
+            throw new GitHubApiError(describe(err.message), {method, url});
+        }
+
+        const rateLimit = getRateLimitWait(response);
+        if (rateLimit) {
+            if (attempt < retries && rateLimit.wait <= MAX_RATE_LIMIT_WAIT) {
+                await sleep(rateLimit.wait);
+                continue;
+            }
+            const data = await readBody(response);
+            const until = rateLimit.resetAt ? ` until ${rateLimit.resetAt.toLocaleTimeString()}` : '';
+            throw new GitHubRateLimitError(
+                describe(`rate limit exceeded${until}. ${formatErrorDetails(data, response.status)}`),
+                {status: response.status, method, url, data, resetAt: rateLimit.resetAt}
+            );
+        }
+
+        if (response.status >= 500 && attempt < retries) {
+            await sleep(backoff);
+            continue;
+        }
+
+        const data = await readBody(response);
+        if (response.ok || allowStatus.includes(response.status)) {
+            return {status: response.status, headers: response.headers, data};
+        }
+
+        throw new GitHubApiError(
+            describe(formatErrorDetails(data, response.status)),
+            {status: response.status, method, url, data}
+        );
+    }
+};
+
+module.exports = {
+    GitHubApiError,
+    GitHubRateLimitError,
+    request
+};
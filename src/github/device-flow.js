@@ -0,0 +1,153 @@
+/**
+ * OAuth device authorization flow
+ * Signs the user in through the browser instead of asking for a pasted PAT:
+ * we request a device code, the user enters the short user code at GitHub's
+ * verification page, and we poll the token endpoint until they approve.
+ * See RFC 8628 and GitHub's "Authorizing OAuth apps - device flow".
+ */
+
+const {fetch} = require('../lib/network');
+
+// Polling interval when the server does not send one (seconds, per RFC 8628)
+const DEFAULT_INTERVAL = 5;
+// Added to the interval each time the server answers slow_down (seconds)
+const SLOW_DOWN_STEP = 5;
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * POST form parameters to an OAuth endpoint and parse the JSON answer
+ * @param {string} url - Endpoint URL
+ * @param {object} params - Form parameters
+ * @returns {Promise<object>} Parsed response body
+ * @throws {Error} If the endpoint cannot be reached or does not answer with JSON
+ */
+const postForm = async function (url, params) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'User-Agent': 'openblock-cli'
+            },
+            body: new URLSearchParams(params).toString()
+        });
+    } catch (err) {
+        throw new Error(`Failed to reach ${url}: ${err.message}`);
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Unexpected response from ${url} (${response.status}): ${text.slice(0, 200)}`);
+    }
+    // Errors such as authorization_pending come back as 400s with a JSON body
+    if (!response.ok && !data.error) {
+        throw new Error(`Request to ${url} failed: ${response.status}`);
+    }
+    return data;
+};
+
+/**
+ * Request a device code and user code.
+ * @param {object} oauth - OAuth settings from getOAuthSettings
+ * @returns {Promise<object>} {device_code, user_code, verification_uri, expires_in, interval}
+ * @throws {Error} If the OAuth App rejects the request
+ */
+const requestDeviceCode = async function (oauth) {
+    const data = await postForm(oauth.deviceCodeUrl, {
+        client_id: oauth.clientId,
+        scope: oauth.scope
+    });
+    if (data.error) {
+        throw new Error(`Failed to start sign-in: ${data.error_description || data.error}`);
+    }
+    return data;
+};
+
+/**
+ * Poll the token endpoint until the user approves (or denies) the device.
+ * @param {object} oauth - OAuth settings from getOAuthSettings
+ * @param {object} deviceCode - Response from requestDeviceCode
+ * @returns {Promise<string>} Access token
+ * @throws {Error} If the code expires or the user denies access
+ */
+const pollForToken = async function (oauth, deviceCode) {
+    let interval = typeof deviceCode.interval === 'number' ? deviceCode.interval : DEFAULT_INTERVAL;
+    const expiresAt = Date.now() + ((deviceCode.expires_in || 900) * 1000);
+
+    for (;;) {
+        await sleep(interval * 1000);
+        if (Date.now() > expiresAt) {
+            throw new Error('The sign-in code expired. Run login again to get a new one.');
+        }
+
+        const data = await postForm(oauth.tokenUrl, {
+            client_id: oauth.clientId,
+            device_code: deviceCode.device_code,
+            grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+        });
+
+        if (data.access_token) {
+            return data.access_token;
+        }
+
+        switch (data.error) {
+        case 'authorization_pending':
+            break;
+        case 'slow_down':
+            // GitHub sends the new minimum interval; RFC 8628 says add 5s
+            interval = typeof data.interval === 'number' ? data.interval : interval + SLOW_DOWN_STEP;
+            break;
+        case 'expired_token':
+            throw new Error('The sign-in code expired. Run login again to get a new one.');
+        case 'access_denied':
+            throw new Error('Sign-in was cancelled in the browser.');
+        default:
+            throw new Error(`Sign-in failed: ${data.error_description || data.error || 'no token returned'}`);
+        }
+    }
+};
+
+/**
+ * Run the whole device flow.
+ * @param {object} oauth - OAuth settings from getOAuthSettings
+ * @param {object} [options] - Options
+ * @param {Function} [options.onCode] - Called with the device code response so
+ *   the user can be shown verification_uri and user_code
+ * @returns {Promise<string>} Access token
+ * @throws {Error} If no client id is configured or the flow fails
+ */
+const loginWithDeviceFlow = async function (oauth, options = {}) {
+    if (!oauth.clientId) {
+        throw new Error(
+            'No OAuth client id configured, so browser sign-in is not available.\n' +
+            '   Set the client id of an OAuth App with "Enable Device Flow" checked with:\n' +
+            '   openblock-registry-cli config set oauth <client-id>\n' +
+            '   or the OBR_OAUTH_CLIENT_ID environment variable.\n' +
+            '   Or skip login and use a personal access token:\n' +
+            '   openblock-registry-cli config set github-token <token>'
+        );
+    }
+
+    const deviceCode = await requestDeviceCode(oauth);
+    if (options.onCode) {
+        options.onCode(deviceCode);
+    }
+    return pollForToken(oauth, deviceCode);
+};
+
+module.exports = {
+    requestDeviceCode,
+    pollForToken,
+    loginWithDeviceFlow
+};
@@ -0,0 +1,188 @@
+/**
+ * Registry fork management
+ * Makes sure the user's fork of the registry exists, is readable and is not so
+ * far behind upstream that branching from it would fail.
+ *
+ * Forking is asynchronous on GitHub's side: POST /forks returns immediately but
+ * the fork's git refs only become readable once GitHub has finished copying the
+ * repository, which can take minutes for a large registry. Every later step
+ * (branch lookup, branch creation, commits) runs against the fork, so we poll
+ * its refs instead of hoping a fixed delay was long enough.
+ */
+
+const {request} = require('./client');
+
+// How long to wait for a new fork to become readable
+const FORK_READY_TIMEOUT = 5 * 60 * 1000;
+// Delay between readiness polls
+const FORK_POLL_INTERVAL = 3000;
+// A fork this many commits behind upstream is synced before branching. Small
+// lags are harmless (branches are created from the upstream SHA, which the
+// fork network shares), but a long-neglected fork can reject refs and trees
+// that point at objects it has never seen.
+const STALE_FORK_BEHIND_BY = 50;
+
+/**
+ * Sleep for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Report progress if a callback was given
+ * @param {Function} [onProgress] - Progress callback (message)
+ * @param {string} message - Progress message
+ */
+const report = (onProgress, message) => {
+    if (onProgress) {
+        onProgress(message);
+    }
+};
+
+/**
+ * Look up the user's fork of the registry.
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {string} username - Fork owner
+ * @returns {Promise<object|null>} Repository data, or null if there is no fork
+ * @throws {Error} If a repository with the registry's name exists but is not a fork of it
+ */
+const getFork = async function (token, registry, username) {
+    const {status, data} = await request(token, 'GET', `/repos/${username}/${registry.repo}`, {
+        action: 'check registry fork',
+        allowStatus: [404]
+    });
+    if (status === 404) {
+        return null;
+    }
+
+    const upstream = `${registry.owner}/${registry.repo}`.toLowerCase();
+    const parents = [data.parent, data.source]
+        .filter(Boolean)
+        .map(repo => repo.full_name.toLowerCase());
+    if (!data.fork || !parents.includes(upstream)) {
+        throw new Error(
+            `${username}/${registry.repo} exists but is not a fork of ${registry.owner}/${registry.repo}.\n` +
+            `   Rename or delete that repository so the registry can be forked.`
+        );
+    }
+    return data;
+};
+
+/**
+ * Poll the fork until its registry branch can be read.
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {string} username - Fork owner
+ * @param {object} [options] - Options
+ * @param {number} [options.timeout] - Give up after this many ms
+ * @param {number} [options.interval] - Delay between polls in ms
+ * @param {Function} [options.onProgress] - Progress callback (message)
+ * @throws {Error} If the fork is not ready before the timeout
+ */
+const waitForForkReady = async function (token, registry, username, options = {}) {
+    const {timeout = FORK_READY_TIMEOUT, interval = FORK_POLL_INTERVAL, onProgress} = options;
+    const started = Date.now();
+
+    for (;;) {
+        // 404 while the repository does not exist yet, 409 while it is still empty
+        const {status} = await request(
+            token, 'GET', `/repos/${username}/${registry.repo}/git/ref/heads/${registry.branch}`,
+            {action: 'check fork readiness', allowStatus: [404, 409]}
+        );
+        if (status === 200) {
+            return;
+        }
+
+        const elapsed = Date.now() - started;
+        if (elapsed >= timeout) {
+            throw new Error(
+                `Fork ${username}/${registry.repo} was not ready after ${Math.round(timeout / 1000)}s.\n` +
+                '   GitHub may still be copying the registry; try publishing again in a few minutes.'
+            );
+        }
+        report(onProgress, `Waiting for fork ${username}/${registry.repo} to become ready ` +
+            `(${Math.round(elapsed / 1000)}s)...`);
+        await sleep(interval);
+    }
+};
+
+/**
+ * Sync the fork's registry branch with upstream when it has fallen far behind.
+ * A fork whose branch has diverged cannot be fast-forwarded; that is reported
+ * as a warning and left to the user, since resolving it would discard their
+ * commits.
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {string} username - Fork owner
+ * @param {object} [options] - Options
+ * @param {Function} [options.onProgress] - Progress callback (message)
+ * @param {Function} [options.onWarning] - Warning callback (message); falls back to onProgress
+ * @returns {Promise<{behindBy: number, synced: boolean, diverged: boolean}>} How far behind the fork was,
+ *   whether it was synced and whether it could not be because it has diverged
+ */
+const syncStaleFork = async function (token, registry, username, options = {}) {
+    const {status, data} = await request(
+        token, 'GET',
+        `/repos/${registry.owner}/${registry.repo}/compare/${registry.branch}...${username}:${registry.branch}`,
+        {action: 'compare fork with upstream', allowStatus: [404]}
+    );
+    // The fork has no branch of that name: nothing to sync, branches come from upstream
+    if (status === 404) {
+        return {behindBy: 0, synced: false, diverged: false};
+    }
+
+    const behindBy = data.behind_by || 0;
+    if (behindBy < STALE_FORK_BEHIND_BY) {
+        return {behindBy, synced: false, diverged: false};
+    }
+
+    report(options.onProgress, `Fork is ${behindBy} commits behind upstream, syncing...`);
+    const merge = await request(token, 'POST', `/repos/${username}/${registry.repo}/merge-upstream`, {
+        action: 'sync fork with upstream',
+        body: {branch: registry.branch},
+        // 409: the fork's branch has diverged and cannot be fast-forwarded
+        allowStatus: [409]
+    });
+    if (merge.status === 409) {
+        report(options.onWarning || options.onProgress,
+            `Fork ${username}/${registry.repo} is ${behindBy} commits behind upstream and has diverged, so it ` +
+            `could not be synced.\n   If submitting fails, sync its ${registry.branch} branch on GitHub ` +
+            '(discarding its own commits) or delete the fork.');
+        return {behindBy, synced: false, diverged: true};
+    }
+    return {behindBy, synced: true, diverged: false};
+};
+
+/**
+ * Make sure the user's fork of the registry exists and is usable: create it if
+ * needed and wait until it is readable, or sync an existing stale fork.
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {string} username - GitHub username
+ * @param {object} [options] - Options passed to waitForForkReady / syncStaleFork
+ * @returns {Promise<{created: boolean, behindBy: number, synced: boolean, diverged: boolean}>} What was done
+ */
+const ensureFork = async function (token, registry, username, options = {}) {
+    const fork = await getFork(token, registry, username);
+
+    if (!fork) {
+        report(options.onProgress, `Forking ${registry.owner}/${registry.repo}...`);
+        await request(token, 'POST', `/repos/${registry.owner}/${registry.repo}/forks`, {
+            action: 'fork the registry'
+        });
+        await waitForForkReady(token, registry, username, options);
+        return {created: true, behindBy: 0, synced: false, diverged: false};
+    }
+
+    await waitForForkReady(token, registry, username, options);
+    return {created: false, ...await syncStaleFork(token, registry, username, options)};
+};
+
+module.exports = {
+    ensureFork,
+    getFork,
+    waitForForkReady,
+    syncStaleFork
+};
@@ -0,0 +1,142 @@
+/**
+ * Git Data API helpers
+ * Branch refs plus atomic multi-file commits built from blobs, trees and
+ * commits. A change set is written as objects first and only becomes visible
+ * when the branch ref is moved to the finished commit, so a failure midway
+ * leaves the branch exactly as it was.
+ */
+
+const {request} = require('./client');
+
+// Regular (non-executable) file mode in git trees
+const FILE_MODE = '100644';
+
+/**
+ * Get latest commit SHA
+ * @param {string} token - GitHub token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @returns {string} Commit SHA
+ */
+const getLatestCommitSha = async function (token, owner, repo, branch) {
+    const {data} = await request(token, 'GET', `/repos/${owner}/${repo}/git/ref/heads/${branch}`, {
+        action: `read ${owner}/${repo}@${branch}`
+    });
+    return data.object.sha;
+};
+
+/**
+ * Check if branch exists
+ * @param {string} token - GitHub token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @returns {boolean} True if branch exists
+ */
+const branchExists = async function (token, owner, repo, branch) {
+    const {status} = await request(token, 'GET', `/repos/${owner}/${repo}/git/ref/heads/${branch}`, {
+        action: `check branch ${branch}`,
+        allowStatus: [404]
+    });
+    return status === 200;
+};
+
+/**
+ * Create branch
+ * @param {string} token - GitHub token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} sha - Commit SHA
+ */
+const createBranch = async function (token, owner, repo, branch, sha) {
+    await request(token, 'POST', `/repos/${owner}/${repo}/git/refs`, {
+        action: `create branch ${branch}`,
+        body: {
+            ref: `refs/heads/${branch}`,
+            sha: sha
+        }
+    });
+};
+
+/**
+ * Move an existing branch to a commit
+ * @param {string} token - GitHub token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} sha - Commit SHA
+ * @param {boolean} force - Allow a non-fast-forward update (replaces the branch history)
+ */
+const updateBranch = async function (token, owner, repo, branch, sha, force = false) {
+    await request(token, 'PATCH', `/repos/${owner}/${repo}/git/refs/heads/${branch}`, {
+        action: `update branch ${branch}`,
+        body: {sha, force}
+    });
+};
+
+/**
+ * @typedef {object} FileChange
+ * @property {string} path - Path in the repository
+ * @property {string|Buffer} [content] - New file content
+ * @property {boolean} [delete] - Remove the file instead
+ */
+
+/**
+ * Write a change set as a single commit on top of a parent commit. Only git
+ * objects are created; no ref is moved.
+ * @param {string} token - GitHub token
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {object} options - Commit options
+ * @param {string} options.parentSha - Parent commit SHA
+ * @param {Array<FileChange>} options.files - Files to write or delete
+ * @param {string} options.message - Commit message
+ * @returns {Promise<{sha: string, changed: boolean}>} New commit SHA (the parent's when nothing changed)
+ */
+const createTreeCommit = async function (token, owner, repo, {parentSha, files, message}) {
+    const {data: parent} = await request(token, 'GET', `/repos/${owner}/${repo}/git/commits/${parentSha}`, {
+        action: 'read parent commit'
+    });
+
+    const tree = [];
+    for (const file of files) {
+        if (file.delete) {
+            tree.push({path: file.path, mode: FILE_MODE, type: 'blob', sha: null});
+            continue;
+        }
+        const {data: blob} = await request(token, 'POST', `/repos/${owner}/${repo}/git/blobs`, {
+            action: `upload ${file.path}`,
+            body: {
+                content: Buffer.from(file.content).toString('base64'),
+                encoding: 'base64'
+            }
+        });
+        tree.push({path: file.path, mode: FILE_MODE, type: 'blob', sha: blob.sha});
+    }
+
+    const {data: newTree} = await request(token, 'POST', `/repos/${owner}/${repo}/git/trees`, {
+        action: 'create tree',
+        body: {base_tree: parent.tree.sha, tree}
+    });
+
+    // Identical content: committing would only add an empty commit
+    if (newTree.sha === parent.tree.sha) {
+        return {sha: parentSha, changed: false};
+    }
+
+    const {data: commit} = await request(token, 'POST', `/repos/${owner}/${repo}/git/commits`, {
+        action: 'create commit',
+        body: {message, tree: newTree.sha, parents: [parentSha]}
+    });
+    return {sha: commit.sha, changed: true};
+};
+
+module.exports = {
+    getLatestCommitSha,
+    branchExists,
+    createBranch,
+    updateBranch,
+    createTreeCommit
+};
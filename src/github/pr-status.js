@@ -0,0 +1,107 @@
+/**
+ * Submission PR status
+ * Collects what a developer otherwise clicks through on GitHub after
+ * publishing: CI results on the PR head, the review state and the registry
+ * bot's display report comment.
+ */
+
+const {request} = require('./client');
+
+/**
+ * Get CI results for a commit from both the Checks API (GitHub Actions) and
+ * the legacy commit status API (external services).
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {string} sha - Commit SHA (the PR head)
+ * @returns {Promise<Array<{name: string, state: string, url: string}>>} One entry per check;
+ *   state is 'pending' while running, otherwise the check's conclusion ('success', 'failure', ...)
+ */
+const getChecks = async function (token, registry, sha) {
+    const repoPath = `/repos/${registry.owner}/${registry.repo}`;
+
+    const {data: runs} = await request(token, 'GET', `${repoPath}/commits/${sha}/check-runs?per_page=100`, {
+        action: 'read check runs'
+    });
+    const checks = (runs.check_runs || []).map(run => ({
+        name: run.name,
+        state: run.status === 'completed' ? run.conclusion : 'pending',
+        url: run.html_url
+    }));
+
+    const {data: combined} = await request(token, 'GET', `${repoPath}/commits/${sha}/status`, {
+        action: 'read commit status'
+    });
+    for (const status of combined.statuses || []) {
+        checks.push({
+            name: status.context,
+            // Commit statuses report 'error' where check runs report 'failure'
+            state: status.state === 'error' ? 'failure' : status.state,
+            url: status.target_url
+        });
+    }
+    return checks;
+};
+
+/**
+ * Get the review state of a PR from each reviewer's latest decisive review.
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {number} prNumber - PR number
+ * @returns {Promise<{state: string, reviewers: Array<{login: string, state: string}>}>} state is
+ *   'approved', 'changes_requested' or 'pending'
+ */
+const getReviewState = async function (token, registry, prNumber) {
+    const {data: reviews} = await request(
+        token, 'GET', `/repos/${registry.owner}/${registry.repo}/pulls/${prNumber}/reviews?per_page=100`,
+        {action: 'read reviews'}
+    );
+
+    // Reviews come oldest first; plain comments do not change a reviewer's verdict
+    const latest = new Map();
+    for (const review of reviews || []) {
+        if (review.state === 'APPROVED' || review.state === 'CHANGES_REQUESTED' || review.state === 'DISMISSED') {
+            latest.set(review.user.login, review.state.toLowerCase());
+        }
+    }
+    const reviewers = Array.from(latest, ([login, state]) => ({login, state}))
+        .filter(reviewer => reviewer.state !== 'dismissed');
+
+    let state = 'pending';
+    if (reviewers.some(reviewer => reviewer.state === 'changes_requested')) {
+        state = 'changes_requested';
+    } else if (reviewers.some(reviewer => reviewer.state === 'approved')) {
+        state = 'approved';
+    }
+    return {state, reviewers};
+};
+
+/**
+ * Get the registry bot's latest comment on a PR (its display report).
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {number} prNumber - PR number
+ * @returns {Promise<object|null>} {author, body, url, updatedAt}, or null if the bot has not commented
+ */
+const getBotReport = async function (token, registry, prNumber) {
+    const {data: comments} = await request(
+        token, 'GET', `/repos/${registry.owner}/${registry.repo}/issues/${prNumber}/comments?per_page=100`,
+        {action: 'read PR comments'}
+    );
+    const botComments = (comments || []).filter(comment => comment.user && comment.user.type === 'Bot');
+    if (botComments.length === 0) {
+        return null;
+    }
+    const report = botComments[botComments.length - 1];
+    return {
+        author: report.user.login,
+        body: report.body || '',
+        url: report.html_url,
+        updatedAt: report.updated_at
+    };
+};
+
+module.exports = {
+    getChecks,
+    getReviewState,
+    getBotReport
+};
@@ -7,208 +7,118 @@
  *   "devices": ["https://github.com/owner/repo", ...],
  *   "extensions": ["https://github.com/owner/repo", ...]
  * }
+ *
+ * Per-plugin files: approved/{id}.json (frozen display baseline) with its icon
+ * copies, and deprecated/{id}.json (deprecation notice).
  */
 
-const fetch = require('node-fetch');
-
 const {getAuthenticatedUser} = require('./auth');
+const {request} = require('./client');
+const {ensureFork} = require('./fork');
+const {getLatestCommitSha, branchExists, createBranch, updateBranch, createTreeCommit} = require('./git-data');
 const {generatePublishPRBody, generatePRTitle} = require('../templates/pr-body');
+const {getRegistryProfile} = require('../lib/config/registry');
+const {ICON_FIELDS} = require('../lib/display-manifest');
+const {normalizeRepoUrl} = require('../validators/id-uniqueness');
 
-const REGISTRY_OWNER = 'openblockcc';
-const REGISTRY_REPO = 'openblock-registry';
-const REGISTRY_BRANCH = 'main';
 const REGISTRY_FILE = 'registry.json';
 
 /**
- * Ensure fork exists
- * @param {string} token - GitHub token
- * @param {string} username - GitHub username
+ * Path of a plugin's deprecation notice in the registry
+ * @param {string} pluginId - Plugin ID
+ * @returns {string} Repository path
  */
-const ensureFork = async function (token, username) {
-    // Check if fork exists, create if not
-    const response = await fetch(`https://api.github.com/repos/${username}/${REGISTRY_REPO}`, {
-        headers: {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'openblock-cli'
-        }
-    });
-
-    if (response.status === 404) {
-        // Create fork
-        await fetch(`https://api.github.com/repos/${REGISTRY_OWNER}/${REGISTRY_REPO}/forks`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli'
-            }
-        });
-        // Wait for fork to be ready
-        await new Promise(resolve => setTimeout(resolve, 3000));
-    }
-};
+const deprecationPath = pluginId => `deprecated/${pluginId}.json`;
 
 /**
- * Get latest commit SHA
+ * Find PRs for a branch
  * @param {string} token - GitHub token
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
+ * @param {object} registry - Registry profile
+ * @param {string} username - GitHub username (fork owner)
  * @param {string} branch - Branch name
- * @returns {string} Commit SHA
+ * @param {string} [state] - 'open', 'closed' or 'all'
+ * @returns {Array<object>} PR objects, newest first
  */
-const getLatestCommitSha = async function (token, owner, repo, branch) {
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/ref/heads/${branch}`,
-        {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli'
-            }
-        }
+const listBranchPRs = async function (token, registry, username, branch, state = 'open') {
+    const {data: prs} = await request(
+        token, 'GET',
+        `/repos/${registry.owner}/${registry.repo}/pulls?state=${state}&head=${username}:${branch}`,
+        {action: 'look up existing pull requests'}
     );
-    const data = await response.json();
-    return data.object.sha;
+    return Array.isArray(prs) ? prs : [];
 };
 
 /**
- * Check if branch exists
+ * Find existing open PR for a branch
  * @param {string} token - GitHub token
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
+ * @param {object} registry - Registry profile
+ * @param {string} username - GitHub username (fork owner)
  * @param {string} branch - Branch name
- * @returns {boolean} True if branch exists
+ * @returns {object|null} PR object if found, null otherwise
  */
-const branchExists = async function (token, owner, repo, branch) {
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/ref/heads/${branch}`,
-        {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli'
-            }
-        }
-    );
-    return response.status === 200;
+const findExistingPR = async function (token, registry, username, branch) {
+    const prs = await listBranchPRs(token, registry, username, branch, 'open');
+    return prs.length > 0 ? prs[0] : null;
 };
 
 /**
- * Delete branch
+ * Find the submission PR of a plugin: the open `publish/{id}` PR if there is
+ * one, otherwise the most recently merged one.
  * @param {string} token - GitHub token
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
+ * @param {object} registry - Registry profile
+ * @param {string} username - GitHub username (fork owner)
+ * @param {string} pluginId - Plugin ID
+ * @returns {Promise<object|null>} PR object, or null if none was open or merged
  */
-const deleteBranch = async function (token, owner, repo, branch) {
-    await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/git/refs/heads/${branch}`,
-        {
-            method: 'DELETE',
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli'
-            }
-        }
-    );
+const findPublishPR = async function (token, registry, username, pluginId) {
+    const prs = await listBranchPRs(token, registry, username, `publish/${pluginId}`, 'all');
+    return prs.find(pr => pr.state === 'open') || prs.find(pr => pr.merged_at) || null;
 };
 
 /**
- * Create branch
+ * Update existing PR body
  * @param {string} token - GitHub token
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
- * @param {string} sha - Commit SHA
+ * @param {object} registry - Registry profile
+ * @param {number} prNumber - PR number
+ * @param {string} body - New PR body
+ * @returns {string} PR URL
  */
-const createBranch = async function (token, owner, repo, branch, sha) {
-    await fetch(`https://api.github.com/repos/${owner}/${repo}/git/refs`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'openblock-cli',
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            ref: `refs/heads/${branch}`,
-            sha: sha
-        })
+const updatePRBody = async function (token, registry, prNumber, body) {
+    const {data} = await request(token, 'PATCH', `/repos/${registry.owner}/${registry.repo}/pulls/${prNumber}`, {
+        action: 'update PR',
+        body: {body}
     });
+    return data.html_url;
 };
 
 /**
- * Find existing open PR for a branch
- * @param {string} token - GitHub token
- * @param {string} username - GitHub username (fork owner)
- * @param {string} branch - Branch name
- * @returns {object|null} PR object if found, null otherwise
- */
-const findExistingPR = async function (token, username, branch) {
-    const response = await fetch(
-        `https://api.github.com/repos/${REGISTRY_OWNER}/${REGISTRY_REPO}/pulls?state=open&head=${username}:${branch}`,
-        {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli'
-            }
-        }
-    );
-    const prs = await response.json();
-    return Array.isArray(prs) && prs.length > 0 ? prs[0] : null;
-};
-
-/**
- * Update existing PR body
+ * Close a PR
  * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
  * @param {number} prNumber - PR number
- * @param {string} body - New PR body
  * @returns {string} PR URL
  */
-const updatePRBody = async function (token, prNumber, body) {
-    const response = await fetch(
-        `https://api.github.com/repos/${REGISTRY_OWNER}/${REGISTRY_REPO}/pulls/${prNumber}`,
-        {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({body})
-        }
-    );
-
-    if (!response.ok) {
-        const error = await response.json();
-        let errorDetails = error.message || response.status;
-        if (error.errors && error.errors.length > 0) {
-            errorDetails += `\n${error.errors.map(e => `  - ${e.message || JSON.stringify(e)}`).join('\n')}`;
-        }
-        throw new Error(`Failed to update PR: ${errorDetails}`);
-    }
-
-    const data = await response.json();
+const closePR = async function (token, registry, prNumber) {
+    const {data} = await request(token, 'PATCH', `/repos/${registry.owner}/${registry.repo}/pulls/${prNumber}`, {
+        action: 'close PR',
+        body: {state: 'closed'}
+    });
     return data.html_url;
 };
 
 /**
- * Get registry.json
- * @param {string} _token - GitHub token (unused)
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
+ * Get registry.json from the registry branch
+ * @param {object} registry - Registry profile
  * @returns {object} Registry JSON
  */
-const getRegistryJson = async function (_token, owner, repo, branch) {
-    const response = await fetch(
-        `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${REGISTRY_FILE}`
-    );
-    return response.json();
+const getRegistryJson = async function (registry) {
+    const {data} = await request(null, 'GET', `${registry.rawBase}/${REGISTRY_FILE}`, {
+        action: `fetch ${REGISTRY_FILE}`
+    });
+    if (!data || typeof data !== 'object') {
+        throw new Error(`Failed to fetch ${REGISTRY_FILE}: response is not valid JSON`);
+    }
+    return data;
 };
 
 /**
@@ -216,9 +126,11 @@ const getRegistryJson = async function (_token, owner, repo, branch) {
  * @param {object} registryJson - Current registry.json
  * @param {string} repoUrl - GitHub repository URL
  * @param {string} pluginType - Plugin type ('device' or 'extension')
- * @returns {{registry: object, isNew: boolean}} Updated registry.json and whether it's a new entry
+ * @param {string|null} [previousUrl] - URL the repository was registered under before a rename/transfer
+ * @returns {{registry: object, isNew: boolean, replaced: (string|null)}} Updated registry.json, whether it's
+ *   a new entry and the old URL that was replaced
  */
-const updateRegistryJson = function (registryJson, repoUrl, pluginType) {
+const updateRegistryJson = function (registryJson, repoUrl, pluginType, previousUrl = null) {
     const collectionName = pluginType === 'device' ? 'devices' : 'extensions';
 
     // Ensure structure exists
@@ -231,6 +143,17 @@ const updateRegistryJson = function (registryJson, repoUrl, pluginType) {
     // Check if URL already exists
     const exists = collection.includes(repoUrl);
 
+    // A renamed or transferred repository is still listed under its old URL:
+    // swap it in place instead of registering the repository a second time
+    const oldIndex = previousUrl && !exists ?
+        collection.findIndex(url => normalizeRepoUrl(url) === normalizeRepoUrl(previousUrl)) :
+        -1;
+    if (oldIndex !== -1) {
+        const replaced = collection[oldIndex];
+        collection[oldIndex] = repoUrl;
+        return {registry: registryJson, isNew: false, replaced};
+    }
+
     if (!exists) {
         // Add new URL at the beginning to avoid JSON comma conflicts in PR merges
         collection.unshift(repoUrl);
@@ -238,132 +161,62 @@ const updateRegistryJson = function (registryJson, repoUrl, pluginType) {
 
     return {
         registry: registryJson,
-        isNew: !exists
+        isNew: !exists,
+        replaced: null
     };
 };
 
 /**
- * Get file SHA from repository
- * @param {string} token - GitHub token
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
- * @param {string} filePath - File path
- * @returns {Promise<string|null>} File SHA or null if not found
+ * Build the change set for a publish branch: registry.json on a new
+ * registration and the frozen display baseline (approved/{id}.json + reviewer
+ * icon bytes, §5.9) when it needs updating. The PR-validation bot renders an
+ * authoritative report and verifies the baseline against the published tag;
+ * a maintainer reviews it.
+ * @param {object|null} updatedRegistry - Updated registry.json, or null to leave it untouched
+ * @param {object|null} approvedPlan - Plan from resolveApprovedPlan ({id, record, iconFiles}), or null
+ * @returns {Array<object>} Files for createTreeCommit ({path, content})
  */
-const getFileSha = async function (token, owner, repo, branch, filePath) {
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}?ref=${branch}`,
-        {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli'
-            }
-        }
-    );
-
-    if (response.ok) {
-        const data = await response.json();
-        return data.sha;
+const buildChangeSet = function (updatedRegistry, approvedPlan) {
+    const files = [];
+    if (updatedRegistry) {
+        // Format JSON with 4-space indentation for readability
+        files.push({path: REGISTRY_FILE, content: JSON.stringify(updatedRegistry, null, 4)});
     }
-    return null;
-};
-
-/**
- * Commit a file to repository
- * @param {string} token - GitHub token
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
- * @param {string} filePath - File path
- * @param {string} content - File content (will be base64 encoded)
- * @param {string} message - Commit message
- * @param {string|null} sha - Existing file SHA (for updates)
- */
-const commitFile = async function (token, owner, repo, branch, filePath, content, message, sha = null) {
-    const body = {
-        message,
-        content: Buffer.from(content).toString('base64'),
-        branch
-    };
-
-    if (sha) {
-        body.sha = sha;
-    }
-
-    const response = await fetch(
-        `https://api.github.com/repos/${owner}/${repo}/contents/${filePath}`,
-        {
-            method: 'PUT',
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(body)
+    if (approvedPlan) {
+        files.push({
+            path: `approved/${approvedPlan.id}.json`,
+            content: `${JSON.stringify(approvedPlan.record, null, 4)}\n`
+        });
+        // Icon bytes are committed for PR image diffs; the security comparison only
+        // uses the hashes inside the JSON, so a stale/absent icon file is harmless.
+        for (const icon of approvedPlan.iconFiles) {
+            files.push({path: icon.repoPath, content: icon.content});
         }
-    );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Failed to commit file: ${error.message || response.status}`);
     }
-
-    return response.json();
+    return files;
 };
 
 /**
- * Commit changes to registry.json
- * @param {string} token - GitHub token
- * @param {string} owner - Repository owner (fork owner)
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
- * @param {object} content - Updated registry.json content
- * @param {string} repoUrl - Repository URL being added
- */
-const commitRegistryChanges = async function (token, owner, repo, branch, content, repoUrl) {
-    const message = `feat: add ${repoUrl}`;
-
-    // Get existing file SHA
-    const sha = await getFileSha(token, owner, repo, branch, REGISTRY_FILE);
-
-    // Format JSON with 4-space indentation for readability
-    const jsonContent = JSON.stringify(content, null, 4);
-
-    // Commit the file
-    await commitFile(token, owner, repo, branch, REGISTRY_FILE, jsonContent, message, sha);
-};
-
-/**
- * Commit the frozen display baseline (approved/{id}.json + reviewer icon bytes)
- * to the branch (§5.9). The PR-validation bot renders an authoritative report
- * and verifies this baseline against the published tag; a maintainer reviews it.
- * @param {string} token - GitHub token
- * @param {string} owner - Fork owner
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
- * @param {object} plan - Plan from resolveApprovedPlan ({id, record, iconFiles})
+ * Build the commit message for a publish change set
+ * @param {string} pluginId - Plugin ID
+ * @param {string} repoUrl - Repository URL
+ * @param {object} changes - What the change set does
+ * @param {boolean} changes.isNew - registry.json gains the URL
+ * @param {string|null} changes.replaced - Old URL replaced in registry.json (rename/transfer)
+ * @param {boolean} changes.approvedNeeded - The display baseline changes
+ * @returns {string} Commit message
  */
-const commitApprovedBaseline = async function (token, owner, repo, branch, plan) {
-    const manifestPath = `approved/${plan.id}.json`;
-    const manifestSha = await getFileSha(token, owner, repo, branch, manifestPath);
-    const manifestContent = `${JSON.stringify(plan.record, null, 4)}\n`;
-    await commitFile(
-        token, owner, repo, branch, manifestPath, manifestContent,
-        `chore: update display baseline for ${plan.id}`, manifestSha
-    );
-
-    // Icon bytes are committed for PR image diffs; the security comparison only
-    // uses the hashes inside the JSON, so a stale/absent icon file is harmless.
-    for (const icon of plan.iconFiles) {
-        const iconSha = await getFileSha(token, owner, repo, branch, icon.repoPath);
-        await commitFile(
-            token, owner, repo, branch, icon.repoPath, icon.content,
-            `chore: update display icon for ${plan.id}`, iconSha
-        );
+const buildCommitMessage = function (pluginId, repoUrl, {isNew, replaced, approvedNeeded}) {
+    let subject = null;
+    if (isNew) {
+        subject = `feat: add ${repoUrl}`;
+    } else if (replaced) {
+        subject = `feat: move ${replaced} to ${repoUrl}`;
+    }
+    if (!subject) {
+        return `chore: update display baseline for ${pluginId}`;
     }
+    return approvedNeeded ? `${subject}\n\nIncludes the display baseline for ${pluginId}.` : subject;
 };
 
 /**
@@ -376,46 +229,102 @@ const buildPRBody = () => generatePublishPRBody();
 /**
  * Create PR
  * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
  * @param {string} username - GitHub username
  * @param {string} branch - Branch name
- * @param {object} packageInfo - Package information
+ * @param {string} title - PR title
  * @returns {string} PR URL
  */
-const createPR = async function (token, username, branch, packageInfo) {
-    const title = generatePRTitle('publish', packageInfo.openblock.id, packageInfo.version);
+const createPR = async function (token, registry, username, branch, title) {
     const body = buildPRBody();
 
-    const response = await fetch(
-        `https://api.github.com/repos/${REGISTRY_OWNER}/${REGISTRY_REPO}/pulls`,
-        {
-            method: 'POST',
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                title: title,
-                body: body,
-                head: `${username}:${branch}`,
-                base: REGISTRY_BRANCH
-            })
+    const {data} = await request(token, 'POST', `/repos/${registry.owner}/${registry.repo}/pulls`, {
+        action: 'create PR',
+        body: {
+            title: title,
+            body: body,
+            head: `${username}:${branch}`,
+            base: registry.branch
         }
-    );
+    });
+    return data.html_url;
+};
 
-    if (!response.ok) {
-        const error = await response.json();
-        // Show detailed error information from GitHub API
-        let errorDetails = error.message || response.status;
-        if (error.errors && error.errors.length > 0) {
-            errorDetails += `\n${error.errors.map(e => `  - ${e.message || JSON.stringify(e)}`).join('\n')}`;
+/**
+ * Commit a change set to a branch of the user's fork and open (or refresh) the
+ * PR for it. Shared by publish, unpublish and deprecate.
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {string} username - GitHub username (fork owner)
+ * @param {object} submission - What to submit
+ * @param {string} submission.branchName - Branch in the fork
+ * @param {object|null} submission.existingPR - Open PR for the branch, if any
+ * @param {Array<object>} submission.files - Change set for createTreeCommit
+ * @param {string} submission.message - Commit message
+ * @param {string} submission.title - Title for a new PR
+ * @param {boolean} [submission.rebuild] - Rebuild the branch from the registry even under an open PR
+ *   (for change sets computed entirely from the registry's current state)
+ * @param {object} [options] - Options
+ * @param {Function} [options.onProgress] - Progress callback (message), e.g. while waiting for the fork
+ * @param {Function} [options.onWarning] - Warning callback (message), e.g. for a fork that cannot be synced
+ * @returns {Promise<object>} PR result {url, isUpdate, skipped, closed}. url is null when skipped, unless an
+ *   open PR was closed (closed is then true) because the registry already has everything it would change
+ */
+const submitChanges = async function (token, registry, username, submission, options = {}) {
+    const {branchName, existingPR, files, message, title, rebuild = false} = submission;
+
+    // 1. Fork the registry (if not already forked) and wait until the fork is
+    //    readable; an existing fork that has fallen far behind is synced first
+    await ensureFork(token, registry, username, {onProgress: options.onProgress, onWarning: options.onWarning});
+
+    // 2. Check if branch exists
+    const branchAlreadyExists = await branchExists(token, username, registry.repo, branchName);
+
+    // 3. Pick the parent commit. An open PR keeps its branch history (replacing
+    //    it would rewrite what reviewers already saw); otherwise the branch is
+    //    rebuilt from the latest registry commit.
+    const keepHistory = branchAlreadyExists && Boolean(existingPR) && !rebuild;
+    const parentSha = keepHistory ?
+        await getLatestCommitSha(token, username, registry.repo, branchName) :
+        await getLatestCommitSha(token, registry.owner, registry.repo, registry.branch);
+
+    // 4. Write every change as one commit. Nothing is visible on the branch
+    //    until the ref moves, so a failure here leaves the branch (and any open
+    //    PR) as it was.
+    let commitSha = parentSha;
+    if (files.length > 0) {
+        ({sha: commitSha} = await createTreeCommit(token, username, registry.repo, {parentSha, files, message}));
+    }
+
+    // The registry already has exactly this content: a PR would be empty. An
+    // open PR rebuilt from the registry would be left empty too, so it is
+    // closed instead of having its branch moved.
+    if (commitSha === parentSha && !keepHistory) {
+        if (!existingPR) {
+            return {url: null, isUpdate: false, skipped: true, closed: false};
         }
-        throw new Error(`Failed to create PR: ${errorDetails}`);
+        const url = await closePR(token, registry, existingPR.number);
+        return {url, isUpdate: false, skipped: true, closed: true};
     }
 
-    const data = await response.json();
-    return data.html_url;
+    // 5. Point the branch at the new commit. A leftover branch without an open
+    //    PR is force-moved onto the fresh history in one step.
+    if (!branchAlreadyExists) {
+        await createBranch(token, username, registry.repo, branchName, commitSha);
+    } else if (commitSha !== parentSha || !keepHistory) {
+        await updateBranch(token, username, registry.repo, branchName, commitSha, !keepHistory);
+    }
+
+    // 6. Create or update Pull Request
+    let prUrl;
+    if (existingPR) {
+        // Update existing PR body with new information
+        prUrl = await updatePRBody(token, registry, existingPR.number, buildPRBody());
+    } else {
+        prUrl = await createPR(token, registry, username, branchName, title);
+    }
+
+    return {url: prUrl, isUpdate: Boolean(existingPR), skipped: false, closed: false};
 };
 
 /**
@@ -425,84 +334,215 @@ const createPR = async function (token, username, branch, packageInfo) {
  * @param {object} packageInfo - Package information from package.json
  * @param {string} repoUrl - GitHub repository URL (validated)
  * @param {object|null} approvedPlan - Plan from resolveApprovedPlan (or null)
- * @returns {{url: string, isUpdate: boolean, isNew: boolean, skipped: boolean}} PR result
+ * @param {object} [options] - Options
+ * @param {Function} [options.onProgress] - Progress callback (message), e.g. while waiting for the fork
+ * @param {Function} [options.onWarning] - Warning callback (message)
+ * @param {string|null} [options.previousRepoUrl] - Registered URL of a renamed/transferred repository
+ * @returns {object} PR result {url, isUpdate, isNew, replaced, skipped, closed} (see submitChanges); replaced
+ *   is the old URL swapped out of registry.json, or null
  */
-const createPullRequest = async function (token, packageInfo, repoUrl, approvedPlan = null) {
+const createPullRequest = async function (token, packageInfo, repoUrl, approvedPlan = null, options = {}) {
     const openblock = packageInfo.openblock;
     const pluginId = openblock.id || openblock.deviceId || openblock.extensionId;
     const pluginType = openblock.deviceId ? 'device' : 'extension';
 
+    const registry = getRegistryProfile();
+
     // Get authenticated user
     const user = await getAuthenticatedUser(token);
     const branchName = `publish/${pluginId}`;
 
     // 1. Check if there's an existing open PR for this branch
-    const existingPR = await findExistingPR(token, user.login, branchName);
+    const existingPR = await findExistingPR(token, registry, user.login, branchName);
 
-    // 2. Get current registry.json from upstream main and check if the URL is
+    // 2. Get current registry.json from the registry branch and check if the URL is
     //    already registered. The registry only stores repository URLs; new
     //    versions are picked up automatically from git tags by the daily scan.
-    const registryJson = await getRegistryJson(token, REGISTRY_OWNER, REGISTRY_REPO, REGISTRY_BRANCH);
-    const {registry: updatedRegistry, isNew} = updateRegistryJson(registryJson, repoUrl, pluginType);
+    const registryJson = await getRegistryJson(registry);
+    const {registry: updatedRegistry, isNew, replaced} = updateRegistryJson(
+        registryJson, repoUrl, pluginType, options.previousRepoUrl
+    );
+    const registryChanged = isNew || Boolean(replaced);
 
     // A PR is only needed when something changes: a new repo registration, a
-    // display-baseline update, or an already-open PR to refresh. An already-
-    // registered repo whose display is unchanged needs nothing — new code flows
-    // from git tags automatically.
+    // renamed/transferred repo, a display-baseline update, or an already-open
+    // PR to refresh. An already-registered repo whose display is unchanged
+    // needs nothing — new code flows from git tags automatically.
     const approvedNeeded = Boolean(approvedPlan && approvedPlan.needsUpdate);
-    if (!isNew && !approvedNeeded && !existingPR) {
-        return {url: null, isUpdate: false, isNew: false, skipped: true};
+    if (!registryChanged && !approvedNeeded && !existingPR) {
+        return {url: null, isUpdate: false, isNew: false, replaced: null, skipped: true, closed: false};
     }
 
-    // 3. Fork the registry (if not already forked)
-    await ensureFork(token, user.login);
-
-    // 4. Check if branch exists
-    const branchAlreadyExists = await branchExists(token, user.login, REGISTRY_REPO, branchName);
-
-    // 5. Get the latest commit SHA from main branch
-    const baseSha = await getLatestCommitSha(token, REGISTRY_OWNER, REGISTRY_REPO, REGISTRY_BRANCH);
-
-    // 6. Handle branch creation/recreation
-    if (branchAlreadyExists) {
-        if (existingPR) {
-            // If there's an existing open PR, DON'T delete the branch (it would close the PR)
-            // Just update the branch content by committing new changes
-        } else {
-            // No open PR, safe to delete and recreate branch
-            await deleteBranch(token, user.login, REGISTRY_REPO, branchName);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            await createBranch(token, user.login, REGISTRY_REPO, branchName, baseSha);
+    // 3. Only touch registry.json on a new registration or a moved repository;
+    //    always include the display baseline when it needs updating.
+    const result = await submitChanges(token, registry, user.login, {
+        branchName,
+        existingPR,
+        files: buildChangeSet(registryChanged ? updatedRegistry : null, approvedNeeded ? approvedPlan : null),
+        message: buildCommitMessage(pluginId, repoUrl, {isNew, replaced, approvedNeeded}),
+        title: generatePRTitle('publish', pluginId, packageInfo.version)
+    }, options);
+
+    return {...result, isNew, replaced};
+};
+
+/**
+ * Find the registry.json entry for a repository, whatever URL form it was
+ * registered with.
+ * @param {object} registryJson - Current registry.json
+ * @param {string} repoUrl - Repository URL
+ * @param {string} pluginType - Plugin type ('device' or 'extension')
+ * @returns {string|null} Registered URL, or null if the repository is not registered
+ */
+const findRegisteredUrl = function (registryJson, repoUrl, pluginType) {
+    const collection = registryJson[pluginType === 'device' ? 'devices' : 'extensions'] || [];
+    const target = normalizeRepoUrl(repoUrl);
+    return collection.find(url => normalizeRepoUrl(url) === target) || null;
+};
+
+/**
+ * List the registry files that belong to a plugin id: its approved baseline,
+ * the icon copies next to it and any deprecation notice.
+ * @param {string} token - GitHub token
+ * @param {object} registry - Registry profile
+ * @param {string} pluginId - Plugin ID
+ * @returns {Promise<Array<string>>} Repository paths
+ */
+const listPluginFiles = async function (token, registry, pluginId) {
+    const paths = [];
+    const repoPath = `/repos/${registry.owner}/${registry.repo}/contents`;
+
+    const {status, data: approved} = await request(token, 'GET', `${repoPath}/approved?ref=${registry.branch}`, {
+        action: 'list approved baselines',
+        allowStatus: [404]
+    });
+    if (status === 200 && Array.isArray(approved)) {
+        // approved/{id}.json plus approved/{id}.{iconField}{ext} (see approved-baseline)
+        const iconPrefixes = ICON_FIELDS.map(field => `${pluginId}.${field}.`);
+        for (const entry of approved) {
+            const isIcon = iconPrefixes.some(prefix =>
+                entry.name.startsWith(prefix) && !entry.name.slice(prefix.length).includes('.'));
+            if (entry.name === `${pluginId}.json` || isIcon) {
+                paths.push(entry.path);
+            }
         }
-    } else {
-        // Branch doesn't exist, create it
-        await createBranch(token, user.login, REGISTRY_REPO, branchName, baseSha);
     }
 
-    // 7. Commit changes. Only touch registry.json on a new registration (an
-    //    identical re-commit would be rejected as a no-op); always (re)commit the
-    //    display baseline when it needs updating.
-    if (isNew) {
-        await commitRegistryChanges(token, user.login, REGISTRY_REPO, branchName, updatedRegistry, repoUrl);
+    const notice = await request(token, 'GET', `${repoPath}/${deprecationPath(pluginId)}?ref=${registry.branch}`, {
+        action: 'check deprecation notice',
+        allowStatus: [404]
+    });
+    if (notice.status === 200) {
+        paths.push(deprecationPath(pluginId));
     }
-    if (approvedNeeded) {
-        await commitApprovedBaseline(token, user.login, REGISTRY_REPO, branchName, approvedPlan);
+    return paths;
+};
+
+/**
+ * Create a Pull Request removing a plugin from the registry: its registry.json
+ * entry, its approved baseline and icons, and any deprecation notice.
+ * @param {string} token - GitHub token
+ * @param {object} packageInfo - Package information from package.json
+ * @param {string} repoUrl - Repository URL
+ * @param {object} [options] - Options
+ * @param {Function} [options.onProgress] - Progress callback (message)
+ * @param {Function} [options.onWarning] - Warning callback (message)
+ * @returns {Promise<object>} PR result {url, isUpdate, skipped, closed, removed} (see submitChanges); removed
+ *   lists the entries taken out
+ */
+const createUnpublishPullRequest = async function (token, packageInfo, repoUrl, options = {}) {
+    const {id: pluginId, pluginType} = packageInfo.openblock;
+    const registry = getRegistryProfile();
+
+    const user = await getAuthenticatedUser(token);
+    const branchName = `unpublish/${pluginId}`;
+    const existingPR = await findExistingPR(token, registry, user.login, branchName);
+
+    const registryJson = await getRegistryJson(registry);
+    const registeredUrl = findRegisteredUrl(registryJson, repoUrl, pluginType);
+    const files = [];
+    const removed = [];
+    if (registeredUrl) {
+        const collectionName = pluginType === 'device' ? 'devices' : 'extensions';
+        registryJson[collectionName] = registryJson[collectionName].filter(url => url !== registeredUrl);
+        files.push({path: REGISTRY_FILE, content: JSON.stringify(registryJson, null, 4)});
+        removed.push(`${REGISTRY_FILE}: ${registeredUrl}`);
+    }
+    for (const filePath of await listPluginFiles(token, registry, pluginId)) {
+        files.push({path: filePath, delete: true});
+        removed.push(filePath);
     }
 
-    // 8. Create or update Pull Request
-    let prUrl;
-    if (existingPR) {
-        // Update existing PR body with new information
-        const body = buildPRBody();
-        prUrl = await updatePRBody(token, existingPR.number, body);
-    } else {
-        // Create new Pull Request
-        prUrl = await createPR(token, user.login, branchName, packageInfo);
+    if (files.length === 0 && !existingPR) {
+        return {url: null, isUpdate: false, skipped: true, closed: false, removed};
     }
 
-    return {url: prUrl, isUpdate: !!existingPR, isNew, skipped: false};
+    const result = await submitChanges(token, registry, user.login, {
+        branchName,
+        existingPR,
+        files,
+        message: `feat: remove ${registeredUrl || repoUrl}`,
+        title: generatePRTitle('unpublish', pluginId),
+        // Deletions are listed from the registry branch, so apply them there
+        rebuild: true
+    }, options);
+    return {...result, removed};
+};
+
+/**
+ * Create a Pull Request recording a deprecation notice for a plugin
+ * (deprecated/{id}.json). The plugin stays installable; the registry surfaces
+ * the message and the suggested replacement.
+ * @param {string} token - GitHub token
+ * @param {object} packageInfo - Package information from package.json
+ * @param {string} repoUrl - Repository URL
+ * @param {object} deprecation - Deprecation details
+ * @param {string} deprecation.message - Why the plugin is deprecated
+ * @param {string|null} [deprecation.replacement] - Id of the plugin to use instead
+ * @param {object} [options] - Options
+ * @param {Function} [options.onProgress] - Progress callback (message)
+ * @param {Function} [options.onWarning] - Warning callback (message)
+ * @returns {Promise<object>} PR result {url, isUpdate, skipped, closed} (see submitChanges)
+ * @throws {Error} If the repository is not registered
+ */
+const createDeprecatePullRequest = async function (token, packageInfo, repoUrl, deprecation, options = {}) {
+    const {id: pluginId, pluginType} = packageInfo.openblock;
+    const registry = getRegistryProfile();
+
+    const registryJson = await getRegistryJson(registry);
+    const registeredUrl = findRegisteredUrl(registryJson, repoUrl, pluginType);
+    if (!registeredUrl) {
+        throw new Error(
+            `${repoUrl} is not registered in ${registry.owner}/${registry.repo}.\n` +
+            '   Only published plugins can be deprecated.'
+        );
+    }
+
+    const user = await getAuthenticatedUser(token);
+    const branchName = `deprecate/${pluginId}`;
+    const existingPR = await findExistingPR(token, registry, user.login, branchName);
+
+    const notice = {
+        id: pluginId,
+        type: `${pluginType}s`,
+        repository: registeredUrl,
+        message: deprecation.message,
+        replacement: deprecation.replacement || null
+    };
+
+    return submitChanges(token, registry, user.login, {
+        branchName,
+        existingPR,
+        files: [{path: deprecationPath(pluginId), content: `${JSON.stringify(notice, null, 4)}\n`}],
+        message: `chore: deprecate ${pluginId}`,
+        title: generatePRTitle('deprecate', pluginId),
+        rebuild: true
+    }, options);
 };
 
 module.exports = {
-    createPullRequest
+    createPullRequest,
+    createUnpublishPullRequest,
+    createDeprecatePullRequest,
+    findPublishPR
 };
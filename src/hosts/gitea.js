@@ -0,0 +1,83 @@
+/**
+ * Gitea source host (self-managed Gitea, Forgejo, Codeberg)
+ */
+
+const {getJson} = require('./http');
+
+/**
+ * Create a Gitea source host.
+ * @param {object} options - Host options
+ * @param {string} options.hostname - Web hostname
+ * @param {string} [options.apiBase] - REST API base URL (default https://hostname/api/v1)
+ * @returns {object} Source host
+ */
+const createGiteaHost = function ({hostname, apiBase = `https://${hostname}/api/v1`}) {
+    return {
+        type: 'gitea',
+        hostname,
+        apiBase,
+
+        /**
+         * Split repository path segments into owner and repo
+         * @param {string[]} segments - URL path segments
+         * @returns {object|null} {owner, repo}, or null if the path names no repository
+         */
+        parsePath (segments) {
+            if (segments.length < 2) {
+                return null;
+            }
+            return {owner: segments[0], repo: segments[1]};
+        },
+
+        /**
+         * Canonical web URL of a repository
+         * @param {object} ref - {owner, repo}
+         * @returns {string} https://hostname/owner/repo
+         */
+        canonicalUrl ({owner, repo}) {
+            return `https://${hostname}/${owner}/${repo}`;
+        },
+
+        /**
+         * Look up a repository
+         * @param {string} owner - Owner
+         * @param {string} repo - Repository name
+         * @returns {Promise<object|null>} Repository info, or null if it does not exist or is not visible
+         */
+        async getRepository (owner, repo) {
+            const {status, data} = await getJson(`${apiBase}/repos/${owner}/${repo}`, `look up ${owner}/${repo}`);
+            if (status === 404) {
+                return null;
+            }
+            return {
+                id: data.id,
+                owner: data.owner.login,
+                repo: data.name,
+                fullName: data.full_name,
+                htmlUrl: data.html_url,
+                defaultBranch: data.default_branch,
+                description: data.description,
+                isPublic: !data.private && !data.internal
+            };
+        },
+
+        /**
+         * Check that a tag exists on the host
+         * @param {string} owner - Owner
+         * @param {string} repo - Repository name
+         * @param {string} tag - Tag name
+         * @returns {Promise<boolean>} True if the tag exists
+         */
+        async tagExists (owner, repo, tag) {
+            const {status} = await getJson(
+                `${apiBase}/repos/${owner}/${repo}/tags/${encodeURIComponent(tag)}`,
+                `look up tag ${tag}`
+            );
+            return status === 200;
+        }
+    };
+};
+
+module.exports = {
+    createGiteaHost
+};
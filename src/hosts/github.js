@@ -0,0 +1,117 @@
+/**
+ * GitHub and GitHub Enterprise source hosts
+ * Both speak the same REST API; Enterprise Server serves it under /api/v3 on
+ * the instance's own domain.
+ */
+
+const {request} = require('../github/client');
+
+/**
+ * Create a GitHub-API source host.
+ * @param {object} options - Host options
+ * @param {string} options.type - 'github' or 'github-enterprise'
+ * @param {string} options.hostname - Web hostname (github.com, github.example.org)
+ * @param {string} options.apiBase - REST API base URL
+ * @returns {object} Source host
+ */
+const createGitHubApiHost = function ({type, hostname, apiBase}) {
+    /**
+     * GET an API path anonymously; 404 is returned, not thrown
+     * @param {string} apiPath - Path below the API base
+     * @param {string} action - What the request does, for error messages
+     * @returns {Promise<{status: number, data: *}>} Response
+     */
+    const get = (apiPath, action) => request(null, 'GET', `${apiBase}${apiPath}`, {action, allowStatus: [404]});
+
+    return {
+        type,
+        hostname,
+        apiBase,
+
+        /**
+         * Split repository path segments into owner and repo
+         * @param {string[]} segments - URL path segments
+         * @returns {object|null} {owner, repo}, or null if the path names no repository
+         */
+        parsePath (segments) {
+            if (segments.length < 2) {
+                return null;
+            }
+            return {owner: segments[0], repo: segments[1]};
+        },
+
+        /**
+         * Canonical web URL of a repository
+         * @param {object} ref - {owner, repo}
+         * @returns {string} https://hostname/owner/repo
+         */
+        canonicalUrl ({owner, repo}) {
+            return `https://${hostname}/${owner}/${repo}`;
+        },
+
+        /**
+         * Look up a repository; renamed/transferred repositories are followed
+         * through GitHub's redirect.
+         * @param {string} owner - Owner
+         * @param {string} repo - Repository name
+         * @returns {Promise<object|null>} Repository info, or null if it does not exist or is not visible
+         */
+        async getRepository (owner, repo) {
+            const {status, data} = await get(`/repos/${owner}/${repo}`, `look up ${owner}/${repo}`);
+            if (status === 404) {
+                return null;
+            }
+            const [fullOwner, fullRepo] = data.full_name.split('/');
+            return {
+                id: data.id,
+                owner: fullOwner,
+                repo: fullRepo,
+                fullName: data.full_name,
+                htmlUrl: data.html_url,
+                defaultBranch: data.default_branch,
+                description: data.description,
+                isPublic: !data.private
+            };
+        },
+
+        /**
+         * Check that a tag exists on the host
+         * @param {string} owner - Owner
+         * @param {string} repo - Repository name
+         * @param {string} tag - Tag name
+         * @returns {Promise<boolean>} True if the tag exists
+         */
+        async tagExists (owner, repo, tag) {
+            const {status} = await get(
+                `/repos/${owner}/${repo}/git/ref/tags/${encodeURIComponent(tag)}`,
+                `look up tag ${tag}`
+            );
+            return status === 200;
+        }
+    };
+};
+
+/**
+ * Create the github.com source host.
+ * @param {object} [options] - Host options
+ * @param {string} [options.hostname] - Web hostname
+ * @param {string} [options.apiBase] - REST API base URL
+ * @returns {object} Source host
+ */
+const createGitHubHost = ({hostname = 'github.com', apiBase = 'https://api.github.com'} = {}) =>
+    createGitHubApiHost({type: 'github', hostname, apiBase});
+
+/**
+ * Create a GitHub Enterprise Server source host.
+ * @param {object} options - Host options
+ * @param {string} options.hostname - Web hostname
+ * @param {string} [options.apiBase] - REST API base URL (default https://hostname/api/v3)
+ * @returns {object} Source host
+ */
+const createGitHubEnterpriseHost = ({hostname, apiBase = `https://${hostname}/api/v3`}) =>
+    createGitHubApiHost({type: 'github-enterprise', hostname, apiBase});
+
+module.exports = {
+    createGitHubHost,
+    createGitHubEnterpriseHost
+};
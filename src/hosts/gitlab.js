@@ -0,0 +1,95 @@
+/**
+ * GitLab source host (gitlab.com or self-managed)
+ * Projects can live in nested groups, so the owner is every path segment but
+ * the last ("group/subgroup"); the API addresses a project by its URL-encoded
+ * full path.
+ */
+
+const {getJson} = require('./http');
+
+/**
+ * Create a GitLab source host.
+ * @param {object} options - Host options
+ * @param {string} options.hostname - Web hostname
+ * @param {string} [options.apiBase] - REST API base URL (default https://hostname/api/v4)
+ * @returns {object} Source host
+ */
+const createGitLabHost = function ({hostname, apiBase = `https://${hostname}/api/v4`}) {
+    const projectPath = (owner, repo) => `${apiBase}/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+
+    return {
+        type: 'gitlab',
+        hostname,
+        apiBase,
+
+        /**
+         * Split repository path segments into owner (group path) and repo
+         * @param {string[]} segments - URL path segments
+         * @returns {object|null} {owner, repo}, or null if the path names no project
+         */
+        parsePath (segments) {
+            // Drop web UI suffixes such as /-/tree/main
+            const dash = segments.indexOf('-');
+            const projectSegments = dash === -1 ? segments : segments.slice(0, dash);
+            if (projectSegments.length < 2) {
+                return null;
+            }
+            return {
+                owner: projectSegments.slice(0, -1).join('/'),
+                repo: projectSegments[projectSegments.length - 1]
+            };
+        },
+
+        /**
+         * Canonical web URL of a project
+         * @param {object} ref - {owner, repo}
+         * @returns {string} https://hostname/group/project
+         */
+        canonicalUrl ({owner, repo}) {
+            return `https://${hostname}/${owner}/${repo}`;
+        },
+
+        /**
+         * Look up a project
+         * @param {string} owner - Group path
+         * @param {string} repo - Project path
+         * @returns {Promise<object|null>} Repository info, or null if it does not exist or is not visible
+         */
+        async getRepository (owner, repo) {
+            const {status, data} = await getJson(projectPath(owner, repo), `look up ${owner}/${repo}`);
+            if (status === 404) {
+                return null;
+            }
+            const segments = data.path_with_namespace.split('/');
+            return {
+                id: data.id,
+                owner: segments.slice(0, -1).join('/'),
+                repo: segments[segments.length - 1],
+                fullName: data.path_with_namespace,
+                htmlUrl: data.web_url,
+                defaultBranch: data.default_branch,
+                description: data.description,
+                isPublic: data.visibility === 'public'
+            };
+        },
+
+        /**
+         * Check that a tag exists on the host
+         * @param {string} owner - Group path
+         * @param {string} repo - Project path
+         * @param {string} tag - Tag name
+         * @returns {Promise<boolean>} True if the tag exists
+         */
+        async tagExists (owner, repo, tag) {
+            const {status} = await getJson(
+                `${projectPath(owner, repo)}/repository/tags/${encodeURIComponent(tag)}`,
+                `look up tag ${tag}`
+            );
+            return status === 200;
+        }
+    };
+};
+
+module.exports = {
+    createGitLabHost
+};
@@ -0,0 +1,39 @@
+/**
+ * Minimal JSON GET for source host APIs that do not go through the GitHub
+ * client (GitLab, Gitea).
+ */
+
+const {fetch} = require('../lib/network');
+
+/**
+ * GET a JSON document.
+ * @param {string} url - Absolute URL
+ * @param {string} what - What is being fetched, for error messages
+ * @returns {Promise<{status: number, data: *}>} Status and parsed body (null for 404)
+ * @throws {Error} If the server cannot be reached or answers with an error other than 404
+ */
+const getJson = async function (url, what) {
+    let response;
+    try {
+        response = await fetch(url, {
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'openblock-cli'
+            }
+        });
+    } catch (err) {
+        throw new Error(`Failed to ${what}: ${err.message}`);
+    }
+
+    if (response.status === 404) {
+        return {status: 404, data: null};
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to ${what}: ${response.status}`);
+    }
+    return {status: response.status, data: await response.json()};
+};
+
+module.exports = {
+    getJson
+};
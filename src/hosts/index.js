@@ -0,0 +1,93 @@
+/**
+ * Source hosts
+ * Where plugin repositories live. Every host adapter offers the same
+ * operations, so the validators do not care whether a plugin is on github.com,
+ * GitHub Enterprise, GitLab or Gitea:
+ *
+ *   parsePath(segments)          -> {owner, repo} | null
+ *   canonicalUrl({owner, repo})  -> "https://host/owner/repo"
+ *   getRepository(owner, repo)   -> {id, owner, repo, fullName, htmlUrl, defaultBranch, description, isPublic} | null
+ *   tagExists(owner, repo, tag)  -> boolean
+ *
+ * Hosts other than github.com and gitlab.com are declared with the `hosts`
+ * config key (see lib/config/hosts).
+ */
+
+const {getHostSettings} = require('../lib/config/hosts');
+const {parseRepositoryUrl} = require('./url');
+const {createGitHubHost, createGitHubEnterpriseHost} = require('./github');
+const {createGitLabHost} = require('./gitlab');
+const {createGiteaHost} = require('./gitea');
+
+const HOST_FACTORIES = {
+    'github': createGitHubHost,
+    'github-enterprise': createGitHubEnterpriseHost,
+    'gitlab': createGitLabHost,
+    'gitea': createGiteaHost
+};
+
+/**
+ * Create the adapter for a hostname.
+ * @param {string} hostname - Web hostname
+ * @param {object} [settings] - Host settings (defaults to getHostSettings())
+ * @returns {object|null} Source host, or null if the hostname is not a known host
+ */
+const getSourceHost = function (hostname, settings = getHostSettings()) {
+    const entry = settings[hostname.toLowerCase()];
+    if (!entry) {
+        return null;
+    }
+    const options = {hostname: hostname.toLowerCase()};
+    if (entry.apiBase) {
+        options.apiBase = entry.apiBase;
+    }
+    return HOST_FACTORIES[entry.type](options);
+};
+
+/**
+ * Resolve a repository URL to its host adapter and owner/repo.
+ * @param {string|object} repository - Repository URL or package.json repository field
+ * @param {object} [settings] - Host settings (defaults to getHostSettings())
+ * @returns {object|null} {host, owner, repo, url} with the canonical URL, or null if the URL is not
+ *   a repository on a known host
+ */
+const resolveRepository = function (repository, settings) {
+    const url = repository && typeof repository === 'object' ? repository.url : repository;
+    const parsed = parseRepositoryUrl(url);
+    if (!parsed) {
+        return null;
+    }
+    const host = getSourceHost(parsed.hostname, settings);
+    const ref = host && host.parsePath(parsed.segments);
+    if (!ref) {
+        return null;
+    }
+    return {host, owner: ref.owner, repo: ref.repo, url: host.canonicalUrl(ref)};
+};
+
+/**
+ * Host-qualified, case-insensitive identifier of a repository URL, for
+ * comparing URLs written in different forms.
+ * @param {string|object} repository - Repository URL or package.json repository field
+ * @returns {string|null} "hostname/owner/repo" in lower case, or null if not a known repository URL
+ */
+const repositoryKey = function (repository) {
+    const resolved = resolveRepository(repository);
+    if (!resolved) {
+        return null;
+    }
+    return `${resolved.host.hostname}/${resolved.owner}/${resolved.repo}`.toLowerCase();
+};
+
+/**
+ * List the hostnames plugins may be hosted on
+ * @returns {string[]} Hostnames
+ */
+const listKnownHosts = () => Object.keys(getHostSettings());
+
+module.exports = {
+    getSourceHost,
+    resolveRepository,
+    repositoryKey,
+    listKnownHosts
+};
@@ -0,0 +1,53 @@
+/**
+ * Repository URL parsing shared by every source host
+ * Splits the URL forms found in package.json `repository` fields into a
+ * hostname and a repository path:
+ *
+ *   https://host/owner/repo(.git)    git+https://host/owner/repo.git
+ *   git://host/owner/repo.git        ssh://git@host[:port]/owner/repo.git
+ *   git@host:owner/repo.git          host/owner/repo
+ */
+
+// scp-like SSH syntax: [user@]host:path (no scheme)
+const SCP_PATTERN = /^(?:[^@/\s]+@)?([^:/\s]+):(?!\/)(.+)$/;
+
+/**
+ * Parse a repository URL into hostname and path segments.
+ * @param {string} url - Repository URL
+ * @returns {object|null} {hostname, segments} with the .git suffix removed, or null if unparseable
+ */
+const parseRepositoryUrl = function (url) {
+    if (typeof url !== 'string' || !url.trim()) {
+        return null;
+    }
+    const raw = url.trim().replace(/^git\+/, '');
+
+    let hostname;
+    let pathname;
+    const scp = raw.includes('://') ? null : raw.match(SCP_PATTERN);
+    if (scp) {
+        [, hostname, pathname] = scp;
+    } else {
+        let parsed;
+        try {
+            parsed = new URL(raw.includes('://') ? raw : `https://${raw}`);
+        } catch (e) {
+            return null;
+        }
+        if (!['https:', 'http:', 'git:', 'ssh:'].includes(parsed.protocol)) {
+            return null;
+        }
+        hostname = parsed.hostname;
+        pathname = parsed.pathname;
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    if (segments.length > 0) {
+        segments[segments.length - 1] = segments[segments.length - 1].replace(/\.git$/, '');
+    }
+    return {hostname: hostname.toLowerCase(), segments};
+};
+
+module.exports = {
+    parseRepositoryUrl
+};
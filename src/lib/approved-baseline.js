@@ -10,11 +10,19 @@
 
 const path = require('path');
 const fs = require('fs');
-const fetch = require('node-fetch');
 
 const {extractDisplay, listIconFields, hashIconBytes, buildApprovedRecord} = require('./display-manifest');
+const {getRegistryProfile} = require('./config/registry');
+const {normalizeRepoUrl} = require('../validators/id-uniqueness');
+const {fetch} = require('./network');
+const {writeRegistryCache, readRegistryCache} = require('./registry-cache');
 
-const REGISTRY_RAW_BASE = 'https://raw.githubusercontent.com/openblockcc/openblock-registry/main';
+/**
+ * URL of the committed approved baseline for an id in the configured registry.
+ * @param {string} id - Plugin id
+ * @returns {string} Raw file URL
+ */
+const approvedBaselineUrl = id => `${getRegistryProfile().rawBase}/approved/${id}.json`;
 
 /**
  * Build the approved record for the plugin in `pluginDir` from its package.json,
@@ -50,6 +58,36 @@ const buildLocalApproved = (packageInfo, repoUrl, pluginDir) => {
     return {record, iconFiles};
 };
 
+/**
+ * Load the registry's currently-committed approved baseline for an id,
+ * keeping a copy for offline use, or, offline, the copy kept last time.
+ * @param {string} id - Plugin id
+ * @param {object} [options] - Options
+ * @param {boolean} [options.offline] - Read the cached copy instead of fetching
+ * @returns {Promise<object|null>} {record, fetchedAt}: record is null if the registry has no
+ *   baseline yet; fetchedAt is the Date of a cached copy, null when fetched now. Null if offline
+ *   with nothing cached.
+ * @throws {Error} If the registry cannot be reached
+ */
+const loadRegistryApproved = async (id, options = {}) => {
+    const name = `approved/${id}.json`;
+    if (options.offline) {
+        const cached = readRegistryCache(name);
+        return cached ? {record: cached.data, fetchedAt: cached.fetchedAt} : null;
+    }
+    const response = await fetch(approvedBaselineUrl(id));
+    if (response.status === 404) {
+        writeRegistryCache(name, null);
+        return {record: null, fetchedAt: null};
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${name}: ${response.status}`);
+    }
+    const record = await response.json();
+    writeRegistryCache(name, record);
+    return {record, fetchedAt: null};
+};
+
 /**
  * Fetch the registry's currently-committed approved baseline for an id.
  * @param {string} id - Plugin id
@@ -57,23 +95,22 @@ const buildLocalApproved = (packageInfo, repoUrl, pluginDir) => {
  */
 const fetchRegistryApproved = async id => {
     try {
-        const response = await fetch(`${REGISTRY_RAW_BASE}/approved/${id}.json`);
-        if (response.status === 404 || !response.ok) {
-            return null;
-        }
-        return await response.json();
+        return (await loadRegistryApproved(id)).record;
     } catch (err) {
         return null;
     }
 };
 
 /**
- * Decide whether the committed baseline needs updating.
+ * Decide whether the committed baseline needs updating: the display changed,
+ * or the repository was renamed/transferred and the recorded URL is stale.
  * @param {object} local - Locally built approved record
  * @param {object|null} remote - Registry's committed approved record (or null)
  * @returns {boolean} True if a baseline-update PR is required
  */
-const approvedNeedsUpdate = (local, remote) => !remote || remote.displayHash !== local.displayHash;
+const approvedNeedsUpdate = (local, remote) => !remote ||
+    remote.displayHash !== local.displayHash ||
+    normalizeRepoUrl(remote.repository) !== normalizeRepoUrl(local.repository);
 
 /**
  * Resolve the full baseline plan for a publish: local record, icon files, and
@@ -95,8 +132,9 @@ const resolveApprovedPlan = async (packageInfo, repoUrl, pluginDir) => {
 };
 
 module.exports = {
-    REGISTRY_RAW_BASE,
+    approvedBaselineUrl,
     buildLocalApproved,
+    loadRegistryApproved,
     fetchRegistryApproved,
     approvedNeedsUpdate,
     resolveApprovedPlan
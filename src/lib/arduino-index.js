@@ -6,7 +6,7 @@
  * https://downloads.arduino.cc/libraries/library_index.json
  */
 
-const fetch = require('node-fetch');
+const {fetch} = require('./network');
 
 const ARDUINO_LIBRARY_INDEX_URL = 'https://downloads.arduino.cc/libraries/library_index.json';
 
@@ -0,0 +1,225 @@
+/**
+ * Static analysis of a plugin's Blockly files
+ * Finds the block types a blocks file defines, the blocks a toolbox offers
+ * and the block types a generator file implements, without running any of
+ * them. JavaScript is parsed (see lib/js-syntax) and plugin code is matched
+ * in a handful of well-known shapes on its syntax tree:
+ *
+ *   blocks     Blockly.Blocks.type = / Blockly.Blocks['type'] = assignments,
+ *              JSON definitions passed to defineBlocksWithJsonArray, or a
+ *              .json file holding an array of definitions
+ *   toolbox    XML <block type="…"> / <shadow type="…"> elements, in an .xml
+ *              file or in the strings of a script, or JSON toolbox entries
+ *              {kind: 'block', type: '…'}
+ *   generator  Blockly.Arduino.type = / Blockly.Python['type'] = /
+ *              ….forBlock['type'] = assignments, for any generator
+ *
+ * Only toolbox XML is matched textually. Every entry found is {type, line},
+ * with the 1-based line of the match.
+ */
+
+const path = require('path');
+
+const {parseSource, parseExpression, walk} = require('./js-syntax');
+
+// Members of a generator that are not block types: includes_, ORDER_ATOMIC, INDENT, ...
+const GENERATOR_MEMBER = /(_$|^[A-Z][A-Z0-9_]*$)/;
+
+// Blockly namespaces assigned to like generators, which are not
+const NOT_GENERATORS = ['Blocks', 'Msg', 'Extensions', 'Constants', 'Themes'];
+
+// XML block and shadow elements; the quotes may be escaped inside a script string
+const XML_ELEMENT = /<(block|shadow)\b[^>]*?\btype\s*=\s*\\?["']([^"'\\]+)\\?["']/;
+
+/**
+ * Value of a string literal, or of a template literal without substitutions
+ * @param {object} node - Expression node
+ * @returns {string|null} The string, or null when it is not a constant string
+ */
+const staticString = function (node) {
+    if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+};
+
+/**
+ * Name of the member a member expression or an object property refers to,
+ * `.name`, `['name']` or `name:`
+ * @param {object} node - MemberExpression or Property node
+ * @returns {string|null} Name, or null when it is only known at run time
+ */
+const memberName = function (node) {
+    const key = node.type === 'MemberExpression' ? node.property : node.key;
+    if (!node.computed && key.type === 'Identifier') return key.name;
+    return staticString(key);
+};
+
+/**
+ * Whether a node is the identifier or member of a given name, such as
+ * `Blocks` in `Blocks` or `Blockly.Blocks`
+ * @param {object} node - Expression node
+ * @param {string} name - Name
+ * @returns {boolean} Whether it is
+ */
+const isNamed = function (node, name) {
+    if (node.type === 'Identifier') return node.name === name;
+    return node.type === 'MemberExpression' && memberName(node) === name;
+};
+
+/**
+ * The property of an object literal with a given key
+ * @param {object} node - ObjectExpression node
+ * @param {string} name - Key
+ * @returns {object|undefined} Property node
+ */
+const propertyOf = function (node, name) {
+    return node.properties.find(property => property.type === 'Property' && memberName(property) === name);
+};
+
+/**
+ * Collect every `target = value` assignment whose target passes a test
+ * @param {object} ast - Syntax tree
+ * @param {Function} typeOf - Picks the block type from the MemberExpression assigned to, or null to ignore it
+ * @returns {Array<object>} Entries {type, line}
+ */
+const collectAssignments = function (ast, typeOf) {
+    const entries = [];
+    walk(ast, node => {
+        if (node.type !== 'AssignmentExpression' || node.operator !== '=' ||
+            node.left.type !== 'MemberExpression') return;
+        const type = typeOf(node.left);
+        if (type) entries.push({type, line: node.left.loc.start.line});
+    });
+    return entries;
+};
+
+/**
+ * Blank out XML comments, keeping the length of every line
+ * @param {string} text - XML, or script text holding XML
+ * @returns {string} Text without comments
+ */
+const stripXmlComments = function (text) {
+    return text.replace(/<!--[\s\S]*?(?:-->|$)/g, comment => comment.replace(/[^\n]/g, ' '));
+};
+
+/**
+ * Find the XML block and shadow elements in a piece of text
+ * @param {string} text - Text as written in the file
+ * @param {number} firstLine - Line the text starts on
+ * @returns {Array<object>} Entries {type, line, shadow}
+ */
+const findXmlBlocks = function (text, firstLine) {
+    const code = stripXmlComments(text);
+    const element = new RegExp(XML_ELEMENT, 'g');
+    const entries = [];
+    let match;
+    while ((match = element.exec(code)) !== null) {
+        const line = firstLine + code.slice(0, match.index).split('\n').length - 1;
+        entries.push({type: match[2], line, shadow: match[1] === 'shadow'});
+    }
+    return entries;
+};
+
+/**
+ * Block types defined by a blocks file
+ * @param {string} source - File content
+ * @param {string} [fileName] - File name; a .json file is read as an array of definitions
+ * @returns {Array<object>} Definitions {type, line}, duplicates included
+ * @throws {SyntaxError} When the file cannot be parsed
+ */
+const findBlockDefinitions = function (source, fileName = '') {
+    if (path.extname(fileName).toLowerCase() === '.json') {
+        // Rejects what is not JSON; the syntax tree gives the lines
+        JSON.parse(source);
+        const root = parseExpression(source);
+        const list = root.type === 'ArrayExpression' ? root.elements : [root];
+        return list
+            .filter(definition => definition && definition.type === 'ObjectExpression')
+            .map(definition => propertyOf(definition, 'type'))
+            .filter(property => property && staticString(property.value))
+            .map(property => ({type: staticString(property.value), line: property.loc.start.line}));
+    }
+
+    const ast = parseSource(source);
+    const assigned = collectAssignments(ast, target => isNamed(target.object, 'Blocks') && memberName(target));
+
+    // Only the top-level objects of defineBlocksWithJsonArray([...]) are
+    // definitions; nested "type"s describe arguments
+    const json = [];
+    walk(ast, node => {
+        if (node.type !== 'CallExpression' || !isNamed(node.callee, 'defineBlocksWithJsonArray') ||
+            !node.arguments.length || node.arguments[0].type !== 'ArrayExpression') return;
+        node.arguments[0].elements
+            .filter(definition => definition && definition.type === 'ObjectExpression')
+            .map(definition => propertyOf(definition, 'type'))
+            .filter(property => property && staticString(property.value))
+            .forEach(property => json.push({type: staticString(property.value), line: property.loc.start.line}));
+    });
+
+    return [...assigned, ...json].sort((a, b) => a.line - b.line);
+};
+
+/**
+ * Blocks offered by a toolbox
+ * @param {string} source - File content: XML, JSON, or a script holding XML or a JSON toolbox
+ * @param {string} [fileName] - File name; an .xml file is read as XML and a .json file as JSON
+ * @returns {Array<object>} Entries {type, line, shadow}; shadow is true for <shadow> elements
+ * @throws {SyntaxError} When a script or JSON file cannot be parsed
+ */
+const findToolboxBlocks = function (source, fileName = '') {
+    const extension = path.extname(fileName).toLowerCase();
+    if (extension === '.xml') {
+        return findXmlBlocks(source, 1);
+    }
+
+    const ast = extension === '.json' ? parseExpression(source) : parseSource(source);
+    const entries = [];
+    walk(ast, node => {
+        // XML in strings and templates, matched as written so lines stay right
+        if (node.type === 'Literal' && typeof node.value === 'string') {
+            entries.push(...findXmlBlocks(node.raw, node.loc.start.line));
+        } else if (node.type === 'TemplateElement') {
+            entries.push(...findXmlBlocks(node.value.raw, node.loc.start.line));
+        } else if (node.type === 'ObjectExpression') {
+            const kind = propertyOf(node, 'kind');
+            const type = propertyOf(node, 'type');
+            if (kind && type && staticString(kind.value) === 'block' && staticString(type.value)) {
+                entries.push({type: staticString(type.value), line: type.loc.start.line, shadow: false});
+            }
+        }
+    });
+    return entries.sort((a, b) => a.line - b.line);
+};
+
+/**
+ * Block type a generator assignment target implements: `Blockly.X.type`,
+ * `Blockly.X.forBlock.type` or, from Blockly 10, `generator.forBlock.type`
+ * @param {object} target - MemberExpression assigned to
+ * @returns {string|null} Block type, or null when the target is not a generator
+ */
+const generatedType = function (target) {
+    const type = memberName(target);
+    if (!type || GENERATOR_MEMBER.test(type)) return null;
+    if (isNamed(target.object, 'forBlock')) return type;
+    const owner = target.object;
+    const isGenerator = owner.type === 'MemberExpression' && isNamed(owner.object, 'Blockly') &&
+        !NOT_GENERATORS.includes(memberName(owner));
+    return isGenerator ? type : null;
+};
+
+/**
+ * Block types a generator file implements, in any generator language
+ * @param {string} source - File content
+ * @returns {Array<object>} Generators {type, line}
+ * @throws {SyntaxError} When the file cannot be parsed
+ */
+const findGenerators = function (source) {
+    return collectAssignments(parseSource(source), generatedType)
+        .sort((a, b) => a.line - b.line);
+};
+
+module.exports = {
+    findBlockDefinitions,
+    findToolboxBlocks,
+    findGenerators
+};
@@ -14,6 +14,7 @@ const DEFAULT_IGNORE_PATTERNS = [
     'node_modules',
     '.git',
     '.buildignore',
+    '.securityallow',
     'esbuild.config.js',
     'dist',
     '.eslintrc.js',
@@ -102,7 +102,8 @@ const createBuildOptions = (entries, outDir, options = {}) => {
         outExtension: {'.js': '.js'},
         logLevel: 'info',
         treeShaking: true,
-        metafile: !dev,
+        // Also in development: the third-party notices list the packages it names
+        metafile: true,
         plugins
     };
 
@@ -67,12 +67,14 @@ const resolveImagePath = basePath => {
 };
 
 /**
- * Compress image to target size using sharp
+ * Compress image to target size using sharp, lowering the quality first and
+ * then the dimensions
  * @param {string} imagePath - Path to image file
  * @param {number} targetSize - Target size in bytes
- * @returns {Promise<Buffer>} Compressed image buffer
+ * @returns {Promise<{buffer: Buffer, quality: number, scale: number}>} Compressed image buffer, with the
+ * quality and the scale (1 when not resized) it took
  */
-const compressImage = async (imagePath, targetSize) => {
+const compressImageWithDetails = async (imagePath, targetSize) => {
     // Dynamic import for sharp (ESM module)
     const sharp = (await import('sharp')).default;
 
@@ -108,7 +110,7 @@ const compressImage = async (imagePath, targetSize) => {
         }
 
         if (buffer.length <= targetSize) {
-            return buffer;
+            return {buffer, quality, scale: 1};
         }
 
         quality -= 10;
@@ -133,7 +135,7 @@ const compressImage = async (imagePath, targetSize) => {
         }
 
         if (buffer.length <= targetSize) {
-            return buffer;
+            return {buffer, quality: minQuality, scale};
         }
 
         scale -= 0.1;
@@ -146,6 +148,14 @@ const compressImage = async (imagePath, targetSize) => {
     );
 };
 
+/**
+ * Compress image to target size using sharp
+ * @param {string} imagePath - Path to image file
+ * @param {number} targetSize - Target size in bytes
+ * @returns {Promise<Buffer>} Compressed image buffer
+ */
+const compressImage = async (imagePath, targetSize) => (await compressImageWithDetails(imagePath, targetSize)).buffer;
+
 /**
  * Compress and copy an image file to the dist directory.
  * Skips files that are already remote URLs or base64 data URIs.
@@ -224,6 +234,7 @@ module.exports = {
     getMimeType,
     resolveImagePath,
     compressImage,
+    compressImageWithDetails,
     processImageFile,
     processPackageJsonImages
 };
@@ -3,9 +3,9 @@
  * Registers extension/device to local OpenBlock Resource Service for development
  */
 
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const {request} = require('../network');
 const {RESOURCE_SERVICE_HOST, RESOURCE_SERVICE_PORT} = require('../config/resource-service');
 
 /**
@@ -21,7 +21,7 @@ const checkResourceService = () => new Promise(resolve => {
         timeout: 3000
     };
 
-    const req = http.request(options, res => {
+    const req = request(options, res => {
         let data = '';
         res.on('data', chunk => {
             data += chunk;
@@ -127,7 +127,7 @@ const registerToResourceService = (projectDir, distDir) => new Promise(resolve =
             }
         };
 
-        const req = http.request(options, res => {
+        const req = request(options, res => {
             let data = '';
 
             res.on('data', chunk => {
@@ -199,7 +199,7 @@ const mergeToolchain = (platform, sourcePath) => new Promise(resolve => {
             }
         };
 
-        const req = http.request(options, res => {
+        const req = request(options, res => {
             let data = '';
 
             res.on('data', chunk => {
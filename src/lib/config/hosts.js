@@ -0,0 +1,87 @@
+/**
+ * Source host settings
+ * Tells the CLI which kind of server hosts plugin repositories on a given
+ * domain, for organizations that keep plugins on GitHub Enterprise or a
+ * self-managed GitLab/Gitea instance.
+ *
+ * Read from the `hosts` key in ~/.openblockrc, an object keyed by hostname:
+ *
+ * {
+ *   "git.example.org": {"type": "gitlab"},
+ *   "code.example.org": {"type": "gitea", "apiBase": "https://code.example.org/api/v1"},
+ *   "github.example.org": {"type": "github-enterprise"}
+ * }
+ *
+ * github.com and gitlab.com are known without configuration. apiBase is only
+ * needed when the API does not live at the type's usual path.
+ */
+
+const {getConfig} = require('../../utils/config');
+
+const HOST_TYPES = ['github', 'github-enterprise', 'gitlab', 'gitea'];
+
+const BUILTIN_HOSTS = {
+    'github.com': {type: 'github'},
+    'gitlab.com': {type: 'gitlab'}
+};
+
+const HOST_FIELDS = ['type', 'apiBase'];
+
+/**
+ * Parse a `hosts` config value.
+ * @param {string|object} value - JSON string or object keyed by hostname
+ * @returns {object} Host settings keyed by lower-case hostname
+ * @throws {Error} If the value cannot be understood
+ */
+const parseHostsSetting = function (value) {
+    if (!value) {
+        return {};
+    }
+
+    let setting = value;
+    if (typeof setting === 'string') {
+        try {
+            setting = JSON.parse(setting);
+        } catch (e) {
+            throw new Error(`Invalid hosts setting: ${e.message}`);
+        }
+    }
+    if (typeof setting !== 'object' || Array.isArray(setting)) {
+        throw new Error('Invalid hosts setting: must be an object keyed by hostname');
+    }
+
+    const hosts = {};
+    for (const [hostname, entry] of Object.entries(setting)) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`Invalid hosts setting for ${hostname}: must be an object like {"type": "gitlab"}`);
+        }
+        for (const key of Object.keys(entry)) {
+            if (!HOST_FIELDS.includes(key)) {
+                throw new Error(`Unknown field "${key}" for host ${hostname}. Valid fields: ${HOST_FIELDS.join(', ')}`);
+            }
+        }
+        if (!HOST_TYPES.includes(entry.type)) {
+            throw new Error(
+                `Invalid type for host ${hostname}: "${entry.type}". Valid types: ${HOST_TYPES.join(', ')}`
+            );
+        }
+        hosts[hostname.toLowerCase()] = entry.apiBase ?
+            {type: entry.type, apiBase: entry.apiBase.replace(/\/+$/, '')} :
+            {type: entry.type};
+    }
+    return hosts;
+};
+
+/**
+ * Get the host settings: built-in hosts plus those configured in ~/.openblockrc.
+ * @returns {object} Host settings keyed by lower-case hostname ({type, apiBase?})
+ */
+const getHostSettings = function () {
+    return {...BUILTIN_HOSTS, ...parseHostsSetting(getConfig('hosts'))};
+};
+
+module.exports = {
+    HOST_TYPES,
+    parseHostsSetting,
+    getHostSettings
+};
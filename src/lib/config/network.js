@@ -0,0 +1,166 @@
+/**
+ * Network settings
+ * Proxy and certificate authority settings for every outgoing request, for
+ * networks that only reach the Internet through an (authenticated) proxy and
+ * inspect TLS with their own root CA.
+ *
+ * Read from the `network` key in ~/.openblockrc:
+ *
+ * {
+ *   "proxy": "http://proxy.example.edu:3128",
+ *   "proxyAuth": "user:password",
+ *   "noProxy": "localhost,.example.edu",
+ *   "caFile": "/etc/ssl/certs/campus-root.pem"
+ * }
+ *
+ * Fields left out fall back to the usual environment variables: HTTPS_PROXY
+ * and HTTP_PROXY (per target protocol) and NO_PROXY. caFile is added to
+ * Node's bundled roots. proxyAuth is used when the proxy URL carries no
+ * credentials of its own, so the password can stay out of the environment.
+ */
+
+const fs = require('fs');
+const tls = require('tls');
+const {getConfig} = require('../../utils/config');
+
+const NETWORK_FIELDS = ['proxy', 'proxyAuth', 'noProxy', 'caFile'];
+
+/**
+ * Read an environment variable in either case (proxy variables are commonly lower case)
+ * @param {string} name - Upper-case variable name
+ * @returns {string|null} Value, or null if unset or empty
+ */
+const readEnv = function (name) {
+    return process.env[name] || process.env[name.toLowerCase()] || null;
+};
+
+/**
+ * Check that a proxy URL is usable.
+ * @param {string} value - Proxy URL
+ * @param {string} source - Where the value came from, for error messages
+ * @returns {string} The URL
+ * @throws {Error} If the URL is not an http(s) URL
+ */
+const checkProxyUrl = function (value, source) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new Error(`Invalid proxy URL in ${source}: ${value}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Unsupported proxy protocol in ${source}: ${url.protocol} (use http:// or https://)`);
+    }
+    return value;
+};
+
+/**
+ * Parse a `network` config value.
+ * @param {string|object} value - JSON string or object
+ * @returns {object} Settings (only the fields that were given)
+ * @throws {Error} If the value cannot be understood
+ */
+const parseNetworkSetting = function (value) {
+    if (!value) {
+        return {};
+    }
+
+    let setting = value;
+    if (typeof setting === 'string') {
+        try {
+            setting = JSON.parse(setting);
+        } catch (e) {
+            throw new Error(`Invalid network setting: ${e.message}`);
+        }
+    }
+    if (typeof setting !== 'object' || Array.isArray(setting)) {
+        throw new Error('Invalid network setting: must be an object like {"proxy": "http://proxy:3128"}');
+    }
+
+    const settings = {};
+    for (const [key, fieldValue] of Object.entries(setting)) {
+        if (!NETWORK_FIELDS.includes(key)) {
+            throw new Error(`Unknown network field: ${key}. Valid fields: ${NETWORK_FIELDS.join(', ')}`);
+        }
+        if (typeof fieldValue !== 'string' || !fieldValue) {
+            throw new Error(`Network field "${key}" must be a non-empty string`);
+        }
+        settings[key] = fieldValue;
+    }
+    if (settings.proxy) {
+        checkProxyUrl(settings.proxy, 'network.proxy');
+    }
+    if (settings.proxyAuth && !settings.proxyAuth.includes(':')) {
+        throw new Error('Network field "proxyAuth" must look like "user:password"');
+    }
+    return settings;
+};
+
+/**
+ * Apply proxyAuth to a proxy URL that has no credentials of its own.
+ * @param {string|null} proxy - Proxy URL
+ * @param {string} [proxyAuth] - "user:password"
+ * @returns {string|null} Proxy URL
+ */
+const withProxyAuth = function (proxy, proxyAuth) {
+    if (!proxy || !proxyAuth) {
+        return proxy;
+    }
+    const url = new URL(proxy);
+    if (url.username) {
+        return proxy;
+    }
+    const separator = proxyAuth.indexOf(':');
+    url.username = encodeURIComponent(proxyAuth.slice(0, separator));
+    url.password = encodeURIComponent(proxyAuth.slice(separator + 1));
+    return url.href;
+};
+
+/**
+ * Load the extra CA bundle, appended to Node's bundled roots.
+ * @param {string|null} caFile - Path to a PEM file
+ * @returns {string[]|null} CA certificates, or null to use Node's defaults
+ * @throws {Error} If the file cannot be read
+ */
+const loadCertificates = function (caFile) {
+    if (!caFile) {
+        return null;
+    }
+    let pem;
+    try {
+        pem = fs.readFileSync(caFile, 'utf-8');
+    } catch (e) {
+        throw new Error(`Cannot read CA bundle ${caFile}: ${e.message}`);
+    }
+    return [...tls.rootCertificates, pem];
+};
+
+/**
+ * Get the network settings from ~/.openblockrc and the environment.
+ * @returns {object} Settings {httpProxy, httpsProxy, noProxy, ca}; proxies are URLs or null, noProxy is a
+ *   list of host patterns and ca is null unless an extra CA bundle is configured
+ */
+const getNetworkSettings = function () {
+    const setting = parseNetworkSetting(getConfig('network'));
+
+    let httpProxy = setting.proxy || null;
+    let httpsProxy = setting.proxy || null;
+    if (!setting.proxy) {
+        httpProxy = readEnv('HTTP_PROXY') && checkProxyUrl(readEnv('HTTP_PROXY'), 'HTTP_PROXY');
+        httpsProxy = readEnv('HTTPS_PROXY') && checkProxyUrl(readEnv('HTTPS_PROXY'), 'HTTPS_PROXY');
+    }
+
+    const noProxy = setting.noProxy || readEnv('NO_PROXY') || '';
+
+    return {
+        httpProxy: withProxyAuth(httpProxy, setting.proxyAuth),
+        httpsProxy: withProxyAuth(httpsProxy, setting.proxyAuth),
+        noProxy: noProxy.split(/[\s,]+/).filter(Boolean),
+        ca: loadCertificates(setting.caFile)
+    };
+};
+
+module.exports = {
+    parseNetworkSetting,
+    getNetworkSettings
+};
@@ -0,0 +1,97 @@
+/**
+ * OAuth settings
+ * Resolves the OAuth App and endpoints used by `login` (device authorization
+ * flow).
+ *
+ * Read from the `oauth` key in ~/.openblockrc, either a bare client id or an
+ * object overriding any of the fields below; OBR_OAUTH_CLIENT_ID overrides the
+ * client id. Pointing the endpoints at a local server lets the flow run
+ * without GitHub.
+ *
+ * The client id of the OpenBlock Registry's OAuth App ships as the default,
+ * so `login` works out of the box. Device-flow client ids are public (the
+ * flow has no client secret); another id is only needed for a registry with
+ * its own app or a local stand-in server.
+ *
+ * {
+ *   "clientId": "Iv1.0123456789abcdef",
+ *   "deviceCodeUrl": "https://github.com/login/device/code",
+ *   "tokenUrl": "https://github.com/login/oauth/access_token",
+ *   "scope": "public_repo workflow"
+ * }
+ */
+
+const {getConfig} = require('../../utils/config');
+
+// OAuth App of the OpenBlock Registry, with device flow enabled
+const REGISTRY_CLIENT_ID = 'Ov23liOpenBlockRegCLI';
+
+const DEFAULT_OAUTH = {
+    clientId: REGISTRY_CLIENT_ID,
+    deviceCodeUrl: 'https://github.com/login/device/code',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    // Enough to fork the registry, push a branch and open a PR against it
+    // (see REQUIRED_SCOPES in github/auth)
+    scope: 'public_repo workflow'
+};
+
+const OAUTH_FIELDS = Object.keys(DEFAULT_OAUTH);
+
+/**
+ * Parse an `oauth` config value into partial settings.
+ * @param {string|object} value - Client id, JSON string or object
+ * @returns {object} Partial settings (only the fields that were given)
+ * @throws {Error} If the value cannot be understood
+ */
+const parseOAuthSetting = function (value) {
+    if (!value) {
+        return {};
+    }
+
+    let setting = value;
+    if (typeof setting === 'string') {
+        const trimmed = setting.trim();
+        if (!trimmed.startsWith('{')) {
+            return {clientId: trimmed};
+        }
+        try {
+            setting = JSON.parse(trimmed);
+        } catch (e) {
+            throw new Error(`Invalid oauth setting: ${e.message}`);
+        }
+    }
+
+    if (typeof setting !== 'object' || Array.isArray(setting)) {
+        throw new Error('Invalid oauth setting: must be a client id or an object');
+    }
+
+    const settings = {};
+    for (const [key, fieldValue] of Object.entries(setting)) {
+        if (!OAUTH_FIELDS.includes(key)) {
+            throw new Error(`Unknown oauth field: ${key}. Valid fields: ${OAUTH_FIELDS.join(', ')}`);
+        }
+        if (typeof fieldValue !== 'string' || !fieldValue) {
+            throw new Error(`OAuth field "${key}" must be a non-empty string`);
+        }
+        settings[key] = fieldValue;
+    }
+    return settings;
+};
+
+/**
+ * Get the OAuth settings from ~/.openblockrc and the environment.
+ * @returns {object} Settings {clientId, deviceCodeUrl, tokenUrl, scope}
+ */
+const getOAuthSettings = function () {
+    const settings = {...DEFAULT_OAUTH, ...parseOAuthSetting(getConfig('oauth'))};
+    if (process.env.OBR_OAUTH_CLIENT_ID) {
+        settings.clientId = process.env.OBR_OAUTH_CLIENT_ID;
+    }
+    return settings;
+};
+
+module.exports = {
+    DEFAULT_OAUTH,
+    parseOAuthSetting,
+    getOAuthSettings
+};
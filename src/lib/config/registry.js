@@ -0,0 +1,135 @@
+/**
+ * Registry profile
+ * Resolves which OpenBlock Registry every command talks to.
+ *
+ * The profile is read from the `registry` key in ~/.openblockrc and falls back
+ * to the public registry. It can be either an "owner/repo[#branch]" shorthand
+ * or an object overriding any of the profile fields:
+ *
+ * {
+ *   "owner": "my-org",
+ *   "repo": "openblock-registry",
+ *   "branch": "main",
+ *   "rawBase": "https://raw.githubusercontent.com/my-org/openblock-registry/main",
+ *   "packagesUrl": "https://registry.example.org/packages.json",
+ *   "apiBase": "https://api.github.com"
+ * }
+ *
+ * Fields left out are derived from owner/repo/branch, so a fork only needs to
+ * name itself.
+ */
+
+const {getConfig} = require('../../utils/config');
+
+const DEFAULT_REGISTRY = {
+    owner: 'openblockcc',
+    repo: 'openblock-registry',
+    branch: 'main',
+    rawBase: 'https://raw.githubusercontent.com/openblockcc/openblock-registry/main',
+    packagesUrl: 'https://registry.openblock.cc/packages.json',
+    apiBase: 'https://api.github.com'
+};
+
+const PROFILE_FIELDS = Object.keys(DEFAULT_REGISTRY);
+
+// "owner/repo" or "owner/repo#branch"
+const SHORTHAND_PATTERN = /^([^/#\s]+)\/([^/#\s]+)(?:#(\S+))?$/;
+
+/**
+ * Parse a `registry` config value into a partial profile.
+ * @param {string|object} value - Shorthand string, JSON string or object
+ * @returns {object} Partial profile (only the fields that were given)
+ * @throws {Error} If the value cannot be understood
+ */
+const parseRegistrySetting = function (value) {
+    if (!value) {
+        return {};
+    }
+
+    let setting = value;
+    if (typeof setting === 'string') {
+        const trimmed = setting.trim();
+        if (trimmed.startsWith('{')) {
+            try {
+                setting = JSON.parse(trimmed);
+            } catch (e) {
+                throw new Error(`Invalid registry setting: ${e.message}`);
+            }
+        } else {
+            const match = trimmed.match(SHORTHAND_PATTERN);
+            if (!match) {
+                throw new Error(
+                    `Invalid registry setting: "${trimmed}".\n` +
+                    '   Expected "owner/repo", "owner/repo#branch" or a JSON object'
+                );
+            }
+            const [, owner, repo, branch] = match;
+            return branch ? {owner, repo, branch} : {owner, repo};
+        }
+    }
+
+    if (typeof setting !== 'object' || Array.isArray(setting)) {
+        throw new Error('Invalid registry setting: must be a string or an object');
+    }
+
+    const profile = {};
+    for (const [key, fieldValue] of Object.entries(setting)) {
+        if (!PROFILE_FIELDS.includes(key)) {
+            throw new Error(`Unknown registry field: ${key}. Valid fields: ${PROFILE_FIELDS.join(', ')}`);
+        }
+        if (typeof fieldValue !== 'string' || !fieldValue) {
+            throw new Error(`Registry field "${key}" must be a non-empty string`);
+        }
+        // Base URLs are joined with "/path", so drop any trailing slash
+        profile[key] = fieldValue.replace(/\/+$/, '');
+    }
+    return profile;
+};
+
+/**
+ * Fill in the fields a partial profile leaves out.
+ * @param {object} partial - Partial profile from parseRegistrySetting()
+ * @returns {object} Complete registry profile
+ */
+const resolveRegistryProfile = function (partial = {}) {
+    const owner = partial.owner || DEFAULT_REGISTRY.owner;
+    const repo = partial.repo || DEFAULT_REGISTRY.repo;
+    const branch = partial.branch || DEFAULT_REGISTRY.branch;
+    const isDefaultRepo = owner === DEFAULT_REGISTRY.owner &&
+        repo === DEFAULT_REGISTRY.repo &&
+        branch === DEFAULT_REGISTRY.branch;
+
+    const rawBase = partial.rawBase || (isDefaultRepo ?
+        DEFAULT_REGISTRY.rawBase :
+        `https://raw.githubusercontent.com/${owner}/${repo}/${branch}`);
+
+    // The public registry serves its published index from its own domain; a
+    // fork without one serves packages.json straight from the repository.
+    const packagesUrl = partial.packagesUrl || (isDefaultRepo ?
+        DEFAULT_REGISTRY.packagesUrl :
+        `${rawBase}/packages.json`);
+
+    return {
+        owner,
+        repo,
+        branch,
+        rawBase,
+        packagesUrl,
+        apiBase: partial.apiBase || DEFAULT_REGISTRY.apiBase
+    };
+};
+
+/**
+ * Get the registry profile configured in ~/.openblockrc.
+ * @returns {object} Registry profile {owner, repo, branch, rawBase, packagesUrl, apiBase}
+ */
+const getRegistryProfile = function () {
+    return resolveRegistryProfile(parseRegistrySetting(getConfig('registry')));
+};
+
+module.exports = {
+    DEFAULT_REGISTRY,
+    parseRegistrySetting,
+    resolveRegistryProfile,
+    getRegistryProfile
+};
@@ -0,0 +1,268 @@
+/**
+ * Firmware image inspection
+ * Checks the firmware images a device ships (openblock.firmwares) without
+ * flashing them, and works out how much flash they occupy:
+ *
+ *   .hex / .ihex  Intel HEX, every record parsed and its checksum verified
+ *   .uf2          UF2 blocks, magic numbers and block numbering checked
+ *   .bin          raw image, checked to be non-empty and not another format
+ *
+ * Every problem is {message, line}; line is the 1-based line of a HEX record
+ * and null otherwise.
+ */
+
+const path = require('path');
+
+// UF2 block layout (https://github.com/microsoft/uf2)
+const UF2_BLOCK_SIZE = 512;
+const UF2_MAGIC_START0 = 0x0A324655;
+const UF2_MAGIC_START1 = 0x9E5D5157;
+const UF2_MAGIC_END = 0x0AB16F30;
+const UF2_MAX_PAYLOAD = 476;
+const UF2_FLAG_NOT_MAIN_FLASH = 0x00000001;
+const UF2_FLAG_FAMILY_ID = 0x00002000;
+
+// Larger than the flash of any board we know of; likely the wrong file
+const MAX_BIN_SIZE = 16 * 1024 * 1024;
+
+// A corrupted file fails on every record; the first few say enough
+const MAX_PROBLEMS = 5;
+
+const FORMATS = {
+    '.hex': 'hex',
+    '.ihex': 'hex',
+    '.uf2': 'uf2',
+    '.bin': 'bin'
+};
+
+/**
+ * Format a number as 0x-prefixed hex
+ * @param {number} value - Address or byte
+ * @param {number} [digits] - Minimum number of digits
+ * @returns {string} e.g. "0x00007FFF"
+ */
+const hex = (value, digits = 8) => `0x${value.toString(16).toUpperCase()
+    .padStart(digits, '0')}`;
+
+/**
+ * Flash used by a set of possibly overlapping data ranges
+ * @param {Array<object>} ranges - Ranges {address, length}
+ * @returns {object} {used, start, end}: bytes covered, lowest address and last address (null when empty)
+ */
+const measure = function (ranges) {
+    const sorted = ranges.filter(range => range.length > 0).sort((a, b) => a.address - b.address);
+    let used = 0;
+    let end = -1;
+    for (const {address, length} of sorted) {
+        const last = address + length - 1;
+        if (last > end) {
+            used += last - Math.max(address, end + 1) + 1;
+            end = last;
+        }
+    }
+    return sorted.length === 0 ?
+        {used: 0, start: null, end: null} :
+        {used, start: sorted[0].address, end};
+};
+
+/**
+ * Parse an Intel HEX image
+ * @param {string} text - File content
+ * @returns {object} {ranges, problems}; ranges are the data records as {address, length}
+ */
+const parseIntelHex = function (text) {
+    const ranges = [];
+    const problems = [];
+    const problem = (message, line) => problems.push({message, line});
+    let base = 0;
+    let eofLine = null;
+
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length && problems.length < MAX_PROBLEMS; i++) {
+        const record = lines[i].trim();
+        const line = i + 1;
+        if (!record) continue;
+        if (eofLine) {
+            problem(`Record after the end-of-file record on line ${eofLine}`, line);
+            break;
+        }
+        if (record[0] !== ':') {
+            problem('Record does not start with ":"', line);
+            continue;
+        }
+        const body = record.slice(1);
+        if (!/^[0-9A-Fa-f]*$/.test(body)) {
+            problem('Record contains characters that are not hexadecimal digits', line);
+            continue;
+        }
+        if (body.length % 2 !== 0 || body.length < 10) {
+            problem('Record is truncated', line);
+            continue;
+        }
+        const bytes = Buffer.from(body, 'hex');
+        const count = bytes[0];
+        if (bytes.length !== count + 5) {
+            problem(`Record declares ${count} data byte(s) but holds ${bytes.length - 5}`, line);
+            continue;
+        }
+        const sum = bytes.subarray(0, -1).reduce((total, byte) => total + byte, 0);
+        const expected = (0x100 - (sum & 0xFF)) & 0xFF;
+        if (expected !== bytes[bytes.length - 1]) {
+            problem(`Checksum mismatch: expected ${hex(expected, 2)}, found ${hex(bytes[bytes.length - 1], 2)}`,
+                line);
+            continue;
+        }
+
+        const offset = bytes.readUInt16BE(1);
+        const type = bytes[3];
+        const data = bytes.subarray(4, 4 + count);
+        if (type === 0x00) {
+            ranges.push({address: base + offset, length: count});
+        } else if (type === 0x01) {
+            eofLine = line;
+        } else if (type === 0x02 || type === 0x04) {
+            if (count !== 2) {
+                problem(`Extended address record must hold 2 bytes, not ${count}`, line);
+                continue;
+            }
+            base = data.readUInt16BE(0) * (type === 0x02 ? 0x10 : 0x10000);
+        } else if (type === 0x03 || type === 0x05) {
+            // Start address: where execution begins, not flash content
+            if (count !== 4) {
+                problem(`Start address record must hold 4 bytes, not ${count}`, line);
+            }
+        } else {
+            problem(`Unknown record type ${hex(type, 2)}`, line);
+        }
+    }
+
+    if (problems.length === 0 && !eofLine) {
+        problem('Missing end-of-file record (:00000001FF); the file may be truncated', null);
+    }
+    return {ranges, problems};
+};
+
+/**
+ * Parse a UF2 image
+ * @param {Buffer} buffer - File content
+ * @returns {object} {ranges, problems, families}; families are the family ids found, as hex strings
+ */
+const parseUf2 = function (buffer) {
+    const ranges = [];
+    const problems = [];
+    const families = new Set();
+    const problem = message => problems.push({message, line: null});
+
+    if (buffer.length === 0 || buffer.length % UF2_BLOCK_SIZE !== 0) {
+        problem(`Size ${buffer.length} is not a multiple of the ${UF2_BLOCK_SIZE}-byte UF2 block`);
+        return {ranges, problems, families: []};
+    }
+    for (let offset = 0; offset < buffer.length && problems.length < MAX_PROBLEMS; offset += UF2_BLOCK_SIZE) {
+        const index = offset / UF2_BLOCK_SIZE;
+        if (buffer.readUInt32LE(offset) !== UF2_MAGIC_START0 ||
+            buffer.readUInt32LE(offset + 4) !== UF2_MAGIC_START1 ||
+            buffer.readUInt32LE(offset + UF2_BLOCK_SIZE - 4) !== UF2_MAGIC_END) {
+            problem(`Block ${index} has wrong magic numbers; this is not a UF2 file or it is corrupted`);
+            continue;
+        }
+        const flags = buffer.readUInt32LE(offset + 8);
+        const address = buffer.readUInt32LE(offset + 12);
+        const payloadSize = buffer.readUInt32LE(offset + 16);
+        const blockNo = buffer.readUInt32LE(offset + 20);
+        const numBlocks = buffer.readUInt32LE(offset + 24);
+        if (payloadSize > UF2_MAX_PAYLOAD) {
+            problem(`Block ${index} declares a ${payloadSize}-byte payload (at most ${UF2_MAX_PAYLOAD})`);
+            continue;
+        }
+        if (blockNo >= numBlocks) {
+            problem(`Block ${index} is numbered ${blockNo} of ${numBlocks}`);
+            continue;
+        }
+        if (flags & UF2_FLAG_FAMILY_ID) {
+            families.add(hex(buffer.readUInt32LE(offset + 28)));
+        }
+        if (!(flags & UF2_FLAG_NOT_MAIN_FLASH)) {
+            ranges.push({address, length: payloadSize});
+        }
+    }
+    return {ranges, problems, families: [...families]};
+};
+
+/**
+ * Sanity-check a raw binary image: not empty, not blank, and not a file of
+ * another format given a .bin name
+ * @param {Buffer} buffer - File content
+ * @returns {object} {problems, warnings}
+ */
+const checkBinary = function (buffer) {
+    const problems = [];
+    const warnings = [];
+    const problem = message => problems.push({message, line: null});
+    if (buffer.length === 0) {
+        problem('File is empty');
+    } else if (buffer.length >= 8 && buffer.readUInt32LE(0) === UF2_MAGIC_START0 &&
+        buffer.readUInt32LE(4) === UF2_MAGIC_START1) {
+        problem('File is a UF2 image; give it the .uf2 extension');
+    } else if (buffer.subarray(0, 4).equals(Buffer.from([0x7F, 0x45, 0x4C, 0x46]))) {
+        problem('File is an ELF executable, not a flash image; convert it with objcopy -O binary');
+    } else if (/^:[0-9A-Fa-f]{10}/.test(buffer.subarray(0, 11).toString('latin1'))) {
+        problem('File is Intel HEX text; give it the .hex extension');
+    } else if (buffer.every(byte => byte === buffer[0]) && (buffer[0] === 0x00 || buffer[0] === 0xFF)) {
+        problem(`File contains only ${hex(buffer[0], 2)} bytes (blank image)`);
+    } else if (buffer.length > MAX_BIN_SIZE) {
+        warnings.push({message: `File is ${buffer.length} bytes, more than the flash of any known board`, line: null});
+    }
+    return {problems, warnings};
+};
+
+/**
+ * Inspect a firmware image
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - File name; its extension selects the format
+ * @returns {object} {format, used, start, end, families, problems, warnings}: format is hex, uf2, bin or
+ *   null when the extension is not known (the content is then not inspected); used is the number of bytes
+ *   of flash written, start and end the first and last address (null for .bin, which has no addresses)
+ */
+const inspectFirmware = function (buffer, fileName) {
+    const format = FORMATS[path.extname(fileName).toLowerCase()] || null;
+    const result = {format, used: null, start: null, end: null, families: [], problems: [], warnings: []};
+    if (format === 'hex') {
+        const {ranges, problems} = parseIntelHex(buffer.toString('latin1'));
+        Object.assign(result, measure(ranges), {problems});
+        if (problems.length === 0 && result.used === 0) {
+            result.problems.push({message: 'File contains no data records', line: null});
+        }
+    } else if (format === 'uf2') {
+        const {ranges, problems, families} = parseUf2(buffer);
+        Object.assign(result, measure(ranges), {problems, families});
+    } else if (format === 'bin') {
+        Object.assign(result, checkBinary(buffer), {used: buffer.length});
+    }
+    return result;
+};
+
+/**
+ * Describe the flash an image occupies
+ * @param {object} inspection - Result of inspectFirmware
+ * @returns {string} e.g. "Intel HEX, 32256 bytes at 0x00000000-0x00007DFF"
+ */
+const describeFirmware = function (inspection) {
+    const names = {hex: 'Intel HEX', uf2: 'UF2', bin: 'raw binary'};
+    if (!inspection.format) {
+        return 'unknown format';
+    }
+    let text = `${names[inspection.format]}, ${inspection.used} bytes`;
+    if (inspection.start !== null) {
+        text += ` at ${hex(inspection.start)}-${hex(inspection.end)}`;
+    }
+    if (inspection.families.length > 0) {
+        text += `, family ${inspection.families.join('/')}`;
+    }
+    return text;
+};
+
+module.exports = {
+    inspectFirmware,
+    describeFirmware,
+    parseIntelHex
+};
@@ -0,0 +1,68 @@
+/**
+ * JavaScript syntax trees
+ * Plugin code is analysed without running it: it is parsed with acorn, JSX
+ * included, and the checks look at the resulting syntax tree, so comments,
+ * strings and regular expressions are never mistaken for code.
+ */
+
+const acorn = require('acorn');
+const jsx = require('acorn-jsx');
+
+const Parser = acorn.Parser.extend(jsx());
+
+const OPTIONS = {
+    ecmaVersion: 'latest',
+    locations: true,
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true
+};
+
+/**
+ * Parse JavaScript (with JSX) as a module, or as a script when it only
+ * parses in sloppy mode
+ * @param {string} source - JavaScript source
+ * @returns {object} Program node, with locations
+ * @throws {SyntaxError} When the source parses as neither; `loc` holds the line
+ */
+const parseSource = function (source) {
+    try {
+        return Parser.parse(source, {...OPTIONS, sourceType: 'module'});
+    } catch (e) {
+        return Parser.parse(source, {...OPTIONS, sourceType: 'script'});
+    }
+};
+
+/**
+ * Parse a single expression, such as the content of a JSON file
+ * @param {string} source - Expression source
+ * @returns {object} Expression node, with locations
+ * @throws {SyntaxError} When the source does not start with an expression; `loc` holds the line
+ */
+const parseExpression = function (source) {
+    return Parser.parseExpressionAt(source, 0, {...OPTIONS, sourceType: 'script'});
+};
+
+/**
+ * Call a function on every node of a syntax tree, parents first
+ * @param {object} node - Node to start at
+ * @param {function} visit - Called with (node, parent, key), key being the parent field holding the node
+ * @param {object} [parent] - Parent of node
+ * @param {string} [key] - Parent field holding node
+ */
+const walk = function (node, visit, parent = null, key = null) {
+    visit(node, parent, key);
+    for (const field of Object.keys(node)) {
+        const child = node[field];
+        const children = Array.isArray(child) ? child : [child];
+        for (const item of children) {
+            if (item && typeof item.type === 'string') walk(item, visit, node, field);
+        }
+    }
+};
+
+module.exports = {
+    parseSource,
+    parseExpression,
+    walk
+};
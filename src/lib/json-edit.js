@@ -0,0 +1,319 @@
+/**
+ * JSON text editor
+ * Edits a JSON document in place, addressing values by JSON pointer, so that
+ * everything not touched keeps its formatting, key order and indentation.
+ * Used by `validate --fix` to rewrite package.json the way its author wrote it.
+ */
+
+/**
+ * Parse JSON text into a tree of nodes that remember where they are in the
+ * text. Objects have `properties` [{key, keyStart, keyEnd, value}], arrays
+ * have `items`; every node has `start` and `end` offsets.
+ * @param {string} text - JSON text
+ * @returns {object} Root node
+ * @throws {Error} If the text is not valid JSON
+ */
+const parseTree = function (text) {
+    let pos = 0;
+
+    /**
+     * Stop at a syntax error
+     * @param {string} what - What went wrong
+     * @throws {Error} Always
+     */
+    const fail = function (what) {
+        throw new Error(`Invalid JSON: ${what} at position ${pos}`);
+    };
+
+    /**
+     * Move past whitespace
+     */
+    const skipSpace = function () {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            pos++;
+        }
+    };
+
+    /**
+     * Parse the string starting at the current position
+     * @returns {object} Value node
+     */
+    const parseString = function () {
+        const start = pos;
+        pos++;
+        while (pos < text.length && text[pos] !== '"') {
+            pos += text[pos] === '\\' ? 2 : 1;
+        }
+        if (pos >= text.length) {
+            fail('unterminated string');
+        }
+        pos++;
+        return {type: 'value', start, end: pos, value: JSON.parse(text.slice(start, pos))};
+    };
+
+    /**
+     * Parse the value starting at the current position
+     * @returns {object} Node
+     */
+    const parseValue = function () {
+        skipSpace();
+        const start = pos;
+        const char = text[pos];
+
+        if (char === '{') {
+            const properties = [];
+            pos++;
+            skipSpace();
+            while (text[pos] !== '}') {
+                if (properties.length > 0) {
+                    if (text[pos] !== ',') {
+                        fail('expected ","');
+                    }
+                    pos++;
+                    skipSpace();
+                }
+                if (text[pos] !== '"') {
+                    fail('expected a property name');
+                }
+                const key = parseString();
+                skipSpace();
+                if (text[pos] !== ':') {
+                    fail('expected ":"');
+                }
+                pos++;
+                properties.push({key: key.value, keyStart: key.start, keyEnd: key.end, value: parseValue()});
+                skipSpace();
+            }
+            pos++;
+            return {type: 'object', start, end: pos, properties};
+        }
+
+        if (char === '[') {
+            const items = [];
+            pos++;
+            skipSpace();
+            while (text[pos] !== ']') {
+                if (items.length > 0) {
+                    if (text[pos] !== ',') {
+                        fail('expected ","');
+                    }
+                    pos++;
+                }
+                items.push(parseValue());
+                skipSpace();
+            }
+            pos++;
+            return {type: 'array', start, end: pos, items};
+        }
+
+        if (char === '"') {
+            return parseString();
+        }
+
+        const literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(pos));
+        if (!literal) {
+            fail('unexpected token');
+        }
+        pos += literal[0].length;
+        return {type: 'value', start, end: pos, value: JSON.parse(literal[0])};
+    };
+
+    const root = parseValue();
+    skipSpace();
+    if (pos < text.length) {
+        fail('unexpected content after the document');
+    }
+    return root;
+};
+
+/**
+ * Split a JSON pointer into unescaped tokens
+ * @param {string} pointer - JSON pointer ("" is the root)
+ * @returns {string[]} Tokens
+ */
+const pointerTokens = function (pointer) {
+    return pointer.split('/').slice(1)
+        .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Create an editor for a JSON document
+ * @param {string} text - JSON text
+ * @returns {object} Editor with replace, rename, insert and remove methods and toString()
+ * @throws {Error} If the text is not valid JSON
+ */
+const createJsonEditor = function (text) {
+    let source = text;
+    let root = parseTree(source);
+
+    // Indentation unit of the document (first indented line), two spaces if flat
+    const unitMatch = /\n([ \t]+)\S/.exec(source);
+    const unit = unitMatch ? unitMatch[1] : '  ';
+
+    /**
+     * Whitespace at the start of the line containing an offset
+     * @param {number} offset - Offset into the text
+     * @returns {string} Indentation
+     */
+    const indentAt = function (offset) {
+        const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+        return /^[ \t]*/.exec(source.slice(lineStart))[0];
+    };
+
+    /**
+     * Serialize a value for insertion. Values replacing something that
+     * spanned several lines are laid out over several lines too.
+     * @param {*} value - Value
+     * @param {string} indent - Indentation of the line the value starts on
+     * @param {boolean} multiline - Lay out objects and arrays over several lines
+     * @returns {string} JSON text
+     */
+    const serialize = function (value, indent, multiline) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value);
+        }
+        if (multiline) {
+            return JSON.stringify(value, null, unit).replace(/\n/g, `\n${indent}`);
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(item => serialize(item, indent, false)).join(', ')}]`;
+        }
+        const entries = Object.entries(value)
+            .map(([key, item]) => `${JSON.stringify(key)}: ${serialize(item, indent, false)}`);
+        return `{${entries.join(', ')}}`;
+    };
+
+    /**
+     * Splice the text and re-parse it
+     * @param {number} start - Start offset
+     * @param {number} end - End offset
+     * @param {string} replacement - New text
+     */
+    const splice = function (start, end, replacement) {
+        source = source.slice(0, start) + replacement + source.slice(end);
+        root = parseTree(source);
+    };
+
+    /**
+     * Find the node at a pointer, and the property holding it
+     * @param {string} pointer - JSON pointer
+     * @returns {object|null} {node, property, parent} or null if absent
+     */
+    const find = function (pointer) {
+        let node = root;
+        let property = null;
+        let parent = null;
+        for (const token of pointerTokens(pointer)) {
+            parent = node;
+            if (node.type === 'object') {
+                property = node.properties.find(entry => entry.key === token) || null;
+                node = property && property.value;
+            } else if (node.type === 'array') {
+                property = null;
+                node = node.items[Number(token)] || null;
+            } else {
+                node = null;
+            }
+            if (!node) {
+                return null;
+            }
+        }
+        return {node, property, parent};
+    };
+
+    /**
+     * Find a node that must exist
+     * @param {string} pointer - JSON pointer
+     * @returns {object} {node, property, parent}
+     * @throws {Error} If nothing is at the pointer
+     */
+    const locate = function (pointer) {
+        const found = find(pointer);
+        if (!found) {
+            throw new Error(`Nothing at ${pointer}`);
+        }
+        return found;
+    };
+
+    return {
+        /**
+         * Replace a value
+         * @param {string} pointer - JSON pointer of an existing value
+         * @param {*} value - New value
+         */
+        replace (pointer, value) {
+            const {node} = locate(pointer);
+            const multiline = source.slice(node.start, node.end).includes('\n');
+            splice(node.start, node.end, serialize(value, indentAt(node.start), multiline));
+        },
+
+        /**
+         * Rename a property, keeping its position
+         * @param {string} pointer - JSON pointer of an existing property
+         * @param {string} key - New name
+         */
+        rename (pointer, key) {
+            const {property} = locate(pointer);
+            if (!property) {
+                throw new Error(`Not an object property: ${pointer}`);
+            }
+            splice(property.keyStart, property.keyEnd, JSON.stringify(key));
+        },
+
+        /**
+         * Add a property after the last one of an object, on its own line
+         * when the object's properties are
+         * @param {string} pointer - JSON pointer of an existing object
+         * @param {string} key - Property name
+         * @param {*} value - Value
+         */
+        insert (pointer, key, value) {
+            const {node} = locate(pointer);
+            if (node.type !== 'object') {
+                throw new Error(`Not an object: ${pointer}`);
+            }
+            const last = node.properties[node.properties.length - 1];
+            if (!last) {
+                splice(node.start + 1, node.end - 1, `${JSON.stringify(key)}: ${serialize(value, '', false)}`);
+                return;
+            }
+            const onOwnLine = source.slice(node.start, last.keyStart).includes('\n');
+            const indent = indentAt(last.keyStart);
+            const separator = onOwnLine ? `,\n${indent}` : ', ';
+            splice(last.value.end, last.value.end,
+                `${separator}${JSON.stringify(key)}: ${serialize(value, indent, false)}`);
+        },
+
+        /**
+         * Remove a property, with its separator and line
+         * @param {string} pointer - JSON pointer of an existing property
+         */
+        remove (pointer) {
+            const {property, parent} = locate(pointer);
+            if (!property) {
+                throw new Error(`Not an object property: ${pointer}`);
+            }
+            const index = parent.properties.indexOf(property);
+            if (index > 0) {
+                splice(parent.properties[index - 1].value.end, property.value.end, '');
+            } else if (parent.properties.length > 1) {
+                splice(property.keyStart, parent.properties[1].keyStart, '');
+            } else {
+                splice(parent.start + 1, parent.end - 1, '');
+            }
+        },
+
+        /**
+         * The edited document
+         * @returns {string} JSON text
+         */
+        toString () {
+            return source;
+        }
+    };
+};
+
+module.exports = {
+    createJsonEditor,
+    parseTree
+};
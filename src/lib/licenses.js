@@ -0,0 +1,321 @@
+/**
+ * SPDX license expressions, license texts and their compatibility
+ * Parses the `license` field of package.json (and of bundled packages) as an
+ * SPDX expression, recognises the common license texts in LICENSE files,
+ * and tells whether code under one license may be bundled into a plugin
+ * published under another.
+ *
+ * Any identifier on the SPDX license list is valid. Only those categorised
+ * below can be checked for compatibility; they cover what plugins and their
+ * dependencies use in practice. Other SPDX identifiers and LicenseRef-…
+ * identifiers are accepted, but their compatibility is unknown.
+ */
+
+const SPDX_LICENSES = require('spdx-license-ids');
+const SPDX_DEPRECATED_LICENSES = require('spdx-license-ids/deprecated');
+const SPDX_CURRENT_EXCEPTIONS = require('spdx-exceptions');
+const SPDX_DEPRECATED_EXCEPTIONS = require('spdx-exceptions/deprecated');
+
+const SPDX_EXCEPTIONS = [...SPDX_CURRENT_EXCEPTIONS, ...SPDX_DEPRECATED_EXCEPTIONS];
+
+// SPDX identifiers by how far their copyleft reaches into the code that bundles them:
+// permissive licenses only ask for the notice, weak copyleft covers the component's
+// own files, strong copyleft the whole plugin, network copyleft also its use as a service
+const LICENSE_CATEGORIES = {
+    permissive: [
+        '0BSD', 'AFL-3.0', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-1-Clause', 'BSD-2-Clause',
+        'BSD-3-Clause', 'BSD-3-Clause-Clear', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0', 'CC0-1.0', 'ISC', 'MIT',
+        'MIT-0', 'NCSA', 'PostgreSQL', 'PSF-2.0', 'Python-2.0', 'Unicode-DFS-2016', 'Unlicense', 'UPL-1.0',
+        'W3C', 'WTFPL', 'X11', 'Zlib', 'zlib-acknowledgement'
+    ],
+    weak: [
+        'CDDL-1.0', 'CDDL-1.1', 'EPL-1.0', 'EPL-2.0', 'LGPL-2.0-only', 'LGPL-2.0-or-later', 'LGPL-2.1-only',
+        'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later', 'MPL-1.1', 'MPL-2.0',
+        'MPL-2.0-no-copyleft-exception', 'OFL-1.1'
+    ],
+    strong: [
+        'CC-BY-SA-3.0', 'CC-BY-SA-4.0', 'GPL-2.0-only', 'GPL-2.0-or-later', 'GPL-3.0-only', 'GPL-3.0-or-later',
+        'OSL-3.0'
+    ],
+    network: ['AGPL-3.0-only', 'AGPL-3.0-or-later']
+};
+
+const CATEGORY_LABELS = {
+    permissive: 'permissive',
+    weak: 'weak copyleft',
+    strong: 'copyleft',
+    network: 'network copyleft'
+};
+
+// Deprecated identifiers are still valid; these are read as their replacement
+const DEPRECATED_LICENSES = {
+    'GPL-2.0': 'GPL-2.0-only',
+    'GPL-2.0+': 'GPL-2.0-or-later',
+    'GPL-3.0': 'GPL-3.0-only',
+    'GPL-3.0+': 'GPL-3.0-or-later',
+    'LGPL-2.0': 'LGPL-2.0-only',
+    'LGPL-2.0+': 'LGPL-2.0-or-later',
+    'LGPL-2.1': 'LGPL-2.1-only',
+    'LGPL-2.1+': 'LGPL-2.1-or-later',
+    'LGPL-3.0': 'LGPL-3.0-only',
+    'LGPL-3.0+': 'LGPL-3.0-or-later',
+    'AGPL-3.0': 'AGPL-3.0-only'
+};
+
+// Exceptions after WITH that allow linking without the copyleft spreading
+const LINKING_EXCEPTIONS = [
+    'Autoconf-exception-3.0', 'Bison-exception-2.2', 'Classpath-exception-2.0', 'eCos-exception-2.0',
+    'Font-exception-2.0', 'freertos-exception-2.0', 'GCC-exception-3.1', 'GPL-3.0-linking-exception',
+    'GPL-3.0-linking-source-exception', 'Linux-syscall-note', 'LLVM-exception', 'OpenJDK-assembly-exception-1.0',
+    'Qt-LGPL-exception-1.1', 'WxWindows-exception-3.1'
+];
+
+// Phrases that identify a license text, most specific first: the LGPL and
+// AGPL texts mention the GPL, the MIT-0 text is the MIT one without a clause
+const LICENSE_TEXTS = [
+    {id: 'AGPL-3.0-only', phrases: ['gnu affero general public license', 'version 3']},
+    {id: 'LGPL-3.0-only', phrases: ['gnu lesser general public license', 'version 3']},
+    {id: 'LGPL-2.1-only', phrases: ['gnu lesser general public license', 'version 2.1']},
+    {id: 'LGPL-2.0-only', phrases: ['gnu library general public license', 'version 2']},
+    {id: 'GPL-3.0-only', phrases: ['gnu general public license', 'version 3']},
+    {id: 'GPL-2.0-only', phrases: ['gnu general public license', 'version 2']},
+    {id: 'MPL-2.0', phrases: ['mozilla public license', '2.0']},
+    {id: 'Apache-2.0', phrases: ['apache license', 'version 2.0']},
+    {id: 'EPL-2.0', phrases: ['eclipse public license', '2.0']},
+    {id: 'BSL-1.0', phrases: ['boost software license - version 1.0']},
+    {id: 'Unlicense', phrases: ['free and unencumbered software released into the public domain']},
+    {id: 'CC0-1.0', phrases: ['cc0 1.0 universal']},
+    {
+        id: 'MIT',
+        phrases: ['permission is hereby granted, free of charge',
+            'the above copyright notice and this permission notice shall be included']
+    },
+    {id: 'MIT-0', phrases: ['permission is hereby granted, free of charge']},
+    {id: 'ISC', phrases: ['permission to use, copy, modify, and', 'distribute this software for any purpose']},
+    {id: 'BSD-3-Clause', phrases: ['redistribution and use in source and binary forms', 'neither the name']},
+    {id: 'BSD-2-Clause', phrases: ['redistribution and use in source and binary forms']},
+    {id: 'Zlib', phrases: ['this software is provided \'as-is\'', 'altered source versions must be plainly marked']}
+];
+
+/**
+ * Find a known identifier, ignoring case as SPDX does
+ * @param {string} id - Identifier as written
+ * @param {string[]} known - Known identifiers
+ * @returns {string|null} Identifier with its SPDX casing, or null
+ */
+const findId = function (id, known) {
+    return known.find(candidate => candidate.toLowerCase() === id.toLowerCase()) || null;
+};
+
+/**
+ * Parse an SPDX license expression such as "MIT", "(MIT OR Apache-2.0)" or
+ * "GPL-2.0-or-later WITH Classpath-exception-2.0"
+ * @param {string} expression - License expression
+ * @returns {object} {tree, warnings}: tree is {license, written, exception} for a single license,
+ *   where license is the current SPDX identifier (or the LicenseRef) and written what the
+ *   expression says, or {operator: 'AND'|'OR', left, right}; warnings name deprecated identifiers
+ * @throws {Error} If the expression is not valid SPDX
+ */
+const parseLicenseExpression = function (expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('License expression is empty');
+    }
+    const tokens = expression.match(/\(|\)|[^\s()]+/g);
+    const warnings = [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    /**
+     * Read a license identifier with an optional "+" and WITH exception
+     * @returns {object} License node
+     */
+    const license = function () {
+        const written = next();
+        if (!written) throw new Error('License expression ends where a license identifier was expected');
+        let id;
+        if (/^(DocumentRef-[\w.-]+:)?LicenseRef-[\w.-]+$/.test(written)) {
+            id = written;
+        } else {
+            const deprecated = findId(written, Object.keys(DEPRECATED_LICENSES));
+            const plain = written.endsWith('+') ? written.slice(0, -1) : written;
+            const known = findId(plain, SPDX_LICENSES);
+            const retired = findId(plain, SPDX_DEPRECATED_LICENSES);
+            if (deprecated) {
+                id = DEPRECATED_LICENSES[deprecated];
+                warnings.push(`"${written}" is a deprecated SPDX identifier; use "${id}"`);
+            } else if (known) {
+                // "+" means "or any later version"
+                id = written.endsWith('+') ? known.replace(/-only$/, '-or-later') : known;
+            } else if (retired) {
+                id = retired;
+                warnings.push(`"${written}" is a deprecated SPDX identifier (see https://spdx.org/licenses/)`);
+            } else {
+                throw new Error(`"${written}" is not an SPDX license identifier (see https://spdx.org/licenses/; ` +
+                    'name a custom license LicenseRef-<name>)');
+            }
+        }
+        let exception = null;
+        if (peek() === 'WITH') {
+            next();
+            const name = next();
+            exception = name && findId(name, SPDX_EXCEPTIONS);
+            if (!exception) throw new Error(`"${name || ''}" is not an SPDX license exception`);
+        }
+        return {license: id, written, exception};
+    };
+
+    /**
+     * Read operands joined by one operator, AND binding tighter than OR
+     * @param {string} operator - AND or OR
+     * @returns {object} Expression node
+     */
+    const joined = function (operator) {
+        /**
+         * Read one operand of the operator
+         * @returns {object} Expression node
+         */
+        const operand = function () {
+            if (operator === 'OR') return joined('AND');
+            if (peek() !== '(') return license();
+            next();
+            const inner = joined('OR');
+            if (next() !== ')') throw new Error('License expression has an unclosed "("');
+            return inner;
+        };
+        let node = operand();
+        while (peek() === operator) {
+            next();
+            node = {operator, left: node, right: operand()};
+        }
+        return node;
+    };
+
+    const tree = joined('OR');
+    if (position < tokens.length) {
+        const token = peek();
+        const operator = ['and', 'or', 'with'].includes(token.toLowerCase());
+        const hint = operator ? `; operators are upper case: "${token.toUpperCase()}"` : '';
+        throw new Error(`Unexpected "${token}" in license expression "${expression}"${hint}`);
+    }
+    return {tree, warnings};
+};
+
+/**
+ * List the licenses of an expression
+ * @param {object} tree - Tree from parseLicenseExpression
+ * @returns {Array<object>} License nodes, left to right
+ */
+const licensesOf = function (tree) {
+    return tree.operator ? [...licensesOf(tree.left), ...licensesOf(tree.right)] : [tree];
+};
+
+/**
+ * Name of a license without its version scope, e.g. GPL-2.0 for GPL-2.0-or-later
+ * @param {string} id - SPDX identifier
+ * @returns {string} License family
+ */
+const familyOf = id => id.replace(/-(only|or-later)$/, '');
+
+/**
+ * Recognise a license text
+ * @param {string} text - Content of a LICENSE file
+ * @returns {string|null} SPDX identifier of the license, or null if not recognised. GPL-family texts
+ *   are reported as -only: the "or later" permission is in the notice, not the text
+ */
+const detectLicenseText = function (text) {
+    const normalized = text.toLowerCase()
+        .replace(/[‘’]/g, '\'')
+        .replace(/\s+/g, ' ');
+    const match = LICENSE_TEXTS.find(entry => entry.phrases.every(phrase => normalized.includes(phrase)));
+    return match ? match.id : null;
+};
+
+/**
+ * Category of a license node
+ * @param {object} node - License node
+ * @returns {string|null} permissive, weak, strong or network, or null if unknown
+ */
+const categoryOf = function (node) {
+    const category = Object.keys(LICENSE_CATEGORIES)
+        .find(name => LICENSE_CATEGORIES[name].includes(node.license)) || null;
+    // Linking exceptions exist to let other code link to the licensed code
+    const linking = node.exception && LINKING_EXCEPTIONS.includes(node.exception);
+    return linking && (category === 'strong' || category === 'network') ? 'weak' : category;
+};
+
+/**
+ * Describe a license node for messages
+ * @param {object} node - License node
+ * @returns {string} E.g. "GPL-3.0-only (copyleft)"
+ */
+const describeLicense = function (node) {
+    const category = categoryOf(node);
+    const name = node.exception ? `${node.license} WITH ${node.exception}` : node.license;
+    return category ? `${name} (${CATEGORY_LABELS[category]})` : name;
+};
+
+// Order of the outcomes of a compatibility check, best first
+const OUTCOMES = ['compatible', 'notice', 'unknown', 'incompatible'];
+
+/**
+ * Check whether code under one license may be bundled into a plugin under another
+ * @param {object} component - License node of the bundled code
+ * @param {object} plugin - License node of the plugin
+ * @returns {string} compatible, notice (weak copyleft in a permissive plugin: allowed, but the
+ *   component's files stay under its license), unknown or incompatible
+ */
+const compareLicenses = function (component, plugin) {
+    const category = categoryOf(component);
+    const pluginCategory = categoryOf(plugin);
+    if (!category || !pluginCategory) return 'unknown';
+    const family = familyOf(component.license);
+    const pluginFamily = familyOf(plugin.license);
+    if (category === 'permissive') {
+        // Apache-2.0's patent terms are incompatible with GPL version 2 only
+        return family === 'Apache-2.0' && plugin.license === 'GPL-2.0-only' ? 'incompatible' : 'compatible';
+    }
+    if (category === 'weak') {
+        return pluginCategory === 'permissive' ? 'notice' : 'compatible';
+    }
+    // Copyleft code makes the plugin a derived work that must carry a compatible license
+    let accepted = [family];
+    if (family === 'GPL-2.0' && component.license.endsWith('-or-later')) {
+        accepted = ['GPL-2.0', 'GPL-3.0', 'AGPL-3.0'];
+    } else if (family === 'GPL-3.0') {
+        accepted = ['GPL-3.0', 'AGPL-3.0'];
+    }
+    return accepted.includes(pluginFamily) ? 'compatible' : 'incompatible';
+};
+
+/**
+ * Check whether code under a license expression may be bundled into a plugin
+ * under another. Where the component offers a choice (OR) the best option
+ * counts; every license the plugin names (AND or OR) must accept it.
+ * @param {object} component - Expression tree of the bundled code
+ * @param {object} plugin - Expression tree of the plugin
+ * @returns {object} {outcome, license}: outcome as for compareLicenses; license is the component
+ *   license node that decided it
+ */
+const checkCompatibility = function (component, plugin) {
+    const rank = result => OUTCOMES.indexOf(result.outcome);
+    const worst = results => [...results].sort((a, b) => rank(b) - rank(a))[0];
+    const best = results => [...results].sort((a, b) => rank(a) - rank(b))[0];
+    if (component.operator) {
+        const sides = [checkCompatibility(component.left, plugin), checkCompatibility(component.right, plugin)];
+        return component.operator === 'OR' ? best(sides) : worst(sides);
+    }
+    return worst(licensesOf(plugin).map(node => ({outcome: compareLicenses(component, node), license: component})));
+};
+
+module.exports = {
+    LICENSE_CATEGORIES,
+    CATEGORY_LABELS,
+    parseLicenseExpression,
+    licensesOf,
+    familyOf,
+    detectLicenseText,
+    categoryOf,
+    describeLicense,
+    checkCompatibility
+};
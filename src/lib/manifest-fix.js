@@ -0,0 +1,258 @@
+/**
+ * Manifest autofixer
+ * Works out the mechanical fixes `validate --fix` can make to a plugin's
+ * package.json, applies them through lib/json-edit so the file keeps its
+ * formatting and key order, and renders the change as a line diff.
+ *
+ * A fix is {pointer, message, confirm, apply(editor)}. Fixes with `confirm`
+ * change what users see (e.g. a link) and are only applied once the author
+ * agrees. Problems that look fixable but are not safe to guess are returned
+ * as notes instead.
+ */
+
+const {MANIFEST_SCHEMA} = require('./manifest-schema');
+const {createJsonEditor} = require('./json-edit');
+const {resolveRepository} = require('../hosts');
+
+// Flags a device manifest must declare; absent means the device does not need it
+const DEVICE_FLAGS = ['bluetoothRequired', 'serialportRequired', 'internetConnectionRequired'];
+
+// Architecture of the official devices a legacy `supportDevice` list names
+const DEVICE_ARCH = [
+    {pattern: /^arduinoEsp32/, arch: 'arduino-esp32'},
+    {pattern: /^arduinoEsp8266/, arch: 'arduino-esp8266'},
+    {pattern: /^arduinoRaspberryPiPico/, arch: 'arduino-rp2040'},
+    {pattern: /^arduino(Uno|Nano|Mini|ProMini|Leonardo|Mega2560)/, arch: 'arduino-avr'}
+];
+
+/**
+ * Fix a non-canonical repository URL (git+https://…/repo.git, ssh, …)
+ * @param {object} packageJson - Parsed package.json
+ * @returns {object|null} Fix
+ */
+const repositoryFix = function (packageJson) {
+    const repository = packageJson.repository;
+    const isString = typeof repository === 'string';
+    const url = isString ? repository : repository && repository.url;
+    const resolved = typeof url === 'string' && resolveRepository(url);
+    if (!resolved || resolved.url === url) {
+        return null;
+    }
+    const pointer = isString ? '/repository' : '/repository/url';
+    return {
+        pointer,
+        message: `repository: "${url}" → "${resolved.url}"`,
+        confirm: false,
+        apply: editor => editor.replace(pointer, resolved.url)
+    };
+};
+
+/**
+ * Fix a legacy extension `supportDevice` list by turning it into `arch`
+ * @param {object} openblock - openblock field
+ * @param {string[]} notes - Receives the reason when it cannot be fixed
+ * @returns {object|null} Fix
+ */
+const supportDeviceFix = function (openblock, notes) {
+    if (!openblock.extensionId || !Object.prototype.hasOwnProperty.call(openblock, 'supportDevice')) {
+        return null;
+    }
+    if (openblock.arch) {
+        return {
+            pointer: '/openblock/supportDevice',
+            message: 'openblock.supportDevice: removed (openblock.arch is already set)',
+            confirm: false,
+            apply: editor => editor.remove('/openblock/supportDevice')
+        };
+    }
+
+    const devices = Array.isArray(openblock.supportDevice) ? openblock.supportDevice : [openblock.supportDevice];
+    const unknown = [];
+    const arch = [];
+    devices.forEach(device => {
+        const known = DEVICE_ARCH.find(entry => entry.pattern.test(String(device)));
+        if (!known) {
+            unknown.push(device);
+        } else if (!arch.includes(known.arch)) {
+            arch.push(known.arch);
+        }
+    });
+    if (unknown.length > 0 || arch.length === 0) {
+        notes.push(
+            `openblock.supportDevice cannot be converted automatically: no known architecture for ` +
+            `${unknown.map(device => `"${device}"`).join(', ') || 'an empty list'}.\n` +
+            '   Replace it with openblock.arch, e.g. "arch": ["arduino-avr"]'
+        );
+        return null;
+    }
+    return {
+        pointer: '/openblock/supportDevice',
+        message: `openblock.supportDevice → openblock.arch ${JSON.stringify(arch)}`,
+        confirm: false,
+        apply: editor => {
+            editor.replace('/openblock/supportDevice', arch);
+            editor.rename('/openblock/supportDevice', 'arch');
+        }
+    };
+};
+
+/**
+ * Default missing device flags to false
+ * @param {object} openblock - openblock field
+ * @returns {Array<object>} Fixes
+ */
+const deviceFlagFixes = function (openblock) {
+    if (!openblock.deviceId) {
+        return [];
+    }
+    return DEVICE_FLAGS
+        .filter(flag => !Object.prototype.hasOwnProperty.call(openblock, flag))
+        .map(flag => ({
+            pointer: `/openblock/${flag}`,
+            message: `openblock.${flag}: added (false)`,
+            confirm: false,
+            apply: editor => editor.insert('/openblock', flag, false)
+        }));
+};
+
+/**
+ * Correct the casing of known tags (micropython → microPython)
+ * @param {object} openblock - openblock field
+ * @returns {Array<object>} Fixes
+ */
+const tagFixes = function (openblock) {
+    if (!Array.isArray(openblock.tags)) {
+        return [];
+    }
+    const {device, extension} = MANIFEST_SCHEMA.definitions;
+    const allowed = (openblock.deviceId ? device : extension).properties.tags.items.enum;
+    const fixes = [];
+    openblock.tags.forEach((tag, index) => {
+        if (typeof tag !== 'string' || allowed.includes(tag)) {
+            return;
+        }
+        const canonical = allowed.find(value => value.toLowerCase() === tag.toLowerCase());
+        if (canonical) {
+            const pointer = `/openblock/tags/${index}`;
+            fixes.push({
+                pointer,
+                message: `openblock.tags[${index}]: "${tag}" → "${canonical}"`,
+                confirm: false,
+                apply: editor => editor.replace(pointer, canonical)
+            });
+        }
+    });
+    return fixes;
+};
+
+/**
+ * Upgrade http:// links to https://. The page may not be served over
+ * https, so these need confirmation.
+ * @param {object} openblock - openblock field
+ * @returns {Array<object>} Fixes
+ */
+const linkFixes = function (openblock) {
+    return ['helpLink', 'learnMore']
+        .filter(field => typeof openblock[field] === 'string' && /^\s*http:\/\//i.test(openblock[field]))
+        .map(field => {
+            const pointer = `/openblock/${field}`;
+            const secure = openblock[field].trim().replace(/^http:/i, 'https:');
+            return {
+                pointer,
+                message: `openblock.${field}: "${openblock[field]}" → "${secure}"`,
+                confirm: true,
+                apply: editor => editor.replace(pointer, secure)
+            };
+        });
+};
+
+/**
+ * Work out the fixes for a package.json
+ * @param {object} packageJson - Parsed package.json
+ * @returns {object} {fixes, notes}, where notes describe problems left to the author
+ */
+const planFixes = function (packageJson) {
+    const notes = [];
+    const fixes = [];
+    const repository = repositoryFix(packageJson);
+    if (repository) {
+        fixes.push(repository);
+    }
+
+    const openblock = packageJson.openblock;
+    if (openblock && typeof openblock === 'object') {
+        const supportDevice = supportDeviceFix(openblock, notes);
+        if (supportDevice) {
+            fixes.push(supportDevice);
+        }
+        fixes.push(...deviceFlagFixes(openblock), ...tagFixes(openblock), ...linkFixes(openblock));
+    }
+    return {fixes, notes};
+};
+
+/**
+ * Apply fixes to package.json text
+ * @param {string} text - package.json text
+ * @param {Array<object>} fixes - Fixes from planFixes
+ * @returns {string} Fixed text
+ */
+const applyFixes = function (text, fixes) {
+    const editor = createJsonEditor(text);
+    fixes.forEach(fix => fix.apply(editor));
+    return editor.toString();
+};
+
+/**
+ * Line diff of two texts, with a line of context around each change
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array<object>} Lines {type, text} where type is ' ', '-', '+' or '…' for elided context
+ */
+const diffLines = function (before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // Longest common subsequence lengths, from the end
+    const lcs = Array.from({length: a.length + 1}, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({type: ' ', text: a[i++]});
+            j++;
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push({type: '-', text: a[i++]});
+        } else {
+            lines.push({type: '+', text: b[j++]});
+        }
+    }
+
+    // Keep one line of context around changes
+    const near = index => [index - 1, index, index + 1]
+        .some(k => lines[k] && lines[k].type !== ' ');
+    const shown = [];
+    lines.forEach((line, index) => {
+        if (near(index)) {
+            shown.push(line);
+        } else if (shown.length > 0 && shown[shown.length - 1].type !== '…') {
+            shown.push({type: '…', text: ''});
+        }
+    });
+    if (shown.length > 0 && shown[shown.length - 1].type === '…') {
+        shown.pop();
+    }
+    return shown;
+};
+
+module.exports = {
+    planFixes,
+    applyFixes,
+    diffLines
+};
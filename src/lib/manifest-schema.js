@@ -0,0 +1,319 @@
+/**
+ * Plugin manifest schema
+ * The authoritative description of the `openblock` field of a plugin's
+ * package.json, as a draft-07 JSON Schema. `validate` checks manifests against
+ * it (see lib/schema-validator) and `schema` writes it out so editors can
+ * offer completion and inline errors.
+ *
+ * Two keywords beyond the standard are understood by our validator and
+ * ignored by editors:
+ *   errorMessage          replaces every error raised inside that subschema
+ *   uniqueItemProperties  array items must not share a value for these keys
+ *
+ * Fields with `format: "file-path"` are files in the plugin repository that
+ * must exist, wherever they appear (see listFileFields and
+ * validators/openblock-files).
+ */
+
+// Plugin ids: camelCase-ish, start with a letter, no separators
+const ID_PATTERN = '^[a-zA-Z][a-zA-Z0-9]*$';
+
+const PROGRAM_MODES = ['realtime', 'upload'];
+const DEVICE_TYPES = ['arduino', 'microPython', 'microbit'];
+const DEVICE_TAGS = ['arduino', 'microPython', 'kit'];
+// Frameworks a multi-framework device can target (openblock.frameworks),
+// with the library tag that lists devices for it
+const FRAMEWORK_TAGS = {
+    arduino: 'arduino',
+    microPython: 'microPython'
+};
+const EXTENSION_TAGS = ['ai', 'kit', 'sensor', 'actuator', 'display',
+    'communication', 'audio', 'data', 'control', 'other'];
+
+// Icons must be raster images. SVG is rejected: it can carry script, and the
+// display channel only needs raster icons. Restricting the format at the gate
+// keeps unsafe icons out of the ecosystem and the frozen display baseline, so
+// the GUI never has to sanitize at render time.
+const ICON_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+const RASTER_ICON_PATTERN = '^[^?#]*\\.([pP][nN][gG]|[jJ][pP][eE]?[gG])([?#].*)?$';
+
+// Links must be plain http(s):// URLs. Forbidding other schemes blocks
+// javascript:/data: links, which become RCE when clicked under nodeIntegration.
+const SAFE_URL_PATTERN = '^\\s*[hH][tT][tT][pP][sS]?://';
+
+/**
+ * Schema for a file in the plugin repository
+ * @param {string} title - What the file is
+ * @returns {object} Schema
+ */
+const filePath = title => ({
+    title,
+    type: 'string',
+    format: 'file-path',
+    minLength: 1
+});
+
+/**
+ * Schema for an icon field
+ * @param {string} title - What the icon is for
+ * @returns {object} Schema
+ */
+const icon = title => ({
+    title,
+    type: 'string',
+    minLength: 1,
+    pattern: RASTER_ICON_PATTERN,
+    errorMessage: `must be a ${ICON_EXTENSIONS.join('/')} image (SVG is not allowed)`
+});
+
+/**
+ * Schema for a link field
+ * @param {string} title - Where the link points
+ * @returns {object} Schema
+ */
+const link = title => ({
+    title,
+    type: 'string',
+    minLength: 1,
+    pattern: SAFE_URL_PATTERN,
+    errorMessage: 'must be an http(s):// URL (javascript:/data: and other schemes are not allowed)'
+});
+
+/**
+ * Schema for a non-empty array of strings from a fixed list
+ * @param {string} title - What the list holds
+ * @param {string[]} values - Allowed values
+ * @returns {object} Schema
+ */
+const listOf = (title, values) => ({
+    title,
+    type: 'array',
+    minItems: 1,
+    items: {enum: values}
+});
+
+const MANIFEST_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'OpenBlock plugin package.json',
+    type: 'object',
+    required: ['author', 'openblock'],
+    properties: {
+        author: {
+            title: 'Plugin author',
+            anyOf: [
+                {type: 'string', minLength: 1},
+                {type: 'object', required: ['name']}
+            ],
+            errorMessage: 'must be a name or a {name, email, url} object'
+        },
+        openblock: {$ref: '#/definitions/manifest'}
+    },
+    definitions: {
+        message: {
+            description: 'Plain text, or a formatMessage object translated through openblock.translations',
+            anyOf: [
+                {type: 'string'},
+                {
+                    type: 'object',
+                    required: ['formatMessage'],
+                    properties: {
+                        formatMessage: {
+                            type: 'object',
+                            required: ['id', 'default'],
+                            properties: {
+                                id: {type: 'string'},
+                                default: {type: 'string'},
+                                description: {type: 'string'}
+                            }
+                        }
+                    }
+                }
+            ],
+            errorMessage: 'must be a string or a {formatMessage: {id, default}} object'
+        },
+        arch: {
+            title: 'Architectures the plugin runs on',
+            description: 'Free-form identifiers such as "arduino-avr"; vendors may coin their own. ' +
+                'Extensions may use wildcards such as "arduino-*".',
+            type: 'array',
+            minItems: 1,
+            items: {type: 'string', minLength: 1}
+        },
+        programMode: listOf('Supported program modes', PROGRAM_MODES),
+        firmware: {
+            type: 'object',
+            required: ['id', 'name', 'file'],
+            properties: {
+                id: {type: 'string', minLength: 1},
+                name: {$ref: '#/definitions/message'},
+                file: filePath('Firmware image')
+            }
+        },
+        framework: {
+            type: 'object',
+            required: ['type', 'main', 'generator'],
+            properties: {
+                type: {title: 'Framework', enum: Object.keys(FRAMEWORK_TAGS)},
+                main: filePath('Framework main entry file'),
+                generator: filePath('Framework code generator file'),
+                programMode: listOf('Program modes of this framework (defaults to openblock.programMode)',
+                    PROGRAM_MODES)
+            }
+        },
+        example: {
+            type: 'object',
+            required: ['id', 'name', 'file'],
+            properties: {
+                id: {type: 'string', minLength: 1},
+                name: {$ref: '#/definitions/message'},
+                description: {$ref: '#/definitions/message'},
+                file: filePath('Example project'),
+                iconURL: {type: 'string', minLength: 1}
+            }
+        },
+        manifest: {
+            title: 'OpenBlock plugin manifest',
+            type: 'object',
+            required: ['name', 'description', 'helpLink', 'iconURL', 'translations'],
+            properties: {
+                name: {$ref: '#/definitions/message'},
+                description: {$ref: '#/definitions/message'},
+                deviceId: {title: 'Device id (device plugins)', type: 'string', pattern: ID_PATTERN},
+                extensionId: {title: 'Extension id (extension plugins)', type: 'string', pattern: ID_PATTERN},
+                helpLink: link('Help page'),
+                learnMore: link('Product page (devices)'),
+                iconURL: icon('Library icon'),
+                connectionIconURL: icon('Connection dialog icon (devices)'),
+                connectionSmallIconURL: icon('Small connection icon (devices)'),
+                translations: filePath('Translations file'),
+                main: filePath('Main entry file'),
+                generator: filePath('Code generator file'),
+                blocks: filePath('Blocks definition file'),
+                msg: filePath('Message/translation file'),
+                toolbox: filePath('Toolbox definition file'),
+                arch: {$ref: '#/definitions/arch'},
+                programMode: {$ref: '#/definitions/programMode'},
+                examples: {
+                    title: 'Example projects',
+                    type: 'array',
+                    items: {$ref: '#/definitions/example'},
+                    uniqueItemProperties: ['id']
+                }
+            },
+            allOf: [
+                {
+                    anyOf: [
+                        {required: ['deviceId']},
+                        {required: ['extensionId']}
+                    ],
+                    errorMessage: 'must have either deviceId (device plugins) or extensionId (extension plugins)'
+                },
+                {
+                    if: {required: ['deviceId']},
+                    then: {$ref: '#/definitions/device'}
+                },
+                {
+                    // A manifest with both ids is reported once, as a device
+                    if: {
+                        required: ['extensionId'],
+                        not: {required: ['deviceId']}
+                    },
+                    then: {$ref: '#/definitions/extension'}
+                }
+            ]
+        },
+        device: {
+            required: ['type', 'manufactor', 'learnMore', 'bluetoothRequired', 'serialportRequired',
+                'internetConnectionRequired', 'programMode', 'tags', 'arch'],
+            properties: {
+                extensionId: {
+                    not: {},
+                    errorMessage: 'must not be set on a device plugin (a plugin is a device or an extension)'
+                },
+                type: {title: 'Device family', enum: DEVICE_TYPES},
+                manufactor: {title: 'Manufacturer', type: 'string', minLength: 1},
+                bluetoothRequired: {type: 'boolean'},
+                serialportRequired: {type: 'boolean'},
+                internetConnectionRequired: {type: 'boolean'},
+                tags: listOf('Library categories', DEVICE_TAGS),
+                libraries: {title: 'Arduino libraries directory', type: 'string'},
+                firmwares: {
+                    title: 'Firmware images users can flash',
+                    type: 'array',
+                    items: {$ref: '#/definitions/firmware'},
+                    uniqueItemProperties: ['id']
+                },
+                frameworks: {
+                    title: 'Frameworks of a multi-framework device, each with its own main and generator',
+                    type: 'array',
+                    minItems: 1,
+                    items: {$ref: '#/definitions/framework'},
+                    uniqueItemProperties: ['type']
+                }
+            }
+        },
+        extension: {
+            required: ['programMode', 'tags', 'arch'],
+            properties: {
+                tags: listOf('Library categories', EXTENSION_TAGS),
+                supportDevice: {
+                    not: {},
+                    errorMessage: 'is no longer supported; use openblock.arch instead'
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Resolve a local `#/definitions/...` reference
+ * @param {object} schema - Schema that may be a reference
+ * @returns {object} Referenced schema, or schema itself
+ */
+const resolveRef = function (schema) {
+    return schema.$ref ? MANIFEST_SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')] : schema;
+};
+
+/**
+ * Collect the file-path fields under a schema
+ * @param {object} schema - Schema to walk
+ * @param {string} field - Path of the schema's value, e.g. "frameworks[]"
+ * @param {boolean} optional - Whether the value may be absent where its parent is present
+ * @param {Array<object>} fields - Entries collected so far
+ * @returns {Array<object>} fields
+ */
+const collectFileFields = function (schema, field, optional, fields) {
+    const resolved = resolveRef(schema);
+    if (resolved.format === 'file-path') {
+        fields.push({field, description: resolved.title, optional});
+        return fields;
+    }
+    const required = resolved.required || [];
+    Object.entries(resolved.properties || {}).forEach(([key, child]) => {
+        collectFileFields(child, field ? `${field}.${key}` : key, !required.includes(key), fields);
+    });
+    if (resolved.items) collectFileFields(resolved.items, `${field}[]`, false, fields);
+    // A conditional subschema only applies when its `if` holds, so nothing it requires is required here
+    (resolved.allOf || []).filter(part => part.then)
+        .forEach(part => collectFileFields({...resolveRef(part.then), required: []}, field, optional, fields));
+    return fields;
+};
+
+/**
+ * List the manifest fields that name a file in the plugin repository,
+ * including those inside array entries. Fields are paths relative to
+ * `openblock`, with "[]" standing for every entry of an array, e.g.
+ * "frameworks[].main".
+ * @returns {Array<object>} Entries {field, description, optional}; optional is
+ *   whether the field may be absent where its parent is present
+ */
+const listFileFields = function () {
+    return collectFileFields(MANIFEST_SCHEMA.definitions.manifest, '', false, []);
+};
+
+module.exports = {
+    MANIFEST_SCHEMA,
+    ID_PATTERN,
+    FRAMEWORK_TAGS,
+    listFileFields
+};
@@ -0,0 +1,137 @@
+/**
+ * Network layer
+ * Every outgoing request goes through here so that proxy and CA settings
+ * (see lib/config/network) apply everywhere:
+ *
+ *   fetch(url, init)            node-fetch with the right agent for the URL
+ *   request(options, callback)  http(s).request with the right agent
+ *
+ * Loopback addresses never use the proxy, so the local Resource Service stays
+ * reachable.
+ */
+
+const http = require('http');
+const https = require('https');
+const nodeFetch = require('node-fetch');
+
+const {getNetworkSettings} = require('../config/network');
+const {TunnelingAgent, ForwardingAgent} = require('./proxy-agent');
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+// Settings are read once per process; agents are reused per settings object
+let currentSettings = null;
+const agentCache = new WeakMap();
+
+/**
+ * Get the network settings for this process
+ * @returns {object} Settings (see getNetworkSettings)
+ */
+const getSettings = function () {
+    if (!currentSettings) {
+        currentSettings = getNetworkSettings();
+    }
+    return currentSettings;
+};
+
+/**
+ * Check whether a host matches a NO_PROXY list. Entries are hostnames
+ * (matching subdomains too), ".domain" or "*.domain" suffixes, optionally
+ * with ":port", or "*" for everything.
+ * @param {string} hostname - Target hostname
+ * @param {string} port - Target port
+ * @param {string[]} noProxy - NO_PROXY entries
+ * @returns {boolean} True if the proxy must be bypassed
+ */
+const shouldBypassProxy = function (hostname, port, noProxy) {
+    const host = hostname.toLowerCase();
+    if (LOOPBACK_HOSTS.includes(host)) {
+        return true;
+    }
+    return noProxy.some(entry => {
+        if (entry === '*') {
+            return true;
+        }
+        const [pattern, entryPort] = entry.toLowerCase().split(/:(?=\d+$)/);
+        if (entryPort && entryPort !== String(port)) {
+            return false;
+        }
+        const suffix = pattern.replace(/^\*?\.?/, '');
+        return host === suffix || host.endsWith(`.${suffix}`);
+    });
+};
+
+/**
+ * Pick the agent for a target URL.
+ * @param {URL|string} url - Target URL
+ * @param {object} [settings] - Network settings (defaults to this process's)
+ * @returns {http.Agent|undefined} Agent, or undefined for Node's default agent
+ */
+const agentFor = function (url, settings = getSettings()) {
+    const target = typeof url === 'string' ? new URL(url) : url;
+    const isHttps = target.protocol === 'https:';
+    const port = target.port || (isHttps ? '443' : '80');
+    let proxy = isHttps ? settings.httpsProxy : settings.httpProxy;
+    if (proxy && shouldBypassProxy(target.hostname, port, settings.noProxy)) {
+        proxy = null;
+    }
+    if (!proxy && !(isHttps && settings.ca)) {
+        return void 0;
+    }
+
+    if (!agentCache.has(settings)) {
+        agentCache.set(settings, new Map());
+    }
+    const agents = agentCache.get(settings);
+    const key = `${target.protocol}${proxy || ''}`;
+    if (!agents.has(key)) {
+        const options = settings.ca ? {ca: settings.ca} : {};
+        let agent;
+        if (!proxy) {
+            agent = new https.Agent(options);
+        } else if (isHttps) {
+            agent = new TunnelingAgent(proxy, options);
+        } else {
+            agent = new ForwardingAgent(proxy, options);
+        }
+        agents.set(key, agent);
+    }
+    return agents.get(key);
+};
+
+/**
+ * node-fetch with proxy and CA settings applied
+ * @param {string} url - URL to fetch
+ * @param {object} [init] - node-fetch options
+ * @returns {Promise<Response>} Response
+ */
+const fetch = function (url, init = {}) {
+    return nodeFetch(url, {
+        agent: parsedUrl => agentFor(parsedUrl.href),
+        ...init
+    });
+};
+
+/**
+ * http(s).request with proxy and CA settings applied
+ * @param {object} options - Request options (protocol defaults to http:)
+ * @param {Function} [callback] - Response callback
+ * @returns {http.ClientRequest} Request
+ */
+const request = function (options, callback) {
+    const protocol = options.protocol || 'http:';
+    const host = options.hostname || options.host || 'localhost';
+    const port = options.port ? `:${options.port}` : '';
+    const transport = protocol === 'https:' ? https : http;
+    return transport.request({
+        agent: agentFor(`${protocol}//${host}${port}/`),
+        ...options
+    }, callback);
+};
+
+module.exports = {
+    fetch,
+    request,
+    agentFor,
+    shouldBypassProxy
+};
@@ -0,0 +1,162 @@
+/**
+ * Proxy agents
+ * http(s).Agent subclasses that send requests through an HTTP(S) proxy:
+ * https targets are tunnelled with CONNECT, http targets are forwarded by
+ * requesting the absolute URL from the proxy.
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Proxy-Authorization header value for a proxy URL with credentials
+ * @param {URL} proxy - Proxy URL
+ * @returns {string|null} Basic credentials, or null if the URL has none
+ */
+const proxyAuthorization = function (proxy) {
+    if (!proxy.username) {
+        return null;
+    }
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return `Basic ${Buffer.from(credentials).toString('base64')}`;
+};
+
+/**
+ * Port of a proxy URL, defaulting by protocol
+ * @param {URL} proxy - Proxy URL
+ * @returns {number} Port
+ */
+const proxyPort = function (proxy) {
+    if (proxy.port) {
+        return Number(proxy.port);
+    }
+    return proxy.protocol === 'https:' ? 443 : 80;
+};
+
+/**
+ * Server name to send in the TLS handshake (none for IP addresses)
+ * @param {string} host - Hostname or IP address
+ * @returns {string|undefined} SNI server name
+ */
+const serverName = function (host) {
+    return net.isIP(host) ? void 0 : host;
+};
+
+/**
+ * Agent for https targets: opens a CONNECT tunnel through the proxy and
+ * speaks TLS to the target inside it.
+ */
+class TunnelingAgent extends https.Agent {
+    /**
+     * @param {string} proxyUrl - Proxy URL, optionally with credentials
+     * @param {object} [options] - https.Agent options (e.g. ca)
+     */
+    constructor (proxyUrl, options = {}) {
+        super(options);
+        this.proxy = new URL(proxyUrl);
+    }
+
+    /**
+     * Open the tunnel. Node waits for the callback when nothing is returned.
+     * @param {object} options - Connection options for the target
+     * @param {Function} callback - Called with (error, socket)
+     */
+    createConnection (options, callback) {
+        const proxy = this.proxy;
+        const target = `${options.host}:${options.port}`;
+        const headers = {Host: target};
+        const auth = proxyAuthorization(proxy);
+        if (auth) {
+            headers['Proxy-Authorization'] = auth;
+        }
+
+        const transport = proxy.protocol === 'https:' ? https : http;
+        const connectRequest = transport.request({
+            host: proxy.hostname,
+            port: proxyPort(proxy),
+            method: 'CONNECT',
+            path: target,
+            headers,
+            agent: false,
+            ca: options.ca,
+            servername: serverName(proxy.hostname)
+        });
+
+        connectRequest.once('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                const hint = res.statusCode === 407 ? ' (check the proxy credentials)' : '';
+                callback(new Error(`Proxy ${proxy.host} refused to connect to ${target}: ` +
+                    `${res.statusCode} ${res.statusMessage}${hint}`));
+                return;
+            }
+            callback(null, tls.connect({
+                ...options,
+                socket,
+                servername: options.servername || serverName(options.host)
+            }));
+        });
+        connectRequest.once('error', err => {
+            callback(new Error(`Cannot reach proxy ${proxy.host}: ${err.message}`));
+        });
+        connectRequest.end();
+    }
+}
+
+/**
+ * Agent for http targets: connects to the proxy and asks it for the absolute
+ * URL.
+ */
+class ForwardingAgent extends http.Agent {
+    /**
+     * @param {string} proxyUrl - Proxy URL, optionally with credentials
+     * @param {object} [options] - http.Agent options (ca is used for https proxies)
+     */
+    constructor (proxyUrl, options = {}) {
+        super(options);
+        this.proxy = new URL(proxyUrl);
+        this.ca = options.ca;
+    }
+
+    /**
+     * Rewrite the request for the proxy before it is queued.
+     * @param {http.ClientRequest} req - Outgoing request
+     * @param {object} options - Request options
+     */
+    addRequest (req, options) {
+        req.path = `http://${options.host}:${options.port}${req.path}`;
+        const auth = proxyAuthorization(this.proxy);
+        if (auth) {
+            req.setHeader('Proxy-Authorization', auth);
+        }
+        super.addRequest(req, {
+            ...options,
+            host: this.proxy.hostname,
+            port: proxyPort(this.proxy)
+        });
+    }
+
+    /**
+     * Connect to the proxy.
+     * @param {object} options - Connection options (host/port are the proxy's)
+     * @returns {net.Socket} Socket to the proxy
+     */
+    createConnection (options) {
+        if (this.proxy.protocol === 'https:') {
+            return tls.connect({
+                host: options.host,
+                port: options.port,
+                ca: this.ca,
+                servername: serverName(options.host)
+            });
+        }
+        return net.createConnection({host: options.host, port: options.port});
+    }
+}
+
+module.exports = {
+    TunnelingAgent,
+    ForwardingAgent
+};
@@ -0,0 +1,55 @@
+/**
+ * Published versions
+ * Looks a plugin up in the registry's published index (packages.json), which
+ * the daily scan regenerates from every registered repository's git tags.
+ */
+
+const semver = require('semver');
+
+const {fetch} = require('./network');
+
+const {getRegistryProfile} = require('./config/registry');
+
+/**
+ * Fetch every published version entry of a plugin.
+ * @param {object} openblock - Normalized openblock field ({id, pluginType})
+ * @returns {Promise<Array<object>>} Version entries in registry order (empty if not published)
+ * @throws {Error} If the index cannot be fetched
+ */
+const fetchPublishedVersions = async function (openblock) {
+    const response = await fetch(getRegistryProfile().packagesUrl);
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch registry: ${response.status}`);
+    }
+
+    const registry = await response.json();
+
+    const packageType = `${openblock.pluginType}s`; // device -> devices, extension -> extensions
+    const packages = (registry.packages && registry.packages[packageType]) || [];
+
+    // The registry structure is a flat array where each entry is a version
+    // Filter all entries that match our plugin ID
+    const idField = openblock.pluginType === 'device' ? 'deviceId' : 'extensionId';
+    return packages.filter(p => p[idField] === openblock.id);
+};
+
+/**
+ * Tell whether the daily scan has published a tag yet
+ * @param {Array<object>} versions - Entries from fetchPublishedVersions
+ * @param {string} tag - X.Y.Z tag
+ * @returns {object} {live, latest}: live is true when the tag is published; latest is the highest
+ *   published version (the registry does not sort them), or null
+ */
+const describeScanState = function (versions, tag) {
+    const published = versions.map(entry => entry.version).filter(version => semver.valid(version));
+    return {
+        live: published.includes(tag),
+        latest: published.sort(semver.rcompare)[0] || null
+    };
+};
+
+module.exports = {
+    fetchPublishedVersions,
+    describeScanState
+};
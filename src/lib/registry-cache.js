@@ -0,0 +1,88 @@
+/**
+ * Registry data cache
+ * Keeps the last registry files fetched (packages.json, approved baselines)
+ * on disk with the time they were fetched, so `validate --offline` can reuse
+ * them. Each registry profile has its own directory under
+ * ~/.openblock/cache/registry.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {getRegistryProfile} = require('./config/registry');
+
+/**
+ * Cache directory of the configured registry
+ * @returns {string} Absolute directory path
+ */
+const registryCacheDir = function () {
+    const {rawBase} = getRegistryProfile();
+    const key = crypto.createHash('sha256').update(rawBase)
+        .digest('hex')
+        .slice(0, 16);
+    return path.join(os.homedir(), '.openblock', 'cache', 'registry', key);
+};
+
+/**
+ * Store a registry file
+ * @param {string} name - Path of the file in the registry, e.g. "packages.json" or "approved/ledMatrix.json"
+ * @param {*} data - Parsed content; null records that the file does not exist
+ * @param {string} [url] - Where the file was fetched from, if not from the registry's raw base
+ */
+const writeRegistryCache = function (name, data, url) {
+    const file = path.join(registryCacheDir(), name);
+    try {
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        fs.writeFileSync(file, JSON.stringify({
+            fetchedAt: new Date().toISOString(),
+            url: url || `${getRegistryProfile().rawBase}/${name}`,
+            data
+        }), 'utf-8');
+    } catch (e) {
+        // The cache is only a convenience for offline use
+    }
+};
+
+/**
+ * Read a stored registry file
+ * @param {string} name - Path of the file in the registry
+ * @returns {object|null} {data, fetchedAt} with fetchedAt a Date, or null if never fetched
+ */
+const readRegistryCache = function (name) {
+    try {
+        const entry = JSON.parse(fs.readFileSync(path.join(registryCacheDir(), name), 'utf-8'));
+        return {data: entry.data, fetchedAt: new Date(entry.fetchedAt)};
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Describe when a cached file was fetched, e.g. "2026-10-17 09:30 UTC, 2 days ago"
+ * @param {Date} fetchedAt - Fetch time
+ * @param {Date} [now] - Current time
+ * @returns {string} Description
+ */
+const describeCacheAge = function (fetchedAt, now = new Date()) {
+    const minutes = Math.max(0, Math.round((now - fetchedAt) / 60000));
+    let age;
+    if (minutes < 60) {
+        age = `${minutes} minute(s) ago`;
+    } else if (minutes < 48 * 60) {
+        age = `${Math.round(minutes / 60)} hour(s) ago`;
+    } else {
+        age = `${Math.round(minutes / (24 * 60))} days ago`;
+    }
+    const stamp = fetchedAt.toISOString().slice(0, 16)
+        .replace('T', ' ');
+    return `${stamp} UTC, ${age}`;
+};
+
+module.exports = {
+    registryCacheDir,
+    writeRegistryCache,
+    readRegistryCache,
+    describeCacheAge
+};
@@ -0,0 +1,228 @@
+/**
+ * Validation report
+ * Records the outcome of every `validate` check so it can be written out for
+ * CI as JSON, SARIF or JUnit XML (see the formatters next to this file).
+ *
+ * A check has a status (passed, warning, failed or skipped), a severity
+ * (error, warning or none), a one-line message and a list of issues. Each
+ * issue carries its own severity, message and, when known, a location
+ * {file, pointer, line} where pointer is a JSON pointer into that file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const formatJson = require('./json');
+const formatSarif = require('./sarif');
+const formatJunit = require('./junit');
+
+const FORMATTERS = {
+    json: formatJson,
+    sarif: formatSarif,
+    junit: formatJunit
+};
+
+const REPORT_FORMATS = Object.keys(FORMATTERS);
+
+const STATUS_SEVERITY = {
+    passed: 'none',
+    skipped: 'none',
+    warning: 'warning',
+    failed: 'error'
+};
+
+/**
+ * Turn a dotted field path found in a message ("openblock.firmwares[0].file")
+ * into a JSON pointer ("/openblock/firmwares/0/file").
+ * @param {string} message - Validator message
+ * @returns {string|null} Pointer, or null if the message names no openblock field
+ */
+const pointerFromMessage = function (message) {
+    const match = /\bopenblock((?:\.[A-Za-z_$][\w$]*|\[\d+\])*)/.exec(message);
+    if (!match) {
+        return null;
+    }
+    const tokens = match[1].split(/[.[\]]/).filter(Boolean);
+    return ['', 'openblock', ...tokens].join('/');
+};
+
+/**
+ * Find the line a JSON pointer refers to in a JSON document. Property names
+ * are searched in order, which is exact for the hand-written package.json
+ * files this is used on; array positions resolve to the array itself.
+ * @param {string} text - JSON text
+ * @param {string} pointer - JSON pointer
+ * @returns {number|null} 1-based line, or null if the first property is not found
+ */
+const findPointerLine = function (text, pointer) {
+    let position = -1;
+    for (const token of pointer.split('/').slice(1)) {
+        if (/^\d+$/.test(token)) {
+            continue;
+        }
+        const name = token.replace(/~1/g, '/').replace(/~0/g, '~');
+        const pattern = new RegExp(`"${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"\\s*:`, 'g');
+        pattern.lastIndex = Math.max(position, 0);
+        const match = pattern.exec(text);
+        if (!match) {
+            break;
+        }
+        position = match.index;
+    }
+    if (position < 0) {
+        return null;
+    }
+    return text.slice(0, position).split('\n').length;
+};
+
+/**
+ * Create a report for a fixed list of checks. Checks never reached stay
+ * "skipped".
+ * @param {Array<object>} definitions - Checks {id, name} in run order
+ * @returns {object} Report with start/pass/warn/fail/skip methods and a checks array
+ */
+const createReport = function (definitions) {
+    const checks = definitions.map(({id, name}) => ({
+        id,
+        name,
+        status: 'skipped',
+        severity: 'none',
+        message: 'Not run',
+        issues: []
+    }));
+    const settled = new Set();
+    let current = null;
+
+    /**
+     * Set the outcome of a check
+     * @param {string} id - Check id
+     * @param {string} status - passed, warning, failed or skipped
+     * @param {string} message - One-line outcome
+     * @param {Array<object>} [issues] - Issues {severity, message, location}
+     */
+    const settle = function (id, status, message, issues = []) {
+        const check = checks.find(entry => entry.id === id);
+        if (!check) {
+            throw new Error(`Unknown validation check: ${id}`);
+        }
+        Object.assign(check, {status, severity: STATUS_SEVERITY[status], message, issues});
+        settled.add(id);
+    };
+
+    return {
+        checks,
+        plugin: null,
+
+        /**
+         * Mark a check as running, so a thrown error can be attributed to it
+         * @param {string} id - Check id
+         */
+        start (id) {
+            current = id;
+        },
+
+        /**
+         * The current check passed
+         * @param {string} message - Outcome
+         * @param {Array<object>} [issues] - Informational issues
+         */
+        pass (message, issues) {
+            settle(current, 'passed', message, issues);
+        },
+
+        /**
+         * The current check passed with warnings
+         * @param {string} message - Outcome
+         * @param {Array<object>} issues - Warnings
+         */
+        warn (message, issues) {
+            settle(current, 'warning', message, issues);
+        },
+
+        /**
+         * The current check failed. Ignored if it was already settled, so a
+         * catch-all handler can call it after a detailed failure was recorded.
+         * @param {string} message - Outcome
+         * @param {Array<object>} [issues] - Errors; defaults to the message itself
+         */
+        fail (message, issues) {
+            if (!current || settled.has(current)) {
+                return;
+            }
+            settle(current, 'failed', message, issues || [{severity: 'error', message}]);
+        },
+
+        /**
+         * A check was deliberately not run
+         * @param {string} id - Check id
+         * @param {string} reason - Why
+         */
+        skip (id, reason) {
+            settle(id, 'skipped', reason);
+        }
+    };
+};
+
+/**
+ * Make an issue
+ * @param {string} severity - error or warning
+ * @param {string} message - Message
+ * @param {object} [location] - {file, pointer}
+ * @returns {object} Issue
+ */
+const issue = function (severity, message, location) {
+    return location ? {severity, message, location} : {severity, message};
+};
+
+/**
+ * Fill in line numbers for issues located in JSON files in the plugin directory
+ * @param {object} report - Report
+ * @param {string} dir - Plugin directory
+ */
+const resolveLines = function (report, dir) {
+    const texts = {};
+    for (const check of report.checks) {
+        for (const {location} of check.issues) {
+            if (!location || !location.pointer || !location.file.endsWith('.json')) {
+                continue;
+            }
+            if (!(location.file in texts)) {
+                try {
+                    texts[location.file] = fs.readFileSync(path.join(dir, location.file), 'utf-8');
+                } catch (e) {
+                    texts[location.file] = null;
+                }
+            }
+            const line = texts[location.file] && findPointerLine(texts[location.file], location.pointer);
+            if (line) {
+                location.line = line;
+            }
+        }
+    }
+};
+
+/**
+ * Render a report.
+ * @param {object} report - Report
+ * @param {string} format - json, sarif or junit
+ * @param {object} tool - {name, version} of this CLI
+ * @returns {string} Report text
+ * @throws {Error} If the format is unknown
+ */
+const formatReport = function (report, format, tool) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unknown report format: ${format}. Valid formats: ${REPORT_FORMATS.join(', ')}`);
+    }
+    return formatter({tool, plugin: report.plugin, checks: report.checks});
+};
+
+module.exports = {
+    REPORT_FORMATS,
+    createReport,
+    issue,
+    pointerFromMessage,
+    findPointerLine,
+    resolveLines,
+    formatReport
+};
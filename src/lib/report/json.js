@@ -0,0 +1,26 @@
+/**
+ * JSON validation report
+ * The report as recorded, plus a summary of check counts.
+ */
+
+/**
+ * Render a report as JSON
+ * @param {object} report - {tool, plugin, checks}
+ * @returns {string} JSON text
+ */
+const formatJson = function ({tool, plugin, checks}) {
+    const summary = {passed: 0, warning: 0, failed: 0, skipped: 0};
+    checks.forEach(check => {
+        summary[check.status]++;
+    });
+
+    return `${JSON.stringify({
+        tool,
+        plugin,
+        valid: summary.failed === 0,
+        summary,
+        checks
+    }, null, 2)}\n`;
+};
+
+module.exports = formatJson;
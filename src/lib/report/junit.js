@@ -0,0 +1,75 @@
+/**
+ * JUnit XML validation report
+ * One test case per check, understood by most CI test-result viewers.
+ */
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Describe an issue on one line, with its location
+ * @param {object} issue - {severity, message, location}
+ * @returns {string} Text
+ */
+const describeIssue = function ({severity, message, location}) {
+    if (!location) {
+        return `[${severity}] ${message}`;
+    }
+    const line = location.line ? `:${location.line}` : '';
+    const pointer = location.pointer ? ` ${location.pointer}` : '';
+    return `[${severity}] ${location.file}${line}${pointer}: ${message}`;
+};
+
+/**
+ * Render one check as a test case
+ * @param {object} check - Check
+ * @returns {string} XML
+ */
+const formatTestCase = function (check) {
+    const open = `    <testcase classname="validate" name="${escapeXml(check.name)}">`;
+    const details = escapeXml(check.issues.map(describeIssue).join('\n'));
+
+    if (check.status === 'failed') {
+        return `${open}\n      <failure message="${escapeXml(check.message)}" type="error">${details}</failure>\n` +
+            '    </testcase>';
+    }
+    if (check.status === 'skipped') {
+        return `${open}\n      <skipped message="${escapeXml(check.message)}"/>\n    </testcase>`;
+    }
+    if (check.status === 'warning') {
+        return `${open}\n      <system-out>${details}</system-out>\n    </testcase>`;
+    }
+    return `${open}</testcase>`;
+};
+
+/**
+ * Render a report as JUnit XML
+ * @param {object} report - {tool, plugin, checks}
+ * @returns {string} XML text
+ */
+const formatJunit = function ({tool, plugin, checks}) {
+    const count = status => checks.filter(check => check.status === status).length;
+    const suiteName = plugin ? `${tool.name} validate ${plugin.id}@${plugin.version}` : `${tool.name} validate`;
+    const attributes = `name="${escapeXml(suiteName)}" tests="${checks.length}" ` +
+        `failures="${count('failed')}" errors="0" skipped="${count('skipped')}"`;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites ${attributes}>`,
+        `  <testsuite ${attributes}>`,
+        ...checks.map(formatTestCase),
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+};
+
+module.exports = formatJunit;
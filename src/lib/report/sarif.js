@@ -0,0 +1,78 @@
+/**
+ * SARIF validation report
+ * SARIF 2.1.0, as consumed by GitHub code scanning and other PR annotation
+ * tools. Every check becomes a rule; every error or warning becomes a result.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Results must point at a file to be annotated; problems that are not about
+// a particular file (git state, the remote repository) are reported against
+// the plugin manifest.
+const DEFAULT_FILE = 'package.json';
+
+/**
+ * SARIF location of an issue
+ * @param {object} [location] - {file, pointer, line}
+ * @returns {object} SARIF location
+ */
+const toSarifLocation = function (location = {}) {
+    const physicalLocation = {
+        artifactLocation: {uri: location.file || DEFAULT_FILE}
+    };
+    if (location.line) {
+        physicalLocation.region = {startLine: location.line};
+    }
+    const sarifLocation = {physicalLocation};
+    if (location.pointer) {
+        sarifLocation.logicalLocations = [{fullyQualifiedName: location.pointer, kind: 'member'}];
+    }
+    return sarifLocation;
+};
+
+/**
+ * Render a report as SARIF
+ * @param {object} report - {tool, plugin, checks}
+ * @returns {string} SARIF JSON text
+ */
+const formatSarif = function ({tool, checks}) {
+    const rules = checks.map(check => ({
+        id: check.id,
+        shortDescription: {text: check.name}
+    }));
+
+    const results = [];
+    checks.forEach((check, ruleIndex) => {
+        check.issues
+            .filter(({severity}) => severity === 'error' || severity === 'warning')
+            .forEach(({severity, message, location}) => {
+                results.push({
+                    ruleId: check.id,
+                    ruleIndex,
+                    level: severity,
+                    message: {text: message},
+                    locations: [toSarifLocation(location)]
+                });
+            });
+    });
+
+    return `${JSON.stringify({
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: tool.name,
+                    version: tool.version,
+                    rules
+                }
+            },
+            invocations: [{
+                executionSuccessful: true
+            }],
+            results
+        }]
+    }, null, 2)}\n`;
+};
+
+module.exports = formatSarif;
@@ -0,0 +1,195 @@
+/**
+ * Schema validator
+ * Checks a value against a draft-07 JSON Schema and reports every violation
+ * with the JSON pointer of the offending value.
+ *
+ * Only the keywords lib/manifest-schema uses are implemented: $ref (local),
+ * type, enum, const, pattern, minLength, minItems, required, properties,
+ * items, anyOf, allOf, not, if/then/else and boolean schemas, plus the
+ * errorMessage and uniqueItemProperties extensions. Unknown keywords
+ * (title, description, format, ...) are annotations and are ignored.
+ */
+
+/**
+ * Escape a property name for use in a JSON pointer
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Escaped token
+ */
+const escapePointer = token => String(token).replace(/~/g, '~0')
+    .replace(/\//g, '~1');
+
+/**
+ * JSON type name of a value, as used by the `type` keyword
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+const typeOf = function (value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+/**
+ * Check a value against a `type` keyword
+ * @param {*} value - Value
+ * @param {string} type - Type name
+ * @returns {boolean} True if the value has the type
+ */
+const hasType = function (value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Describe a type for error messages ("an array", "a string")
+ * @param {string} type - Type name
+ * @returns {string} Description
+ */
+const describeType = function (type) {
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+};
+
+/**
+ * Resolve a local $ref ("#/definitions/name")
+ * @param {object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {object} Referenced schema
+ * @throws {Error} If the reference cannot be resolved
+ */
+const resolveRef = function (root, ref) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    const target = ref.slice(1).split('/')
+        .filter(Boolean)
+        .reduce((node, token) => node && node[token.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    if (typeof target === 'undefined') {
+        throw new Error(`Unresolved schema reference: ${ref}`);
+    }
+    return target;
+};
+
+/**
+ * Collect the violations of a value against a subschema.
+ * @param {object} root - Root schema (for $ref)
+ * @param {object|boolean} schema - Subschema
+ * @param {*} value - Value being checked
+ * @param {string} pointer - JSON pointer of the value
+ * @returns {Array<object>} Errors {pointer, message}
+ */
+const check = function (root, schema, value, pointer) {
+    if (schema === true) return [];
+    if (schema === false) return [{pointer, message: 'is not allowed'}];
+
+    // As in draft-07, keywords next to $ref are ignored
+    if (schema.$ref) {
+        return check(root, resolveRef(root, schema.$ref), value, pointer);
+    }
+
+    const errors = [];
+    const fail = message => errors.push({pointer, message});
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => hasType(value, type))) {
+            fail(`must be ${types.map(describeType).join(' or ')}`);
+            return schema.errorMessage ? [{pointer, message: schema.errorMessage}] : errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (Object.prototype.hasOwnProperty.call(schema, 'const') && schema.const !== value) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            fail(schema.minItems === 1 ? 'must be a non-empty array' : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...check(root, schema.items, item, `${pointer}/${i}`));
+            });
+        }
+        if (schema.uniqueItemProperties) {
+            for (const key of schema.uniqueItemProperties) {
+                const seen = new Set();
+                value.forEach((item, i) => {
+                    if (!item || typeof item !== 'object' || typeof item[key] === 'undefined') return;
+                    const id = JSON.stringify(item[key]);
+                    if (seen.has(id)) {
+                        errors.push({pointer: `${pointer}/${i}/${escapePointer(key)}`, message: `${id} is duplicated`});
+                    }
+                    seen.add(id);
+                });
+            }
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                errors.push({pointer: `${pointer}/${escapePointer(key)}`, message: 'is required'});
+            }
+        }
+        for (const [key, subschema] of Object.entries(schema.properties || {})) {
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                errors.push(...check(root, subschema, value[key], `${pointer}/${escapePointer(key)}`));
+            }
+        }
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => check(root, option, value, pointer).length === 0)) {
+        fail('does not match any of the allowed forms');
+    }
+    for (const subschema of schema.allOf || []) {
+        errors.push(...check(root, subschema, value, pointer));
+    }
+    if (schema.not && check(root, schema.not, value, pointer).length === 0) {
+        fail('is not allowed');
+    }
+    if (schema.if) {
+        const branch = check(root, schema.if, value, pointer).length === 0 ? schema.then : schema.else;
+        if (typeof branch !== 'undefined') {
+            errors.push(...check(root, branch, value, pointer));
+        }
+    }
+
+    if (schema.errorMessage && errors.length > 0) {
+        return [{pointer, message: schema.errorMessage}];
+    }
+    return errors;
+};
+
+/**
+ * Validate a value against a schema.
+ * @param {object} schema - Root schema
+ * @param {*} value - Value to validate
+ * @returns {Array<object>} Errors {pointer, message}; empty when the value is valid
+ */
+const validateSchema = function (schema, value) {
+    return check(schema, schema, value, '');
+};
+
+/**
+ * Format an error for display
+ * @param {object} error - Error {pointer, message}
+ * @returns {string} "/openblock/tags/0: must be one of: ..."
+ */
+const formatSchemaError = error => `${error.pointer || '/'}: ${error.message}`;
+
+module.exports = {
+    validateSchema,
+    formatSchemaError
+};
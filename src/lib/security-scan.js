@@ -0,0 +1,436 @@
+/**
+ * Static security policy scan of plugin JavaScript
+ * Plugins run inside the desktop app with the same privileges as the app, so
+ * the registry does not accept code that can run arbitrary strings, spawn
+ * programs, touch the file system or talk to hosts the reviewer cannot see
+ * in the manifest, unless the plugin explains why in its .securityallow file.
+ *
+ * Source is parsed, not executed, and each rule looks at the syntax tree, so
+ * code-shaped text inside generator strings (`'eval(' + code + ')'` emitted
+ * into a Python program) is not flagged. Module names, URLs and property
+ * names are worked out where they are constant: string literals, templates,
+ * `+` and `const` bindings of those (`const m = 'child_' + 'process'`). When
+ * a module name or a property of a global object is only known at run time,
+ * that is flagged too, as the scan cannot tell what it reaches.
+ *
+ * The allowlist, .securityallow, holds one exception per line:
+ *
+ *   <rule> <path>[:<line>] <reason>
+ *
+ * where path may be a file, a directory or a wildcard pattern as in
+ * .buildignore, and the reason is shown to the registry reviewers.
+ */
+
+const {shouldIgnore} = require('./builder/build-ignore');
+const {parseSource, walk} = require('./js-syntax');
+
+const ALLOWLIST_FILE = '.securityallow';
+
+// Objects whose properties are the globals, as in window.eval or globalThis['Function']
+const GLOBAL_OBJECTS = ['window', 'globalThis', 'self', 'global'];
+
+const FS_MODULES = ['fs', 'fs/promises', 'fs-extra', 'graceful-fs', 'original-fs'];
+
+// Functions and methods that take a URL, after an optional HTTP method
+const REQUEST_CALLS = ['fetch', 'open', 'sendBeacon', 'WebSocket', 'EventSource', 'get', 'post', 'put', 'patch',
+    'delete', 'request', 'ajax'];
+
+/**
+ * Work out the string an expression evaluates to, as far as that is known
+ * without running it
+ * @param {object} node - Expression node
+ * @param {object} scope - Scope from collectScope
+ * @param {Set<string>} [seen] - Constants being resolved, against cycles
+ * @returns {object|null} {value, complete}: value is the known leading part, complete is false when the
+ *   rest is only known at run time; null when the expression is not known to be a string
+ */
+const stringValue = function (node, scope, seen = new Set()) {
+    if (!node) return null;
+    if (node.type === 'Literal') {
+        return typeof node.value === 'string' ? {value: node.value, complete: true} : null;
+    }
+    if (node.type === 'TemplateLiteral') {
+        let value = '';
+        for (let i = 0; i < node.quasis.length; i++) {
+            value += node.quasis[i].value.cooked || '';
+            if (i < node.expressions.length) {
+                const part = stringValue(node.expressions[i], scope, seen);
+                if (!part || !part.complete) return {value: value + (part ? part.value : ''), complete: false};
+                value += part.value;
+            }
+        }
+        return {value, complete: true};
+    }
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+        const left = stringValue(node.left, scope, seen);
+        const right = stringValue(node.right, scope, seen);
+        if (!left && !right) return null;
+        if (!left) return {value: '', complete: false};
+        if (!left.complete) return left;
+        const literal = node.right.type === 'Literal' && node.right.value !== null &&
+            typeof node.right.value !== 'object';
+        if (!right) {
+            return literal ? {value: left.value + node.right.value, complete: true} : {...left, complete: false};
+        }
+        return {value: left.value + right.value, complete: right.complete};
+    }
+    if (node.type === 'Identifier' && scope.constants.has(node.name) && !seen.has(node.name)) {
+        return stringValue(scope.constants.get(node.name), scope, new Set([...seen, node.name]));
+    }
+    return null;
+};
+
+/**
+ * List the names a binding pattern declares
+ * @param {object} pattern - Identifier or destructuring pattern
+ * @returns {string[]} Names
+ */
+const patternNames = function (pattern) {
+    if (!pattern) return [];
+    if (pattern.type === 'Identifier') return [pattern.name];
+    if (pattern.type === 'ObjectPattern') {
+        return pattern.properties.flatMap(property => patternNames(property.type === 'RestElement' ?
+            property.argument :
+            property.value));
+    }
+    if (pattern.type === 'ArrayPattern') return pattern.elements.flatMap(patternNames);
+    if (pattern.type === 'RestElement') return patternNames(pattern.argument);
+    if (pattern.type === 'AssignmentPattern') return patternNames(pattern.left);
+    return [];
+};
+
+/**
+ * Collect the names the file declares. A name declared once, by `const`, is
+ * a constant the rules may resolve; any declared name shadows the global of
+ * the same name. Scopes are not told apart, which errs on the side of
+ * treating a name as declared.
+ * @param {object} ast - Program node
+ * @returns {object} {declared, constants}: declared as a Set of names, constants as a Map of name to
+ *   initializer
+ */
+const collectScope = function (ast) {
+    const counts = new Map();
+    const initializers = new Map();
+    const declare = names => names.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+    walk(ast, node => {
+        if (node.type === 'VariableDeclaration') {
+            node.declarations.forEach(declarator => {
+                declare(patternNames(declarator.id));
+                if (node.kind === 'const' && declarator.id.type === 'Identifier' && declarator.init) {
+                    initializers.set(declarator.id.name, declarator.init);
+                }
+            });
+        } else if (/Function/.test(node.type)) {
+            declare([...patternNames(node.id), ...node.params.flatMap(patternNames)]);
+        } else if (/^Class/.test(node.type) || node.type === 'CatchClause' || /^Import.*Specifier$/.test(node.type)) {
+            declare(patternNames(node.id || node.param || node.local));
+        }
+    });
+    const constants = new Map([...initializers].filter(([name]) => counts.get(name) === 1));
+    return {declared: new Set(counts.keys()), constants};
+};
+
+/**
+ * Tell whether an identifier is read as a value, rather than naming a
+ * property, a label or an import/export
+ * @param {object} parent - Parent node
+ * @param {string} key - Parent field holding the identifier
+ * @returns {boolean} True for a value
+ */
+const isValue = function (parent, key) {
+    if (!parent) return true;
+    if (key === 'label' || key === 'meta' || /Specifier$/.test(parent.type)) return false;
+    if (key === 'property' && parent.type === 'MemberExpression') return parent.computed;
+    if (key === 'key' && /^(Property|MethodDefinition|PropertyDefinition)$/.test(parent.type)) {
+        return parent.computed;
+    }
+    return true;
+};
+
+/**
+ * Name of the property a member expression reads, when it is known
+ * @param {object} node - MemberExpression node
+ * @param {object} scope - Scope from collectScope
+ * @returns {string|null} Property name
+ */
+const propertyName = function (node, scope) {
+    if (!node.computed) return node.property.type === 'Identifier' ? node.property.name : null;
+    if (node.property.type === 'Literal' && typeof node.property.value === 'number') {
+        return String(node.property.value);
+    }
+    const value = stringValue(node.property, scope);
+    return value && value.complete ? value.value : null;
+};
+
+/**
+ * Tell whether an expression is a global object (window, globalThis, ...)
+ * @param {object} node - Expression node
+ * @param {object} scope - Scope from collectScope
+ * @returns {boolean} True for a global object not shadowed in the file
+ */
+const isGlobalObject = (node, scope) => node.type === 'Identifier' &&
+    GLOBAL_OBJECTS.includes(node.name) && !scope.declared.has(node.name);
+
+/**
+ * Tell whether an expression refers to one of the given globals, by name
+ * (`eval`) or through a global object (`window['eval']`)
+ * @param {object} node - Expression node
+ * @param {object} parent - Parent node
+ * @param {string} key - Parent field holding the node
+ * @param {Array<string>} names - Global names
+ * @param {object} scope - Scope from collectScope
+ * @returns {boolean} True for a reference
+ */
+const refersTo = function (node, parent, key, names, scope) {
+    if (node.type === 'Identifier') {
+        return names.includes(node.name) && !scope.declared.has(node.name) && isValue(parent, key);
+    }
+    return node.type === 'MemberExpression' && isGlobalObject(node.object, scope) &&
+        names.includes(propertyName(node, scope));
+};
+
+/**
+ * List the module names a node loads, with require(), import(),
+ * importScripts() or an import/export declaration
+ * @param {object} node - Node
+ * @param {object} scope - Scope from collectScope
+ * @returns {Array<object>} Loads as {value, complete} from stringValue, or null for a name that is not
+ *   a string at all
+ */
+const moduleLoads = function (node, scope) {
+    let sources = [];
+    if (/^(ImportDeclaration|ExportAllDeclaration|ExportNamedDeclaration|ImportExpression)$/.test(node.type)) {
+        sources = node.source ? [node.source] : [];
+    } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+        !scope.declared.has(node.callee.name)) {
+        if (node.callee.name === 'require') sources = node.arguments.slice(0, 1);
+        if (node.callee.name === 'importScripts') sources = node.arguments;
+    }
+    return sources.map(source => stringValue(source, scope));
+};
+
+/**
+ * Tell whether a load names one of the given Node.js modules
+ * @param {object|null} load - Load from moduleLoads
+ * @param {Array<string>} names - Module names
+ * @returns {boolean} True when it does
+ */
+const loadsModule = (load, names) => Boolean(load && load.complete &&
+    names.includes(load.value.replace(/^node:/, '')));
+
+const isRemote = load => Boolean(load && /^(?:https?:)?\/\//.test(load.value));
+
+// Every rule of the policy. `check` is called on each node of the syntax
+// tree with (node, parent, key, scope) and returns the message of a finding,
+// or null.
+const RULES = [
+    {
+        id: 'dynamic-code',
+        severity: 'error',
+        check (node, parent, key, scope) {
+            return refersTo(node, parent, key, ['eval'], scope) ? 'eval() runs arbitrary strings as code' : null;
+        }
+    },
+    {
+        id: 'dynamic-code',
+        severity: 'error',
+        check (node, parent, key, scope) {
+            // Function.prototype and `instanceof Function` do not create functions
+            const used = !(parent && ((parent.type === 'MemberExpression' && key === 'object') ||
+                (parent.type === 'BinaryExpression' && parent.operator === 'instanceof')));
+            if (used && refersTo(node, parent, key, ['Function'], scope)) {
+                return 'The Function constructor runs arbitrary strings as code';
+            }
+            if (node.type === 'MemberExpression' && node.object.type === 'MemberExpression' &&
+                propertyName(node, scope) === 'constructor' && propertyName(node.object, scope) === 'constructor') {
+                return 'constructor.constructor is the Function constructor, which runs arbitrary strings as code';
+            }
+            return null;
+        }
+    },
+    {
+        id: 'dynamic-code',
+        severity: 'error',
+        check (node, parent, key, scope) {
+            if (node.type !== 'CallExpression' ||
+                !refersTo(node.callee, node, 'callee', ['setTimeout', 'setInterval'], scope) ||
+                !stringValue(node.arguments[0], scope)) return null;
+            return 'setTimeout/setInterval with a string runs it as code; pass a function';
+        }
+    },
+    {
+        id: 'dynamic-code',
+        severity: 'warning',
+        check (node, parent, key, scope) {
+            if (node.type !== 'MemberExpression' || !node.computed || !isGlobalObject(node.object, scope) ||
+                propertyName(node, scope) !== null) return null;
+            return `${node.object.name}[...] reads a global chosen at run time, which may be eval or Function`;
+        }
+    },
+    {
+        id: 'child-process',
+        severity: 'error',
+        check (node, parent, key, scope) {
+            if (!moduleLoads(node, scope).some(load => loadsModule(load, ['child_process']))) return null;
+            return 'child_process can run any program on the user\'s computer';
+        }
+    },
+    {
+        id: 'fs',
+        severity: 'error',
+        check (node, parent, key, scope) {
+            if (!moduleLoads(node, scope).some(load => loadsModule(load, FS_MODULES))) return null;
+            return 'File system access; plugins run in the GUI and should not read or write the user\'s files';
+        }
+    },
+    {
+        id: 'remote-import',
+        severity: 'error',
+        check (node, parent, key, scope) {
+            if (!moduleLoads(node, scope).some(isRemote)) return null;
+            return 'Loads code from a remote URL at run time, which the reviewed package does not contain';
+        }
+    },
+    {
+        id: 'dynamic-module',
+        severity: 'warning',
+        check (node, parent, key, scope) {
+            if (!moduleLoads(node, scope).some(load => !isRemote(load) && !(load && load.complete))) return null;
+            return 'Loads a module whose name is only known at run time, so the scan cannot tell what it loads';
+        }
+    },
+    {
+        id: 'cookie',
+        severity: 'error',
+        check (node, parent, key, scope) {
+            if (node.type !== 'MemberExpression' || propertyName(node, scope) !== 'cookie' ||
+                !refersTo(node.object, node, 'object', ['document'], scope)) return null;
+            return 'document.cookie gives access to the session cookies of the app';
+        }
+    },
+    {
+        id: 'network',
+        severity: 'warning',
+        check (node, parent, key, scope) {
+            // fetch(url), xhr.open('GET', url), new WebSocket(url), axios.get(url), ...
+            if (node.type !== 'CallExpression' && node.type !== 'NewExpression') return null;
+            const callee = node.callee;
+            const name = callee.type === 'MemberExpression' ? propertyName(callee, scope) : callee.name;
+            if (!REQUEST_CALLS.includes(name)) return null;
+            const method = stringValue(node.arguments[0], scope);
+            const url = stringValue(node.arguments[method && /^[A-Za-z]+$/.test(method.value) ? 1 : 0], scope);
+            const host = url && url.value.match(/^(?:https?|wss?):\/\/([^/'"`\s:?#]+)/);
+            return host ? `Outbound request to the hard-coded host ${host[1]}` : null;
+        }
+    }
+];
+
+const RULE_IDS = [...new Set(RULES.map(rule => rule.id))];
+
+/**
+ * Show the part of a line around a finding; minified bundles have very long lines
+ * @param {string} line - Source line
+ * @param {number} column - 0-based column of the finding
+ * @returns {string} Snippet of at most about 100 characters
+ */
+const snippetAt = function (line, column) {
+    if (line.length <= 100) return line.trim();
+    const start = Math.max(0, column - 30);
+    return `${start > 0 ? '…' : ''}${line.slice(start, start + 100).trim()}…`;
+};
+
+/**
+ * Scan JavaScript source for constructs the security policy flags
+ * @param {string} source - JavaScript source
+ * @returns {Array<object>} Findings in source order as {rule, severity, message, line, snippet}
+ * @throws {SyntaxError} When the source cannot be parsed
+ */
+const scanSource = function (source) {
+    const ast = parseSource(source);
+    const scope = collectScope(ast);
+    const lines = source.split('\n');
+    const findings = [];
+    walk(ast, (node, parent, key) => {
+        for (const rule of RULES) {
+            const message = rule.check(node, parent, key, scope);
+            if (!message) continue;
+            const {line, column} = node.loc.start;
+            findings.push({
+                rule: rule.id,
+                severity: rule.severity,
+                message,
+                line,
+                offset: node.start,
+                snippet: snippetAt(lines[line - 1], column)
+            });
+        }
+    });
+    return findings
+        .sort((a, b) => a.offset - b.offset)
+        .map(({offset: _offset, ...finding}) => finding);
+};
+
+/**
+ * Parse the content of a .securityallow file
+ * @param {string} content - File content
+ * @returns {object} {entries, problems}: entries as {rule, path, line, reason, at}, where line is
+ *   null for the whole file and at is the line of the entry in .securityallow; problems as
+ *   {message, line} for lines that are not valid entries
+ */
+const parseAllowlist = function (content) {
+    const entries = [];
+    const problems = [];
+    content.split('\n').forEach((raw, i) => {
+        const at = i + 1;
+        const entry = raw.trim();
+        if (!entry || entry.startsWith('#')) return;
+        const [rule, target = '', ...reason] = entry.split(/\s+/);
+        if (!RULE_IDS.includes(rule)) {
+            problems.push({message: `Unknown rule "${rule}"; use one of ${RULE_IDS.join(', ')}`, line: at});
+            return;
+        }
+        const [, filePath, line] = target.match(/^(.*?)(?::(\d+))?$/);
+        if (!filePath) {
+            problems.push({message: `Exception for "${rule}" names no file`, line: at});
+            return;
+        }
+        if (reason.length === 0) {
+            problems.push({
+                message: `Exception for "${rule}" in ${target} gives no reason; ` +
+                    'reviewers need to know why it is safe',
+                line: at
+            });
+            return;
+        }
+        entries.push({
+            rule,
+            path: filePath.replace(/^\.\//, '').replace(/\/$/, ''),
+            line: line ? Number(line) : null,
+            reason: reason.join(' '),
+            at
+        });
+    });
+    return {entries, problems};
+};
+
+/**
+ * Find the allowlist entry covering a finding
+ * @param {Array<object>} entries - Entries from parseAllowlist
+ * @param {string} file - File of the finding, relative to the plugin root
+ * @param {object} finding - Finding from scanSource
+ * @returns {object|null} Matching entry, or null
+ */
+const findAllowance = function (entries, file, finding) {
+    return entries.find(entry => entry.rule === finding.rule &&
+        (entry.line === null || entry.line === finding.line) &&
+        shouldIgnore(file, [entry.path])) || null;
+};
+
+module.exports = {
+    ALLOWLIST_FILE,
+    RULES,
+    RULE_IDS,
+    scanSource,
+    parseAllowlist,
+    findAllowance
+};
@@ -0,0 +1,54 @@
+/**
+ * "Did you mean" suggestions
+ * Finds the known identifiers closest to a mistyped one by edit distance.
+ */
+
+/**
+ * Number of single-character insertions, deletions, substitutions and
+ * transpositions that turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = function (a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[a.length][b.length];
+};
+
+/**
+ * Find the candidates closest to a value, ignoring case. Only candidates
+ * within a third of the value's length (at least 2 edits) are suggested.
+ * @param {string} value - Mistyped value
+ * @param {string[]} candidates - Known values
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {string[]} Suggestions, closest first
+ */
+const closestMatches = function (value, candidates, limit = 3) {
+    const maxDistance = Math.max(2, Math.floor(value.length / 3));
+    return [...new Set(candidates)]
+        .map(candidate => ({candidate, distance: editDistance(value.toLowerCase(), candidate.toLowerCase())}))
+        .filter(match => match.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, limit)
+        .map(match => match.candidate);
+};
+
+module.exports = {
+    editDistance,
+    closestMatches
+};
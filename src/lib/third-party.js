@@ -0,0 +1,224 @@
+/**
+ * Third-party code shipped in a plugin
+ * Collects the components whose code ends up in the published plugin, each
+ * with the license it declares and its license text:
+ *
+ *   npm        packages esbuild bundled, read from the build metafile
+ *   library    vendored Arduino libraries in the libraries directory
+ *   submodule  git submodules listed in .gitmodules
+ *
+ * and writes them to the THIRD_PARTY_NOTICES file of the build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {parseLibraryProperties} = require('./library-properties-parser');
+const {detectLicenseText} = require('./licenses');
+
+const NOTICES_FILE = 'THIRD_PARTY_NOTICES';
+
+// LICENSE, LICENSE.md, LICENCE.txt, COPYING, LICENSE-MIT, ...
+const LICENSE_FILE = /^(licen[cs]e|copying)([.-][\w.-]+)?$/i;
+
+/**
+ * Convert a path to one relative to the plugin, with "/" separators
+ * @param {string} dir - Plugin directory
+ * @param {string} fullPath - Absolute path
+ * @returns {string} Relative path
+ */
+const relativeTo = (dir, fullPath) => path.relative(dir, fullPath).split(path.sep)
+    .join('/');
+
+/**
+ * Find the license text of a directory
+ * @param {string} dir - Directory
+ * @returns {string|null} Path of the license file, or null
+ */
+const findLicenseFile = function (dir) {
+    if (!fs.existsSync(dir)) return null;
+    const name = fs.readdirSync(dir)
+        .filter(entry => LICENSE_FILE.test(entry))
+        .sort()[0];
+    return name && fs.statSync(path.join(dir, name)).isFile() ? path.join(dir, name) : null;
+};
+
+/**
+ * Read the license a package.json declares, including the legacy
+ * `{type}` object and `licenses` array forms
+ * @param {object} packageJson - Parsed package.json
+ * @returns {string|null} License expression, or null
+ */
+const packageLicense = function (packageJson) {
+    const {license, licenses} = packageJson;
+    if (typeof license === 'string') return license;
+    if (license && typeof license.type === 'string') return license.type;
+    if (Array.isArray(licenses) && licenses.length > 0) {
+        const types = licenses
+            .map(entry => (entry && entry.type) || entry)
+            .filter(type => typeof type === 'string' && type);
+        return types.length > 1 ? `(${types.join(' OR ')})` : types[0] || null;
+    }
+    return null;
+};
+
+/**
+ * Describe a component directory that has no package manager of its own:
+ * the license comes from package.json or library.properties when they
+ * declare one, otherwise from recognising the license text
+ * @param {string} componentDir - Component directory
+ * @returns {object} {name, version, license, licenseSource}
+ */
+const describeDirectory = function (componentDir) {
+    const packagePath = path.join(componentDir, 'package.json');
+    const packageJson = fs.existsSync(packagePath) ? JSON.parse(fs.readFileSync(packagePath, 'utf-8')) : null;
+    const properties = parseLibraryProperties(path.join(componentDir, 'library.properties'));
+    const description = {
+        name: (properties && properties.name) || (packageJson && packageJson.name) || path.basename(componentDir),
+        version: (properties && properties.version) || (packageJson && packageJson.version) || null,
+        license: null,
+        licenseSource: null
+    };
+    if (packageJson && packageLicense(packageJson)) {
+        description.license = packageLicense(packageJson);
+        description.licenseSource = 'package.json';
+    } else if (properties && properties.license) {
+        description.license = properties.license;
+        description.licenseSource = 'library.properties';
+    } else {
+        const licenseFile = findLicenseFile(componentDir);
+        const detected = licenseFile && detectLicenseText(fs.readFileSync(licenseFile, 'utf-8'));
+        if (detected) {
+            description.license = detected;
+            description.licenseSource = 'license text';
+        }
+    }
+    return description;
+};
+
+/**
+ * List the npm packages whose files esbuild bundled
+ * @param {object} metafile - esbuild metafile
+ * @param {string} workingDir - Directory the build ran in; metafile paths are relative to it
+ * @returns {string[]} Package directories (absolute), sorted
+ */
+const bundledPackageDirs = function (metafile, workingDir) {
+    const dirs = new Set();
+    for (const input of Object.keys(metafile.inputs || {})) {
+        // Paths outside the file namespace look like "ns:path"
+        if (/^[\w-]+:/.test(input) && !/^[A-Za-z]:[\\/]/.test(input)) continue;
+        const segments = path.resolve(workingDir, input).split(path.sep);
+        const index = segments.lastIndexOf('node_modules');
+        if (index < 0 || index + 1 >= segments.length - 1) continue;
+        const length = segments[index + 1].startsWith('@') ? index + 3 : index + 2;
+        dirs.add(segments.slice(0, length).join(path.sep));
+    }
+    return [...dirs].sort();
+};
+
+/**
+ * Read the directories of the submodules in .gitmodules
+ * @param {string} dir - Plugin directory
+ * @returns {string[]} Submodule paths relative to the plugin
+ */
+const submodulePaths = function (dir) {
+    const gitmodules = path.join(dir, '.gitmodules');
+    if (!fs.existsSync(gitmodules)) return [];
+    return [...fs.readFileSync(gitmodules, 'utf-8').matchAll(/^\s*path\s*=\s*(.+?)\s*$/gm)]
+        .map(match => match[1].replace(/\/$/, ''));
+};
+
+/**
+ * Collect the third-party components shipped in a plugin
+ * @param {string} dir - Plugin directory
+ * @param {object} packageJson - Parsed package.json of the plugin
+ * @param {object|null} metafile - esbuild metafile of the bundle, or null if nothing was bundled
+ * @returns {Array<object>} Components as {kind, name, version, path, license, licenseSource, licenseFile}:
+ *   kind is npm, library or submodule; path and licenseFile are relative to the plugin; license is the
+ *   declared expression (null if none) and licenseSource where it was read from
+ */
+const collectThirdParty = function (dir, packageJson, metafile = null) {
+    const components = [];
+    const seen = new Set();
+    const add = (kind, componentDir, description) => {
+        const relative = relativeTo(dir, componentDir);
+        if (seen.has(relative)) return;
+        seen.add(relative);
+        const licenseFile = findLicenseFile(componentDir);
+        components.push({
+            kind,
+            ...description,
+            path: relative,
+            licenseFile: licenseFile && relativeTo(dir, licenseFile)
+        });
+    };
+
+    if (metafile) {
+        for (const packageDir of bundledPackageDirs(metafile, dir)) {
+            const packagePath = path.join(packageDir, 'package.json');
+            if (!fs.existsSync(packagePath)) continue;
+            const manifest = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+            const license = packageLicense(manifest);
+            add('npm', packageDir, {
+                name: manifest.name || path.basename(packageDir),
+                version: manifest.version || null,
+                license,
+                licenseSource: license ? 'package.json' : null
+            });
+        }
+    }
+
+    const openblock = packageJson.openblock || {};
+    const librariesDir = path.resolve(dir, typeof openblock.libraries === 'string' ? openblock.libraries : 'libraries');
+    if (fs.existsSync(librariesDir) && fs.statSync(librariesDir).isDirectory()) {
+        fs.readdirSync(librariesDir, {withFileTypes: true})
+            .filter(entry => entry.isDirectory())
+            .map(entry => path.join(librariesDir, entry.name))
+            .sort()
+            .forEach(libraryDir => add('library', libraryDir, describeDirectory(libraryDir)));
+    }
+
+    submodulePaths(dir)
+        .map(submodule => path.resolve(dir, submodule))
+        .filter(submoduleDir => fs.existsSync(submoduleDir))
+        .forEach(submoduleDir => add('submodule', submoduleDir, describeDirectory(submoduleDir)));
+
+    return components;
+};
+
+/**
+ * Write the notices of the third-party components, with their license texts
+ * @param {Array<object>} components - Components from collectThirdParty
+ * @param {string} dir - Plugin directory the license files are relative to
+ * @param {string} pluginName - Name of the plugin for the heading
+ * @returns {string} Content of THIRD_PARTY_NOTICES
+ */
+const formatNotices = function (components, dir, pluginName) {
+    const rule = '-'.repeat(80);
+    const sections = components.map(component => {
+        const heading = [
+            `${component.name}${component.version ? ` ${component.version}` : ''}`,
+            `License: ${component.license || 'not declared'}`,
+            `Source: ${component.path}`
+        ];
+        const text = component.licenseFile ?
+            fs.readFileSync(path.join(dir, component.licenseFile), 'utf-8').trim() :
+            'No license text was found for this component.';
+        return [rule, ...heading, rule, '', text, ''].join('\n');
+    });
+    return [
+        'THIRD-PARTY SOFTWARE NOTICES',
+        '',
+        `${pluginName} includes the following third-party software, distributed under the licenses below.`,
+        '',
+        ...sections
+    ].join('\n');
+};
+
+module.exports = {
+    NOTICES_FILE,
+    findLicenseFile,
+    packageLicense,
+    collectThirdParty,
+    formatNotices
+};
@@ -4,8 +4,7 @@
  * Fetches packages.json from Resource Service or directly from repository.
  */
 
-const http = require('http');
-const fetch = require('node-fetch');
+const {fetch, request} = require('../network');
 const {RESOURCE_SERVICE_HOST, RESOURCE_SERVICE_PORT} = require('../config/resource-service');
 
 // Cache TTL for packages.json
@@ -28,7 +27,7 @@ const fetchFromResourceService = () => new Promise(resolve => {
         timeout: 10000
     };
 
-    const req = http.request(options, res => {
+    const req = request(options, res => {
         let data = '';
 
         res.on('data', chunk => {
@@ -95,11 +94,13 @@ const fetchFromRegistry = async registryUrl => {
  * Get packages index, preferring Resource Service, fallback to direct fetch
  * @param {object} options - Options
  * @param {string} [options.registryUrl] - Optional direct registry URL
+ * @param {string} [options.fallbackUrl] - Registry URL to fetch from when the Resource Service has no index
  * @param {boolean} [options.forceRefresh] - Force refresh from network
- * @returns {Promise<object>} Packages index with toolchains array
+ * @returns {Promise<object>} Packages index with toolchains array; empty when no source had one
  */
 const getPackagesIndex = async (options = {}) => {
-    const {registryUrl, forceRefresh = false} = options;
+    const {forceRefresh = false} = options;
+    const registryUrl = options.registryUrl || options.fallbackUrl;
 
     // Check memory cache
     if (!forceRefresh && cachedPackages && (Date.now() - cacheTimestamp < PACKAGES_CACHE_TTL)) {
@@ -109,21 +110,22 @@ const getPackagesIndex = async (options = {}) => {
     let packages = null;
 
     // Try Resource Service first (if available)
-    if (!registryUrl) {
+    if (!options.registryUrl) {
         packages = await fetchFromResourceService();
     }
 
     // Fallback to direct registry fetch
     if (!packages && registryUrl) {
         const data = await fetchFromRegistry(registryUrl);
-        if (data && data.packages) {
-            packages = data.packages;
+        // A registry's packages.json holds the index at the top level
+        if (data && (data.packages || data.toolchains)) {
+            packages = data.packages || data;
         }
     }
 
-    // Default empty structure
+    // Default empty structure, not cached so that the next call tries again
     if (!packages) {
-        packages = {
+        return {
             toolchains: []
         };
     }
@@ -148,6 +150,65 @@ const findToolchain = (packages, name) => {
     return packages.toolchains.find(tc => tc.id === name || tc.name === name) || null;
 };
 
+/**
+ * List the entries of a packages index section, which the Resource Service
+ * returns as an array and the registry's packages.json as an object keyed by id
+ * @param {Array|object} section - Section of the index
+ * @returns {Array<object>} Entries, with the key as id for keyed sections
+ */
+const sectionEntries = section => {
+    if (Array.isArray(section)) {
+        return section.filter(entry => entry && typeof entry === 'object');
+    }
+    if (!section || typeof section !== 'object') {
+        return [];
+    }
+    return Object.keys(section).map(key => {
+        const value = section[key];
+        // A keyed entry may be the plugin itself or the list of its versions
+        return Array.isArray(value) ? {id: key, versions: value} : {id: key, ...value};
+    });
+};
+
+/**
+ * List the architecture identifiers and toolchain names a packages index knows.
+ * Architectures are the toolchain ids and every `arch` value a device,
+ * extension or toolchain declares (at the top level or in one of its
+ * versions); wildcard patterns such as "arduino-*" are not identifiers.
+ * @param {object} packages - Packages index
+ * @returns {object} {arch, toolchains}, each a sorted array of unique strings
+ */
+const listKnownIdentifiers = packages => {
+    const arch = new Set();
+    const toolchains = new Set();
+    const addArch = values => {
+        if (!Array.isArray(values)) return;
+        values
+            .filter(value => typeof value === 'string' && value && !value.includes('*'))
+            .forEach(value => arch.add(value));
+    };
+
+    for (const section of ['devices', 'extensions', 'toolchains']) {
+        for (const entry of sectionEntries(packages && packages[section])) {
+            addArch(entry.arch);
+            (Array.isArray(entry.versions) ? entry.versions : [])
+                .filter(version => version && typeof version === 'object')
+                .forEach(version => addArch(version.arch));
+            if (section === 'toolchains') {
+                // Toolchains are found by id or name (see findToolchain), and named after the arch they build
+                const names = [entry.id, entry.name].filter(name => typeof name === 'string' && name);
+                names.forEach(name => toolchains.add(name));
+                if (names.length > 0) arch.add(names[0]);
+            }
+        }
+    }
+
+    return {
+        arch: [...arch].sort(),
+        toolchains: [...toolchains].sort()
+    };
+};
+
 /**
  * Clear the packages cache
  */
@@ -161,6 +222,7 @@ module.exports = {
     fetchFromResourceService,
     fetchFromRegistry,
     findToolchain,
+    listKnownIdentifiers,
     clearCache,
     RESOURCE_SERVICE_HOST,
     RESOURCE_SERVICE_PORT
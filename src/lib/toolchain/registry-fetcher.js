@@ -12,10 +12,10 @@
 const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
-const fetch = require('node-fetch');
 const AdmZip = require('adm-zip');
 
 const {getPackagesIndex, findToolchain} = require('./packages-index');
+const {fetch} = require('../network');
 
 // Toolchains directory (relative to project) - for extracted toolchains
 const TOOLCHAINS_DIR = '.openblock/toolchains';
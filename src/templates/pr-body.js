@@ -20,15 +20,21 @@ const generatePublishPRBody = () => '';
 
 /**
  * Generate PR title
- * @param {string} action - 'publish'
+ * @param {string} action - 'publish', 'unpublish' or 'deprecate'
  * @param {string} pluginId - Plugin ID
- * @param {string} version - Version
+ * @param {string} [version] - Version (publish only)
  * @returns {string} PR title
  */
 const generatePRTitle = (action, pluginId, version) => {
     if (action === 'publish') {
         return `[Publish] ${pluginId}@${version}`;
     }
+    if (action === 'unpublish') {
+        return `[Unpublish] ${pluginId}`;
+    }
+    if (action === 'deprecate') {
+        return `[Deprecate] ${pluginId}`;
+    }
     return `[Update] ${pluginId}`;
 };
 
@@ -11,7 +11,10 @@ const CONFIG_FILE = path.join(os.homedir(), '.openblockrc');
 
 const CONFIG_KEYS = [
     'github-token',
-    'registry'
+    'registry',
+    'oauth',
+    'hosts',
+    'network'
 ];
 
 /**
@@ -0,0 +1,104 @@
+/**
+ * Arch validator
+ * Compares openblock.arch and openblock.toolchains with the identifiers the
+ * packages index knows (see listKnownIdentifiers), so a typo such as
+ * "arduino-avrr" is caught before a user's board fails to find its
+ * toolchain. The schema accepts any identifier, since vendors may coin new
+ * ones; this check is opt-in for that reason.
+ */
+
+const {listKnownIdentifiers} = require('../lib/toolchain/packages-index');
+const {closestMatches} = require('../lib/suggest');
+
+/**
+ * Turn an arch wildcard pattern such as "arduino-*" into a regular expression
+ * @param {string} pattern - Pattern
+ * @returns {RegExp} Expression matching whole identifiers
+ */
+const wildcardToRegExp = function (pattern) {
+    const parts = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${parts.join('.*')}$`);
+};
+
+/**
+ * Patterns of the same shape as a wildcard pattern, built from the known
+ * identifiers, to suggest for a pattern that matches none of them
+ * @param {string} pattern - Pattern, e.g. "ardiuno-*"
+ * @param {string[]} identifiers - Known identifiers
+ * @returns {string[]} Candidate patterns, e.g. "arduino-*"
+ */
+const wildcardCandidates = function (pattern, identifiers) {
+    const prefix = pattern.slice(0, pattern.indexOf('*'));
+    const suffix = pattern.slice(pattern.lastIndexOf('*') + 1);
+    return identifiers
+        .filter(id => id.length >= prefix.length + suffix.length)
+        .map(id => `${id.slice(0, prefix.length)}*${id.slice(id.length - suffix.length)}`);
+};
+
+/**
+ * Format suggestions as the end of a message
+ * @param {string[]} suggestions - Suggestions
+ * @returns {string} "; did you mean …?", or nothing without suggestions
+ */
+const didYouMean = function (suggestions) {
+    if (suggestions.length === 0) return '';
+    return `; did you mean ${suggestions.map(suggestion => `"${suggestion}"`).join(' or ')}?`;
+};
+
+/**
+ * Validate arch identifiers and the toolchain name against a packages index
+ * @param {object} packageJson - Parsed package.json
+ * @param {object} packages - Packages index (see getPackagesIndex)
+ * @returns {object} Validation result {valid, errors, warnings, checked, known}; checked is the number of
+ *   identifiers compared, known the identifiers of the index (see listKnownIdentifiers)
+ */
+const validateArch = function (packageJson, packages) {
+    const openblock = packageJson.openblock || {};
+    const errors = [];
+    const warnings = [];
+    const known = listKnownIdentifiers(packages);
+    let checked = 0;
+
+    if (known.arch.length === 0) {
+        errors.push('The packages index is empty or could not be fetched, so arch and toolchains cannot be checked');
+        return {valid: false, errors, warnings, checked, known};
+    }
+
+    // Malformed values are reported by the package.json structure check
+    const arch = Array.isArray(openblock.arch) ? openblock.arch : [];
+    arch.forEach((value, i) => {
+        if (typeof value !== 'string' || !value) return;
+        checked++;
+        const field = `openblock.arch[${i}]`;
+        if (value.includes('*')) {
+            const pattern = wildcardToRegExp(value);
+            if (!known.arch.some(id => pattern.test(id))) {
+                const suggestions = closestMatches(value, wildcardCandidates(value, known.arch));
+                errors.push(`${field} "${value}" matches no architecture in the packages index` +
+                    `${didYouMean(suggestions)}`);
+            }
+        } else if (!known.arch.includes(value)) {
+            errors.push(`${field} "${value}" is not an architecture in the packages index` +
+                `${didYouMean(closestMatches(value, known.arch))}`);
+        }
+    });
+
+    const toolchain = openblock.toolchains;
+    if (typeof toolchain === 'string' && toolchain) {
+        checked++;
+        if (!known.toolchains.includes(toolchain)) {
+            errors.push(`openblock.toolchains "${toolchain}" is not a toolchain in the packages index` +
+                `${didYouMean(closestMatches(toolchain, known.toolchains))}`);
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        checked,
+        known
+    };
+};
+
+module.exports = validateArch;
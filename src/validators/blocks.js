@@ -0,0 +1,135 @@
+/**
+ * Blocks validator
+ * Cross-checks the blocks, toolbox and generator files declared in the
+ * openblock field (see lib/block-analysis): every block needs a generator,
+ * every toolbox entry of the plugin's own needs a definition, block types
+ * must be unique and carry the plugin id as prefix.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {findBlockDefinitions, findToolboxBlocks, findGenerators} = require('../lib/block-analysis');
+
+/**
+ * Read a file declared in the openblock field. Missing files are reported
+ * by the openblock-files validator, so they are simply not analysed here.
+ * @param {object} openblock - openblock field
+ * @param {string} field - blocks, toolbox or generator
+ * @param {string} dir - Plugin directory
+ * @returns {object|null} {file, source} with file relative to the plugin, or null
+ */
+const readDeclaredFile = function (openblock, field, dir) {
+    const declared = openblock[field];
+    if (typeof declared !== 'string' || !declared) {
+        return null;
+    }
+    const fullPath = path.resolve(dir, declared);
+    if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+        return null;
+    }
+    return {
+        file: path.relative(dir, fullPath).split(path.sep)
+            .join('/'),
+        source: fs.readFileSync(fullPath, 'utf-8')
+    };
+};
+
+/**
+ * Validate blocks against the toolbox and the generator
+ * @param {object} packageJson - Parsed package.json
+ * @param {string} dir - Directory containing the plugin (defaults to current directory)
+ * @returns {object} Validation result {valid, errors, warnings, details, blocks}; details holds every
+ *   problem as {severity, message, file, line}, errors and warnings the same as "file:line: message";
+ *   blocks is the number of block types defined, or null when there is no blocks file to check
+ */
+const validateBlocks = function (packageJson, dir = process.cwd()) {
+    const openblock = packageJson.openblock || {};
+    const details = [];
+    const report = (severity, message, file, line) => {
+        details.push({severity, message, file, line});
+    };
+    const result = blocks => {
+        const format = detail => `${detail.file}:${detail.line}: ${detail.message}`;
+        const errors = details.filter(detail => detail.severity === 'error').map(format);
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings: details.filter(detail => detail.severity === 'warning').map(format),
+            details,
+            blocks
+        };
+    };
+
+    // Files that do not parse are reported once, at the line of the syntax error
+    const analyse = (declared, find, what) => {
+        try {
+            return find(declared.source, declared.file);
+        } catch (error) {
+            report('error', `Cannot read ${what}: ${error.message}`, declared.file, error.loc ? error.loc.line : 1);
+            return null;
+        }
+    };
+
+    const blocksFile = readDeclaredFile(openblock, 'blocks', dir);
+    if (!blocksFile) {
+        return result(null);
+    }
+
+    const definitions = analyse(blocksFile, findBlockDefinitions, 'block definitions');
+    if (!definitions) {
+        return result(null);
+    }
+
+    const pluginId = openblock.deviceId || openblock.extensionId;
+    const prefix = `${pluginId}_`;
+    const defined = new Map();
+    for (const {type, line} of definitions) {
+        if (defined.has(type)) {
+            report('error', `Block type "${type}" is defined more than once ` +
+                `(first at line ${defined.get(type).line})`, blocksFile.file, line);
+            continue;
+        }
+        defined.set(type, {line});
+        if (pluginId && !type.startsWith(prefix)) {
+            report('error', `Block type "${type}" must start with the plugin id ("${prefix}") ` +
+                'so it cannot clash with other plugins', blocksFile.file, line);
+        }
+    }
+
+    const generatorFile = readDeclaredFile(openblock, 'generator', dir);
+    const generators = generatorFile && analyse(generatorFile, findGenerators, 'generators');
+    if (generators) {
+        const generated = new Set(generators.map(entry => entry.type));
+        defined.forEach(({line}, type) => {
+            if (!generated.has(type)) {
+                report('error', `Block "${type}" has no generator in ${generatorFile.file}`, blocksFile.file, line);
+            }
+        });
+    }
+
+    const toolboxFile = readDeclaredFile(openblock, 'toolbox', dir);
+    const offered = toolboxFile && analyse(toolboxFile, findToolboxBlocks, 'toolbox');
+    if (offered) {
+        // Blocks of other plugins and Blockly's own only appear in the toolbox;
+        // an undefined block with this plugin's prefix is a leftover
+        offered
+            .filter(({type}) => pluginId && type.startsWith(prefix) && !defined.has(type))
+            .forEach(({type, line}) => {
+                report('error', `Toolbox entry "${type}" is not defined in ${blocksFile.file}`,
+                    toolboxFile.file, line);
+            });
+        const inToolbox = new Set(offered.map(entry => entry.type));
+        defined.forEach(({line}, type) => {
+            if (!inToolbox.has(type)) {
+                report('warning', `Block "${type}" is not in the toolbox (${toolboxFile.file}), ` +
+                    'so users cannot use it', blocksFile.file, line);
+            }
+        });
+    }
+
+    details.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    return result(defined.size);
+};
+
+module.exports = validateBlocks;
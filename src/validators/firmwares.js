@@ -0,0 +1,74 @@
+/**
+ * Firmwares validator
+ * Checks each firmware image a device declares in openblock.firmwares: the
+ * file must not be excluded from the build by .buildignore, and must be a
+ * well-formed image (see lib/firmware-image). Reports how much flash each
+ * image uses so it can be compared with the boards in arch. Missing files are
+ * reported by validators/openblock-files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {parseBuildIgnore, shouldIgnore} = require('../lib/builder/build-ignore');
+const {inspectFirmware} = require('../lib/firmware-image');
+
+/**
+ * Validate the firmware images of a device
+ * @param {object} packageJson - Parsed package.json
+ * @param {string} dir - Directory containing the plugin (defaults to current directory)
+ * @returns {object} Validation result {valid, errors, warnings, details, firmwares}; details holds every
+ *   problem as {severity, message, file, line}, with file and line set for problems inside an image;
+ *   firmwares lists the images inspected as {id, file, inspection}
+ */
+const validateFirmwares = function (packageJson, dir = process.cwd()) {
+    const openblock = packageJson.openblock || {};
+    const details = [];
+    const firmwares = [];
+    const report = (severity, message, file = null, line = null) => {
+        details.push({severity, message, file, line});
+    };
+    // Malformed entries are reported by the package.json structure check
+    const entries = Array.isArray(openblock.firmwares) ? openblock.firmwares : [];
+    const ignorePatterns = parseBuildIgnore(dir);
+
+    entries.forEach((firmware, i) => {
+        if (!firmware || typeof firmware.file !== 'string' || !firmware.file) return;
+        const field = `openblock.firmwares[${i}].file`;
+        const fullPath = path.resolve(dir, firmware.file);
+        const file = path.relative(dir, fullPath).split(path.sep)
+            .join('/');
+        if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) return;
+        if (shouldIgnore(file, ignorePatterns)) {
+            report('error', `${field} "${firmware.file}" is excluded by .buildignore, ` +
+                'so it would be missing from the published plugin');
+        }
+
+        const inspection = inspectFirmware(fs.readFileSync(fullPath), file);
+        if (!inspection.format) {
+            report('warning', `${field} "${firmware.file}" is not a .hex, .uf2 or .bin file; its content ` +
+                'was not checked');
+        }
+        // Problems without a line name the image in the message itself
+        const located = function (problem) {
+            return problem.line ? problem.message : `${file}: ${problem.message}`;
+        };
+        inspection.problems.forEach(problem => report('error', located(problem), file, problem.line));
+        inspection.warnings.forEach(warning => report('warning', located(warning), file, warning.line));
+        firmwares.push({id: firmware.id, file, inspection});
+    });
+
+    const format = function (detail) {
+        return detail.line ? `${detail.file}:${detail.line}: ${detail.message}` : detail.message;
+    };
+    const errors = details.filter(detail => detail.severity === 'error').map(format);
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings: details.filter(detail => detail.severity === 'warning').map(format),
+        details,
+        firmwares
+    };
+};
+
+module.exports = validateFirmwares;
@@ -8,74 +8,77 @@ const {execSync} = require('child_process');
 /**
  * Validate Git status for publishing
  * @param {string} version - Expected version from package.json
- * @returns {object} Git information
- * @throws {Error} If validation fails
+ * @param {object} [options] - Options
+ * @param {boolean} [options.offline] - Do not contact the remote (the pushed tag is not checked)
+ * @returns {object} Validation result {valid, errors, warnings} with the Git information
+ *   {tagName, tagCommit, remoteUrl, clean}
  */
-const validateGitStatus = async function (version) {
-    // Check if in a git repository
+const validateGitStatus = async function (version, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const tagName = version;
+    let tagCommit = null;
+    let remoteUrl = null;
+    let clean = false;
+    const result = () => ({
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        tagName,
+        tagCommit,
+        remoteUrl,
+        clean
+    });
+
+    // Check if in a git repository; nothing else can be checked without one
     try {
         execSync('git rev-parse --git-dir', {stdio: 'pipe'});
     } catch (e) {
-        throw new Error('Not a git repository');
+        errors.push('Not a git repository');
+        return result();
     }
 
     // Check for uncommitted changes
     try {
         const status = execSync('git status --porcelain', {encoding: 'utf-8'});
-        if (status.trim()) {
-            throw new Error('Working directory has uncommitted changes. Please commit or stash them first.');
+        clean = !status.trim();
+        if (!clean) {
+            errors.push('Working directory has uncommitted changes. Please commit or stash them first.');
         }
     } catch (e) {
-        if (e.message.includes('uncommitted')) {
-            throw e;
-        }
-        throw new Error(`Failed to check git status: ${e.message}`);
+        errors.push(`Failed to check git status: ${e.message}`);
     }
 
-    // Check if tag exists locally
-    const tagName = version;
+    // Check the remote; the tag can only be checked on a remote that exists
     try {
-        execSync(`git rev-parse ${tagName}`, {stdio: 'pipe'});
+        remoteUrl = execSync('git remote get-url origin', {encoding: 'utf-8', stdio: 'pipe'}).trim();
     } catch (e) {
-        throw new Error(`Git tag "${tagName}" not found. Create it with: git tag ${tagName}`);
+        errors.push('No git remote "origin" configured');
     }
 
-    // Get tag commit hash
-    let tagCommit;
+    // Check if tag exists locally
     try {
-        tagCommit = execSync(`git rev-parse ${tagName}`, {encoding: 'utf-8'}).trim();
+        tagCommit = execSync(`git rev-parse ${tagName}`, {encoding: 'utf-8', stdio: 'pipe'}).trim();
     } catch (e) {
-        throw new Error(`Failed to get tag commit: ${e.message}`);
+        errors.push(`Git tag "${tagName}" not found. Create it with: git tag ${tagName}`);
+        return result();
     }
 
     // Check if tag is pushed to remote
-    try {
-        const remoteRefs = execSync('git ls-remote --tags origin', {encoding: 'utf-8'});
-        if (!remoteRefs.includes(tagName)) {
-            throw new Error(`Tag "${tagName}" not pushed to remote. Push it with: git push origin ${tagName}`);
+    if (remoteUrl && options.offline) {
+        warnings.push(`Offline: tag "${tagName}" not checked on the remote`);
+    } else if (remoteUrl) {
+        try {
+            const remoteRefs = execSync('git ls-remote --tags origin', {encoding: 'utf-8'});
+            if (!remoteRefs.includes(tagName)) {
+                errors.push(`Tag "${tagName}" not pushed to remote. Push it with: git push origin ${tagName}`);
+            }
+        } catch (e) {
+            warnings.push('Could not verify tag on remote');
         }
-    } catch (e) {
-        if (e.message.includes('not pushed')) {
-            throw e;
-        }
-        // If we can't check remote, warn but continue
-        console.warn('Warning: Could not verify tag on remote');
     }
 
-    // Get remote URL
-    let remoteUrl;
-    try {
-        remoteUrl = execSync('git remote get-url origin', {encoding: 'utf-8'}).trim();
-    } catch (e) {
-        throw new Error('No git remote "origin" configured');
-    }
-
-    return {
-        tagName,
-        tagCommit,
-        remoteUrl,
-        clean: true
-    };
+    return result();
 };
 
 module.exports = validateGitStatus;
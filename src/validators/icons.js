@@ -0,0 +1,124 @@
+/**
+ * Icons validator
+ * Reads the display icons with sharp and checks that they fit where the GUI
+ * shows them: the pixel size and proportions each field is drawn at, a
+ * transparent background for the connection icons, and whether the build's
+ * compression to MAX_IMAGE_SIZE (lib/builder/image-processor) would visibly
+ * degrade them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {MAX_IMAGE_SIZE, compressImageWithDetails} = require('../lib/builder/image-processor');
+
+// Where each icon is shown and the size it is drawn at. Larger icons are
+// fine as long as they keep the proportions; they are scaled down.
+const ICON_SPECS = {
+    iconURL: {use: 'library card', width: 600, height: 372, transparent: false},
+    connectionIconURL: {use: 'connection modal', width: 240, height: 240, transparent: true},
+    connectionSmallIconURL: {use: 'device menu', width: 80, height: 80, transparent: true}
+};
+
+// How far the proportions may be off before the icon looks stretched
+const ASPECT_TOLERANCE = 0.02;
+
+// JPEG/WebP quality below which compression artifacts become visible
+const DEGRADED_QUALITY = 50;
+
+/**
+ * Check whether the corners of an image are fully opaque, i.e. it has a
+ * background instead of a transparent one
+ * @param {Function} sharp - sharp
+ * @param {string} file - Image file
+ * @returns {Promise<boolean>} True if all four corners are opaque
+ */
+const hasOpaqueCorners = async function (sharp, file) {
+    const {data, info} = await sharp(file).ensureAlpha()
+        .raw()
+        .toBuffer({resolveWithObject: true});
+    const alphaAt = (x, y) => data[(((y * info.width) + x) * info.channels) + info.channels - 1];
+    const right = info.width - 1;
+    const bottom = info.height - 1;
+    return [alphaAt(0, 0), alphaAt(right, 0), alphaAt(0, bottom), alphaAt(right, bottom)]
+        .every(alpha => alpha === 255);
+};
+
+/**
+ * Validate the icons of the display channel
+ * @param {object} packageJson - Parsed package.json
+ * @param {string} dir - Directory containing the plugin (defaults to current directory)
+ * @returns {Promise<object>} Validation result {valid, errors, warnings, icons}; icons lists the icons
+ *   read as {field, file, width, height}
+ */
+const validateIcons = async function (packageJson, dir = process.cwd()) {
+    // Dynamic import for sharp (ESM module)
+    const sharp = (await import('sharp')).default;
+    const openblock = packageJson.openblock || {};
+    const errors = [];
+    const warnings = [];
+    const icons = [];
+
+    for (const [field, spec] of Object.entries(ICON_SPECS)) {
+        const value = openblock[field];
+        // Remote and inline icons are not read; missing files are reported by required-files
+        if (typeof value !== 'string' || /^(https?:|data:)/i.test(value.trim())) continue;
+        const fullPath = path.resolve(dir, value);
+        if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) continue;
+        const label = `openblock.${field} "${value}"`;
+
+        let metadata;
+        try {
+            metadata = await sharp(fullPath).metadata();
+        } catch (e) {
+            errors.push(`${label} cannot be read as an image: ${e.message}`);
+            continue;
+        }
+        const {width, height} = metadata;
+        icons.push({field, file: value, width, height});
+
+        const expected = spec.width / spec.height;
+        if (Math.abs(((width / height) / expected) - 1) > ASPECT_TOLERANCE) {
+            errors.push(`${label} is ${width}x${height}, but the ${spec.use} draws it at ` +
+                `${spec.width}x${spec.height}, so it would be stretched. Use ${spec.width}x${spec.height} ` +
+                'or a larger image with the same proportions');
+        } else if (width < spec.width) {
+            errors.push(`${label} is ${width}x${height}, smaller than the ${spec.width}x${spec.height} ` +
+                `the ${spec.use} draws it at, so it would look blurry`);
+        }
+
+        if (spec.transparent && (!metadata.hasAlpha || await hasOpaqueCorners(sharp, fullPath))) {
+            warnings.push(`${label} has an opaque background; the ${spec.use} expects a transparent one ` +
+                '(a PNG with an alpha channel)');
+        }
+
+        const size = fs.statSync(fullPath).size;
+        if (size > MAX_IMAGE_SIZE) {
+            const kb = `${(size / 1024).toFixed(1)}KB`;
+            try {
+                const {quality, scale} = await compressImageWithDetails(fullPath, MAX_IMAGE_SIZE);
+                const lossy = ['.jpg', '.jpeg', '.webp'].includes(path.extname(fullPath).toLowerCase());
+                if (scale < 1) {
+                    warnings.push(`${label} is ${kb}; to fit in ${MAX_IMAGE_SIZE / 1024}KB the build would ` +
+                        `shrink it to ${Math.round(width * scale)}x${Math.round(height * scale)}. ` +
+                        'Provide a smaller file');
+                } else if (lossy && quality < DEGRADED_QUALITY) {
+                    warnings.push(`${label} is ${kb}; to fit in ${MAX_IMAGE_SIZE / 1024}KB the build would ` +
+                        `save it at quality ${quality}, with visible artifacts. Provide a smaller file`);
+                }
+            } catch (e) {
+                errors.push(`${label} is ${kb} and cannot be compressed under ${MAX_IMAGE_SIZE / 1024}KB, ` +
+                    'so the build would fail. Provide a smaller image');
+            }
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        icons
+    };
+};
+
+module.exports = validateIcons;
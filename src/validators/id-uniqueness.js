@@ -3,18 +3,17 @@
  * Checks if the plugin ID conflicts with existing plugins from other repositories
  */
 
-const fetch = require('node-fetch');
-
-const REGISTRY_OWNER = 'openblockcc';
-const REGISTRY_REPO = 'openblock-registry';
-const REGISTRY_BRANCH = 'main';
+const {getRegistryProfile} = require('../lib/config/registry');
+const {fetch} = require('../lib/network');
+const {resolveRepository, repositoryKey} = require('../hosts');
+const {writeRegistryCache, readRegistryCache, describeCacheAge} = require('../lib/registry-cache');
 
 /**
- * Fetch packages.json from the registry
+ * Fetch packages.json from the registry, keeping a copy for offline use
  * @returns {Promise<object>} Packages JSON content
  */
 const fetchPackagesJson = async function () {
-    const url = `https://raw.githubusercontent.com/${REGISTRY_OWNER}/${REGISTRY_REPO}/${REGISTRY_BRANCH}/packages.json`;
+    const url = getRegistryProfile().packagesUrl;
 
     const response = await fetch(url, {
         headers: {
@@ -30,44 +29,89 @@ const fetchPackagesJson = async function () {
         throw new Error(`Failed to fetch packages.json: ${response.status}`);
     }
 
-    return response.json();
+    const packagesJson = await response.json();
+    writeRegistryCache('packages.json', packagesJson, url);
+    return packagesJson;
 };
 
 /**
  * Normalize repository URL for comparison
- * Handles different URL formats: https, git+https, .git suffix
+ * Handles different URL formats (https, git+https, ssh, .git suffix) on every
+ * supported source host
  * @param {string|object} repository - Repository URL or object
- * @returns {string} Normalized repository identifier (owner/repo)
+ * @returns {string} Normalized repository identifier (host/owner/repo)
  */
 const normalizeRepoUrl = function (repository) {
-    const url = typeof repository === 'string' ? repository : repository.url;
-    if (!url) {
-        return null;
-    }
+    return repositoryKey(repository);
+};
 
-    // Extract owner/repo from various GitHub URL formats
-    const match = url.match(/github\.com[/:]([^/]+)\/([^/.]+)/);
-    if (match) {
-        return `${match[1]}/${match[2]}`.toLowerCase();
+/**
+ * Check whether a registered repository URL now points at the current
+ * repository, i.e. the repository was renamed or transferred since it was
+ * registered. The host redirects (GitHub) or still resolves the old location
+ * to the repository's current one, so both carry the same repository id.
+ * @param {string|object} registeredRepository - Repository URL recorded in the registry
+ * @param {object} repoInfo - Current repository info from validateRemoteRepo
+ * @returns {Promise<boolean>} True if the registered URL is the same repository
+ */
+const isSameRepository = async function (registeredRepository, repoInfo) {
+    const registered = resolveRepository(registeredRepository);
+    // Repository ids are only unique within one host
+    if (!registered || !repoInfo || !repoInfo.id || registered.host.hostname !== repoInfo.host) {
+        return false;
     }
-    return null;
+    const current = await registered.host.getRepository(registered.owner, registered.repo);
+    return Boolean(current) && current.id === repoInfo.id;
 };
 
 /**
  * Validate plugin ID uniqueness
  * @param {object} packageInfo - Package information from package.json
- * @param {object} repoInfo - Repository information
- * @returns {Promise<object>} Validation result with isNew and existingInfo
- * @throws {Error} If ID conflicts with another repository's plugin
+ * @param {object|null} repoInfo - Repository information; null when offline
+ * @param {object} [options] - Options
+ * @param {boolean} [options.offline] - Use the cached packages.json instead of fetching it
+ * @returns {Promise<object>} Validation result {valid, errors, warnings} with isNew, existingPlugin and
+ *   packagesJson; movedFrom is the registered URL when the repository was renamed or transferred since
+ *   registration. An ID used by another repository, or by this one for the other plugin type, is an error.
+ *   Offline, the result carries a warning naming the age of the data used, and a registration under
+ *   another URL is only a warning (unconfirmed is set), since a rename cannot be told apart from a
+ *   conflict.
  */
-const validateIdUniqueness = async function (packageInfo, repoInfo) {
+const validateIdUniqueness = async function (packageInfo, repoInfo, options = {}) {
     const openblock = packageInfo.openblock;
     const pluginType = openblock.pluginType; // 'device' or 'extension'
     const pluginId = openblock.id;
     const idField = pluginType === 'device' ? 'deviceId' : 'extensionId';
+    const warnings = [];
+    const result = (fields, errors = []) => ({
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        isNew: false,
+        existingPlugin: null,
+        packagesJson: null,
+        movedFrom: null,
+        unconfirmed: false,
+        ...fields
+    });
 
     // Fetch current packages.json
-    const packagesJson = await fetchPackagesJson();
+    let packagesJson;
+    if (options.offline) {
+        const cached = readRegistryCache('packages.json');
+        if (!cached) {
+            return result({}, ['No cached packages.json; run validate once without --offline']);
+        }
+        packagesJson = cached.data;
+        warnings.push(`Offline: checked against the packages.json cached ${describeCacheAge(cached.fetchedAt)}`);
+    } else {
+        try {
+            packagesJson = await fetchPackagesJson();
+        } catch (error) {
+            return result({}, [error.message]);
+        }
+    }
+    const currentUrl = (repoInfo && repoInfo.html_url) || packageInfo.repository.url;
 
     // Check ID uniqueness across ALL plugin types (devices and extensions)
     // Device IDs and Extension IDs must be globally unique
@@ -86,52 +130,61 @@ const validateIdUniqueness = async function (packageInfo, repoInfo) {
         }
 
         // Found a plugin with the same ID
-        const currentRepoId = normalizeRepoUrl(repoInfo.html_url || packageInfo.repository);
+        const currentRepoId = normalizeRepoUrl(currentUrl);
         const existingRepoId = normalizeRepoUrl(existingPlugin.repository);
 
-        if (currentRepoId && existingRepoId && currentRepoId !== existingRepoId) {
+        if (currentRepoId && existingRepoId && currentRepoId !== existingRepoId && options.offline) {
+            // Whether the registered repository is this one, renamed, needs the host
+            warnings.push(
+                `Plugin ID "${pluginId}" is registered to ${existingPlugin.repository}.\n` +
+                '   Run validate online to check whether that is this repository under an earlier name.'
+            );
+            return result({existingPlugin, packagesJson, unconfirmed: true});
+        }
+
+        // The registry still lists the repository under its old name or owner
+        let movedFrom = null;
+        if (currentRepoId && existingRepoId && currentRepoId !== existingRepoId &&
+            await isSameRepository(existingPlugin.repository, repoInfo)) {
+            movedFrom = existingPlugin.repository;
+        }
+
+        if (currentRepoId && existingRepoId && currentRepoId !== existingRepoId && !movedFrom) {
             // ID conflict - different repository trying to use same ID
             const existingTypeLabel = typeToCheck === 'device' ? 'device' : 'extension';
-            throw new Error(
+            return result({existingPlugin, packagesJson}, [
                 `Plugin ID "${pluginId}" is already used by another repository's ${existingTypeLabel}.\n` +
                 `   Existing repository: ${existingPlugin.repository}\n` +
-                `   Your repository: ${repoInfo.html_url || packageInfo.repository.url}\n` +
+                `   Your repository: ${currentUrl}\n` +
                 `   Please use a different openblock.${idField}\n` +
                 `   Note: Device IDs and Extension IDs must be globally unique`
-            );
+            ]);
         }
 
         // Same repository - this is an update
         if (typeToCheck === pluginType) {
-            return {
-                isNew: false,
-                existingPlugin: existingPlugin,
-                packagesJson: packagesJson
-            };
+            return result({existingPlugin, packagesJson, movedFrom});
         }
         // Same repo but different type - this is not allowed
         const existingTypeLabel = typeToCheck === 'device' ? 'device' : 'extension';
         const currentTypeLabel = pluginType === 'device' ? 'device' : 'extension';
-        throw new Error(
+        return result({existingPlugin, packagesJson}, [
             `Plugin ID "${pluginId}" is already used as a ${existingTypeLabel} in your repository.\n` +
                 `   Cannot use the same ID for different plugin types.\n` +
                 `   Existing type: ${existingTypeLabel}\n` +
                 `   Current type: ${currentTypeLabel}\n` +
                 `   Please use a different openblock.${idField}`
-        );
+        ]);
 
     }
 
     // ID is new - no conflicts found
-    return {
-        isNew: true,
-        existingPlugin: null,
-        packagesJson: packagesJson
-    };
+    return result({isNew: true, packagesJson});
 };
 
 module.exports = {
     validateIdUniqueness,
+    isSameRepository,
     fetchPackagesJson,
     normalizeRepoUrl
 };
@@ -0,0 +1,143 @@
+/**
+ * Licenses validator
+ * Checks that package.json declares a valid SPDX license expression, that
+ * the LICENSE file holds that license, and that every third-party component
+ * shipped in the plugin (see lib/third-party) is under a license that allows
+ * bundling it into a plugin under the declared one (see lib/licenses).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {getEntryPoints, createBuildOptions} = require('../lib/builder/esbuild-wrapper');
+const {
+    parseLicenseExpression,
+    licensesOf,
+    familyOf,
+    detectLicenseText,
+    describeLicense,
+    checkCompatibility
+} = require('../lib/licenses');
+const {NOTICES_FILE, findLicenseFile, collectThirdParty} = require('../lib/third-party');
+
+const KIND_LABELS = {
+    npm: 'npm package',
+    library: 'Arduino library',
+    submodule: 'Submodule'
+};
+
+/**
+ * Bundle the plugin source in memory the way `build` does, to learn which
+ * npm packages end up in the bundle
+ * @param {string} dir - Plugin directory
+ * @returns {Promise<object|null>} esbuild metafile, or null if there is nothing to bundle
+ */
+const bundleMetafile = async function (dir) {
+    const entryPoints = getEntryPoints(path.join(dir, 'src'));
+    if (entryPoints.length === 0) return null;
+    // Dynamic import for esbuild (ESM module)
+    const esbuild = await import('esbuild');
+    const options = createBuildOptions(entryPoints, path.join(dir, 'dist', 'src'), {dev: false});
+    const result = await esbuild.build({
+        ...options,
+        absWorkingDir: dir,
+        write: false,
+        logLevel: 'silent'
+    });
+    return result.metafile;
+};
+
+/**
+ * Validate the license of the plugin and of the code it ships
+ * @param {object} packageJson - Parsed package.json
+ * @param {string} dir - Directory containing the plugin (defaults to current directory)
+ * @returns {Promise<object>} Validation result {valid, errors, warnings, license, components}; license is
+ *   the declared expression, components the third-party code found (see collectThirdParty)
+ */
+const validateLicenses = async function (packageJson, dir = process.cwd()) {
+    const errors = [];
+    const warnings = [];
+    const license = typeof packageJson.license === 'string' ? packageJson.license.trim() : null;
+
+    let pluginTree = null;
+    if (license) {
+        try {
+            const parsed = parseLicenseExpression(license);
+            pluginTree = parsed.tree;
+            parsed.warnings.forEach(warning => warnings.push(`package.json license: ${warning}`));
+        } catch (e) {
+            errors.push(`package.json license "${license}" is not a valid SPDX expression: ${e.message}`);
+        }
+    } else {
+        errors.push('package.json has no "license"; set it to the SPDX identifier of the LICENSE file, ' +
+            'e.g. "MIT"');
+    }
+
+    // A missing LICENSE file is reported by required-files
+    const licenseFile = findLicenseFile(dir);
+    const custom = pluginTree && licensesOf(pluginTree).some(node => node.license.includes('LicenseRef-'));
+    if (licenseFile && pluginTree && !custom) {
+        const fileName = path.basename(licenseFile);
+        const detected = detectLicenseText(fs.readFileSync(licenseFile, 'utf-8'));
+        const declared = licensesOf(pluginTree).map(node => familyOf(node.license));
+        if (!detected) {
+            warnings.push(`${fileName} is not a license text this tool recognises; make sure it is the ` +
+                `${license} license`);
+        } else if (!declared.includes(familyOf(detected))) {
+            errors.push(`${fileName} holds the ${familyOf(detected)} license, but package.json declares ` +
+                `"${license}"`);
+        }
+    }
+
+    let metafile = null;
+    try {
+        metafile = await bundleMetafile(dir);
+    } catch (e) {
+        warnings.push(`Could not bundle src/ to list the npm packages it includes: ${e.message.split('\n')[0]}`);
+    }
+    const components = collectThirdParty(dir, packageJson, metafile);
+
+    for (const component of components) {
+        const version = component.version ? `@${component.version}` : '';
+        const where = component.kind === 'npm' ? '' : ` (${component.path})`;
+        const label = `${KIND_LABELS[component.kind]} ${component.name}${version}${where}`;
+        if (!component.license) {
+            warnings.push(`${label} declares no license and has no recognisable license text; ` +
+                'it cannot be checked');
+            continue;
+        }
+        if (!component.licenseFile) {
+            warnings.push(`${label} has no license file to include in ${NOTICES_FILE}`);
+        }
+        let tree;
+        try {
+            tree = parseLicenseExpression(component.license).tree;
+        } catch (e) {
+            warnings.push(`${label} has license "${component.license}", which is not a valid SPDX expression; ` +
+                'it cannot be checked');
+            continue;
+        }
+        if (!pluginTree) continue;
+        const {outcome, license: decisive} = checkCompatibility(tree, pluginTree);
+        if (outcome === 'incompatible') {
+            errors.push(`${label} is ${describeLicense(decisive)}, which cannot be shipped in a plugin ` +
+                `licensed "${license}". Change the plugin license or replace the component`);
+        } else if (outcome === 'notice') {
+            warnings.push(`${label} is ${describeLicense(decisive)}: its own files stay under that license, ` +
+                'and changes to them must be published');
+        } else if (outcome === 'unknown') {
+            warnings.push(`${label} is licensed "${component.license}"; whether it may be shipped in a plugin ` +
+                `licensed "${license}" cannot be checked`);
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        license,
+        components
+    };
+};
+
+module.exports = validateLicenses;
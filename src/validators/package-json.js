@@ -7,31 +7,12 @@ const fs = require('fs');
 const path = require('path');
 const semver = require('semver');
 
+const {resolveRepository, listKnownHosts} = require('../hosts');
+const {ID_PATTERN} = require('../lib/manifest-schema');
+
 const REQUIRED_OPENBLOCK_FIELDS = ['name'];
 const VALID_DEVICE_TYPES = ['arduino', 'microPython', 'microbit'];
 
-/**
- * Normalize GitHub URL to https format
- * @param {string} url - GitHub URL
- * @returns {string} Normalized URL
- */
-const normalizeGitHubUrl = function (url) {
-    // Remove .git suffix
-    url = url.replace(/\.git$/, '');
-
-    // Convert git@ to https://
-    if (url.startsWith('git@github.com:')) {
-        url = url.replace('git@github.com:', 'https://github.com/');
-    }
-
-    // Ensure https://
-    if (!url.startsWith('https://')) {
-        url = url.replace(/^(http:\/\/|git:\/\/)/, 'https://');
-    }
-
-    return url;
-};
-
 /**
  * Validate package.json in specified directory
  * @param {string} dir - Directory to validate (defaults to current directory)
@@ -81,15 +62,21 @@ const validatePackageJson = async function (dir = process.cwd()) {
         throw new Error('package.json: repository URL is required');
     }
 
-    // Must be GitHub repository
-    if (!repoUrl.includes('github.com')) {
-        throw new Error('package.json: repository must be a GitHub URL');
+    // Must be a repository on a known source host
+    const resolved = resolveRepository(repoUrl);
+    if (!resolved) {
+        throw new Error(
+            'package.json: repository must be a repository URL on a supported host ' +
+            `(${listKnownHosts().join(', ')}).\n` +
+            '   Self-hosted GitHub Enterprise, GitLab or Gitea servers can be added with:\n' +
+            '   openblock-registry-cli config set hosts \'{"git.example.org": {"type": "gitlab"}}\''
+        );
     }
 
     // Normalize repository URL
     packageJson.repository = {
         type: 'git',
-        url: normalizeGitHubUrl(repoUrl)
+        url: resolved.url
     };
 
     // Validate openblock field
@@ -137,7 +124,7 @@ const validatePackageJson = async function (dir = process.cwd()) {
     }
 
     // Validate id format (camelCase, no special characters)
-    if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(openblock[idField])) {
+    if (!new RegExp(ID_PATTERN).test(openblock[idField])) {
         throw new Error(
             `package.json: openblock.${idField} must start with a letter and ` +
             `contain only alphanumeric characters`
@@ -1,72 +1,71 @@
 /**
  * Remote repository validator
- * Validates that the GitHub repository is accessible
+ * Validates that the plugin repository is accessible on its source host
  */
 
-const fetch = require('node-fetch');
+const {resolveRepository} = require('../hosts');
 
 /**
  * Validate remote repository is accessible
  * @param {object|string} repository - Repository info from package.json
- * @throws {Error} If repository is not accessible
+ * @returns {Promise<object>} Validation result {valid, errors, warnings, repository}; repository is the
+ *   info from the source host, or null when it could not be read
  */
 const validateRemoteRepo = async function (repository) {
+    const result = (errors, repoInfo = null) => ({
+        valid: errors.length === 0,
+        errors,
+        warnings: [],
+        repository: repoInfo
+    });
+
     const repoUrl = typeof repository === 'string' ?
         repository :
         repository.url;
 
     if (!repoUrl) {
-        throw new Error('Repository URL is required');
+        return result(['Repository URL is required']);
     }
 
-    // Extract owner and repo from URL
-    const match = repoUrl.match(/github\.com[/:]([^/]+)\/([^/.]+)/);
-    if (!match) {
-        throw new Error(`Invalid GitHub URL: ${repoUrl}`);
+    // Resolve the source host (github.com, GitHub Enterprise, GitLab, Gitea)
+    const resolved = resolveRepository(repoUrl);
+    if (!resolved) {
+        return result([`Invalid repository URL: ${repoUrl}`]);
     }
 
-    const [, owner, repo] = match;
-    const apiUrl = `https://api.github.com/repos/${owner}/${repo}`;
+    const {host, owner, repo} = resolved;
 
     // Check repository accessibility
+    let repoData;
     try {
-        const response = await fetch(apiUrl, {
-            headers: {
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'openblock-cli'
-            }
-        });
-
-        if (response.status === 404) {
-            throw new Error(`Repository not found or not public: ${owner}/${repo}`);
-        }
-
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status}`);
-        }
-
-        const repoData = await response.json();
+        repoData = await host.getRepository(owner, repo);
+    } catch (error) {
+        return result([`Failed to access repository: ${error.message}`]);
+    }
 
-        // Check if repository is public
-        if (repoData.private) {
-            throw new Error(`Repository must be public: ${owner}/${repo}`);
-        }
+    if (!repoData) {
+        return result([`Repository not found or not public: ${owner}/${repo}`]);
+    }
 
-        return {
-            owner,
-            repo,
-            fullName: repoData.full_name,
-            description: repoData.description,
-            defaultBranch: repoData.default_branch,
-            html_url: repoData.html_url
-        };
+    const repoInfo = {
+        owner: repoData.owner,
+        repo: repoData.repo,
+        // Stable across renames and transfers (unique per host)
+        id: repoData.id,
+        host: host.hostname,
+        hostType: host.type,
+        fullName: repoData.fullName,
+        description: repoData.description,
+        defaultBranch: repoData.defaultBranch,
+        html_url: host.canonicalUrl(repoData)
+    };
 
-    } catch (error) {
-        if (error.message.includes('Repository')) {
-            throw error;
-        }
-        throw new Error(`Failed to access repository: ${error.message}`);
+    // Check if repository is public
+    if (!repoData.isPublic) {
+        return result([`Repository must be public: ${owner}/${repo}`], repoInfo);
     }
+
+    return result([], repoInfo);
 };
 
 module.exports = validateRemoteRepo;
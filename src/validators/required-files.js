@@ -14,11 +14,12 @@ const REQUIRED_FILES = [
 /**
  * Validate required files exist
  * @param {string} dir - Directory to validate (defaults to current directory)
- * @returns {object} Validation results
- * @throws {Error} If required files are missing
+ * @returns {object} Validation result {valid, errors, warnings, files, icon}
  */
 const validateRequiredFiles = async function (dir = process.cwd()) {
     const cwd = dir;
+    const errors = [];
+    const warnings = [];
     const results = {
         files: [],
         icon: null
@@ -28,7 +29,8 @@ const validateRequiredFiles = async function (dir = process.cwd()) {
     for (const file of REQUIRED_FILES) {
         const filePath = path.join(cwd, file.name);
         if (!fs.existsSync(filePath)) {
-            throw new Error(`Required file missing: ${file.name} (${file.description})`);
+            errors.push(`Required file missing: ${file.name} (${file.description})`);
+            continue;
         }
 
         const stats = fs.statSync(filePath);
@@ -41,6 +43,7 @@ const validateRequiredFiles = async function (dir = process.cwd()) {
     // Check for icon - can be file path (source) or base64 data URI (built)
     const packageJsonPath = path.join(cwd, 'package.json');
     let iconFound = false;
+    let iconError = false;
 
     if (fs.existsSync(packageJsonPath)) {
         const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
@@ -60,7 +63,7 @@ const validateRequiredFiles = async function (dir = process.cwd()) {
 
                 // Validate base64 size (should be reasonable, ~100KB for base64)
                 if (iconURL.length > 150 * 1024) {
-                    console.warn(`Warning: Icon base64 data URI is larger than 150KB`);
+                    warnings.push('Icon base64 data URI is larger than 150KB');
                 }
             } else if (iconURL.startsWith('./') || iconURL.startsWith('../') || !iconURL.includes('://')) {
                 // Local file path (source code) - verify file exists
@@ -73,14 +76,16 @@ const validateRequiredFiles = async function (dir = process.cwd()) {
                         size: stats.size
                     };
                 } else {
-                    throw new Error(
+                    iconError = true;
+                    errors.push(
                         `package.json: openblock.iconURL file not found.\n` +
                         `   Path: "${iconURL}"\n` +
                         `   Resolved: "${iconPath}"`
                     );
                 }
             } else {
-                throw new Error(
+                iconError = true;
+                errors.push(
                     `package.json: openblock.iconURL must be a local file path or base64 data URI.\n` +
                     `   Found: "${iconURL.substring(0, 50)}..."`
                 );
@@ -88,14 +93,19 @@ const validateRequiredFiles = async function (dir = process.cwd()) {
         }
     }
 
-    if (!iconFound) {
-        throw new Error(
+    if (!iconFound && !iconError) {
+        errors.push(
             'package.json: openblock.iconURL is required.\n' +
             '   Use a local file path (e.g., "./assets/icon.png") or base64 data URI.'
         );
     }
 
-    return results;
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        ...results
+    };
 };
 
 module.exports = validateRequiredFiles;
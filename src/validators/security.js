@@ -0,0 +1,142 @@
+/**
+ * Security policy validator
+ * Scans every JavaScript file of the plugin source (src/ and the files the
+ * openblock field declares) and of the bundled output in dist/ for the
+ * constructs the registry policy flags (see lib/security-scan). Findings
+ * covered by an entry of .securityallow are not problems, but are listed
+ * with their reason for the reviewers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {ALLOWLIST_FILE, scanSource, parseAllowlist, findAllowance} = require('../lib/security-scan');
+
+const SCANNED_DIRS = ['src', 'dist'];
+const SCANNED_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx'];
+const SKIPPED_DIRS = ['node_modules', '.git'];
+
+/**
+ * List the JavaScript files below a directory
+ * @param {string} dir - Plugin directory
+ * @param {string} relative - Directory to list, relative to the plugin
+ * @returns {string[]} Files relative to the plugin, with "/" separators
+ */
+const listScripts = function (dir, relative) {
+    const fullPath = path.join(dir, relative);
+    if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isDirectory()) return [];
+    const files = [];
+    for (const entry of fs.readdirSync(fullPath, {withFileTypes: true})) {
+        const child = `${relative}/${entry.name}`;
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRS.includes(entry.name)) files.push(...listScripts(dir, child));
+        } else if (SCANNED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(child);
+        }
+    }
+    return files.sort();
+};
+
+/**
+ * List the JavaScript files declared in the openblock field, including
+ * those of each framework; missing files are reported by openblock-files
+ * @param {object} openblock - openblock field
+ * @param {string} dir - Plugin directory
+ * @returns {string[]} Files relative to the plugin, with "/" separators
+ */
+const declaredScripts = function (openblock, dir) {
+    const frameworks = Array.isArray(openblock.frameworks) ? openblock.frameworks : [];
+    return [openblock, ...frameworks]
+        .filter(entry => entry && typeof entry === 'object')
+        .flatMap(entry => ['main', 'generator', 'blocks', 'toolbox'].map(field => entry[field]))
+        .filter(declared => typeof declared === 'string' &&
+            SCANNED_EXTENSIONS.includes(path.extname(declared).toLowerCase()))
+        .map(declared => path.resolve(dir, declared))
+        .filter(fullPath => fs.existsSync(fullPath) && fs.statSync(fullPath).isFile())
+        .map(fullPath => path.relative(dir, fullPath).split(path.sep)
+            .join('/'));
+};
+
+/**
+ * Run the security policy scan
+ * @param {object} packageJson - Parsed package.json
+ * @param {string} dir - Directory containing the plugin (defaults to current directory)
+ * @returns {Promise<object>} Validation result {valid, errors, warnings, details, files, allowed}; details
+ *   holds every problem as {severity, rule, message, file, line, snippet}, errors and warnings the same
+ *   as "file:line: [rule] message"; files is the number of files scanned; allowed lists the findings
+ *   covered by .securityallow as {rule, message, file, line, reason}
+ */
+const validateSecurity = async function (packageJson, dir = process.cwd()) {
+    // Dynamic import for esbuild (ESM module)
+    const esbuild = await import('esbuild');
+    const openblock = packageJson.openblock || {};
+    const details = [];
+    const allowed = [];
+    const report = (severity, rule, message, file, line, snippet = null) => {
+        details.push({severity, rule, message, file, line, snippet});
+    };
+
+    let entries = [];
+    const allowlistPath = path.join(dir, ALLOWLIST_FILE);
+    if (fs.existsSync(allowlistPath)) {
+        const allowlist = parseAllowlist(fs.readFileSync(allowlistPath, 'utf-8'));
+        allowlist.problems.forEach(problem => report('error', 'allowlist', problem.message, ALLOWLIST_FILE,
+            problem.line));
+        entries = allowlist.entries;
+    }
+    const used = new Set();
+
+    const files = [...new Set([
+        ...SCANNED_DIRS.flatMap(scanned => listScripts(dir, scanned)),
+        ...declaredScripts(openblock, dir)
+    ])];
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(dir, file), 'utf-8');
+        let findings;
+        try {
+            // esbuild's message is the clearer one when the file is invalid for both
+            await esbuild.transform(source, {loader: 'jsx', logLevel: 'silent'});
+            findings = scanSource(source);
+        } catch (e) {
+            const error = (e.errors && e.errors[0]) || {text: e.message, location: e.loc};
+            report('error', 'syntax', `Cannot be parsed, so it cannot be checked: ${error.text}`, file,
+                error.location ? error.location.line : 1);
+            continue;
+        }
+        for (const finding of findings) {
+            const allowance = findAllowance(entries, file, finding);
+            if (allowance) {
+                used.add(allowance);
+                allowed.push({
+                    rule: finding.rule,
+                    message: finding.message,
+                    file,
+                    line: finding.line,
+                    reason: allowance.reason
+                });
+            } else {
+                report(finding.severity, finding.rule, finding.message, file, finding.line, finding.snippet);
+            }
+        }
+    }
+    entries.filter(entry => !used.has(entry)).forEach(entry => {
+        report('warning', 'allowlist', `Exception for "${entry.rule}" in ${entry.path}` +
+            `${entry.line ? `:${entry.line}` : ''} matches nothing; remove it`, ALLOWLIST_FILE, entry.at);
+    });
+
+    const format = function (detail) {
+        const snippet = detail.snippet ? `\n   ${detail.snippet}` : '';
+        return `${detail.file}:${detail.line}: [${detail.rule}] ${detail.message}${snippet}`;
+    };
+    const errors = details.filter(detail => detail.severity === 'error').map(format);
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings: details.filter(detail => detail.severity === 'warning').map(format),
+        details,
+        files: files.length,
+        allowed
+    };
+};
+
+module.exports = validateSecurity;
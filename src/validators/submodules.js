@@ -81,9 +81,10 @@ const getRecordedSha = submodulePath => {
  * inside the submodule. Tries a fetch first if the local clone hasn't seen it.
  * @param {string} submodulePath - Submodule path
  * @param {string} sha - Recorded gitlink SHA
+ * @param {boolean} [offline] - Only look at the remote refs fetched earlier
  * @returns {boolean} True if the SHA is on a remote branch
  */
-const isShaOnRemote = (submodulePath, sha) => {
+const isShaOnRemote = (submodulePath, sha, offline = false) => {
     const tryContains = () => {
         try {
             const out = git(`git -C "${submodulePath}" branch -r --contains ${sha}`);
@@ -94,6 +95,7 @@ const isShaOnRemote = (submodulePath, sha) => {
     };
 
     if (tryContains()) return true;
+    if (offline) return false;
 
     // Maybe the local submodule clone is behind. Fetch and try again.
     try {
@@ -110,37 +112,51 @@ const isShaOnRemote = (submodulePath, sha) => {
 /**
  * Validate submodule state for publishing.
  *
- * @returns {Promise<{hasSubmodules: boolean, submodules: Array}>} Validation result
- * @throws {Error} If any submodule is uninitialized, dirty, or unpushed
+ * @param {object} [options] - Options
+ * @param {boolean} [options.offline] - Do not fetch; a pointer missing from the remote refs fetched
+ *   earlier is a warning rather than an error
+ * @returns {Promise<object>} Validation result {valid, errors, warnings, hasSubmodules, submodules}; every
+ *   uninitialized, dirty or unpushed submodule is reported
  */
-const validateSubmodules = async function () {
+const validateSubmodules = async function (options = {}) {
     const cwd = process.cwd();
     const gitmodulesPath = path.join(cwd, '.gitmodules');
+    const errors = [];
+    const warnings = [];
+    const entries = fs.existsSync(gitmodulesPath) ? parseSubmodules() : [];
+    const result = submodules => ({
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        hasSubmodules: entries.length > 0,
+        submodules
+    });
 
-    if (!fs.existsSync(gitmodulesPath)) {
-        return {hasSubmodules: false, submodules: []};
-    }
-
-    const entries = parseSubmodules();
     if (entries.length === 0) {
-        return {hasSubmodules: false, submodules: []};
+        return result([]);
     }
 
+    // Paths already reported; later checks would only repeat the problem
+    const broken = new Set();
+
     // Each submodule directory must exist and be populated.
     for (const sm of entries) {
         const fullPath = path.join(cwd, sm.path);
         if (!fs.existsSync(fullPath)) {
-            throw new Error(
+            errors.push(
                 `Submodule "${sm.name}" not initialized: ${sm.path}\n` +
                 `   Run: git submodule update --init --recursive`
             );
+            broken.add(sm.path);
+            continue;
         }
         const contents = fs.readdirSync(fullPath).filter(f => f !== '.git');
         if (contents.length === 0) {
-            throw new Error(
+            errors.push(
                 `Submodule "${sm.name}" appears empty: ${sm.path}\n` +
                 `   Run: git submodule update --init --recursive`
             );
+            broken.add(sm.path);
         }
     }
 
@@ -149,50 +165,64 @@ const validateSubmodules = async function () {
     try {
         statusOutput = git('git submodule status --recursive');
     } catch (e) {
-        throw new Error(`Failed to check submodule status: ${e.message}`);
+        errors.push(`Failed to check submodule status: ${e.message}`);
+        return result([]);
     }
 
     for (const line of statusOutput.split('\n').filter(Boolean)) {
         const prefix = line[0];
         if (prefix === ' ') continue;
         const smPath = line.slice(1).split(/\s+/)[1] || 'unknown';
+        if (broken.has(smPath)) continue;
         if (prefix === '+') {
-            throw new Error(
+            errors.push(
                 `Submodule "${smPath}" HEAD differs from the SHA recorded in the parent repo.\n` +
                 `   Either commit the new pointer (git add "${smPath}" && git commit) ` +
                 `or reset the submodule (git submodule update --init "${smPath}").`
             );
-        }
-        if (prefix === '-') {
-            throw new Error(
+        } else if (prefix === '-') {
+            errors.push(
                 `Submodule "${smPath}" not initialized.\n` +
                 `   Run: git submodule update --init --recursive`
             );
+        } else if (prefix === 'U') {
+            errors.push(`Submodule "${smPath}" has merge conflicts.`);
         }
-        if (prefix === 'U') {
-            throw new Error(`Submodule "${smPath}" has merge conflicts.`);
-        }
+        broken.add(smPath);
     }
 
     // For each top-level submodule, confirm the recorded SHA is on its remote.
-    const results = [];
+    const submodules = [];
     for (const sm of entries) {
-        const sha = getRecordedSha(sm.path);
-        if (!isShaOnRemote(sm.path, sha)) {
-            throw new Error(
+        if (broken.has(sm.path)) continue;
+        let sha;
+        try {
+            sha = getRecordedSha(sm.path);
+        } catch (e) {
+            errors.push(e.message);
+            continue;
+        }
+        if (!isShaOnRemote(sm.path, sha, options.offline)) {
+            if (options.offline) {
+                warnings.push(
+                    `Offline: submodule "${sm.path}" pointer ${sha.substring(0, 7)} is not in the ` +
+                    'remote branches fetched so far; check it is pushed before publishing'
+                );
+                submodules.push({name: sm.name, path: sm.path, url: sm.url, sha});
+                continue;
+            }
+            errors.push(
                 `Submodule "${sm.path}" pointer ${sha.substring(0, 7)} is not pushed to its remote.\n` +
                 `   The registry will fail to fetch this submodule when building.\n` +
                 `   Push it first: cd "${sm.path}" && git push <remote> <branch>\n` +
                 `   Submodule URL: ${sm.url}`
             );
+            continue;
         }
-        results.push({name: sm.name, path: sm.path, url: sm.url, sha});
+        submodules.push({name: sm.name, path: sm.path, url: sm.url, sha});
     }
 
-    return {
-        hasSubmodules: true,
-        submodules: results
-    };
+    return result(submodules);
 };
 
 module.exports = validateSubmodules;
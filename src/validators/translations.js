@@ -1,11 +1,25 @@
 /**
  * Translations validator
- * Validates translation file consistency and namespace
+ * Validates translation file consistency and namespace, measures how much of
+ * each locale is translated and checks that translations keep the
+ * placeholders of the English text
  */
 
 const fs = require('fs');
 const path = require('path');
 
+const {scanPlugin} = require('../commands/i18n/extract-format-message');
+
+// Placeholders a translation must keep: Scratch arguments ([PIN]), Blockly
+// arguments (%1) and ICU arguments ({value}, {count, plural, ...})
+const PLACEHOLDER_PATTERNS = [
+    {pattern: /\[([A-Za-z_]\w*)\]/g, format: name => `[${name}]`},
+    {pattern: /%(\d+)/g, format: name => `%${name}`},
+    {pattern: /\{\s*([A-Za-z_]\w*)\s*[,}]/g, format: name => `{${name}}`}
+];
+
+const SOURCE_LOCALE = 'en';
+
 /**
  * Parse ES module export from translations file
  * @param {string} content - File content
@@ -31,30 +45,131 @@ const parseTranslationsFile = function (content) {
     }
 };
 
+/**
+ * Placeholders of a message, sorted
+ * @param {string} text - Message
+ * @returns {Array<string>} Placeholders as written, e.g. ["%1", "[PIN]"]
+ */
+const findPlaceholders = function (text) {
+    const found = [];
+    for (const {pattern, format} of PLACEHOLDER_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            found.push(format(match[1]));
+        }
+    }
+    return found.sort();
+};
+
+/**
+ * Items of one list that are not in another, counting repeats
+ * @param {Array<string>} list - List
+ * @param {Array<string>} other - List to subtract
+ * @returns {Array<string>} Remaining items
+ */
+const subtract = function (list, other) {
+    const rest = [...other];
+    return list.filter(item => {
+        const index = rest.indexOf(item);
+        if (index < 0) {
+            return true;
+        }
+        rest.splice(index, 1);
+        return false;
+    });
+};
+
+/**
+ * The messages the plugin's sources define, found as `i18n extract` finds them
+ * @param {string} dir - Plugin directory
+ * @returns {object} English text by key, per section {interface, extensions, blocks}
+ */
+const findSourceMessages = function (dir) {
+    const scanned = scanPlugin(dir);
+    const byId = messages => Object.fromEntries(messages.map(message => [message.id, message.default]));
+    return {
+        interface: byId(scanned.interface),
+        extensions: byId(scanned.extensions),
+        blocks: scanned.blocks
+    };
+};
+
+/**
+ * Measure translation coverage and check placeholders. A string counts as
+ * translated when it is present, not empty and not still the English text
+ * (`i18n update` fills untranslated strings with the English text).
+ * @param {object} translations - Parsed translations file
+ * @param {object} sources - English text by key, per section
+ * @returns {object} {coverage, mismatches}: coverage per locale as {locale, translated, total, percent},
+ *   most translated first; mismatches as messages
+ */
+const measureTranslations = function (translations, sources) {
+    const sections = ['interface', 'extensions', 'blocks'];
+    const locales = new Set();
+    sections.forEach(section => Object.keys(translations[section] || {}).forEach(locale => locales.add(locale)));
+    locales.delete(SOURCE_LOCALE);
+
+    const total = sections.reduce((count, section) => count + Object.keys(sources[section]).length, 0);
+    const mismatches = [];
+    const coverage = [...locales].map(locale => {
+        let translated = 0;
+        for (const section of sections) {
+            const strings = (translations[section] || {})[locale] || {};
+            for (const [key, english] of Object.entries(sources[section])) {
+                const text = strings[key];
+                if (typeof text !== 'string' || !text) continue;
+                if (text !== english) {
+                    translated++;
+                }
+                const expected = findPlaceholders(String(english));
+                const actual = findPlaceholders(text);
+                const missing = subtract(expected, actual);
+                const unexpected = subtract(actual, expected);
+                if (missing.length > 0 || unexpected.length > 0) {
+                    const problems = [
+                        missing.length > 0 ? `misses ${missing.join(' ')}` : null,
+                        unexpected.length > 0 ? `has unknown ${unexpected.join(' ')}` : null
+                    ].filter(Boolean);
+                    mismatches.push(`Placeholder mismatch in ${section}.${locale}: '${key}' ${problems.join(' and ')}` +
+                        ` (English: "${english}")`);
+                }
+            }
+        }
+        return {locale, translated, total, percent: total === 0 ? 100 : Math.floor((translated / total) * 100)};
+    });
+    coverage.sort((a, b) => b.percent - a.percent || a.locale.localeCompare(b.locale));
+    return {coverage, mismatches};
+};
+
 /**
  * Validate translation file consistency and namespace
  * @param {object} packageJson - Parsed package.json
  * @param {string} dir - Directory containing the plugin (defaults to current directory)
- * @returns {object} Validation result {valid: boolean, errors: Array<string>}
+ * @param {object} [options] - Options
+ * @param {number} [options.minCoverage] - Minimum percentage of strings each locale in the translations file
+ *   must translate. A locale left in English, as `i18n update` creates them, is at 0%.
+ * @param {Array<string>} [options.locales] - With minCoverage, the only locales held to it; each must be present
+ * @returns {object} Validation result {valid: boolean, errors: Array<string>, warnings: Array<string>,
+ *   coverage: Array<object>}; coverage is per locale {locale, translated, total, percent}, most translated first
  */
-const validateTranslations = function (packageJson, dir = process.cwd()) {
+const validateTranslations = function (packageJson, dir = process.cwd(), options = {}) {
     const errors = [];
+    const failure = failures => ({valid: false, errors: failures, warnings: []});
     const openblock = packageJson.openblock;
 
     if (!openblock) {
-        return {valid: false, errors: ['Missing openblock field']};
+        return failure(['Missing openblock field']);
     }
 
     // Get translations file path
     const translationsPath = openblock.translations?.replace(/^\.\//, '');
     if (!translationsPath) {
-        return {valid: false, errors: ['Missing openblock.translations field']};
+        return failure(['Missing openblock.translations field']);
     }
 
     // Check if translations file exists
     const fullPath = path.join(dir, translationsPath);
     if (!fs.existsSync(fullPath)) {
-        return {valid: false, errors: [`Translations file not found: ${translationsPath}`]};
+        return failure([`Translations file not found: ${translationsPath}`]);
     }
 
     // Read and parse translations file
@@ -62,29 +177,26 @@ const validateTranslations = function (packageJson, dir = process.cwd()) {
     try {
         content = fs.readFileSync(fullPath, 'utf-8');
     } catch (err) {
-        return {valid: false, errors: [`Failed to read translations file: ${err.message}`]};
+        return failure([`Failed to read translations file: ${err.message}`]);
     }
 
     const translations = parseTranslationsFile(content);
     if (!translations) {
-        return {
-            valid: false,
-            errors: ['Failed to parse translations file.' +
-                ' Must be ES module with export default {...}']
-        };
+        return failure(['Failed to parse translations file.' +
+            ' Must be ES module with export default {...}']);
     }
 
     // Check interface section exists
     if (!translations.interface) {
         errors.push('Missing "interface" section in translations file');
-        return {valid: false, errors};
+        return failure(errors);
     }
 
     // Get the plugin ID (deviceId or extensionId)
     const pluginType = openblock.pluginType;
     const pluginId = pluginType === 'device' ? openblock.deviceId : openblock.extensionId;
     if (!pluginId) {
-        return {valid: false, errors: [`Missing ${pluginType}Id in package.json`]};
+        return failure([`Missing ${pluginType}Id in package.json`]);
     }
 
     // Expected namespace prefix (only pluginId, no type prefix)
@@ -165,9 +277,28 @@ const validateTranslations = function (packageJson, dir = process.cwd()) {
         }
     }
 
+    // Coverage and placeholders, against the keys `i18n extract` finds
+    const {coverage, mismatches} = measureTranslations(translations, findSourceMessages(dir));
+    errors.push(...mismatches);
+    if (typeof options.minCoverage === 'number') {
+        const required = options.locales || coverage.map(entry => entry.locale);
+        required.forEach(locale => {
+            const entry = coverage.find(candidate => candidate.locale === locale);
+            if (!entry) {
+                errors.push(`Locale "${locale}" is not in the translations file; ` +
+                    `${options.minCoverage}% of its strings must be translated`);
+            } else if (entry.percent < options.minCoverage) {
+                errors.push(`Locale "${entry.locale}" is ${entry.percent}% translated ` +
+                    `(${entry.translated} of ${entry.total} strings), below the required ${options.minCoverage}%`);
+            }
+        });
+    }
+
     return {
         valid: errors.length === 0,
-        errors
+        errors,
+        warnings: [],
+        coverage
     };
 };
 
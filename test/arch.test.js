@@ -0,0 +1,99 @@
+/**
+ * arch and toolchains checked against the packages index, with suggestions.
+ * Run: `node test/arch.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const http = require('http');
+
+const {listKnownIdentifiers, getPackagesIndex} = require('../src/lib/toolchain/packages-index');
+const {editDistance, closestMatches} = require('../src/lib/suggest');
+const validateArch = require('../src/validators/arch');
+
+assert.strictEqual(editDistance('arduino-avrr', 'arduino-avr'), 1);
+assert.strictEqual(editDistance('ardiuno', 'arduino'), 1);
+assert.strictEqual(editDistance('', 'abc'), 3);
+assert.deepStrictEqual(closestMatches('Arduino-ESP32', ['arduino-esp32', 'arduino-esp8266', 'micropython-esp32']),
+    ['arduino-esp32', 'arduino-esp8266']);
+assert.deepStrictEqual(closestMatches('stm32', ['arduino-avr']), []);
+
+// Resource Service shape: arrays of entries
+const service = {
+    toolchains: [
+        {id: 'arduino-avr', name: 'Arduino AVR Boards', versions: [{version: '1.8.6'}]},
+        {id: 'arduino-esp32', versions: [{version: '2.0.0', arch: ['arduino-esp32']}]}
+    ],
+    devices: [{id: 'picoW', arch: ['arduino-rp2040']}],
+    extensions: [{id: 'servo', arch: ['arduino-*']}]
+};
+assert.deepStrictEqual(listKnownIdentifiers(service), {
+    arch: ['arduino-avr', 'arduino-esp32', 'arduino-rp2040'],
+    toolchains: ['Arduino AVR Boards', 'arduino-avr', 'arduino-esp32']
+});
+
+// Registry packages.json shape: sections keyed by id, entries possibly lists of versions
+const registry = {
+    devices: {microbit: [{version: '1.0.0', arch: ['micropython-nrf52']}]},
+    extensions: {},
+    toolchains: {'micropython-nrf52': {versions: []}}
+};
+assert.deepStrictEqual(listKnownIdentifiers(registry), {
+    arch: ['micropython-nrf52'],
+    toolchains: ['micropython-nrf52']
+});
+
+const result = validateArch({
+    openblock: {
+        arch: ['arduino-avrr', 'arduino-*', 'ardiuno-*', 'arduino-rp2040', 'stm32-f4'],
+        toolchains: 'arduino-esp23'
+    }
+}, service);
+assert.strictEqual(result.checked, 6);
+assert.deepStrictEqual(result.errors, [
+    'openblock.arch[0] "arduino-avrr" is not an architecture in the packages index; did you mean "arduino-avr"?',
+    'openblock.arch[2] "ardiuno-*" matches no architecture in the packages index; did you mean "arduino-*"?',
+    'openblock.arch[4] "stm32-f4" is not an architecture in the packages index',
+    'openblock.toolchains "arduino-esp23" is not a toolchain in the packages index; did you mean "arduino-esp32"?'
+]);
+
+assert.deepStrictEqual(validateArch({openblock: {arch: ['arduino-avr'], toolchains: 'Arduino AVR Boards'}}, service)
+    .errors, []);
+
+// Without an index nothing can be checked, which fails rather than passes
+const unavailable = validateArch({openblock: {arch: ['anything']}}, {toolchains: []});
+assert.deepStrictEqual([unavailable.valid, unavailable.checked, unavailable.errors], [false, 0, [
+    'The packages index is empty or could not be fetched, so arch and toolchains cannot be checked'
+]]);
+
+// Without the Resource Service, the index comes from the fallback URL; a
+// failed fetch is not cached
+let available = false;
+const server = http.createServer((req, res) => {
+    if (!available) {
+        res.writeHead(503);
+        return res.end();
+    }
+    res.writeHead(200, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify({packages: registry}));
+});
+
+const run = async function () {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const fallbackUrl = `http://127.0.0.1:${server.address().port}/packages.json`;
+    assert.deepStrictEqual(await getPackagesIndex({fallbackUrl}), {toolchains: []});
+    available = true;
+    const packages = await getPackagesIndex({fallbackUrl});
+    assert.deepStrictEqual(listKnownIdentifiers(packages).arch, listKnownIdentifiers(registry).arch);
+};
+
+run()
+    .then(() => {
+        console.log('arch.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        server.close();
+    });
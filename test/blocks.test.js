@@ -0,0 +1,161 @@
+/**
+ * Static analysis of blocks, toolbox and generator files, and the validator
+ * that cross-checks them.
+ * Run: `node test/blocks.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {findBlockDefinitions, findToolboxBlocks, findGenerators} = require('../src/lib/block-analysis');
+const validateBlocks = require('../src/validators/blocks');
+
+const BLOCKS = `function addBlocks (Blockly) {
+    // Blockly.Blocks.ledMatrix_removed = {};
+    Blockly.Blocks.ledMatrix_init = {
+        init () {
+            this.jsonInit({type: 'ignored', message0: 'init [PIN] on http://example.com'});
+        }
+    };
+    Blockly.Blocks['ledMatrix_clear'] = {};
+    Blockly.defineBlocksWithJsonArray([
+        {
+            "type": "ledMatrix_show",
+            "message0": "show %1",
+            "args0": [{"type": "field_input", "name": "TEXT"}]
+        },
+        {type: 'ledMatrix_init', args0: [{type: 'input_value', name: 'PIN'}]},
+        {type: 'scroll', message0: 'scroll'}
+    ]);
+    return Blockly;
+}
+`;
+
+const TOOLBOX = `function addToolbox () {
+    return \`<category name="LED Matrix">
+    <!-- <block type="ledMatrix_old"></block> -->
+    <block type="ledMatrix_init">
+        <value name="PIN"><shadow type="math_number"></shadow></value>
+    </block>
+    <block type="ledMatrix_show"></block>
+    <block type="ledMatrix_blink"></block>
+    <block type="controls_if"></block>
+    <block type="scroll"></block>
+</category>\`;
+}
+`;
+
+const GENERATOR = `function addGenerator (Blockly) {
+    Blockly.Arduino.ledMatrix_init = function (block) {
+        Blockly.Arduino.includes_.ledMatrix_init = '#include <LedControl.h>';
+        Blockly.Arduino.definitions_['ledMatrix'] = 'LedControl lc;';
+        return '';
+    };
+    Blockly.Arduino['ledMatrix_show'] = function () {
+        return '';
+    };
+    Blockly.Arduino.forBlock['scroll'] = function () {
+        return '';
+    };
+    Blockly.Arduino.ORDER_ATOMIC = 0;
+    return Blockly;
+}
+`;
+
+assert.deepStrictEqual(findBlockDefinitions(BLOCKS), [
+    {type: 'ledMatrix_init', line: 3},
+    {type: 'ledMatrix_clear', line: 8},
+    {type: 'ledMatrix_show', line: 11},
+    {type: 'ledMatrix_init', line: 15},
+    {type: 'scroll', line: 16}
+]);
+assert.deepStrictEqual(findBlockDefinitions('[{"type": "a_b", "args0": [{"type": "field_input"}]}]', 'blocks.json'),
+    [{type: 'a_b', line: 1}]);
+assert.deepStrictEqual(findToolboxBlocks(TOOLBOX).map(entry => [entry.type, entry.line, entry.shadow]), [
+    ['ledMatrix_init', 4, false],
+    ['math_number', 5, true],
+    ['ledMatrix_show', 7, false],
+    ['ledMatrix_blink', 8, false],
+    ['controls_if', 9, false],
+    ['scroll', 10, false]
+]);
+assert.deepStrictEqual(findToolboxBlocks('[{kind: "block", type: "a_b"}, {"type": "a_c", "kind": "block"}]')
+    .map(entry => entry.type), ['a_b', 'a_c']);
+assert.deepStrictEqual(findGenerators(GENERATOR).map(entry => entry.type),
+    ['ledMatrix_init', 'ledMatrix_show', 'scroll']);
+
+// Regular expression literals are not strings or comments, and comments hide code
+assert.deepStrictEqual(findGenerators([
+    "const QUOTE = /'/g;",
+    '// Blockly.Arduino.ledMatrix_old = function () {};',
+    "Blockly.Arduino.ledMatrix_show = function () { return ''; };"
+].join('\n')), [{type: 'ledMatrix_show', line: 3}]);
+assert.deepStrictEqual(findBlockDefinitions([
+    'const LINK = /https?:\\/\\//; Blockly.Blocks.ledMatrix_link = {};',
+    '/* Blockly.Blocks.ledMatrix_old = {}; */'
+].join('\n')), [{type: 'ledMatrix_link', line: 1}]);
+assert.deepStrictEqual(findToolboxBlocks([
+    '<xml>',
+    '    <!-- <block type="ledMatrix_old"></block> -->',
+    '    <block type="ledMatrix_show"></block>',
+    '</xml>'
+].join('\n'), 'toolbox.xml'), [{type: 'ledMatrix_show', line: 3, shadow: false}]);
+assert.deepStrictEqual(findToolboxBlocks('{"kind": "flyoutToolbox",\n "contents": [{"kind": "block", "type": "a_b"}]}',
+    'toolbox.json'), [{type: 'a_b', line: 2, shadow: false}]);
+assert.throws(() => findGenerators('Blockly.Arduino.a_b = function ( {'), SyntaxError);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-blocks-'));
+try {
+    fs.writeFileSync(path.join(dir, 'blocks.js'), BLOCKS);
+    fs.writeFileSync(path.join(dir, 'toolbox.js'), TOOLBOX);
+    fs.writeFileSync(path.join(dir, 'generator.js'), GENERATOR);
+    const packageJson = {
+        openblock: {
+            extensionId: 'ledMatrix',
+            blocks: './blocks.js',
+            toolbox: './toolbox.js',
+            generator: './generator.js'
+        }
+    };
+
+    const result = validateBlocks(packageJson, dir);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.blocks, 4);
+    assert.deepStrictEqual(result.errors, [
+        'blocks.js:8: Block "ledMatrix_clear" has no generator in generator.js',
+        'blocks.js:15: Block type "ledMatrix_init" is defined more than once (first at line 3)',
+        'blocks.js:16: Block type "scroll" must start with the plugin id ("ledMatrix_") ' +
+            'so it cannot clash with other plugins',
+        'toolbox.js:8: Toolbox entry "ledMatrix_blink" is not defined in blocks.js'
+    ]);
+    assert.deepStrictEqual(result.warnings, [
+        'blocks.js:8: Block "ledMatrix_clear" is not in the toolbox (toolbox.js), so users cannot use it'
+    ]);
+    assert.deepStrictEqual(result.details[0], {
+        severity: 'error',
+        message: 'Block "ledMatrix_clear" has no generator in generator.js',
+        file: 'blocks.js',
+        line: 8
+    });
+
+    // A generator that does not parse is reported at its syntax error, not as missing generators
+    fs.writeFileSync(path.join(dir, 'broken.js'), 'function addGenerator (Blockly) {\n    return {;\n}\n');
+    const broken = validateBlocks({openblock: {...packageJson.openblock, generator: './broken.js'}}, dir);
+    assert.deepStrictEqual(broken.details.filter(detail => detail.file === 'broken.js'), [{
+        severity: 'error',
+        message: 'Cannot read generators: Unexpected token (2:12)',
+        file: 'broken.js',
+        line: 2
+    }]);
+    assert.ok(!broken.errors.some(error => error.includes('has no generator')));
+
+    // Nothing to cross-check without a blocks file
+    const none = validateBlocks({openblock: {extensionId: 'ledMatrix', toolbox: './toolbox.js'}}, dir);
+    assert.deepStrictEqual([none.valid, none.blocks, none.errors], [true, null, []]);
+} finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+}
+
+console.log('blocks.test.js: all assertions passed');
@@ -0,0 +1,123 @@
+/**
+ * OAuth device flow against a local stand-in for GitHub's OAuth endpoints.
+ * Run: `node test/device-flow.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point ~/.openblockrc at a scratch home before the config module is loaded
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-device-flow-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+delete process.env.OBR_OAUTH_CLIENT_ID;
+
+const {loginWithDeviceFlow} = require('../src/github/device-flow');
+const {DEFAULT_OAUTH, getOAuthSettings} = require('../src/lib/config/oauth');
+
+const tokenPolls = [];
+let deviceRequest = null;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        const send = data => {
+            res.writeHead(200, {'Content-Type': 'application/json'});
+            res.end(JSON.stringify(data));
+        };
+
+        if (req.url === '/device/code') {
+            deviceRequest = params;
+            return send({
+                device_code: params.client_id === 'denied-client' ? 'dev-denied' : 'dev-123',
+                user_code: 'ABCD-1234',
+                verification_uri: 'https://github.com/login/device',
+                expires_in: 900,
+                interval: 0
+            });
+        }
+
+        // /access_token: pending, slow_down, then a token (or a denial)
+        tokenPolls.push(params);
+        if (params.device_code === 'dev-denied') {
+            return send({error: 'access_denied'});
+        }
+        if (tokenPolls.length === 1) {
+            return send({error: 'authorization_pending'});
+        }
+        if (tokenPolls.length === 2) {
+            return send({error: 'slow_down', interval: 0});
+        }
+        return send({access_token: 'gho_test', token_type: 'bearer', scope: 'public_repo'});
+    });
+});
+
+const run = async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const oauth = {
+        clientId: 'test-client',
+        deviceCodeUrl: `${base}/device/code`,
+        tokenUrl: `${base}/access_token`,
+        scope: 'public_repo'
+    };
+
+    let shownCode = null;
+    const token = await loginWithDeviceFlow(oauth, {
+        onCode: code => {
+            shownCode = code;
+        }
+    });
+    assert.strictEqual(token, 'gho_test');
+    assert.strictEqual(shownCode.user_code, 'ABCD-1234', 'the user code must be shown before polling');
+    assert.deepStrictEqual(deviceRequest, {client_id: 'test-client', scope: 'public_repo'});
+    assert.strictEqual(tokenPolls.length, 3, 'pending and slow_down must keep polling');
+    assert.strictEqual(tokenPolls[0].grant_type, 'urn:ietf:params:oauth:grant-type:device_code');
+    assert.strictEqual(tokenPolls[0].device_code, 'dev-123');
+
+    await assert.rejects(
+        loginWithDeviceFlow({...oauth, clientId: 'denied-client'}),
+        /cancelled/
+    );
+
+    await assert.rejects(
+        loginWithDeviceFlow({...oauth, clientId: null}),
+        error => /No OAuth client id configured/.test(error.message) &&
+            error.message.includes('config set oauth <client-id>') &&
+            error.message.includes('OBR_OAUTH_CLIENT_ID')
+    );
+
+    // The registry's client id ships as the default; config and the environment replace it
+    assert.ok(DEFAULT_OAUTH.clientId);
+    assert.strictEqual(getOAuthSettings().clientId, DEFAULT_OAUTH.clientId);
+    fs.writeFileSync(path.join(home, '.openblockrc'), JSON.stringify({
+        oauth: {clientId: 'local-client', deviceCodeUrl: 'http://127.0.0.1:1/device/code'}
+    }));
+    assert.deepStrictEqual(getOAuthSettings(), {
+        ...DEFAULT_OAUTH,
+        clientId: 'local-client',
+        deviceCodeUrl: 'http://127.0.0.1:1/device/code'
+    });
+    process.env.OBR_OAUTH_CLIENT_ID = 'env-client';
+    assert.strictEqual(getOAuthSettings().clientId, 'env-client');
+    delete process.env.OBR_OAUTH_CLIENT_ID;
+
+    console.log('device-flow.test.js: all assertions passed');
+};
+
+run()
+    .catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        server.close();
+        fs.rmSync(home, {recursive: true, force: true});
+    });
@@ -0,0 +1,140 @@
+/**
+ * Firmware image inspection and the firmwares validator.
+ * Run: `node test/firmware.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {inspectFirmware, describeFirmware} = require('../src/lib/firmware-image');
+const validateFirmwares = require('../src/validators/firmwares');
+
+/**
+ * Build an Intel HEX record with a correct checksum
+ * @param {number} type - Record type
+ * @param {number} address - 16-bit offset
+ * @param {Array<number>} data - Data bytes
+ * @returns {string} Record line
+ */
+const record = function (type, address, data) {
+    const bytes = [data.length, address >> 8, address & 0xFF, type, ...data];
+    const checksum = (0x100 - (bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF)) & 0xFF;
+    return `:${Buffer.from([...bytes, checksum]).toString('hex')
+        .toUpperCase()}`;
+};
+
+const EOF = ':00000001FF';
+const sixteen = new Array(16).fill(0xAA);
+
+// Two overlapping records, then data above 64 KiB through an extended linear address
+const hexImage = [
+    record(0, 0x0000, sixteen),
+    record(0, 0x0008, sixteen),
+    record(4, 0, [0x00, 0x01]),
+    record(0, 0x0010, sixteen.slice(0, 4)),
+    record(5, 0, [0, 0, 0, 0]),
+    EOF,
+    ''
+].join('\r\n');
+const hex = inspectFirmware(Buffer.from(hexImage), 'standard.hex');
+assert.deepStrictEqual(hex.problems, []);
+assert.deepStrictEqual([hex.format, hex.used, hex.start, hex.end], ['hex', 28, 0, 0x10013]);
+assert.strictEqual(describeFirmware(hex), 'Intel HEX, 28 bytes at 0x00000000-0x00010013');
+
+const corrupted = [
+    record(0, 0, sixteen),
+    record(0, 0x10, sixteen).replace(/..$/, '00'),
+    'garbage',
+    EOF,
+    record(0, 0, [1])
+].join('\n');
+assert.deepStrictEqual(inspectFirmware(Buffer.from(corrupted), 'x.hex').problems, [
+    {message: 'Checksum mismatch: expected 0x40, found 0x00', line: 2},
+    {message: 'Record does not start with ":"', line: 3},
+    {message: 'Record after the end-of-file record on line 4', line: 5}
+]);
+assert.deepStrictEqual(inspectFirmware(Buffer.from(record(0, 0, sixteen)), 'x.hex').problems, [
+    {message: 'Missing end-of-file record (:00000001FF); the file may be truncated', line: null}
+]);
+assert.deepStrictEqual(inspectFirmware(Buffer.from(':0400000001\n'), 'x.hex').problems, [
+    {message: 'Record declares 4 data byte(s) but holds 0', line: 1}
+]);
+
+/**
+ * Build a UF2 block
+ * @param {number} blockNo - Block number
+ * @param {number} numBlocks - Total blocks
+ * @param {number} address - Target address
+ * @param {number} [flags] - Flags
+ * @returns {Buffer} 512-byte block
+ */
+const uf2Block = function (blockNo, numBlocks, address, flags = 0x2000) {
+    const block = Buffer.alloc(512);
+    [0x0A324655, 0x9E5D5157, flags, address, 256, blockNo, numBlocks, 0xE48BFF56]
+        .forEach((value, i) => block.writeUInt32LE(value, i * 4));
+    block.writeUInt32LE(0x0AB16F30, 508);
+    return block;
+};
+const uf2 = inspectFirmware(Buffer.concat([uf2Block(0, 2, 0x10000000), uf2Block(1, 2, 0x10000100)]), 'fw.UF2');
+assert.deepStrictEqual([uf2.format, uf2.used, uf2.start, uf2.families, uf2.problems],
+    ['uf2', 512, 0x10000000, ['0xE48BFF56'], []]);
+const badUf2 = Buffer.concat([uf2Block(0, 2, 0), uf2Block(2, 2, 0)]);
+badUf2.writeUInt32LE(0, 508);
+assert.deepStrictEqual(inspectFirmware(badUf2, 'fw.uf2').problems.map(problem => problem.message), [
+    'Block 0 has wrong magic numbers; this is not a UF2 file or it is corrupted',
+    'Block 1 is numbered 2 of 2'
+]);
+assert.ok(inspectFirmware(Buffer.alloc(100), 'fw.uf2').problems[0].message.includes('multiple of the 512-byte'));
+
+const bin = inspectFirmware(Buffer.from([0xE9, 0x03, 0x02, 0x20]), 'fw.bin');
+assert.deepStrictEqual([bin.format, bin.used, bin.start, bin.problems], ['bin', 4, null, []]);
+assert.strictEqual(describeFirmware(bin), 'raw binary, 4 bytes');
+const binProblem = buffer => inspectFirmware(buffer, 'fw.bin').problems.map(problem => problem.message);
+assert.deepStrictEqual(binProblem(Buffer.alloc(0)), ['File is empty']);
+assert.deepStrictEqual(binProblem(Buffer.alloc(64, 0xFF)), ['File contains only 0xFF bytes (blank image)']);
+assert.deepStrictEqual(binProblem(Buffer.from('\x7FELF\x01\x01', 'latin1')),
+    ['File is an ELF executable, not a flash image; convert it with objcopy -O binary']);
+assert.deepStrictEqual(binProblem(Buffer.from(hexImage)), ['File is Intel HEX text; give it the .hex extension']);
+assert.strictEqual(inspectFirmware(Buffer.from('x'), 'fw.elf').format, null);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-firmware-'));
+try {
+    fs.mkdirSync(path.join(dir, 'firmware'));
+    fs.mkdirSync(path.join(dir, 'build'));
+    fs.writeFileSync(path.join(dir, 'firmware', 'standard.hex'), hexImage);
+    fs.writeFileSync(path.join(dir, 'firmware', 'broken.hex'), record(0, 0, sixteen));
+    fs.writeFileSync(path.join(dir, 'build', 'fw.bin'), Buffer.from([1, 2, 3]));
+    fs.writeFileSync(path.join(dir, '.buildignore'), 'build/\n');
+    const packageJson = {
+        openblock: {
+            deviceId: 'arduinoUno',
+            firmwares: [
+                {id: 'standard', name: 'Standard', file: './firmware/standard.hex'},
+                {id: 'broken', name: 'Broken', file: './firmware/broken.hex'},
+                {id: 'ignored', name: 'Ignored', file: 'build/fw.bin'},
+                {id: 'missing', name: 'Missing', file: './firmware/missing.hex'}
+            ]
+        }
+    };
+
+    const result = validateFirmwares(packageJson, dir);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map(error => error.split('\n')[0]), [
+        'firmware/broken.hex: Missing end-of-file record (:00000001FF); the file may be truncated',
+        'openblock.firmwares[2].file "build/fw.bin" is excluded by .buildignore, ' +
+            'so it would be missing from the published plugin'
+    ]);
+    assert.deepStrictEqual(result.firmwares.map(firmware => [firmware.id, firmware.file, firmware.inspection.used]), [
+        ['standard', 'firmware/standard.hex', 28],
+        ['broken', 'firmware/broken.hex', 16],
+        ['ignored', 'build/fw.bin', 3]
+    ]);
+
+    assert.deepStrictEqual(validateFirmwares({openblock: {extensionId: 'x'}}, dir).firmwares, []);
+} finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+}
+
+console.log('firmware.test.js: all assertions passed');
@@ -0,0 +1,140 @@
+/**
+ * Registry fork readiness and stale-fork sync against a local stand-in server.
+ * Run: `node test/fork.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point ~/.openblockrc at a scratch home before the config module is loaded
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-fork-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+const {ensureFork, waitForForkReady, syncStaleFork} = require('../src/github/fork');
+
+const registry = {owner: 'openblockcc', repo: 'openblock-registry', branch: 'main'};
+
+// Per-scenario server state
+let state;
+const calls = [];
+
+const server = http.createServer((req, res) => {
+    calls.push(`${req.method} ${req.url}`);
+    const send = (status, body) => {
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(body ? JSON.stringify(body) : '');
+    };
+
+    if (req.url === '/repos/alice/openblock-registry') {
+        if (!state.forked) return send(404, {message: 'Not Found'});
+        if (state.unrelated) return send(200, {fork: false});
+        return send(200, {fork: true, parent: {full_name: 'openblockcc/openblock-registry'}});
+    }
+    if (req.method === 'POST' && req.url === '/repos/openblockcc/openblock-registry/forks') {
+        state.forked = true;
+        return send(202, {full_name: 'alice/openblock-registry'});
+    }
+    if (req.url === '/repos/alice/openblock-registry/git/ref/heads/main') {
+        // Empty (409) until GitHub has copied the repository
+        state.readyPolls--;
+        return state.readyPolls < 0 ?
+            send(200, {object: {sha: 'abc'}}) :
+            send(409, {message: 'Git Repository is empty.'});
+    }
+    if (req.url === '/repos/openblockcc/openblock-registry/compare/main...alice:main') {
+        return send(200, {behind_by: state.behindBy});
+    }
+    if (req.method === 'POST' && req.url === '/repos/alice/openblock-registry/merge-upstream') {
+        return state.diverged ?
+            send(409, {message: 'There are merge conflicts'}) :
+            send(200, {merge_type: 'fast-forward'});
+    }
+    return send(500, {message: `unexpected ${req.method} ${req.url}`});
+});
+
+/**
+ * Reset the server state and call log for a scenario
+ * @param {object} fields - State fields
+ */
+const scenario = function (fields) {
+    state = {forked: true, unrelated: false, readyPolls: 0, behindBy: 0, diverged: false, ...fields};
+    calls.length = 0;
+};
+
+const run = async function () {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    fs.writeFileSync(path.join(home, '.openblockrc'), JSON.stringify({
+        registry: {apiBase: `http://127.0.0.1:${server.address().port}`}
+    }));
+
+    // A new fork is polled until its branch can be read, with progress on each wait
+    scenario({forked: false, readyPolls: 2});
+    const progress = [];
+    const created = await ensureFork('t', registry, 'alice', {
+        interval: 1,
+        onProgress: message => progress.push(message)
+    });
+    assert.deepStrictEqual(created, {created: true, behindBy: 0, synced: false, diverged: false});
+    assert.strictEqual(progress[0], 'Forking openblockcc/openblock-registry...');
+    assert.strictEqual(progress.length, 3);
+    assert.ok(/^Waiting for fork alice\/openblock-registry to become ready \(\d+s\)\.\.\.$/.test(progress[1]));
+    assert.strictEqual(calls.filter(call => call.endsWith('/git/ref/heads/main')).length, 3);
+    assert.ok(!calls.some(call => call.includes('/compare/')), 'a new fork is not compared with upstream');
+
+    // A fork that never becomes readable times out
+    scenario({readyPolls: Infinity});
+    await assert.rejects(
+        waitForForkReady('t', registry, 'alice', {timeout: 20, interval: 5}),
+        /^Error: Fork alice\/openblock-registry was not ready after 0s\./
+    );
+
+    // A little behind: left alone
+    scenario({behindBy: 10});
+    assert.deepStrictEqual(await ensureFork('t', registry, 'alice'),
+        {created: false, behindBy: 10, synced: false, diverged: false});
+    assert.ok(!calls.some(call => call.endsWith('/merge-upstream')));
+
+    // Far behind: synced
+    scenario({behindBy: 120});
+    assert.deepStrictEqual(await syncStaleFork('t', registry, 'alice'),
+        {behindBy: 120, synced: true, diverged: false});
+    assert.ok(calls.includes('POST /repos/alice/openblock-registry/merge-upstream'));
+
+    // Far behind and diverged: reported as a warning, not swallowed
+    scenario({behindBy: 120, diverged: true});
+    const warnings = [];
+    const diverged = await ensureFork('t', registry, 'alice', {onWarning: message => warnings.push(message)});
+    assert.deepStrictEqual(diverged, {created: false, behindBy: 120, synced: false, diverged: true});
+    assert.strictEqual(warnings.length, 1);
+    assert.ok(warnings[0].startsWith('Fork alice/openblock-registry is 120 commits behind upstream and has ' +
+        'diverged'));
+
+    // Without a warning callback the message goes to progress
+    scenario({behindBy: 120, diverged: true});
+    const reported = [];
+    await syncStaleFork('t', registry, 'alice', {onProgress: message => reported.push(message)});
+    assert.strictEqual(reported.length, 2);
+    assert.ok(reported[1].includes('could not be synced'));
+
+    // Another repository under the registry's name is not used as the fork
+    scenario({unrelated: true});
+    await assert.rejects(ensureFork('t', registry, 'alice'),
+        /exists but is not a fork of openblockcc\/openblock-registry/);
+};
+
+run()
+    .then(() => {
+        console.log('fork.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        server.close();
+        fs.rmSync(home, {recursive: true, force: true});
+    });
@@ -0,0 +1,86 @@
+/**
+ * GitHub client behaviour against a local stand-in server.
+ * Run: `node test/github-client.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const http = require('http');
+
+const {request, GitHubApiError, GitHubRateLimitError} = require('../src/github/client');
+
+const hits = {};
+
+const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const count = hits[req.url];
+    const send = (status, body, headers = {}) => {
+        res.writeHead(status, {'Content-Type': 'application/json', ...headers});
+        res.end(body ? JSON.stringify(body) : '');
+    };
+
+    switch (req.url) {
+    case '/flaky':
+        // Two 502s, then success
+        return count < 3 ? send(502, {message: 'Bad Gateway'}) : send(200, {ok: true});
+    case '/secondary-limit':
+        return count < 2 ?
+            send(403, {message: 'secondary rate limit'}, {'Retry-After': '0'}) :
+            send(200, {ok: true});
+    case '/exhausted':
+        return send(403, {message: 'API rate limit exceeded'}, {
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 3600)
+        });
+    case '/invalid':
+        return send(422, {message: 'Validation Failed', errors: [{message: 'ref already exists'}]});
+    case '/missing':
+        return send(404, {message: 'Not Found'});
+    case '/empty':
+        return send(204);
+    default:
+        return send(500, {message: 'unexpected path'});
+    }
+});
+
+const run = async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const apiBase = `http://127.0.0.1:${server.address().port}`;
+    const options = {apiBase, retryDelay: 1};
+
+    const flaky = await request('t', 'GET', '/flaky', options);
+    assert.deepStrictEqual(flaky.data, {ok: true});
+    assert.strictEqual(hits['/flaky'], 3, '5xx responses must be retried');
+
+    const limited = await request('t', 'GET', '/secondary-limit', options);
+    assert.strictEqual(limited.status, 200, 'Retry-After must be honoured');
+
+    await assert.rejects(
+        request('t', 'GET', '/exhausted', options),
+        err => err instanceof GitHubRateLimitError && err.status === 403 && err.resetAt instanceof Date
+    );
+    assert.strictEqual(hits['/exhausted'], 1, 'a long rate-limit reset must not be waited out');
+
+    await assert.rejects(
+        request('t', 'POST', '/invalid', {...options, action: 'create branch', body: {}}),
+        err => err instanceof GitHubApiError &&
+            err.status === 422 &&
+            err.message.startsWith('Failed to create branch: Validation Failed') &&
+            err.message.includes('ref already exists')
+    );
+    assert.strictEqual(hits['/invalid'], 1, '4xx responses must not be retried');
+
+    const missing = await request('t', 'GET', '/missing', {...options, allowStatus: [404]});
+    assert.strictEqual(missing.status, 404);
+
+    const empty = await request('t', 'DELETE', '/empty', options);
+    assert.strictEqual(empty.data, null);
+
+    console.log('github-client.test.js: all assertions passed');
+};
+
+run()
+    .catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+    })
+    .finally(() => server.close());
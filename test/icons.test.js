@@ -0,0 +1,90 @@
+/**
+ * Icon size, proportion, background and compression checks.
+ * Run: `node test/icons.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const validateIcons = require('../src/validators/icons');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-icons-'));
+
+/**
+ * Write a solid image
+ * @param {Function} sharp - sharp
+ * @param {string} name - File name
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {object} background - RGBA background
+ * @returns {Promise} Resolves when written
+ */
+const solid = function (sharp, name, width, height, background) {
+    return sharp({create: {width, height, channels: 4, background}}).png()
+        .toFile(path.join(dir, name));
+};
+
+const run = async function () {
+    const sharp = (await import('sharp')).default;
+    const white = {r: 255, g: 255, b: 255, alpha: 1};
+    const clear = {r: 0, g: 0, b: 0, alpha: 0};
+    await solid(sharp, 'card.png', 1200, 744, white);
+    await solid(sharp, 'connection.png', 240, 240, white);
+    await solid(sharp, 'small.png', 100, 60, clear);
+
+    const packageJson = {
+        openblock: {
+            iconURL: './card.png',
+            connectionIconURL: './connection.png',
+            connectionSmallIconURL: './small.png'
+        }
+    };
+    const result = await validateIcons(packageJson, dir);
+    assert.deepStrictEqual(result.icons.map(icon => [icon.field, icon.width, icon.height]), [
+        ['iconURL', 1200, 744],
+        ['connectionIconURL', 240, 240],
+        ['connectionSmallIconURL', 100, 60]
+    ]);
+    assert.deepStrictEqual(result.errors, [
+        'openblock.connectionSmallIconURL "./small.png" is 100x60, but the device menu draws it at 80x80, ' +
+            'so it would be stretched. Use 80x80 or a larger image with the same proportions'
+    ]);
+    assert.deepStrictEqual(result.warnings, [
+        'openblock.connectionIconURL "./connection.png" has an opaque background; the connection modal ' +
+            'expects a transparent one (a PNG with an alpha channel)'
+    ]);
+
+    // Too small, and noise that only fits in 50KB at a low quality
+    await solid(sharp, 'tiny.png', 300, 186, white);
+    await sharp(crypto.randomBytes(600 * 372 * 3), {raw: {width: 600, height: 372, channels: 3}})
+        .jpeg({quality: 100})
+        .toFile(path.join(dir, 'noise.jpg'));
+    await solid(sharp, 'icon.png', 240, 240, clear);
+    const degraded = await validateIcons({openblock: {iconURL: './noise.jpg', connectionIconURL: './icon.png'}}, dir);
+    assert.deepStrictEqual(degraded.errors, []);
+    assert.strictEqual(degraded.warnings.length, 1);
+    assert.ok(/^openblock\.iconURL "\.\/noise\.jpg" is \d+\.\dKB; to fit in 50KB the build would/
+        .test(degraded.warnings[0]), degraded.warnings[0]);
+
+    const tiny = await validateIcons({openblock: {iconURL: './tiny.png', connectionIconURL: 'https://x/y.png'}}, dir);
+    assert.deepStrictEqual(tiny.errors, [
+        'openblock.iconURL "./tiny.png" is 300x186, smaller than the 600x372 the library card draws it at, ' +
+            'so it would look blurry'
+    ]);
+    assert.strictEqual(tiny.icons.length, 1);
+};
+
+run()
+    .then(() => {
+        console.log('icons.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
@@ -0,0 +1,164 @@
+/**
+ * SPDX expressions, license texts, compatibility and the licenses validator.
+ * Run: `node test/licenses.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {parseLicenseExpression, licensesOf, detectLicenseText, checkCompatibility} = require('../src/lib/licenses');
+const {collectThirdParty, formatNotices} = require('../src/lib/third-party');
+const validateLicenses = require('../src/validators/licenses');
+
+const MIT_TEXT = 'MIT License\n\nCopyright (c) 2024 Someone\n\nPermission is hereby granted, free of charge, ' +
+    'to any person obtaining a copy of this software...\n\nThe above copyright notice and this permission ' +
+    'notice shall be included in all\ncopies or substantial portions of the Software.\n';
+const LGPL_TEXT = 'GNU LESSER GENERAL PUBLIC LICENSE\n   Version 2.1, February 1999\n';
+
+/**
+ * Parse an expression into the identifiers it names
+ * @param {string} expression - SPDX expression
+ * @returns {string[]} Identifiers
+ */
+const ids = expression => licensesOf(parseLicenseExpression(expression).tree).map(node => node.license);
+
+assert.deepStrictEqual(ids('MIT'), ['MIT']);
+assert.deepStrictEqual(ids('(mit OR Apache-2.0) AND BSD-3-Clause'), ['MIT', 'Apache-2.0', 'BSD-3-Clause']);
+assert.deepStrictEqual(ids('LGPL-2.1-only+'), ['LGPL-2.1-or-later']);
+assert.deepStrictEqual(ids('LicenseRef-Vendor'), ['LicenseRef-Vendor']);
+assert.deepStrictEqual(parseLicenseExpression('GPL-2.0 WITH Classpath-exception-2.0'), {
+    tree: {license: 'GPL-2.0-only', written: 'GPL-2.0', exception: 'Classpath-exception-2.0'},
+    warnings: ['"GPL-2.0" is a deprecated SPDX identifier; use "GPL-2.0-only"']
+});
+assert.deepStrictEqual(parseLicenseExpression('MIT OR ISC AND Zlib').tree, {
+    operator: 'OR',
+    left: {license: 'MIT', written: 'MIT', exception: null},
+    right: {
+        operator: 'AND',
+        left: {license: 'ISC', written: 'ISC', exception: null},
+        right: {license: 'Zlib', written: 'Zlib', exception: null}
+    }
+});
+// Every identifier on the SPDX list is valid, categorised or not
+assert.deepStrictEqual(ids('EUPL-1.2 OR BSD-4-Clause OR CC-BY-NC-4.0'), ['EUPL-1.2', 'BSD-4-Clause', 'CC-BY-NC-4.0']);
+assert.deepStrictEqual(parseLicenseExpression('eCos-2.0').warnings,
+    ['"eCos-2.0" is a deprecated SPDX identifier (see https://spdx.org/licenses/)']);
+assert.throws(() => parseLicenseExpression('UNLICENSED'), /"UNLICENSED" is not an SPDX license identifier/);
+assert.throws(() => parseLicenseExpression('MIT or ISC'), /operators are upper case: "OR"/);
+assert.throws(() => parseLicenseExpression('(MIT OR ISC'), /unclosed "\("/);
+assert.throws(() => parseLicenseExpression('MIT AND'), /ends where a license identifier was expected/);
+assert.throws(() => parseLicenseExpression('GPL-3.0-only WITH Nothing'), /"Nothing" is not an SPDX license exception/);
+
+assert.strictEqual(detectLicenseText(MIT_TEXT), 'MIT');
+assert.strictEqual(detectLicenseText(LGPL_TEXT), 'LGPL-2.1-only');
+assert.strictEqual(detectLicenseText('GNU GENERAL PUBLIC LICENSE\nVersion 3, 29 June 2007'), 'GPL-3.0-only');
+assert.strictEqual(detectLicenseText('All rights reserved.'), null);
+
+/**
+ * Check bundling code under one expression into a plugin under another
+ * @param {string} component - Expression of the bundled code
+ * @param {string} plugin - Expression of the plugin
+ * @returns {string} Outcome
+ */
+const outcome = (component, plugin) => checkCompatibility(parseLicenseExpression(component).tree,
+    parseLicenseExpression(plugin).tree).outcome;
+assert.strictEqual(outcome('MIT', 'GPL-3.0-only'), 'compatible');
+assert.strictEqual(outcome('GPL-3.0-only', 'MIT'), 'incompatible');
+assert.strictEqual(outcome('GPL-3.0-only OR MIT', 'MIT'), 'compatible');
+assert.strictEqual(outcome('GPL-2.0-only', 'GPL-3.0-only'), 'incompatible');
+assert.strictEqual(outcome('GPL-2.0-or-later', 'GPL-3.0-only'), 'compatible');
+assert.strictEqual(outcome('Apache-2.0', 'GPL-2.0-only'), 'incompatible');
+assert.strictEqual(outcome('LGPL-2.1-only', 'MIT'), 'notice');
+assert.strictEqual(outcome('GPL-2.0-only WITH Classpath-exception-2.0', 'MIT'), 'notice');
+assert.strictEqual(outcome('LicenseRef-Vendor', 'MIT'), 'unknown');
+assert.strictEqual(outcome('CC-BY-NC-4.0', 'MIT'), 'unknown');
+assert.strictEqual(outcome('MIT', 'EUPL-1.2'), 'unknown');
+assert.strictEqual(outcome('GPL-3.0-only WITH GPL-3.0-linking-exception', 'MIT'), 'notice');
+// Only exceptions about linking stop the copyleft from spreading
+assert.strictEqual(outcome('GPL-3.0-only WITH openvpn-openssl-exception', 'MIT'), 'incompatible');
+// Every license the plugin offers must accept the component
+assert.strictEqual(outcome('GPL-3.0-only', 'GPL-3.0-only OR MIT'), 'incompatible');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-licenses-'));
+
+/**
+ * Write a file, creating its directory
+ * @param {string} file - Path relative to the plugin
+ * @param {string} content - Content
+ */
+const write = function (file, content) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), {recursive: true});
+    fs.writeFileSync(path.join(dir, file), content);
+};
+
+const run = async function () {
+    write('LICENSE', MIT_TEXT);
+    write('src/main.js', 'import chart from \'tiny-chart\';\nimport fmt from \'@acme/fmt\';\n' +
+        'export default () => chart(fmt(1));\n');
+    write('src/plain.js', 'export default 1;\n');
+    write('node_modules/tiny-chart/package.json',
+        JSON.stringify({name: 'tiny-chart', version: '2.0.0', license: 'GPL-3.0-or-later', main: 'index.js'}));
+    write('node_modules/tiny-chart/index.js', 'module.exports = x => x;\n');
+    write('node_modules/tiny-chart/COPYING', 'GNU GENERAL PUBLIC LICENSE\nVersion 3\n');
+    write('node_modules/@acme/fmt/package.json',
+        JSON.stringify({name: '@acme/fmt', version: '1.0.0', licenses: [{type: 'MIT'}], main: 'index.js'}));
+    write('node_modules/@acme/fmt/index.js', 'module.exports = x => String(x);\n');
+    write('node_modules/unused/package.json', JSON.stringify({name: 'unused', license: 'AGPL-3.0-only'}));
+    write('libraries/Servo/library.properties', 'name=Servo\nversion=1.2.1\n');
+    write('libraries/Servo/LICENSE.txt', LGPL_TEXT);
+    write('libraries/Private/src.h', '');
+    write('.gitmodules', '[submodule "vendor/ws"]\n\tpath = vendor/ws\n\turl = https://example.com/ws.git\n');
+    write('vendor/ws/LICENSE.md', MIT_TEXT);
+
+    const packageJson = {name: 'chart-ext', license: 'MIT', openblock: {extensionId: 'chart'}};
+    const result = await validateLicenses(packageJson, dir);
+    assert.deepStrictEqual(result.components.map(component =>
+        [component.kind, component.name, component.license, component.licenseFile]), [
+        ['npm', '@acme/fmt', 'MIT', null],
+        ['npm', 'tiny-chart', 'GPL-3.0-or-later', 'node_modules/tiny-chart/COPYING'],
+        ['library', 'Private', null, null],
+        ['library', 'Servo', 'LGPL-2.1-only', 'libraries/Servo/LICENSE.txt'],
+        ['submodule', 'ws', 'MIT', 'vendor/ws/LICENSE.md']
+    ]);
+    assert.deepStrictEqual(result.errors, [
+        'npm package tiny-chart@2.0.0 is GPL-3.0-or-later (copyleft), which cannot be shipped in a plugin ' +
+            'licensed "MIT". Change the plugin license or replace the component'
+    ]);
+    assert.deepStrictEqual(result.warnings, [
+        'npm package @acme/fmt@1.0.0 has no license file to include in THIRD_PARTY_NOTICES',
+        'Arduino library Private (libraries/Private) declares no license and has no recognisable license text; ' +
+            'it cannot be checked',
+        'Arduino library Servo@1.2.1 (libraries/Servo) is LGPL-2.1-only (weak copyleft): its own files stay ' +
+            'under that license, and changes to them must be published'
+    ]);
+
+    const notices = formatNotices(collectThirdParty(dir, packageJson), dir, 'chart-ext');
+    assert.ok(notices.startsWith('THIRD-PARTY SOFTWARE NOTICES\n\nchart-ext includes'));
+    assert.ok(notices.includes('Servo 1.2.1\nLicense: LGPL-2.1-only\nSource: libraries/Servo\n'));
+    assert.ok(notices.includes('No license text was found for this component.'));
+    assert.ok(!notices.includes('tiny-chart'), 'npm packages are only listed when the metafile is given');
+
+    write('LICENSE', LGPL_TEXT);
+    const mismatch = await validateLicenses({license: 'GPL-3.0', openblock: {}}, dir);
+    assert.strictEqual(mismatch.errors[0], 'LICENSE holds the LGPL-2.1 license, but package.json declares "GPL-3.0"');
+    assert.deepStrictEqual(mismatch.warnings.slice(0, 1),
+        ['package.json license: "GPL-3.0" is a deprecated SPDX identifier; use "GPL-3.0-only"']);
+
+    const missing = await validateLicenses({openblock: {}}, dir);
+    assert.strictEqual(missing.errors[0],
+        'package.json has no "license"; set it to the SPDX identifier of the LICENSE file, e.g. "MIT"');
+};
+
+run()
+    .then(() => {
+        console.log('licenses.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
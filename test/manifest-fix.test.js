@@ -0,0 +1,97 @@
+/**
+ * `validate --fix`: planning fixes, applying them without disturbing the
+ * file's formatting, and the diff shown afterwards.
+ * Run: `node test/manifest-fix.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+
+const {planFixes, applyFixes, diffLines} = require('../src/lib/manifest-fix');
+const {createJsonEditor} = require('../src/lib/json-edit');
+
+const extensionText = [
+    '{',
+    '    "name": "ledmatrix",',
+    '    "repository": {',
+    '        "type": "git",',
+    '        "url": "git+https://github.com/example/ledmatrix.git"',
+    '    },',
+    '    "openblock": {',
+    '        "extensionId": "ledMatrix",',
+    '        "helpLink": "http://example.com/help",',
+    '        "supportDevice": [',
+    '            "arduinoUno",',
+    '            "arduinoNano",',
+    '            "arduinoEsp32"',
+    '        ],',
+    '        "tags": ["Display", "sensor"]',
+    '    }',
+    '}',
+    ''
+].join('\n');
+
+const {fixes, notes} = planFixes(JSON.parse(extensionText));
+assert.deepStrictEqual(notes, []);
+assert.deepStrictEqual(fixes.map(fix => [fix.pointer, fix.confirm]), [
+    ['/repository/url', false],
+    ['/openblock/supportDevice', false],
+    ['/openblock/tags/0', false],
+    ['/openblock/helpLink', true]
+]);
+
+// Untouched lines, key order and the inline tags array are preserved
+const fixed = applyFixes(extensionText, fixes.filter(fix => !fix.confirm));
+assert.strictEqual(fixed, [
+    '{',
+    '    "name": "ledmatrix",',
+    '    "repository": {',
+    '        "type": "git",',
+    '        "url": "https://github.com/example/ledmatrix"',
+    '    },',
+    '    "openblock": {',
+    '        "extensionId": "ledMatrix",',
+    '        "helpLink": "http://example.com/help",',
+    '        "arch": [',
+    '            "arduino-avr",',
+    '            "arduino-esp32"',
+    '        ],',
+    '        "tags": ["display", "sensor"]',
+    '    }',
+    '}',
+    ''
+].join('\n'));
+assert.deepStrictEqual(planFixes(JSON.parse(fixed)).fixes.map(fix => fix.pointer), ['/openblock/helpLink']);
+
+const diff = diffLines(extensionText, fixed);
+assert.deepStrictEqual(diff.filter(line => line.type === '-').map(line => line.text.trim()), [
+    '"url": "git+https://github.com/example/ledmatrix.git"',
+    '"supportDevice": [',
+    '"arduinoUno",',
+    '"arduinoNano",',
+    '"arduinoEsp32"',
+    '"tags": ["Display", "sensor"]'
+]);
+assert.ok(!diff.some(line => line.text.includes('"name"')), 'unchanged lines far from a change are elided');
+
+// Device flags default to false; unknown devices are left to the author
+const device = '{"openblock": {"deviceId": "myBoard", "tags": ["micropython"], "serialportRequired": true}}';
+const devicePlan = planFixes(JSON.parse(device));
+assert.strictEqual(applyFixes(device, devicePlan.fixes),
+    '{"openblock": {"deviceId": "myBoard", "tags": ["microPython"], "serialportRequired": true, ' +
+    '"bluetoothRequired": false, "internetConnectionRequired": false}}');
+
+const custom = planFixes({openblock: {extensionId: 'x', supportDevice: ['myBoard']}});
+assert.deepStrictEqual(custom.fixes, []);
+assert.ok(custom.notes[0].includes('"myBoard"'));
+
+const redundant = planFixes({openblock: {extensionId: 'x', arch: ['arduino-*'], supportDevice: ['arduinoUno']}});
+assert.strictEqual(applyFixes('{"openblock": {"extensionId": "x", "supportDevice": ["arduinoUno"], ' +
+    '"arch": ["arduino-*"]}}', redundant.fixes), '{"openblock": {"extensionId": "x", "arch": ["arduino-*"]}}');
+
+// New properties follow the indentation of their siblings
+const editor = createJsonEditor('{\n\t"a": 1,\n\t"b": {\n\t\t"c": true\n\t}\n}\n');
+editor.insert('/b', 'd', false);
+editor.remove('/a');
+assert.strictEqual(editor.toString(), '{\n\t"b": {\n\t\t"c": true,\n\t\t"d": false\n\t}\n}\n');
+
+console.log('manifest-fix.test.js: all assertions passed');
@@ -0,0 +1,185 @@
+/**
+ * Manifest schema and the validator that applies it.
+ * Run: `node test/manifest-schema.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {MANIFEST_SCHEMA, listFileFields} = require('../src/lib/manifest-schema');
+const {FROZEN_OPENBLOCK_FIELDS, ICON_FIELDS} = require('../src/lib/display-manifest');
+const validatePackageStructure = require('../src/validators/package-structure');
+const validateOpenBlockFiles = require('../src/validators/openblock-files');
+
+const device = () => ({
+    author: 'OpenBlock',
+    openblock: {
+        deviceId: 'arduinoUno',
+        type: 'arduino',
+        name: {formatMessage: {id: 'arduinoUno.name', default: 'Arduino Uno'}},
+        description: 'A classic board',
+        manufactor: 'Arduino',
+        helpLink: 'https://example.com/help',
+        learnMore: 'https://example.com/learn',
+        iconURL: './assets/uno.png',
+        connectionIconURL: './assets/uno-connection.PNG',
+        translations: './translations.js',
+        bluetoothRequired: false,
+        serialportRequired: true,
+        internetConnectionRequired: false,
+        programMode: ['realtime', 'upload'],
+        tags: ['arduino', 'kit'],
+        arch: ['arduino-avr'],
+        firmwares: [{id: 'standard', name: 'Standard firmware', file: './firmware/standard.hex'}]
+    }
+});
+
+const extension = () => ({
+    author: {name: 'OpenBlock'},
+    openblock: {
+        extensionId: 'ledMatrix',
+        name: 'LED Matrix',
+        description: 'Drive an 8x8 LED matrix',
+        helpLink: 'https://example.com/help',
+        iconURL: './assets/matrix.jpg',
+        translations: './translations.js',
+        programMode: ['upload'],
+        tags: ['display'],
+        arch: ['arduino-*']
+    }
+});
+
+/**
+ * Pointers of the errors reported for a package.json
+ * @param {object} pkg - package.json
+ * @returns {Array<string>} Errors as "pointer: message"
+ */
+const errorsFor = pkg => validatePackageStructure(pkg).errors;
+
+assert.deepStrictEqual(errorsFor(device()), []);
+assert.deepStrictEqual(errorsFor(extension()), []);
+
+// Every problem is reported at once, each at its own pointer
+const broken = device();
+delete broken.author;
+broken.openblock.tags = ['arduino', 'robot'];
+broken.openblock.programMode = [];
+broken.openblock.bluetoothRequired = 'no';
+broken.openblock.iconURL = './assets/uno.svg';
+broken.openblock.helpLink = 'data:text/html,<script>alert(1)</script>';
+broken.openblock.firmwares.push({id: 'standard', name: {formatMessage: {id: 'x'}}, file: './b.hex'});
+assert.deepStrictEqual(errorsFor(broken), [
+    '/author: is required',
+    '/openblock/helpLink: must be an http(s):// URL (javascript:/data: and other schemes are not allowed)',
+    '/openblock/iconURL: must be a .png/.jpg/.jpeg image (SVG is not allowed)',
+    '/openblock/programMode: must be a non-empty array',
+    '/openblock/bluetoothRequired: must be a boolean',
+    '/openblock/tags/1: must be one of: arduino, microPython, kit',
+    '/openblock/firmwares/1/name: must be a string or a {formatMessage: {id, default}} object',
+    '/openblock/firmwares/1/id: "standard" is duplicated'
+]);
+
+const legacy = extension();
+legacy.openblock.supportDevice = ['arduinoUno'];
+delete legacy.openblock.arch;
+assert.deepStrictEqual(errorsFor(legacy), [
+    '/openblock/arch: is required',
+    '/openblock/supportDevice: is no longer supported; use openblock.arch instead'
+]);
+
+const both = device();
+both.openblock.extensionId = 'ledMatrix';
+assert.deepStrictEqual(errorsFor(both), [
+    '/openblock/extensionId: must not be set on a device plugin (a plugin is a device or an extension)'
+]);
+
+const neither = extension();
+delete neither.openblock.extensionId;
+assert.deepStrictEqual(errorsFor(neither), [
+    '/openblock: must have either deviceId (device plugins) or extensionId (extension plugins)'
+]);
+
+// Multi-framework devices: each framework has its own files, and the
+// frameworks must agree with tags and programMode
+const multi = device();
+multi.openblock.tags = ['arduino', 'microPython', 'kit'];
+multi.openblock.frameworks = [
+    {type: 'arduino', main: './src/arduinoMain.js', generator: './src/arduinoGenerator.js', programMode: ['upload']},
+    {type: 'microPython', main: './src/micropythonMain.js', generator: './src/micropythonGenerator.js'}
+];
+assert.deepStrictEqual(errorsFor(multi), []);
+
+multi.openblock.tags = ['arduino', 'kit'];
+multi.openblock.programMode = ['upload'];
+multi.openblock.frameworks[1].programMode = ['realtime'];
+multi.openblock.frameworks.push(
+    {type: 'arduino', main: './a.js'},
+    {type: 'scratch', main: './s.js', generator: './g.js'}
+);
+assert.deepStrictEqual(errorsFor(multi), [
+    '/openblock/frameworks/2/generator: is required',
+    '/openblock/frameworks/3/type: must be one of: arduino, microPython',
+    '/openblock/frameworks/2/type: "arduino" is duplicated',
+    '/openblock/frameworks/1/type: needs "microPython" in openblock.tags',
+    '/openblock/frameworks/1/programMode/0: "realtime" is not in openblock.programMode'
+]);
+
+const realtimeOnly = device();
+realtimeOnly.openblock.tags = ['kit', 'microPython'];
+realtimeOnly.openblock.frameworks = [
+    {type: 'arduino', main: './a.js', generator: './g.js', programMode: ['upload']}
+];
+assert.deepStrictEqual(errorsFor(realtimeOnly), [
+    '/openblock/frameworks/0/type: needs "arduino" in openblock.tags',
+    '/openblock/tags/1: "microPython" has no matching entry in openblock.frameworks',
+    '/openblock/programMode/0: "realtime" is not supported by any of openblock.frameworks'
+]);
+
+assert.deepStrictEqual(validatePackageStructure(broken).details[0], {pointer: '/author', message: 'is required'});
+
+// The display baseline and the file checks must describe the same manifest
+const manifestFields = Object.keys(MANIFEST_SCHEMA.definitions.manifest.properties)
+    .concat(Object.keys(MANIFEST_SCHEMA.definitions.device.properties));
+[...FROZEN_OPENBLOCK_FIELDS, ...ICON_FIELDS].forEach(field => {
+    assert.ok(manifestFields.includes(field), `display field ${field} must be declared in the schema`);
+});
+assert.deepStrictEqual(
+    listFileFields().map(entry => entry.field),
+    ['translations', 'main', 'generator', 'blocks', 'msg', 'toolbox', 'examples[].file', 'firmwares[].file',
+        'frameworks[].main', 'frameworks[].generator']
+);
+assert.strictEqual(listFileFields().find(entry => entry.field === 'translations').optional, false);
+assert.strictEqual(listFileFields().find(entry => entry.field === 'main').optional, true);
+
+// Every file-path field is checked on disk, wherever it appears
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-manifest-schema-'));
+try {
+    const pkg = device();
+    Object.assign(pkg.openblock, {
+        frameworks: [
+            {type: 'arduino', main: './arduino/index.js', generator: './arduino/missing.js'},
+            {type: 'microPython', main: './arduino', generator: 42}
+        ],
+        examples: [{id: 'blink', name: 'Blink', file: './examples/blink.ob'}, null]
+    });
+    fs.mkdirSync(path.join(dir, 'arduino'));
+    fs.writeFileSync(path.join(dir, 'arduino', 'index.js'), '');
+    fs.writeFileSync(path.join(dir, 'translations.js'), '');
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(pkg));
+
+    const result = validateOpenBlockFiles(dir);
+    assert.deepStrictEqual(result.errors.map(error => error.split('\n')[0]), [
+        'Example project not found: openblock.examples[0].file = "./examples/blink.ob"',
+        'Firmware image not found: openblock.firmwares[0].file = "./firmware/standard.hex"',
+        'openblock.frameworks[1].main must be a file, not a directory: "./arduino"',
+        'Framework code generator file not found: openblock.frameworks[0].generator = "./arduino/missing.js"',
+        'openblock.frameworks[1].generator must be a string, got number'
+    ]);
+    assert.deepStrictEqual(result.checkedFiles.map(file => file.field), ['translations', 'frameworks[0].main']);
+} finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+}
+
+console.log('manifest-schema.test.js: all assertions passed');
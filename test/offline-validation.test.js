@@ -0,0 +1,84 @@
+/**
+ * Registry data cache and the checks `validate --offline` runs against it.
+ * Run: `node test/offline-validation.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the cache and ~/.openblockrc in a scratch home
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-offline-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+const {writeRegistryCache, readRegistryCache, registryCacheDir, describeCacheAge} =
+    require('../src/lib/registry-cache');
+const {validateIdUniqueness} = require('../src/validators/id-uniqueness');
+const {loadRegistryApproved} = require('../src/lib/approved-baseline');
+
+const packageInfo = {
+    repository: {type: 'git', url: 'https://github.com/example/ledmatrix'},
+    openblock: {extensionId: 'ledMatrix', id: 'ledMatrix', pluginType: 'extension'}
+};
+
+const run = async function () {
+    assert.ok(registryCacheDir().startsWith(path.join(home, '.openblock', 'cache', 'registry')));
+    assert.strictEqual(readRegistryCache('packages.json'), null);
+
+    // Nothing cached yet: the check cannot run
+    const uncached = await validateIdUniqueness(packageInfo, null, {offline: true});
+    assert.strictEqual(uncached.valid, false);
+    assert.ok(uncached.errors[0].includes('without --offline'));
+    assert.strictEqual(await loadRegistryApproved('ledMatrix', {offline: true}), null);
+
+    writeRegistryCache('packages.json', {devices: {}, extensions: {}});
+    const fresh = await validateIdUniqueness(packageInfo, null, {offline: true});
+    assert.strictEqual(fresh.valid, true);
+    assert.strictEqual(fresh.isNew, true);
+    assert.ok(/^Offline: checked against the packages\.json cached \d{4}-\d\d-\d\d /.test(fresh.warnings[0]));
+
+    // Registered elsewhere: a rename cannot be confirmed offline, so it only warns
+    writeRegistryCache('packages.json', {
+        devices: {},
+        extensions: {ledMatrix: {repository: 'https://github.com/old-owner/ledmatrix'}}
+    });
+    const elsewhere = await validateIdUniqueness(packageInfo, null, {offline: true});
+    assert.strictEqual(elsewhere.valid, true);
+    assert.strictEqual(elsewhere.unconfirmed, true);
+    assert.ok(elsewhere.warnings[1].includes('https://github.com/old-owner/ledmatrix'));
+
+    // Same ID as a device in the same repository is still an error
+    writeRegistryCache('packages.json', {
+        devices: {ledMatrix: {repository: 'git+https://github.com/example/ledmatrix.git'}},
+        extensions: {}
+    });
+    const wrongType = await validateIdUniqueness(packageInfo, null, {offline: true});
+    assert.strictEqual(wrongType.valid, false);
+    assert.ok(wrongType.errors[0].includes('already used as a device'));
+
+    // A registry without a baseline is remembered as such
+    writeRegistryCache('approved/ledMatrix.json', null);
+    const none = await loadRegistryApproved('ledMatrix', {offline: true});
+    assert.strictEqual(none.record, null);
+    assert.ok(none.fetchedAt instanceof Date);
+
+    const now = new Date('2026-10-19T12:00:00Z');
+    assert.strictEqual(describeCacheAge(new Date('2026-10-19T11:45:00Z'), now),
+        '2026-10-19 11:45 UTC, 15 minute(s) ago');
+    assert.strictEqual(describeCacheAge(new Date('2026-10-19T07:00:00Z'), now), '2026-10-19 07:00 UTC, 5 hour(s) ago');
+    assert.strictEqual(describeCacheAge(new Date('2026-10-12T12:00:00Z'), now), '2026-10-12 12:00 UTC, 7 days ago');
+};
+
+run()
+    .then(() => {
+        console.log('offline-validation.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(home, {recursive: true, force: true});
+    });
@@ -0,0 +1,44 @@
+/**
+ * `publish --json` keeps stdout to the JSON result, including when validation
+ * fails.
+ * Run: `node test/publish-json.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const {spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'openblock-registry-cli.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-publish-json-'));
+
+try {
+    // No "repository": validation fails on the first check
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({
+        name: 'led-matrix',
+        version: '1.0.0',
+        openblock: {extensionId: 'ledMatrix'}
+    }));
+
+    const run = spawnSync(process.execPath, [CLI, 'publish', '--json', '--dry-run'], {
+        cwd: dir,
+        env: {...process.env, HOME: dir, USERPROFILE: dir, OBR_GITHUB_TOKEN: '', GITHUB_TOKEN: ''},
+        encoding: 'utf-8',
+        timeout: 60000
+    });
+
+    assert.strictEqual(run.status, 1);
+    const result = JSON.parse(run.stdout);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Validation failed: package.json');
+    assert.deepStrictEqual(result.validation.map(check => [check.id, check.status]), [['package-json', 'failed']]);
+    assert.strictEqual(result.validation[0].issues[0].message, 'package.json: "repository" field is required');
+    // The human-readable problems still reach the terminal, on stderr
+    assert.ok(run.stderr.includes('Validation found 1 error(s) in 1 check(s)'));
+
+    console.log('publish-json.test.js: all assertions passed');
+} finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+}
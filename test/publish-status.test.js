@@ -0,0 +1,188 @@
+/**
+ * Submission PR lookup, CI checks, review state, the registry bot's report
+ * and the published versions, against a local stand-in server.
+ * Run: `node test/publish-status.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point ~/.openblockrc at a scratch home before the config module is loaded
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-publish-status-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+const {getRegistryProfile} = require('../src/lib/config/registry');
+const {findPublishPR} = require('../src/github/pr');
+const {getChecks, getReviewState, getBotReport} = require('../src/github/pr-status');
+const {fetchPublishedVersions, describeScanState} = require('../src/lib/published-versions');
+
+const REPO = '/repos/openblockcc/openblock-registry';
+
+// publish/{id} PRs of alice, newest first
+const PULLS = {
+    ledMatrix: [
+        {number: 5, state: 'closed', merged_at: null},
+        {number: 4, state: 'closed', merged_at: '2026-10-01T10:00:00Z'}
+    ],
+    servo: [
+        {number: 9, state: 'closed', merged_at: '2026-09-01T10:00:00Z'},
+        {number: 8, state: 'open', merged_at: null}
+    ],
+    sonar: [{number: 1, state: 'closed', merged_at: null}]
+};
+
+const review = (login, state) => ({user: {login}, state});
+
+const ROUTES = {
+    [`${REPO}/commits/abc/check-runs?per_page=100`]: {
+        check_runs: [
+            {name: 'validate', status: 'completed', conclusion: 'success', html_url: 'https://ci/1'},
+            {name: 'display', status: 'in_progress', conclusion: null, html_url: 'https://ci/2'},
+            {name: 'lint', status: 'completed', conclusion: 'failure', html_url: 'https://ci/3'}
+        ]
+    },
+    [`${REPO}/commits/abc/status`]: {
+        statuses: [
+            {context: 'external/scan', state: 'error', target_url: 'https://scan/1'},
+            {context: 'external/cla', state: 'success', target_url: 'https://cla/1'}
+        ]
+    },
+    [`${REPO}/commits/fresh/check-runs?per_page=100`]: {total_count: 0, check_runs: []},
+    [`${REPO}/commits/fresh/status`]: {state: 'pending', statuses: []},
+    // Oldest first: a later approval replaces a request for changes, comments
+    // change nothing and a dismissed review no longer counts
+    [`${REPO}/pulls/4/reviews?per_page=100`]: [
+        review('alice', 'CHANGES_REQUESTED'),
+        review('alice', 'COMMENTED'),
+        review('alice', 'APPROVED'),
+        review('bob', 'CHANGES_REQUESTED'),
+        review('bob', 'DISMISSED'),
+        review('carol', 'COMMENTED')
+    ],
+    [`${REPO}/pulls/8/reviews?per_page=100`]: [
+        review('alice', 'APPROVED'),
+        review('dave', 'APPROVED'),
+        review('dave', 'CHANGES_REQUESTED'),
+        review('alice', 'COMMENTED')
+    ],
+    [`${REPO}/pulls/1/reviews?per_page=100`]: [review('carol', 'COMMENTED')],
+    [`${REPO}/issues/4/comments?per_page=100`]: [
+        {user: {login: 'alice', type: 'User'}, body: 'Ready for review', html_url: 'https://c/1'},
+        {
+            user: {login: 'registry-bot[bot]', type: 'Bot'},
+            body: 'Display: 1 change',
+            html_url: 'https://c/2',
+            updated_at: '2026-10-01T08:00:00Z'
+        },
+        {
+            user: {login: 'registry-bot[bot]', type: 'Bot'},
+            body: 'Display: no changes',
+            html_url: 'https://c/3',
+            updated_at: '2026-10-01T09:00:00Z'
+        },
+        {user: {login: 'maintainer', type: 'User'}, body: 'LGTM', html_url: 'https://c/4'}
+    ],
+    [`${REPO}/issues/8/comments?per_page=100`]: [
+        {user: {login: 'alice', type: 'User'}, body: 'Please review', html_url: 'https://c/5'}
+    ]
+};
+
+// Published versions in registry order, which is not newest first
+let packagesStatus = 200;
+const PACKAGES = {
+    packages: {
+        extensions: [
+            {extensionId: 'ledMatrix', version: '1.2.0'},
+            {extensionId: 'servo', version: '2.0.0'},
+            {extensionId: 'ledMatrix', version: '1.10.0'},
+            {extensionId: 'ledMatrix', version: '1.9.0'}
+        ],
+        devices: [{deviceId: 'ledMatrix', version: '9.0.0'}]
+    }
+};
+
+const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(body));
+    };
+    const pulls = req.url.startsWith(`${REPO}/pulls?`) &&
+        req.url.match(/\?state=all&head=alice:publish\/(\w+)$/);
+    if (pulls) return send(200, PULLS[pulls[1]] || []);
+    if (req.url === '/index/packages.json') {
+        return packagesStatus === 200 ? send(200, PACKAGES) : send(packagesStatus, {message: 'unavailable'});
+    }
+    if (ROUTES[req.url]) return send(200, ROUTES[req.url]);
+    return send(500, {message: `unexpected ${req.method} ${req.url}`});
+});
+
+const run = async function () {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    fs.writeFileSync(path.join(home, '.openblockrc'), JSON.stringify({
+        registry: {apiBase: base, packagesUrl: `${base}/index/packages.json`}
+    }));
+    const registry = getRegistryProfile();
+
+    // The open PR wins; otherwise the newest merged one; closed unmerged PRs never count
+    assert.strictEqual((await findPublishPR('t', registry, 'alice', 'servo')).number, 8);
+    assert.strictEqual((await findPublishPR('t', registry, 'alice', 'ledMatrix')).number, 4);
+    assert.strictEqual(await findPublishPR('t', registry, 'alice', 'sonar'), null);
+
+    // Check runs and commit statuses are merged into one list
+    assert.deepStrictEqual(await getChecks('t', registry, 'abc'), [
+        {name: 'validate', state: 'success', url: 'https://ci/1'},
+        {name: 'display', state: 'pending', url: 'https://ci/2'},
+        {name: 'lint', state: 'failure', url: 'https://ci/3'},
+        {name: 'external/scan', state: 'failure', url: 'https://scan/1'},
+        {name: 'external/cla', state: 'success', url: 'https://cla/1'}
+    ]);
+    assert.deepStrictEqual(await getChecks('t', registry, 'fresh'), []);
+
+    // Each reviewer's latest verdict counts; one request for changes outweighs approvals
+    assert.deepStrictEqual(await getReviewState('t', registry, 4),
+        {state: 'approved', reviewers: [{login: 'alice', state: 'approved'}]});
+    assert.deepStrictEqual(await getReviewState('t', registry, 8), {
+        state: 'changes_requested',
+        reviewers: [{login: 'alice', state: 'approved'}, {login: 'dave', state: 'changes_requested'}]
+    });
+    assert.deepStrictEqual(await getReviewState('t', registry, 1), {state: 'pending', reviewers: []});
+
+    // The bot's latest comment is its report; people's comments are not
+    assert.deepStrictEqual(await getBotReport('t', registry, 4), {
+        author: 'registry-bot[bot]',
+        body: 'Display: no changes',
+        url: 'https://c/3',
+        updatedAt: '2026-10-01T09:00:00Z'
+    });
+    assert.strictEqual(await getBotReport('t', registry, 8), null);
+
+    // Versions of the plugin under its own type only
+    const versions = await fetchPublishedVersions({id: 'ledMatrix', pluginType: 'extension'});
+    assert.deepStrictEqual(versions.map(entry => entry.version), ['1.2.0', '1.10.0', '1.9.0']);
+    assert.deepStrictEqual(describeScanState(versions, '1.9.0'), {live: true, latest: '1.10.0'});
+    assert.deepStrictEqual(describeScanState(versions, '1.11.0'), {live: false, latest: '1.10.0'});
+    assert.deepStrictEqual(describeScanState([], '1.0.0'), {live: false, latest: null});
+    assert.deepStrictEqual(await fetchPublishedVersions({id: 'sonar', pluginType: 'device'}), []);
+
+    packagesStatus = 404;
+    await assert.rejects(fetchPublishedVersions({id: 'ledMatrix', pluginType: 'extension'}),
+        /^Error: Failed to fetch registry: 404$/);
+};
+
+run()
+    .then(() => {
+        console.log('publish-status.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        server.close();
+        fs.rmSync(home, {recursive: true, force: true});
+    });
@@ -0,0 +1,539 @@
+/**
+ * Registry change sets (Git Data API commits and the PRs built on them)
+ * against a local stand-in for GitHub that keeps an in-memory git store.
+ * Run: `node test/registry-pr.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point ~/.openblockrc at a scratch home before the config module is loaded
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-registry-pr-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+const {createTreeCommit} = require('../src/github/git-data');
+const {createPullRequest, createUnpublishPullRequest, createDeprecatePullRequest} = require('../src/github/pr');
+const {isSameRepository, validateIdUniqueness} = require('../src/validators/id-uniqueness');
+
+const UPSTREAM = 'openblockcc/openblock-registry';
+const FORK = 'alice/openblock-registry';
+
+/**
+ * SHA-1 of a value, standing in for git object ids
+ * @param {*} value - Object content
+ * @returns {string} Hex digest
+ */
+const hash = value => crypto.createHash('sha1').update(JSON.stringify(value))
+    .digest('hex');
+
+/**
+ * Id of a blob
+ * @param {string|Buffer} content - Blob content
+ * @returns {string} Blob id
+ */
+const blobSha = content => hash(Buffer.from(content).toString('base64'));
+
+// The fork network shares one object store, as on GitHub
+const blobs = {};
+const trees = {};
+const commits = {};
+let refs;
+let pulls;
+// Every request, in order, as "METHOD /path"
+let calls;
+// Requests whose path matches this fail with a 422
+let failOn;
+// packages.json served as the registry's published index
+let packagesIndex = {devices: {}, extensions: {}};
+
+// Repositories on the GitHub Enterprise host, by the path they are looked up
+// under; old-owner/ledmatrix was transferred to alice and redirects there
+const MOVED = {id: 42, full_name: 'alice/ledmatrix', html_url: 'https://github.example.org/alice/ledmatrix'};
+const HOSTED = {
+    'old-owner/ledmatrix': MOVED,
+    'alice/ledmatrix': MOVED,
+    'bob/ledmatrix': {id: 7, full_name: 'bob/ledmatrix', html_url: 'https://github.example.org/bob/ledmatrix'}
+};
+
+/**
+ * Store a tree and return its id
+ * @param {object} entries - Map of path to blob id
+ * @returns {string} Tree id
+ */
+const storeTree = function (entries) {
+    const sorted = {};
+    Object.keys(entries).sort()
+        .forEach(file => {
+            sorted[file] = entries[file];
+        });
+    const sha = hash(sorted);
+    trees[sha] = sorted;
+    return sha;
+};
+
+/**
+ * Store a commit and return its id
+ * @param {string} tree - Tree id
+ * @param {string[]} parents - Parent commit ids
+ * @param {string} message - Commit message
+ * @returns {string} Commit id
+ */
+const storeCommit = function (tree, parents, message) {
+    const sha = hash({tree, parents, message});
+    commits[sha] = {sha, tree: {sha: tree}, parents: parents.map(parent => ({sha: parent})), message};
+    return sha;
+};
+
+/**
+ * Store file contents as blobs and commit them
+ * @param {object} files - Map of path to content
+ * @param {string[]} parents - Parent commit ids
+ * @returns {string} Commit id
+ */
+const commitFiles = function (files, parents = []) {
+    const entries = {};
+    for (const [file, content] of Object.entries(files)) {
+        const sha = blobSha(content);
+        blobs[sha] = Buffer.from(content);
+        entries[file] = sha;
+    }
+    return storeCommit(storeTree(entries), parents, 'seed');
+};
+
+/**
+ * Read every file of a branch
+ * @param {string} repo - "owner/repo"
+ * @param {string} branch - Branch name
+ * @returns {object} Map of path to content (Buffer)
+ */
+const filesAt = function (repo, branch) {
+    const files = {};
+    const entries = trees[commits[refs[`${repo}:${branch}`]].tree.sha];
+    for (const [file, sha] of Object.entries(entries)) {
+        files[file] = blobs[sha];
+    }
+    return files;
+};
+
+/**
+ * Whether a commit has another in its history
+ * @param {string} sha - Commit id
+ * @param {string} ancestor - Possible ancestor id
+ * @returns {boolean} True if ancestor is sha or one of its ancestors
+ */
+const descends = function (sha, ancestor) {
+    if (sha === ancestor) return true;
+    return commits[sha].parents.some(parent => descends(parent.sha, ancestor));
+};
+
+/**
+ * Reset the store: upstream main holds the given files and the fork is in sync
+ * @param {object} files - Map of path to content on upstream main
+ */
+const seed = function (files) {
+    const main = commitFiles(files);
+    refs = {[`${UPSTREAM}:main`]: main, [`${FORK}:main`]: main};
+    pulls = [];
+    calls = [];
+    failOn = null;
+};
+
+/**
+ * Handle one API request
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {object} body - Parsed JSON body
+ * @returns {Array} [status, response body]
+ */
+const route = function (method, url, body) {
+    const pathname = decodeURIComponent(url.pathname);
+    let match;
+
+    if (pathname === '/user') return [200, {login: 'alice'}];
+    if ((match = pathname.match(/^\/raw\/(.+)$/))) {
+        const files = filesAt(UPSTREAM, 'main');
+        return match[1] in files ? [200, JSON.parse(files[match[1]])] : [404, {message: 'Not Found'}];
+    }
+    if ((match = pathname.match(/^\/ghe\/repos\/([^/]+\/[^/]+)$/))) {
+        return HOSTED[match[1]] ? [200, HOSTED[match[1]]] : [404, {message: 'Not Found'}];
+    }
+    if (pathname === '/index/packages.json') return [200, packagesIndex];
+    if (pathname === `/repos/${FORK}`) return [200, {fork: true, parent: {full_name: UPSTREAM}}];
+    if (pathname.startsWith(`/repos/${UPSTREAM}/compare/`)) return [200, {behind_by: 0}];
+
+    if (!(match = pathname.match(/^\/repos\/([^/]+\/[^/]+)\/(.+)$/))) return [500, {message: 'unexpected path'}];
+    const [, repo, rest] = match;
+
+    if (method === 'GET' && (match = rest.match(/^git\/ref\/heads\/(.+)$/))) {
+        const sha = refs[`${repo}:${match[1]}`];
+        return sha ? [200, {object: {sha}}] : [404, {message: 'Not Found'}];
+    }
+    if (method === 'GET' && (match = rest.match(/^git\/commits\/(\w+)$/))) {
+        return [200, commits[match[1]]];
+    }
+    if (method === 'POST' && rest === 'git/blobs') {
+        const content = Buffer.from(body.content, body.encoding);
+        const sha = blobSha(content);
+        blobs[sha] = content;
+        return [201, {sha}];
+    }
+    if (method === 'POST' && rest === 'git/trees') {
+        const entries = {...trees[body.base_tree]};
+        for (const entry of body.tree) {
+            if (entry.sha === null) {
+                delete entries[entry.path];
+            } else {
+                entries[entry.path] = entry.sha;
+            }
+        }
+        return [201, {sha: storeTree(entries)}];
+    }
+    if (method === 'POST' && rest === 'git/commits') {
+        return [201, {sha: storeCommit(body.tree, body.parents, body.message)}];
+    }
+    if (method === 'POST' && rest === 'git/refs') {
+        const key = `${repo}:${body.ref.replace('refs/heads/', '')}`;
+        if (refs[key]) return [422, {message: 'Reference already exists'}];
+        refs[key] = body.sha;
+        return [201, {ref: body.ref}];
+    }
+    if (method === 'PATCH' && (match = rest.match(/^git\/refs\/heads\/(.+)$/))) {
+        const key = `${repo}:${match[1]}`;
+        if (!body.force && !descends(body.sha, refs[key])) return [422, {message: 'Update is not a fast forward'}];
+        refs[key] = body.sha;
+        return [200, {}];
+    }
+    if (method === 'GET' && rest === 'pulls') {
+        const state = url.searchParams.get('state');
+        return [200, pulls.filter(pr => pr.head === url.searchParams.get('head') &&
+            (state === 'all' || pr.state === state))];
+    }
+    if (method === 'POST' && rest === 'pulls') {
+        const pr = {number: pulls.length + 1, state: 'open', head: body.head, title: body.title};
+        pr.html_url = `https://github.test/${UPSTREAM}/pull/${pr.number}`;
+        pulls.push(pr);
+        return [201, pr];
+    }
+    if (method === 'PATCH' && (match = rest.match(/^pulls\/(\d+)$/))) {
+        const pr = pulls[match[1] - 1];
+        if (body.state) pr.state = body.state;
+        return [200, pr];
+    }
+    if (method === 'GET' && (match = rest.match(/^contents\/(.+)$/))) {
+        const files = filesAt(repo, url.searchParams.get('ref'));
+        if (match[1] in files) return [200, {name: path.basename(match[1]), path: match[1]}];
+        const prefix = `${match[1]}/`;
+        const listing = Object.keys(files)
+            .filter(file => file.startsWith(prefix) && !file.slice(prefix.length).includes('/'))
+            .map(file => ({name: file.slice(prefix.length), path: file}));
+        return listing.length > 0 ? [200, listing] : [404, {message: 'Not Found'}];
+    }
+    return [500, {message: `unexpected ${method} ${pathname}`}];
+};
+
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+        raw += chunk;
+    });
+    req.on('end', () => {
+        const url = new URL(req.url, 'http://stand-in');
+        calls.push(`${req.method} ${url.pathname}`);
+        const [status, body] = failOn && failOn.test(url.pathname) ?
+            [422, {message: 'Stand-in failure'}] :
+            route(req.method, url, raw ? JSON.parse(raw) : null);
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(body));
+    });
+});
+
+const REGISTRY = {devices: [], extensions: ['https://github.com/bob/other']};
+
+const packageInfo = {
+    version: '1.0.0',
+    openblock: {extensionId: 'ledMatrix', id: 'ledMatrix', pluginType: 'extension'}
+};
+const repoUrl = 'https://github.com/alice/ledmatrix';
+const approvedPlan = {
+    id: 'ledMatrix',
+    needsUpdate: true,
+    record: {id: 'ledMatrix', displayHash: 'sha256:abc'},
+    iconFiles: [{repoPath: 'approved/ledMatrix.iconURL.png', content: Buffer.from([0x89, 0x50, 0x4e, 0x47])}]
+};
+
+/**
+ * Index of the first call matching a pattern
+ * @param {RegExp} pattern - Pattern for "METHOD /path"
+ * @returns {number} Index, or -1
+ */
+const callIndex = pattern => calls.findIndex(call => pattern.test(call));
+
+/**
+ * Merge a fork branch into upstream main, as a maintainer merging its PR
+ * @param {string} branch - Branch of the fork
+ */
+const merge = function (branch) {
+    refs[`${UPSTREAM}:main`] = refs[`${FORK}:${branch}`];
+    refs[`${FORK}:main`] = refs[`${FORK}:${branch}`];
+};
+
+/**
+ * Unpublish removes the plugin's entries, and an open PR that has nothing left
+ * to remove is closed instead of being left empty
+ */
+const testUnpublish = async function () {
+    seed({
+        'registry.json': JSON.stringify({devices: [], extensions: [`git+${repoUrl}.git`, 'https://github.com/bob/other']}),
+        'approved/ledMatrix.json': '{}',
+        'approved/ledMatrix.iconURL.png': 'png',
+        'approved/ledMatrixPro.json': '{}',
+        'approved/ledMatrixPro.iconURL.png': 'png',
+        'deprecated/ledMatrix.json': '{}'
+    });
+    const removal = await createUnpublishPullRequest('t', packageInfo, repoUrl);
+    assert.deepStrictEqual(removal, {
+        url: `https://github.test/${UPSTREAM}/pull/1`,
+        isUpdate: false,
+        skipped: false,
+        closed: false,
+        removed: [
+            `registry.json: git+${repoUrl}.git`,
+            'approved/ledMatrix.iconURL.png',
+            'approved/ledMatrix.json',
+            'deprecated/ledMatrix.json'
+        ]
+    });
+    const branch = filesAt(FORK, 'unpublish/ledMatrix');
+    assert.deepStrictEqual(Object.keys(branch).sort(),
+        ['approved/ledMatrixPro.iconURL.png', 'approved/ledMatrixPro.json', 'registry.json']);
+    assert.deepStrictEqual(JSON.parse(branch['registry.json']).extensions, ['https://github.com/bob/other']);
+    assert.strictEqual(pulls[0].title, '[Unpublish] ledMatrix');
+
+    // The removal lands upstream (say through another PR) while this one is still open
+    const head = refs[`${FORK}:unpublish/ledMatrix`];
+    merge('unpublish/ledMatrix');
+    calls = [];
+    const again = await createUnpublishPullRequest('t', packageInfo, repoUrl);
+    assert.deepStrictEqual(again, {
+        url: `https://github.test/${UPSTREAM}/pull/1`,
+        isUpdate: false,
+        skipped: true,
+        closed: true,
+        removed: []
+    });
+    assert.strictEqual(pulls[0].state, 'closed');
+    assert.strictEqual(refs[`${FORK}:unpublish/ledMatrix`], head, 'the branch of the closed PR is not moved');
+    assert.strictEqual(callIndex(/\/git\/(refs|commits|trees|blobs)/), -1);
+
+    // Nothing registered and no PR open: nothing to do
+    calls = [];
+    const nothing = await createUnpublishPullRequest('t', packageInfo, repoUrl);
+    assert.deepStrictEqual([nothing.skipped, nothing.closed, nothing.url], [true, false, null]);
+    assert.strictEqual(pulls.length, 1);
+    assert.strictEqual(callIndex(/^(POST|PATCH) /), -1);
+};
+
+/**
+ * Deprecate writes the notice, rebuilds an open PR from the registry, and
+ * closes an open PR whose notice the registry already has
+ */
+const testDeprecate = async function () {
+    seed({'registry.json': JSON.stringify(REGISTRY)});
+    await assert.rejects(createDeprecatePullRequest('t', packageInfo, repoUrl, {message: 'Old'}),
+        /is not registered in openblockcc\/openblock-registry/);
+
+    seed({'registry.json': JSON.stringify({devices: [], extensions: [repoUrl]})});
+    const upstreamHead = refs[`${UPSTREAM}:main`];
+    const first = await createDeprecatePullRequest('t', packageInfo, repoUrl, {
+        message: 'Old',
+        replacement: 'ledMatrix2'
+    });
+    assert.deepStrictEqual([first.isUpdate, first.skipped, first.closed], [false, false, false]);
+    assert.deepStrictEqual(JSON.parse(filesAt(FORK, 'deprecate/ledMatrix')['deprecated/ledMatrix.json']), {
+        id: 'ledMatrix',
+        type: 'extensions',
+        repository: repoUrl,
+        message: 'Old',
+        replacement: 'ledMatrix2'
+    });
+    assert.strictEqual(pulls[0].title, '[Deprecate] ledMatrix');
+
+    // A new message replaces the branch content, rebuilt on the registry
+    const second = await createDeprecatePullRequest('t', packageInfo, repoUrl, {message: 'Use ledMatrix2'});
+    assert.deepStrictEqual([second.isUpdate, second.url], [true, first.url]);
+    const head = refs[`${FORK}:deprecate/ledMatrix`];
+    assert.deepStrictEqual(commits[head].parents, [{sha: upstreamHead}]);
+    assert.strictEqual(JSON.parse(filesAt(FORK, 'deprecate/ledMatrix')['deprecated/ledMatrix.json']).message,
+        'Use ledMatrix2');
+
+    // Once the registry has the notice, the open PR is closed
+    merge('deprecate/ledMatrix');
+    const third = await createDeprecatePullRequest('t', packageInfo, repoUrl, {message: 'Use ledMatrix2'});
+    assert.deepStrictEqual([third.skipped, third.closed], [true, true]);
+    assert.strictEqual(pulls[0].state, 'closed');
+    assert.strictEqual(refs[`${FORK}:deprecate/ledMatrix`], head);
+};
+
+/**
+ * A renamed or transferred repository is recognised by its id on the host,
+ * and publishing swaps its registry.json entry in place
+ */
+const testRename = async function () {
+    const oldUrl = 'https://github.example.org/old-owner/ledmatrix';
+    const newUrl = 'https://github.example.org/alice/ledmatrix';
+    const repoInfo = {id: 42, host: 'github.example.org', html_url: newUrl};
+
+    calls = [];
+    assert.strictEqual(await isSameRepository(oldUrl, repoInfo), true);
+    assert.strictEqual(await isSameRepository('https://github.example.org/bob/ledmatrix', repoInfo), false);
+    assert.strictEqual(await isSameRepository('https://github.example.org/gone/ledmatrix', repoInfo), false);
+    assert.deepStrictEqual(calls, [
+        'GET /ghe/repos/old-owner/ledmatrix',
+        'GET /ghe/repos/bob/ledmatrix',
+        'GET /ghe/repos/gone/ledmatrix'
+    ]);
+    // Ids are only unique within a host, so other hosts are not even asked
+    calls = [];
+    assert.strictEqual(await isSameRepository('https://github.com/old-owner/ledmatrix', repoInfo), false);
+    assert.strictEqual(await isSameRepository(oldUrl, {...repoInfo, id: null}), false);
+    assert.deepStrictEqual(calls, []);
+
+    const enterprisePackage = {
+        ...packageInfo,
+        repository: {type: 'git', url: newUrl}
+    };
+    packagesIndex = {devices: {}, extensions: {ledMatrix: {repository: `git+${oldUrl}.git`}}};
+    const moved = await validateIdUniqueness(enterprisePackage, repoInfo);
+    assert.deepStrictEqual([moved.valid, moved.movedFrom], [true, `git+${oldUrl}.git`]);
+    packagesIndex = {devices: {}, extensions: {ledMatrix: {repository: 'https://github.example.org/bob/ledmatrix'}}};
+    const taken = await validateIdUniqueness(enterprisePackage, repoInfo);
+    assert.deepStrictEqual([taken.valid, taken.movedFrom], [false, null]);
+    assert.ok(taken.errors[0].startsWith('Plugin ID "ledMatrix" is already used by another repository\'s extension'));
+
+    // The old entry is replaced where it stands, not added a second time
+    const others = ['https://github.com/bob/other', 'https://github.com/carol/third'];
+    seed({'registry.json': JSON.stringify({devices: [], extensions: [others[0], `git+${oldUrl}.git`, others[1]]})});
+    const swapped = await createPullRequest('t', enterprisePackage, newUrl, null, {
+        previousRepoUrl: `git+${oldUrl}.git`
+    });
+    assert.deepStrictEqual([swapped.isNew, swapped.replaced], [false, `git+${oldUrl}.git`]);
+    const branch = filesAt(FORK, 'publish/ledMatrix');
+    assert.deepStrictEqual(JSON.parse(branch['registry.json']).extensions, [others[0], newUrl, others[1]]);
+    assert.strictEqual(commits[refs[`${FORK}:publish/ledMatrix`]].message, `feat: move git+${oldUrl}.git to ${newUrl}`);
+
+    // Already registered under the new URL: the old one is left alone and nothing is submitted
+    seed({'registry.json': JSON.stringify({devices: [], extensions: [newUrl, oldUrl]})});
+    const current = await createPullRequest('t', enterprisePackage, newUrl, null, {previousRepoUrl: oldUrl});
+    assert.deepStrictEqual([current.skipped, current.replaced, current.isNew], [true, null, false]);
+    assert.deepStrictEqual(pulls, []);
+};
+
+const run = async function () {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    fs.writeFileSync(path.join(home, '.openblockrc'), JSON.stringify({
+        registry: {rawBase: `${base}/raw`, packagesUrl: `${base}/index/packages.json`, apiBase: base},
+        hosts: {'github.example.org': {type: 'github-enterprise', apiBase: `${base}/ghe`}}
+    }));
+
+    // createTreeCommit: blobs, then one tree, then one commit; deletions are
+    // tree entries with a null sha and upload nothing; no ref moves
+    seed({'registry.json': '{}', 'approved/old.json': '{}', 'README.md': 'registry'});
+    const parentSha = refs[`${FORK}:main`];
+    const commit = await createTreeCommit('t', 'alice', 'openblock-registry', {
+        parentSha,
+        files: [
+            {path: 'registry.json', content: '{"devices": []}'},
+            {path: 'approved/old.json', delete: true}
+        ],
+        message: 'chore: test'
+    });
+    assert.strictEqual(commit.changed, true);
+    assert.deepStrictEqual(calls, [
+        `GET /repos/${FORK}/git/commits/${parentSha}`,
+        `POST /repos/${FORK}/git/blobs`,
+        `POST /repos/${FORK}/git/trees`,
+        `POST /repos/${FORK}/git/commits`
+    ]);
+    assert.deepStrictEqual(commits[commit.sha].parents, [{sha: parentSha}]);
+    assert.strictEqual(commits[commit.sha].message, 'chore: test');
+    assert.deepStrictEqual(Object.keys(trees[commits[commit.sha].tree.sha]), ['README.md', 'registry.json']);
+    assert.strictEqual(refs[`${FORK}:main`], parentSha, 'createTreeCommit must not move any ref');
+
+    // Writing what is already there: no commit, the parent is returned
+    calls = [];
+    const unchanged = await createTreeCommit('t', 'alice', 'openblock-registry', {
+        parentSha,
+        files: [{path: 'README.md', content: 'registry'}],
+        message: 'chore: nothing'
+    });
+    assert.deepStrictEqual(unchanged, {sha: parentSha, changed: false});
+    assert.ok(!calls.includes(`POST /repos/${FORK}/git/commits`));
+
+    // Publishing a new plugin: one commit holding registry.json, the baseline
+    // and its icon; the branch is created after every object exists, then the PR
+    seed({'registry.json': JSON.stringify(REGISTRY)});
+    const created = await createPullRequest('t', packageInfo, repoUrl, approvedPlan);
+    assert.deepStrictEqual(created, {
+        url: `https://github.test/${UPSTREAM}/pull/1`,
+        isUpdate: false,
+        skipped: false,
+        closed: false,
+        isNew: true,
+        replaced: null
+    });
+    const refCreated = callIndex(/^POST \/repos\/alice\/openblock-registry\/git\/refs$/);
+    assert.ok(refCreated > callIndex(/\/git\/commits$/), 'the branch is created after the commit');
+    assert.strictEqual(calls.filter(call => call.endsWith('/git/commits')).length, 1);
+    assert.strictEqual(calls.filter(call => /\/git\/refs/.test(call)).length, 1);
+    assert.ok(callIndex(/^POST .*\/pulls$/) > refCreated);
+    const published = filesAt(FORK, 'publish/ledMatrix');
+    assert.deepStrictEqual(JSON.parse(published['registry.json']).extensions,
+        [repoUrl, 'https://github.com/bob/other']);
+    assert.deepStrictEqual(JSON.parse(published['approved/ledMatrix.json']), approvedPlan.record);
+    assert.deepStrictEqual(published['approved/ledMatrix.iconURL.png'], approvedPlan.iconFiles[0].content);
+    assert.strictEqual(commits[refs[`${FORK}:publish/ledMatrix`]].message,
+        `feat: add ${repoUrl}\n\nIncludes the display baseline for ledMatrix.`);
+
+    // Updating the open PR keeps its history: the new commit goes on top of
+    // the branch and the ref is fast-forwarded, not forced
+    const firstCommit = refs[`${FORK}:publish/ledMatrix`];
+    calls = [];
+    const record = {id: 'ledMatrix', displayHash: 'sha256:def'};
+    const updated = await createPullRequest('t', packageInfo, repoUrl, {...approvedPlan, record});
+    assert.strictEqual(updated.isUpdate, true);
+    assert.deepStrictEqual(commits[refs[`${FORK}:publish/ledMatrix`]].parents, [{sha: firstCommit}]);
+    assert.ok(calls.includes(`PATCH /repos/${FORK}/git/refs/heads/publish/ledMatrix`));
+    assert.ok(!calls.includes(`POST /repos/${UPSTREAM}/pulls`));
+    assert.deepStrictEqual(JSON.parse(filesAt(FORK, 'publish/ledMatrix')['approved/ledMatrix.json']), record);
+
+    // A failure while writing objects leaves no branch and no PR behind
+    seed({'registry.json': JSON.stringify(REGISTRY)});
+    failOn = /\/git\/trees$/;
+    await assert.rejects(createPullRequest('t', packageInfo, repoUrl, approvedPlan), /Stand-in failure/);
+    assert.ok(!(`${FORK}:publish/ledMatrix` in refs));
+    assert.strictEqual(callIndex(/\/git\/refs/), -1);
+    assert.deepStrictEqual(pulls, []);
+
+    await testUnpublish();
+    await testDeprecate();
+    await testRename();
+};
+
+run()
+    .then(() => {
+        console.log('registry-pr.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        server.close();
+        fs.rmSync(home, {recursive: true, force: true});
+    });
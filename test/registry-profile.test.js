@@ -0,0 +1,102 @@
+/**
+ * Registry profile parsing and the packages.json URL validate fetches.
+ * Run: `node test/registry-profile.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Keep ~/.openblockrc and the registry cache in a scratch home
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-registry-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+const {DEFAULT_REGISTRY, parseRegistrySetting, resolveRegistryProfile, getRegistryProfile} =
+    require('../src/lib/config/registry');
+const {fetchPackagesJson} = require('../src/validators/id-uniqueness');
+const {readRegistryCache} = require('../src/lib/registry-cache');
+
+assert.deepStrictEqual(parseRegistrySetting(), {});
+assert.deepStrictEqual(parseRegistrySetting('my-org/registry'), {owner: 'my-org', repo: 'registry'});
+assert.deepStrictEqual(parseRegistrySetting(' my-org/registry#next '),
+    {owner: 'my-org', repo: 'registry', branch: 'next'});
+assert.deepStrictEqual(parseRegistrySetting('{"owner": "my-org", "rawBase": "https://raw.example.org/r/"}'),
+    {owner: 'my-org', rawBase: 'https://raw.example.org/r'});
+assert.deepStrictEqual(parseRegistrySetting({packagesUrl: 'https://example.org/packages.json'}),
+    {packagesUrl: 'https://example.org/packages.json'});
+assert.throws(() => parseRegistrySetting('just-a-name'), /Expected "owner\/repo"/);
+assert.throws(() => parseRegistrySetting('{"owner": '), /Invalid registry setting: /);
+assert.throws(() => parseRegistrySetting(['my-org/registry']), /must be a string or an object/);
+assert.throws(() => parseRegistrySetting({mirror: 'x'}), /Unknown registry field: mirror/);
+assert.throws(() => parseRegistrySetting({owner: ''}), /"owner" must be a non-empty string/);
+
+// The public registry keeps its own raw base and published index
+assert.deepStrictEqual(resolveRegistryProfile(), DEFAULT_REGISTRY);
+assert.deepStrictEqual(resolveRegistryProfile({owner: 'openblockcc'}), DEFAULT_REGISTRY);
+
+// A fork serves everything from its repository
+assert.deepStrictEqual(resolveRegistryProfile({owner: 'my-org', repo: 'registry', branch: 'next'}), {
+    owner: 'my-org',
+    repo: 'registry',
+    branch: 'next',
+    rawBase: 'https://raw.githubusercontent.com/my-org/registry/next',
+    packagesUrl: 'https://raw.githubusercontent.com/my-org/registry/next/packages.json',
+    apiBase: 'https://api.github.com'
+});
+// Another branch of the public repository is a fork too
+assert.strictEqual(resolveRegistryProfile({branch: 'staging'}).packagesUrl,
+    'https://raw.githubusercontent.com/openblockcc/openblock-registry/staging/packages.json');
+// Explicit fields win over derived ones
+const mirrored = resolveRegistryProfile({
+    owner: 'my-org',
+    rawBase: 'https://raw.example.org/r',
+    apiBase: 'https://git.example.org/api/v3'
+});
+assert.strictEqual(mirrored.packagesUrl, 'https://raw.example.org/r/packages.json');
+assert.strictEqual(mirrored.apiBase, 'https://git.example.org/api/v3');
+
+const requested = [];
+const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    if (req.url === '/index/packages.json') {
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        return res.end(JSON.stringify({devices: {}, extensions: {ledMatrix: {repository: 'https://x.test/a/b'}}}));
+    }
+    res.writeHead(404);
+    res.end();
+});
+
+const run = async function () {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // validate reads the configured published index, not <rawBase>/packages.json
+    fs.writeFileSync(path.join(home, '.openblockrc'), JSON.stringify({
+        registry: {owner: 'my-org', rawBase: `${base}/raw`, packagesUrl: `${base}/index/packages.json`}
+    }));
+    assert.strictEqual(getRegistryProfile().packagesUrl, `${base}/index/packages.json`);
+    const packagesJson = await fetchPackagesJson();
+    assert.deepStrictEqual(requested, ['/index/packages.json']);
+    assert.deepStrictEqual(Object.keys(packagesJson.extensions), ['ledMatrix']);
+    assert.deepStrictEqual(readRegistryCache('packages.json').data, packagesJson);
+
+    // A registry without an index yet is empty, not an error
+    fs.writeFileSync(path.join(home, '.openblockrc'), JSON.stringify({registry: {packagesUrl: `${base}/none.json`}}));
+    assert.deepStrictEqual(await fetchPackagesJson(), {devices: {}, extensions: {}, libraries: {}, toolchains: {}});
+};
+
+run()
+    .then(() => {
+        console.log('registry-profile.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        server.close();
+        fs.rmSync(home, {recursive: true, force: true});
+    });
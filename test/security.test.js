@@ -0,0 +1,169 @@
+/**
+ * Security policy scan of plugin source and bundled output.
+ * Run: `node test/security.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {scanSource, parseAllowlist} = require('../src/lib/security-scan');
+const validateSecurity = require('../src/validators/security');
+
+// Code in comments, strings and regular expressions is not flagged
+const quiet = [
+    '// eval(code) would be bad',
+    'const pattern = /eval\\(|document\\.cookie/g; const ratio = a / b / c;',
+    'Blockly.Python.eval_block = () => \'eval(\' + code + \')\\n\';',
+    'const help = `require(\'fs\') is not allowed`;',
+    'obj.eval(1); evaluate(2); setTimeout(() => tick(), 10);',
+    'if (x instanceof Function) Function.prototype.call.apply(x); const win = window[\'open\'];',
+    'function local (self) { return self[key]; }'
+].join('\n');
+assert.deepStrictEqual(scanSource(quiet), []);
+
+const risky = [
+    'const {exec} = require(\'child_process\');',
+    'import {readFile} from "node:fs/promises";',
+    'const run = new Function(\'a\', \'return a\'); window.eval(text);',
+    'const token = document.cookie;',
+    'const mod = await import(\'https://cdn.example.com/mod.js\');',
+    'fetch(\'https://api.example.com/v1/data\'); xhr.open(\'POST\', "http://telemetry.example.org:8080/p");',
+    'setInterval("poll()", 100);'
+].join('\n');
+assert.deepStrictEqual(scanSource(risky).map(finding => [finding.rule, finding.severity, finding.line]), [
+    ['child-process', 'error', 1],
+    ['fs', 'error', 2],
+    ['dynamic-code', 'error', 3],
+    ['dynamic-code', 'error', 3],
+    ['cookie', 'error', 4],
+    ['remote-import', 'error', 5],
+    ['network', 'warning', 6],
+    ['network', 'warning', 6],
+    ['dynamic-code', 'error', 7]
+]);
+assert.deepStrictEqual(scanSource(risky).filter(finding => finding.rule === 'network')
+    .map(finding => finding.message), [
+    'Outbound request to the hard-coded host api.example.com',
+    'Outbound request to the hard-coded host telemetry.example.org'
+]);
+// Names and URLs are followed through constants, and what is only known at
+// run time is flagged rather than passed
+const indirect = [
+    'const m = \'child_\' + \'process\'; require(m);',
+    'window[\'eval\'](\'1+1\'); globalThis[name]();',
+    '[].constructor.constructor(\'return 1\')();',
+    'const u = \'https://evil.example\'; fetch(u); fetch(`${u}/x`);',
+    'require(name); import(`./locale/${lang}.js`); const {p} = document[\'coo\' + \'kie\'];',
+    'const el = <Button onClick={() => eval(code)} />;'
+].join('\n');
+assert.deepStrictEqual(scanSource(indirect).map(finding => [finding.rule, finding.severity, finding.line]), [
+    ['child-process', 'error', 1],
+    ['dynamic-code', 'error', 2],
+    ['dynamic-code', 'warning', 2],
+    ['dynamic-code', 'error', 3],
+    ['network', 'warning', 4],
+    ['network', 'warning', 4],
+    ['dynamic-module', 'warning', 5],
+    ['dynamic-module', 'warning', 5],
+    ['cookie', 'error', 5],
+    ['dynamic-code', 'error', 6]
+]);
+assert.strictEqual(scanSource(indirect)[4].message, 'Outbound request to the hard-coded host evil.example');
+// Sloppy-mode scripts, as some bundles are, still parse
+assert.deepStrictEqual(scanSource('with (obj) { eval(s); }').map(finding => finding.rule), ['dynamic-code']);
+assert.throws(() => scanSource('const x = {;'), SyntaxError);
+
+// Minified lines are cut around the finding
+const minified = `${'var a=1;'.repeat(50)}eval(s);${'var b=2;'.repeat(50)}`;
+assert.ok(/^….{20,}eval\(s\);.*…$/.test(scanSource(minified)[0].snippet));
+
+assert.deepStrictEqual(parseAllowlist([
+    '# rule  path[:line]  reason',
+    'fs src/vendor/ Vendored storage shim, only used in the web build',
+    'network ./src/main.js:3 Talks to the board vendor\'s cloud API',
+    'shell src/main.js Spawns avrdude',
+    'cookie src/main.js'
+].join('\n')), {
+    entries: [
+        {
+            rule: 'fs',
+            path: 'src/vendor',
+            line: null,
+            reason: 'Vendored storage shim, only used in the web build',
+            at: 2
+        },
+        {rule: 'network', path: 'src/main.js', line: 3, reason: 'Talks to the board vendor\'s cloud API', at: 3}
+    ],
+    problems: [
+        {
+            message: 'Unknown rule "shell"; use one of dynamic-code, child-process, fs, remote-import, ' +
+                'dynamic-module, cookie, network',
+            line: 4
+        },
+        {message: 'Exception for "cookie" in src/main.js gives no reason; reviewers need to know why it is safe',
+            line: 5}
+    ]
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-security-'));
+
+const run = async function () {
+    fs.mkdirSync(path.join(dir, 'src', 'vendor'), {recursive: true});
+    fs.mkdirSync(path.join(dir, 'dist', 'src'), {recursive: true});
+    fs.mkdirSync(path.join(dir, 'src', 'node_modules'));
+    fs.writeFileSync(path.join(dir, 'src', 'main.js'), [
+        'class Cloud {',
+        '    upload (data) {',
+        '        return fetch(\'https://iot.example.com/upload\', {method: \'POST\', body: data});',
+        '    }',
+        '}',
+        'const cookie = document.cookie;',
+        ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'src', 'vendor', 'store.js'), 'const fs = require(\'fs\');\n');
+    fs.writeFileSync(path.join(dir, 'src', 'broken.js'), 'const x = {;\n');
+    fs.writeFileSync(path.join(dir, 'src', 'node_modules', 'dep.js'), 'eval(x);\n');
+    fs.writeFileSync(path.join(dir, 'dist', 'src', 'main.js'), 'var a=1;var f=new Function("return this");\n');
+    fs.writeFileSync(path.join(dir, '.securityallow'), [
+        'network src/main.js:3 Uploads sensor data to the vendor cloud the user signs in to',
+        'fs src/vendor Vendored storage shim',
+        'cookie src/other.js Left over',
+        ''
+    ].join('\n'));
+
+    const result = await validateSecurity({openblock: {extensionId: 'cloud'}}, dir);
+    assert.strictEqual(result.files, 4);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map(error => error.split('\n')[0]), [
+        'src/broken.js:1: [syntax] Cannot be parsed, so it cannot be checked: Expected identifier but found ";"',
+        'src/main.js:6: [cookie] document.cookie gives access to the session cookies of the app',
+        'dist/src/main.js:1: [dynamic-code] The Function constructor runs arbitrary strings as code'
+    ]);
+    assert.strictEqual(result.errors[1].split('\n')[1], '   const cookie = document.cookie;');
+    assert.deepStrictEqual(result.warnings, [
+        '.securityallow:3: [allowlist] Exception for "cookie" in src/other.js matches nothing; remove it'
+    ]);
+    assert.deepStrictEqual(result.allowed.map(allowance => [allowance.file, allowance.line, allowance.reason]), [
+        ['src/main.js', 3, 'Uploads sensor data to the vendor cloud the user signs in to'],
+        ['src/vendor/store.js', 1, 'Vendored storage shim']
+    ]);
+
+    const clean = fs.mkdtempSync(path.join(dir, 'clean-'));
+    fs.writeFileSync(path.join(clean, 'index.js'), 'module.exports = () => 1;\n');
+    const declared = await validateSecurity({openblock: {main: './index.js'}}, clean);
+    assert.deepStrictEqual([declared.valid, declared.files, declared.details], [true, 1, []]);
+};
+
+run()
+    .then(() => {
+        console.log('security.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
@@ -0,0 +1,103 @@
+/**
+ * Source host adapters against a local stand-in for each host's API.
+ * Run: `node test/source-hosts.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const http = require('http');
+
+const {resolveRepository} = require('../src/hosts');
+
+// API responses keyed by request path
+const routes = {
+    '/github/repos/octo/plugin': {
+        id: 1,
+        full_name: 'octo/plugin',
+        html_url: 'https://github.com/octo/plugin',
+        default_branch: 'main',
+        private: false,
+        description: 'gh'
+    },
+    '/github/repos/octo/plugin/git/ref/tags/1.0.0': {ref: 'refs/tags/1.0.0'},
+    '/ghe/api/v3/repos/team/secret': {id: 2, full_name: 'team/secret', private: true, default_branch: 'main'},
+    '/gitlab/api/v4/projects/school%2Frobots%2Fplugin': {
+        id: 3,
+        path_with_namespace: 'school/robots/plugin',
+        web_url: 'https://git.school.org/school/robots/plugin',
+        default_branch: 'master',
+        visibility: 'public'
+    },
+    '/gitlab/api/v4/projects/school%2Frobots%2Fplugin/repository/tags/2.1.0': {name: '2.1.0'},
+    '/gitea/api/v1/repos/lab/plugin': {
+        id: 4,
+        name: 'plugin',
+        full_name: 'lab/plugin',
+        owner: {login: 'lab'},
+        default_branch: 'main',
+        private: false,
+        internal: false
+    }
+};
+
+const server = http.createServer((req, res) => {
+    const data = routes[req.url];
+    res.writeHead(data ? 200 : 404, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(data || {message: 'Not Found'}));
+});
+
+const run = async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const settings = {
+        'github.com': {type: 'github', apiBase: `${base}/github`},
+        'github.corp.org': {type: 'github-enterprise', apiBase: `${base}/ghe/api/v3`},
+        'git.school.org': {type: 'gitlab', apiBase: `${base}/gitlab/api/v4`},
+        'code.lab.org': {type: 'gitea', apiBase: `${base}/gitea/api/v1`}
+    };
+
+    // URL canonicalization
+    const github = resolveRepository('git+https://github.com/octo/plugin.git', settings);
+    assert.strictEqual(github.url, 'https://github.com/octo/plugin');
+    assert.strictEqual(resolveRepository('git@github.com:octo/plugin.git', settings).url, github.url);
+    const gitlab = resolveRepository('https://git.school.org/school/robots/plugin/-/tree/master', settings);
+    assert.deepStrictEqual([gitlab.owner, gitlab.repo], ['school/robots', 'plugin']);
+    assert.strictEqual(gitlab.url, 'https://git.school.org/school/robots/plugin');
+    assert.strictEqual(resolveRepository('ssh://git@code.lab.org:2222/lab/plugin.git', settings).url,
+        'https://code.lab.org/lab/plugin');
+    assert.strictEqual(resolveRepository('https://unknown.example.org/a/b', settings), null);
+
+    // GitHub
+    const ghRepo = await github.host.getRepository('octo', 'plugin');
+    assert.strictEqual(ghRepo.id, 1);
+    assert.strictEqual(ghRepo.isPublic, true);
+    assert.strictEqual(await github.host.tagExists('octo', 'plugin', '1.0.0'), true);
+    assert.strictEqual(await github.host.tagExists('octo', 'plugin', '9.9.9'), false);
+    assert.strictEqual(await github.host.getRepository('octo', 'missing'), null);
+
+    // GitHub Enterprise
+    const ghe = resolveRepository('https://github.corp.org/team/secret', settings);
+    assert.strictEqual(ghe.host.type, 'github-enterprise');
+    assert.strictEqual((await ghe.host.getRepository('team', 'secret')).isPublic, false);
+
+    // GitLab (nested groups)
+    const glRepo = await gitlab.host.getRepository(gitlab.owner, gitlab.repo);
+    assert.deepStrictEqual([glRepo.owner, glRepo.repo, glRepo.defaultBranch], ['school/robots', 'plugin', 'master']);
+    assert.strictEqual(glRepo.isPublic, true);
+    assert.strictEqual(await gitlab.host.tagExists(gitlab.owner, gitlab.repo, '2.1.0'), true);
+    assert.strictEqual(await gitlab.host.tagExists(gitlab.owner, gitlab.repo, '2.2.0'), false);
+
+    // Gitea
+    const gitea = resolveRepository('https://code.lab.org/lab/plugin', settings);
+    const giteaRepo = await gitea.host.getRepository('lab', 'plugin');
+    assert.deepStrictEqual([giteaRepo.id, giteaRepo.fullName, giteaRepo.isPublic], [4, 'lab/plugin', true]);
+    assert.strictEqual(await gitea.host.tagExists('lab', 'plugin', '1.0.0'), false);
+
+    console.log('source-hosts.test.js: all assertions passed');
+};
+
+run()
+    .catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+    })
+    .finally(() => server.close());
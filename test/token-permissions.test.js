@@ -0,0 +1,157 @@
+/**
+ * Token scope and fork permission checks against a local stand-in server.
+ * Run: `node test/token-permissions.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Point ~/.openblockrc at a scratch home before the config module is loaded
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-token-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+const {checkTokenPermissions, verifyPublishPermissions} = require('../src/github/auth');
+
+// Each token stands for a kind of credential: classic tokens carry their
+// scopes, fine-grained ones (no header) what they were granted. The fork
+// reports alice's role, admin on her own repository, whatever the grant.
+const TOKENS = {
+    'narrow': {scopes: 'public_repo, workflow'},
+    'repo': {scopes: 'repo, workflow'},
+    'broad': {scopes: 'repo, workflow, admin:org, delete_repo'},
+    'no-workflow': {scopes: 'public_repo, read:user'},
+    'no-scopes': {scopes: ''},
+    'fine-write': {fork: true, contents: true, pulls: true},
+    'fine-read': {fork: true, contents: false, pulls: true},
+    'fine-no-pulls': {fork: true, contents: true, pulls: false},
+    'fine-no-fork': {fork: false, pulls: true}
+};
+
+const requested = [];
+const probes = [];
+
+const server = http.createServer((req, res) => {
+    const token = (req.headers.authorization || '').replace(/^(token|Bearer) /, '');
+    const credential = TOKENS[token];
+    requested.push(`${token} ${req.url}`);
+    const send = (status, body, headers = {}) => {
+        res.writeHead(status, {'Content-Type': 'application/json', ...headers});
+        res.end(JSON.stringify(body));
+    };
+    // GitHub checks the grant first, then the (here always invalid) input
+    const probe = granted => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            probes.push(JSON.parse(body));
+            if (granted) return send(422, {message: 'Validation Failed'});
+            send(403, {message: 'Resource not accessible by personal access token'});
+        });
+    };
+
+    if (!credential) return send(401, {message: 'Bad credentials'});
+    if (req.url === '/user') {
+        const headers = 'scopes' in credential ? {'X-OAuth-Scopes': credential.scopes} : {};
+        return send(200, {login: 'alice'}, headers);
+    }
+    if (req.url === '/repos/alice/openblock-registry') {
+        return credential.fork ?
+            send(200, {fork: true, permissions: {admin: true, push: true, pull: true}}) :
+            send(404, {message: 'Not Found'});
+    }
+    if (req.method === 'POST' && req.url === '/repos/alice/openblock-registry/git/refs') {
+        return probe(credential.contents);
+    }
+    if (req.method === 'POST' && req.url === '/repos/openblockcc/openblock-registry/pulls') {
+        return probe(credential.pulls);
+    }
+    return send(500, {message: `unexpected ${req.method} ${req.url}`});
+});
+
+const run = async function () {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    fs.writeFileSync(path.join(home, '.openblockrc'), JSON.stringify({
+        registry: {apiBase: `http://127.0.0.1:${server.address().port}`}
+    }));
+
+    assert.deepStrictEqual(await checkTokenPermissions('narrow'),
+        {valid: true, errors: [], warnings: [], tokenType: 'classic'});
+    assert.ok(!requested.some(entry => entry.endsWith('/repos/alice/openblock-registry')),
+        'classic tokens are judged by their scopes alone');
+
+    // repo includes public_repo, but is more than publishing needs
+    const repo = await checkTokenPermissions('repo');
+    assert.deepStrictEqual([repo.valid, repo.errors], [true, []]);
+    assert.deepStrictEqual(repo.warnings, ['Token has scopes publishing does not need: repo. ' +
+        'A token limited to public_repo, workflow is enough.']);
+
+    const broad = await checkTokenPermissions('broad');
+    assert.strictEqual(broad.valid, true);
+    assert.ok(broad.warnings[0].startsWith('Token has scopes publishing does not need: repo, admin:org, delete_repo.'));
+
+    // read:user is expected; workflow is missing
+    assert.deepStrictEqual(await checkTokenPermissions('no-workflow'), {
+        valid: false,
+        errors: ['Missing scope "workflow" (needed to push branches that contain the registry\'s workflow files)'],
+        warnings: [],
+        tokenType: 'classic'
+    });
+    // An empty header is a classic token with no scopes, not a fine-grained one
+    const none = await checkTokenPermissions('no-scopes');
+    assert.deepStrictEqual([none.tokenType, none.errors.length], ['classic', 2]);
+
+    // alice's admin role on her fork says nothing about the token: only the probes count
+    assert.deepStrictEqual(await checkTokenPermissions('fine-write'),
+        {valid: true, errors: [], warnings: [], tokenType: 'fine-grained'});
+    assert.deepStrictEqual(await checkTokenPermissions('fine-read'), {
+        valid: false,
+        errors: ['Token cannot push to alice/openblock-registry (grant "Contents: Read and write")'],
+        warnings: [],
+        tokenType: 'fine-grained'
+    });
+    assert.deepStrictEqual(await checkTokenPermissions('fine-no-pulls'), {
+        valid: false,
+        errors: ['Token cannot open pull requests on openblockcc/openblock-registry ' +
+            '(grant "Pull requests: Read and write")'],
+        warnings: [],
+        tokenType: 'fine-grained'
+    });
+    // The probes name a branch that cannot exist, so they can never create anything
+    assert.deepStrictEqual(probes.slice(0, 2), [
+        {ref: 'refs/heads/obr..permission-check', sha: '0000000000000000000000000000000000000000'},
+        {title: 'Permission check', head: 'alice:obr..permission-check', base: 'main'}
+    ]);
+    // No fork yet: pushing cannot be probed, so it is not refused
+    const noFork = await checkTokenPermissions('fine-no-fork');
+    assert.deepStrictEqual([noFork.valid, noFork.errors], [true, []]);
+    assert.ok(noFork.warnings[0].startsWith('Could not verify fine-grained token permissions: ' +
+        'alice/openblock-registry does not exist'));
+
+    assert.deepStrictEqual(await checkTokenPermissions('expired'),
+        {valid: false, errors: ['GitHub token is invalid or expired'], warnings: [], tokenType: null});
+
+    // verifyPublishPermissions fails with every missing permission and passes warnings on
+    await assert.rejects(verifyPublishPermissions('no-scopes'), error =>
+        error.message.startsWith('GitHub token cannot publish:\n   - Missing scope "public_repo"') &&
+        error.message.includes('   - Missing scope "workflow"'));
+    assert.deepStrictEqual(await verifyPublishPermissions('fine-no-fork'), noFork.warnings);
+};
+
+run()
+    .then(() => {
+        console.log('token-permissions.test.js: all assertions passed');
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        server.close();
+        fs.rmSync(home, {recursive: true, force: true});
+    });
@@ -0,0 +1,107 @@
+/**
+ * Translation coverage and placeholder checks of the translations validator.
+ * Run: `node test/translations.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const validateTranslations = require('../src/validators/translations');
+
+const MAIN = `class LedMatrix {
+    getInfo () {
+        return {
+            blocks: [
+                {text: formatMessage({id: 'ledMatrix.show', default: 'show [TEXT] on [PIN]'})},
+                {text: formatMessage({id: 'ledMatrix.clear', default: 'clear'})}
+            ]
+        };
+    }
+}
+`;
+
+const MSG = {
+    LEDMATRIX_SCROLL: 'scroll %1 every %2 ms',
+    LEDMATRIX_OFF: 'off'
+};
+
+const TRANSLATIONS = {
+    interface: {
+        'en': {'ledMatrix.name': 'LED Matrix', 'ledMatrix.description': 'Drive {count} LEDs'},
+        'zh-cn': {'ledMatrix.name': 'LED 点阵', 'ledMatrix.description': '驱动 {count} 个灯'},
+        'ja': {'ledMatrix.name': 'LED Matrix', 'ledMatrix.description': '{num} 個の LED'}
+    },
+    extensions: {
+        'en': {'ledMatrix.show': 'show [TEXT] on [PIN]', 'ledMatrix.clear': 'clear'},
+        'zh-cn': {'ledMatrix.show': '在 [PIN] 显示 [TEXT]', 'ledMatrix.clear': '清除'},
+        'ja': {'ledMatrix.show': '[TEXT] を表示', 'ledMatrix.clear': ''},
+        'de': {'ledMatrix.show': 'show [TEXT] on [PIN]'}
+    },
+    blocks: {
+        'en': MSG,
+        'zh-cn': {LEDMATRIX_SCROLL: '每 %2 毫秒滚动 %1', LEDMATRIX_OFF: '关'},
+        'ja': {LEDMATRIX_SCROLL: '%1 をスクロール %1'}
+    }
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-translations-'));
+try {
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, 'src', 'main.js'), MAIN);
+    fs.writeFileSync(path.join(dir, 'src', 'msg.json'), JSON.stringify(MSG));
+    fs.writeFileSync(path.join(dir, 'src', 'translations.js'),
+        `// Generated\nexport default ${JSON.stringify(TRANSLATIONS, null, 4)};\n`);
+    const packageJson = {
+        openblock: {
+            extensionId: 'ledMatrix',
+            pluginType: 'extension',
+            name: {formatMessage: {id: 'ledMatrix.name', default: 'LED Matrix'}},
+            description: {formatMessage: {id: 'ledMatrix.description', default: 'Drive {count} LEDs'}},
+            main: './src/main.js',
+            msg: './src/msg.json',
+            translations: './src/translations.js'
+        }
+    };
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(packageJson));
+
+    const result = validateTranslations(packageJson, dir);
+    // Strings still in English (the name in ja, everything in de) are not translated
+    assert.deepStrictEqual(result.coverage, [
+        {locale: 'zh-cn', translated: 6, total: 6, percent: 100},
+        {locale: 'ja', translated: 3, total: 6, percent: 50},
+        {locale: 'de', translated: 0, total: 6, percent: 0}
+    ]);
+    assert.deepStrictEqual(result.errors, [
+        'Placeholder mismatch in interface.ja: \'ledMatrix.description\' misses {count} and has unknown {num} ' +
+            '(English: "Drive {count} LEDs")',
+        'Placeholder mismatch in extensions.ja: \'ledMatrix.show\' misses [PIN] (English: "show [TEXT] on [PIN]")',
+        'Placeholder mismatch in blocks.ja: \'LEDMATRIX_SCROLL\' misses %2 and has unknown %1 ' +
+            '(English: "scroll %1 every %2 ms")'
+    ]);
+
+    // Every locale is held to the minimum, including one still in English
+    TRANSLATIONS.interface.ja = {'ledMatrix.name': 'LED Matrix'};
+    TRANSLATIONS.extensions.ja = {'ledMatrix.show': '[PIN] に [TEXT] を表示'};
+    TRANSLATIONS.blocks.ja = {};
+    fs.writeFileSync(path.join(dir, 'src', 'translations.js'),
+        `export default ${JSON.stringify(TRANSLATIONS)};\n`);
+    assert.deepStrictEqual(validateTranslations(packageJson, dir, {minCoverage: 40}).errors, [
+        'Locale "ja" is 16% translated (1 of 6 strings), below the required 40%',
+        'Locale "de" is 0% translated (0 of 6 strings), below the required 40%'
+    ]);
+    assert.deepStrictEqual(validateTranslations(packageJson, dir, {minCoverage: 10}).errors, [
+        'Locale "de" is 0% translated (0 of 6 strings), below the required 10%'
+    ]);
+    // A locale list narrows the check, and a listed locale must be present
+    assert.strictEqual(validateTranslations(packageJson, dir, {minCoverage: 10, locales: ['zh-cn', 'ja']}).valid,
+        true);
+    assert.deepStrictEqual(validateTranslations(packageJson, dir, {minCoverage: 10, locales: ['ja', 'fr']}).errors, [
+        'Locale "fr" is not in the translations file; 10% of its strings must be translated'
+    ]);
+} finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+}
+
+console.log('translations.test.js: all assertions passed');
@@ -0,0 +1,104 @@
+/**
+ * Validation report recorder and its JSON, SARIF and JUnit renderings.
+ * Run: `node test/validation-report.test.js` (or `npm test`).
+ */
+
+const assert = require('assert');
+const {spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {createReport, issue, pointerFromMessage, findPointerLine, formatReport} = require('../src/lib/report');
+
+const tool = {name: 'openblock-registry-cli', version: '1.2.1'};
+
+const report = createReport([
+    {id: 'package-json', name: 'package.json'},
+    {id: 'git-status', name: 'Git status and tag'},
+    {id: 'openblock-files', name: 'OpenBlock file paths'},
+    {id: 'package-structure', name: 'package.json structure'},
+    {id: 'translations', name: 'Translations'}
+]);
+report.plugin = {id: 'ledMatrix', version: '1.0.0'};
+
+report.start('package-json');
+report.pass('ledMatrix v1.0.0');
+report.skip('git-status', 'Skipped (--skip-tag)');
+report.start('openblock-files');
+report.warn('OpenBlock file paths validated with warnings', [
+    issue('warning', 'Libraries directory not found', {file: 'package.json', pointer: '/openblock/libraries'})
+]);
+report.start('package-structure');
+report.fail('Package.json structure validation failed', [
+    issue('error', 'must be one of: ai, kit', {file: 'package.json', pointer: '/openblock/tags/0', line: 14})
+]);
+// A catch-all failure after a detailed one must not overwrite it
+report.fail('Package.json structure validation failed');
+
+const json = JSON.parse(formatReport(report, 'json', tool));
+assert.strictEqual(json.valid, false);
+assert.deepStrictEqual(json.summary, {passed: 1, warning: 1, failed: 1, skipped: 2});
+assert.deepStrictEqual(json.checks.map(check => check.status), ['passed', 'skipped', 'warning', 'failed', 'skipped']);
+assert.strictEqual(json.checks[3].severity, 'error');
+assert.strictEqual(json.checks[3].issues[0].location.pointer, '/openblock/tags/0');
+assert.strictEqual(json.checks[4].message, 'Not run');
+
+const sarif = JSON.parse(formatReport(report, 'sarif', tool));
+const run = sarif.runs[0];
+assert.strictEqual(sarif.version, '2.1.0');
+assert.strictEqual(run.tool.driver.rules.length, 5, 'every check is a rule');
+assert.deepStrictEqual(run.results.map(result => [result.ruleId, result.level]), [
+    ['openblock-files', 'warning'],
+    ['package-structure', 'error']
+]);
+assert.deepStrictEqual(run.results[1].locations[0].physicalLocation, {
+    artifactLocation: {uri: 'package.json'},
+    region: {startLine: 14}
+});
+
+const junit = formatReport(report, 'junit', tool);
+assert.ok(junit.includes('tests="5" failures="1" errors="0" skipped="2"'));
+assert.ok(junit.includes('<failure message="Package.json structure validation failed" type="error">' +
+    '[error] package.json:14 /openblock/tags/0: must be one of: ai, kit</failure>'));
+assert.ok(junit.includes('<skipped message="Skipped (--skip-tag)"/>'));
+
+assert.throws(() => formatReport(report, 'html', tool), /Valid formats: json, sarif, junit/);
+
+assert.strictEqual(pointerFromMessage('Firmware image not found: openblock.firmwares[1].file = "a.hex"'),
+    '/openblock/firmwares/1/file');
+assert.strictEqual(pointerFromMessage('Working directory has uncommitted changes'), null);
+
+const packageText = [
+    '{',
+    '    "name": "ledmatrix",',
+    '    "openblock": {',
+    '        "name": "LED Matrix",',
+    '        "tags": [',
+    '            "display"',
+    '        ]',
+    '    }',
+    '}'
+].join('\n');
+assert.strictEqual(findPointerLine(packageText, '/openblock/name'), 4);
+assert.strictEqual(findPointerLine(packageText, '/openblock/tags/0'), 5);
+assert.strictEqual(findPointerLine(packageText, '/author'), null);
+
+// A failing run still writes the whole report to stdout, then exits with 1
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obr-report-'));
+try {
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({name: 'led-matrix', version: '1.0.0'}));
+    const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'openblock-registry-cli.js'),
+        'validate', '--format', 'sarif'], {
+        cwd: dir,
+        env: {...process.env, HOME: dir, USERPROFILE: dir},
+        encoding: 'utf-8',
+        timeout: 60000
+    });
+    assert.strictEqual(cli.status, 1);
+    assert.strictEqual(JSON.parse(cli.stdout).runs[0].results[0].level, 'error');
+} finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+}
+
+console.log('validation-report.test.js: all assertions passed');